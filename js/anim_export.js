@@ -0,0 +1,554 @@
+// ============================================================================
+// Animation Export — animated GIF / APNG of SCA playback, FLASH and flicker modes
+// ============================================================================
+// @ts-check
+"use strict";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// GIF delays are stored in 1/100 s, APNG delays as a fraction (we use 1/1000 s)
+const GIF_MAX_DELAY_CS = 65535;
+const APNG_MAX_DELAY_MS = 65535;
+
+// GIF LZW dictionary is limited to 12-bit codes
+const GIF_MAX_CODE = 4096;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * @typedef {Object} AnimationFrame
+ * @property {{flashPhase?: boolean, flickerPhase?: number, scaFrame?: number}} state - State passed to renderScreenForExport
+ * @property {number} delayMs - How long the frame is shown
+ */
+
+/**
+ * @typedef {Object} EncodedFrame
+ * @property {{x: number, y: number, w: number, h: number}} rect - Changed region
+ * @property {Uint8ClampedArray} pixels - RGBA pixels of the region
+ * @property {number} delayMs - Display time
+ */
+
+// ============================================================================
+// Frame Collection
+// ============================================================================
+
+/**
+ * Returns the SCA frame indices to export: the trimmed, non-deleted range while
+ * the SCA editor is open, otherwise every frame
+ * @returns {number[]}
+ */
+function getScaExportFrameIndices() {
+  if (!scaHeader) return [];
+  const indices = [];
+  const inEditor = typeof editModeActive !== 'undefined' && editModeActive;
+  const start = inEditor ? editTrimStart : 0;
+  const end = inEditor ? scaHeader.frameCount - editTrimEnd : scaHeader.frameCount;
+  for (let i = start; i < end; i++) {
+    if (inEditor && (optimizedOutFrames.has(i) || manuallyDeletedFrames.has(i))) continue;
+    indices.push(i);
+  }
+  return indices;
+}
+
+/**
+ * Greatest common divisor
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Builds the frame sequence for the current picture:
+ * SCA playback (per-frame delays), Gigascreen/RGB3 flicker at 50 Hz, or FLASH at FLASH_INTERVAL.
+ * Flicker and FLASH are combined into one loop when both are present.
+ * @returns {AnimationFrame[]} - Empty when there is nothing to animate
+ */
+function collectAnimationFrames() {
+  /** @type {AnimationFrame[]} */
+  const frames = [];
+
+  if (currentFormat === FORMAT.SCA && scaHeader) {
+    let time = 0;
+    for (const index of getScaExportFrameIndices()) {
+      const delay = typeof getFrameDelay === 'function' ? getFrameDelay(index) : scaHeader.delays[index];
+      const delayMs = (delay || 1) * SCA.DELAY_UNIT_MS;
+      frames.push({
+        state: { scaFrame: index, flashPhase: flashEnabled && Math.floor(time / FLASH_INTERVAL) % 2 === 1 },
+        delayMs
+      });
+      time += delayMs;
+    }
+    return frames;
+  }
+
+  const flickerCount = currentFormat === FORMAT.GIGASCREEN && gigascreenMode === GIGASCREEN_MODE.FLICKER ? 2 :
+                       currentFormat === FORMAT.RGB3 && rgb3FlickerEnabled ? 3 : 0;
+  const flashing = flashEnabled && hasFlashingAttributes();
+
+  if (flickerCount > 0) {
+    // One full flash cycle (on + off) must also be a whole number of flicker cycles
+    let count = flickerCount;
+    if (flashing) {
+      const flashCycle = Math.round(FLASH_INTERVAL * 2 / FLICKER_INTERVAL_MS);
+      count = flashCycle * flickerCount / gcd(flashCycle, flickerCount);
+    }
+    for (let i = 0; i < count; i++) {
+      const time = i * FLICKER_INTERVAL_MS;
+      frames.push({
+        state: { flickerPhase: i % flickerCount, flashPhase: flashing && Math.floor(time / FLASH_INTERVAL) % 2 === 1 },
+        delayMs: FLICKER_INTERVAL_MS
+      });
+    }
+  } else if (flashing) {
+    frames.push({ state: { flashPhase: false }, delayMs: FLASH_INTERVAL });
+    frames.push({ state: { flashPhase: true }, delayMs: FLASH_INTERVAL });
+  }
+
+  return frames;
+}
+
+/**
+ * Finds the bounding box of pixels that differ between two RGBA buffers
+ * @param {Uint8ClampedArray} prev
+ * @param {Uint8ClampedArray} next
+ * @param {number} width
+ * @param {number} height
+ * @returns {{x: number, y: number, w: number, h: number}|null} - null when identical
+ */
+function getChangedRect(prev, next, width, height) {
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    let rowOffset = y * width * 4;
+    for (let x = 0; x < width; x++, rowOffset += 4) {
+      if (prev[rowOffset] !== next[rowOffset] || prev[rowOffset + 1] !== next[rowOffset + 1] ||
+          prev[rowOffset + 2] !== next[rowOffset + 2]) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        maxY = y;
+      }
+    }
+  }
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+/**
+ * Copies a rectangle out of an RGBA buffer
+ * @param {Uint8ClampedArray} data
+ * @param {number} width - Buffer width
+ * @param {{x: number, y: number, w: number, h: number}} rect
+ * @returns {Uint8ClampedArray}
+ */
+function cropRgba(data, width, rect) {
+  const out = new Uint8ClampedArray(rect.w * rect.h * 4);
+  for (let y = 0; y < rect.h; y++) {
+    const src = ((rect.y + y) * width + rect.x) * 4;
+    out.set(data.subarray(src, src + rect.w * 4), y * rect.w * 4);
+  }
+  return out;
+}
+
+// ============================================================================
+// GIF Encoder
+// ============================================================================
+
+/**
+ * Builds a palette (at most 256 colours) and index buffer for RGBA pixels.
+ * Frames with more colours are reduced to RGB 3-3-2.
+ * @param {Uint8ClampedArray} pixels
+ * @returns {{palette: number[], indices: Uint8Array}} - palette as 0xRRGGBB values
+ */
+function buildGifPalette(pixels) {
+  const count = pixels.length / 4;
+  const indices = new Uint8Array(count);
+  /** @type {Map<number, number>} */
+  const colorMap = new Map();
+  /** @type {number[]} */
+  const palette = [];
+
+  for (let i = 0; i < count; i++) {
+    const rgb = (pixels[i * 4] << 16) | (pixels[i * 4 + 1] << 8) | pixels[i * 4 + 2];
+    let index = colorMap.get(rgb);
+    if (index === undefined) {
+      if (palette.length === 256) {
+        return buildGifPalette332(pixels);
+      }
+      index = palette.length;
+      palette.push(rgb);
+      colorMap.set(rgb, index);
+    }
+    indices[i] = index;
+  }
+  return { palette, indices };
+}
+
+/**
+ * Fallback palette for frames with more than 256 colours (RGB 3-3-2)
+ * @param {Uint8ClampedArray} pixels
+ * @returns {{palette: number[], indices: Uint8Array}}
+ */
+function buildGifPalette332(pixels) {
+  const count = pixels.length / 4;
+  const indices = new Uint8Array(count);
+  const palette = [];
+  for (let i = 0; i < 256; i++) {
+    const r = Math.round(((i >> 5) & 7) * 255 / 7);
+    const g = Math.round(((i >> 2) & 7) * 255 / 7);
+    const b = Math.round((i & 3) * 255 / 3);
+    palette.push((r << 16) | (g << 8) | b);
+  }
+  for (let i = 0; i < count; i++) {
+    const r = Math.round(pixels[i * 4] * 7 / 255);
+    const g = Math.round(pixels[i * 4 + 1] * 7 / 255);
+    const b = Math.round(pixels[i * 4 + 2] * 3 / 255);
+    indices[i] = (r << 5) | (g << 2) | b;
+  }
+  return { palette, indices };
+}
+
+/**
+ * LZW-compresses palette indices as GIF image data (min code size byte + sub-blocks)
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize - 2..8
+ * @returns {number[]}
+ */
+function gifLzwEncode(indices, minCodeSize) {
+  const out = [minCodeSize];
+  /** @type {number[]} */
+  const block = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  /** @type {Map<number, number>} */
+  const dict = new Map();
+
+  /** @param {number} code */
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xFF);
+      if (block.length === 255) {
+        out.push(255, ...block);
+        block.length = 0;
+      }
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = dict.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === GIF_MAX_CODE) {
+      emit(clearCode);
+      dict.clear();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      dict.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+
+  if (bitCount > 0) {
+    block.push(bitBuffer & 0xFF);
+  }
+  if (block.length > 0) {
+    out.push(block.length, ...block);
+  }
+  out.push(0);
+  return out;
+}
+
+/**
+ * Encodes one GIF frame (graphic control extension + image descriptor + local palette + data)
+ * @param {EncodedFrame} frame
+ * @returns {Uint8Array}
+ */
+function encodeGifFrame(frame) {
+  const { rect, pixels, delayMs } = frame;
+  const { palette, indices } = buildGifPalette(pixels);
+
+  // Local colour table size: 2^(sizeBits), at least 4 entries (LZW min code size 2)
+  let sizeBits = 1;
+  while ((1 << sizeBits) < palette.length) sizeBits++;
+  const minCodeSize = Math.max(2, sizeBits);
+  const tableSize = 1 << sizeBits;
+
+  const delayCs = Math.min(GIF_MAX_DELAY_CS, Math.max(1, Math.round(delayMs / 10)));
+  const bytes = [
+    // Graphic control extension: disposal 1 (leave in place), no transparency
+    0x21, 0xF9, 0x04, 0x04, delayCs & 0xFF, delayCs >> 8, 0x00, 0x00,
+    // Image descriptor with local colour table
+    0x2C,
+    rect.x & 0xFF, rect.x >> 8, rect.y & 0xFF, rect.y >> 8,
+    rect.w & 0xFF, rect.w >> 8, rect.h & 0xFF, rect.h >> 8,
+    0x80 | (sizeBits - 1)
+  ];
+  for (let i = 0; i < tableSize; i++) {
+    const rgb = palette[i] || 0;
+    bytes.push((rgb >> 16) & 0xFF, (rgb >> 8) & 0xFF, rgb & 0xFF);
+  }
+
+  const data = gifLzwEncode(indices, minCodeSize);
+  const result = new Uint8Array(bytes.length + data.length);
+  result.set(bytes, 0);
+  result.set(data, bytes.length);
+  return result;
+}
+
+/**
+ * Wraps encoded frames into a looping GIF89a file
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array[]} frameChunks - Output of encodeGifFrame
+ * @returns {Blob}
+ */
+function buildGifFile(width, height, frameChunks) {
+  const header = [
+    0x47, 0x49, 0x46, 0x38, 0x39, 0x61, // "GIF89a"
+    width & 0xFF, width >> 8, height & 0xFF, height >> 8,
+    0x00, 0x00, 0x00, // no global colour table
+    // NETSCAPE2.0 application extension: loop forever
+    0x21, 0xFF, 0x0B,
+    0x4E, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2E, 0x30,
+    0x03, 0x01, 0x00, 0x00, 0x00
+  ];
+  return new Blob([new Uint8Array(header), ...frameChunks, new Uint8Array([0x3B])], { type: 'image/gif' });
+}
+
+// ============================================================================
+// APNG Encoder
+// ============================================================================
+
+/** @type {Uint32Array|null} */
+let pngCrcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function pngCrc32(bytes) {
+  if (!pngCrcTable) {
+    pngCrcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      pngCrcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = pngCrcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Builds a PNG chunk (length + type + data + CRC)
+ * @param {string} type - 4-character chunk type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, pngCrc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Deflate data with a zlib wrapper (as PNG IDAT/fdAT expect)
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflateZlib(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Converts RGBA pixels to filtered 8-bit RGB scanlines (filter type 1, Sub) and compresses them
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Uint8Array>}
+ */
+async function compressPngImage(pixels, width, height) {
+  const stride = width * 3 + 1;
+  const raw = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * stride;
+    raw[rowStart] = 1; // Sub filter
+    for (let x = 0; x < width; x++) {
+      const src = (y * width + x) * 4;
+      const dst = rowStart + 1 + x * 3;
+      for (let c = 0; c < 3; c++) {
+        const left = x > 0 ? pixels[src - 4 + c] : 0;
+        raw[dst + c] = (pixels[src + c] - left) & 0xFF;
+      }
+    }
+  }
+  return deflateZlib(raw);
+}
+
+/**
+ * Builds an APNG file from compressed frames
+ * @param {number} width
+ * @param {number} height
+ * @param {{rect: {x: number, y: number, w: number, h: number}, delayMs: number, zdata: Uint8Array}[]} frames
+ * @returns {Blob}
+ */
+function buildApngFile(width, height, frames) {
+  /** @type {Uint8Array[]} */
+  const parts = [new Uint8Array(PNG_SIGNATURE)];
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 2;  // colour type: RGB
+  parts.push(pngChunk('IHDR', ihdr));
+
+  const actl = new Uint8Array(8);
+  const actlView = new DataView(actl.buffer);
+  actlView.setUint32(0, frames.length);
+  actlView.setUint32(4, 0); // loop forever
+  parts.push(pngChunk('acTL', actl));
+
+  let sequence = 0;
+  frames.forEach((frame, index) => {
+    const fctl = new Uint8Array(26);
+    const view = new DataView(fctl.buffer);
+    view.setUint32(0, sequence++);
+    view.setUint32(4, frame.rect.w);
+    view.setUint32(8, frame.rect.h);
+    view.setUint32(12, frame.rect.x);
+    view.setUint32(16, frame.rect.y);
+    view.setUint16(20, Math.min(APNG_MAX_DELAY_MS, Math.round(frame.delayMs)));
+    view.setUint16(22, 1000);
+    fctl[24] = 0; // dispose: none
+    fctl[25] = 0; // blend: source
+    parts.push(pngChunk('fcTL', fctl));
+
+    if (index === 0) {
+      parts.push(pngChunk('IDAT', frame.zdata));
+    } else {
+      const fdat = new Uint8Array(4 + frame.zdata.length);
+      new DataView(fdat.buffer).setUint32(0, sequence++);
+      fdat.set(frame.zdata, 4);
+      parts.push(pngChunk('fdAT', fdat));
+    }
+  });
+
+  parts.push(pngChunk('IEND', new Uint8Array(0)));
+  return new Blob(parts, { type: 'image/apng' });
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Renders the animation frames and saves them as animated GIF or APNG.
+ * Identical consecutive frames are merged; later frames only store the changed region.
+ * @param {string} kind - 'gif' or 'apng'
+ * @param {number} exportZoom - Zoom factor
+ * @param {number} exportBorder - Border size in screen pixels (0 = none)
+ */
+async function exportAnimation(kind, exportZoom, exportBorder) {
+  const frames = collectAnimationFrames();
+  if (frames.length === 0) {
+    alert('Nothing to animate.\n\nLoad an SCA animation or a screen with FLASH attributes, ' +
+          'or switch Gigascreen/RGB3 to flicker mode.');
+    return;
+  }
+
+  /** @type {Uint8ClampedArray|null} */
+  let prev = null;
+  /** @type {EncodedFrame|null} */
+  let pending = null;
+  /** @type {Uint8Array[]} */
+  const gifChunks = [];
+  /** @type {{rect: {x: number, y: number, w: number, h: number}, delayMs: number, zdata: Uint8Array}[]} */
+  const apngFrames = [];
+  let width = 0;
+  let height = 0;
+
+  // Frames are encoded as soon as their delay is final, so only one RGBA region is held at a time
+  /** @param {EncodedFrame} frame */
+  const flush = async (frame) => {
+    if (kind === 'apng') {
+      apngFrames.push({
+        rect: frame.rect,
+        delayMs: frame.delayMs,
+        zdata: await compressPngImage(frame.pixels, frame.rect.w, frame.rect.h)
+      });
+    } else {
+      gifChunks.push(encodeGifFrame(frame));
+    }
+  };
+
+  try {
+    for (const frame of frames) {
+      const canvas = renderScreenForExport(exportZoom, exportBorder, frame.state);
+      const ctx = canvas && canvas.getContext('2d');
+      if (!canvas || !ctx) return;
+
+      if (!prev) {
+        width = canvas.width;
+        height = canvas.height;
+      }
+      const data = ctx.getImageData(0, 0, width, height).data;
+      const rect = prev ? getChangedRect(prev, data, width, height) : { x: 0, y: 0, w: width, h: height };
+
+      if (!rect) {
+        if (pending) pending.delayMs += frame.delayMs;
+        continue;
+      }
+      if (pending) await flush(pending);
+      pending = { rect, pixels: cropRgba(data, width, rect), delayMs: frame.delayMs };
+      prev = data;
+    }
+    if (pending) await flush(pending);
+
+    const baseName = currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : 'screen';
+    if (kind === 'apng') {
+      downloadFile(buildApngFile(width, height, apngFrames), baseName + '_anim.png');
+    } else {
+      downloadFile(buildGifFile(width, height, gifChunks), baseName + '.gif');
+    }
+  } catch (error) {
+    alert('Animation export failed: ' + (error instanceof Error ? error.message : error));
+  }
+}
@@ -3,7 +3,7 @@
 // @ts-check
 "use strict";
 
-const APP_VERSION = '1.48.0';
+const APP_VERSION = '1.73.0';
 
 const APP_CONFIG = {
   // ============================================================================
@@ -112,6 +112,13 @@ const APP_CONFIG = {
   // Dark square color (RGB gray value 0-255)
   TRANSPARENCY_DARK_COLOR: 34,
 
+  // ============================================================================
+  // Animation Timeline Settings
+  // ============================================================================
+
+  // Opacity of onion-skinned previous/next frames (0.0 - 1.0)
+  ONION_SKIN_OPACITY: 0.3,
+
   // ============================================================================
   // .53c Attribute Fill Patterns (8 bytes per pattern, one per row, MSB = leftmost pixel)
   // ============================================================================
@@ -89,3 +89,1340 @@ function downloadFile(content, fileName, mimeType = 'text/plain') {
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 }
+
+// ============================================================================
+// Target Machine Timings
+// ============================================================================
+
+/**
+ * @typedef {Object} AsmMachine
+ * @property {string} name - Display name
+ * @property {number} lineT - T-states per scanline
+ * @property {number} frameT - T-states per frame (INT to INT)
+ * @property {number} paperT - T-state of the first paper pixel after INT (raw display time)
+ * @property {number} borderOutT - T-states from the start of an OUT (C),r to its border change
+ *   on screen: the I/O cycle (8T) plus the border latch; I/O contention comes on top
+ * @property {number} topLines - Border lines shown above the paper (BSC has 64)
+ * @property {number[]|null} contention - Delays for the 8-T-state groups of a paper line (null = none)
+ * @property {number} contentionT - First contended T-state of paper line 0
+ * @property {boolean} ioContention - ULA port and #40-#7F high-byte ports are contended
+ * @property {number[]} contendedBanks - Contended RAM banks (bank 5 = #4000)
+ * @property {boolean} has128 - Has #7FFD paging and the second screen
+ */
+
+/**
+ * Machines the timing-critical exporters can target. Border latch: the Sinclair
+ * ULA picks up a new border color every 4T (8T + 4T); the Pentagon's 6T is
+ * calibrated so the original hand-tuned border phase is kept (8T + 6T).
+ * @type {Object<string, AsmMachine>}
+ */
+const ASM_MACHINES = {
+  pentagon: {
+    name: 'Pentagon 128K', lineT: 224, frameT: 71680, paperT: 17988, borderOutT: 14, topLines: 64,
+    contention: null, contentionT: 0, ioContention: false, contendedBanks: [], has128: true
+  },
+  zx48: {
+    name: 'ZX Spectrum 48K', lineT: 224, frameT: 69888, paperT: 14336, borderOutT: 12, topLines: 48,
+    contention: [6, 5, 4, 3, 2, 1, 0, 0], contentionT: 14335, ioContention: true, contendedBanks: [5], has128: false
+  },
+  zx128: {
+    name: 'ZX Spectrum 128K/+2', lineT: 228, frameT: 70908, paperT: 14364, borderOutT: 12, topLines: 48,
+    contention: [6, 5, 4, 3, 2, 1, 0, 0], contentionT: 14361, ioContention: true, contendedBanks: [1, 3, 5, 7], has128: true
+  },
+  plus3: {
+    name: 'ZX Spectrum +2A/+3', lineT: 228, frameT: 70908, paperT: 14365, borderOutT: 12, topLines: 48,
+    contention: [1, 0, 7, 6, 5, 4, 3, 2], contentionT: 14365, ioContention: false, contendedBanks: [4, 5, 6, 7], has128: true
+  }
+};
+
+/**
+ * Read the target machine selector.
+ * @returns {AsmMachine} Selected machine (Pentagon if none)
+ */
+function getAsmMachine() {
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById('editorAsmMachineSelect'));
+  return ASM_MACHINES[select?.value || 'pentagon'] || ASM_MACHINES.pentagon;
+}
+
+/**
+ * Contention delay for a contended access (memory or port) starting at a T-state.
+ * @param {AsmMachine} machine - Target machine
+ * @param {number} t - T-state after INT
+ * @returns {number} Extra T-states
+ */
+function getAsmContention(machine, t) {
+  if (!machine.contention) return 0;
+  const rel = t - machine.contentionT;
+  if (rel < 0 || rel >= 192 * machine.lineT) return 0;
+  const x = rel % machine.lineT;
+  return x < 128 ? machine.contention[x % 8] : 0;
+}
+
+/**
+ * Delay of an OUT (C),r / OUT (n),A I/O cycle starting at a T-state.
+ * 48K/128K ULA rules: a high byte in #40-#7F makes every cycle contended,
+ * an even port contends the last three.
+ * @param {AsmMachine} machine - Target machine
+ * @param {number} t - T-state at which the I/O cycle starts
+ * @param {number} port - 16-bit port address
+ * @returns {number} Extra T-states
+ */
+function getAsmIoContention(machine, t, port) {
+  if (!machine.ioContention) return 0;
+  const highContended = (port >> 8 & 0xC0) === 0x40;
+  const ula = (port & 1) === 0;
+  let delay = 0;
+  if (highContended && !ula) {
+    // C:1, C:1, C:1, C:1
+    for (let i = 0; i < 4; i++) delay += getAsmContention(machine, t + i + delay);
+  } else if (highContended) {
+    // C:1, C:3
+    delay = getAsmContention(machine, t);
+    delay += getAsmContention(machine, t + 1 + delay);
+  } else if (ula) {
+    // N:1, C:3
+    delay = getAsmContention(machine, t + 1);
+  }
+  return delay;
+}
+
+/**
+ * Split a T-state count into NOP (4T), CP 0 (7T) and LD R,A (9T).
+ * Only flags and R change. Impossible for 1-3, 5, 6 and 10.
+ * @param {number} tStates - T-states to fill
+ * @returns {string[]|null} Instructions, or null if impossible
+ */
+function getAsmFiller(tStates) {
+  for (let ldr = 0; ldr <= 1; ldr++) {
+    for (let cp = 0; cp <= 3; cp++) {
+      const rest = tStates - ldr * 9 - cp * 7;
+      if (rest >= 0 && rest % 4 === 0) {
+        return [
+          ...Array(ldr).fill('LD R,A'),
+          ...Array(cp).fill('CP 0'),
+          ...Array(rest / 4).fill('NOP')
+        ];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Append straight-line code that takes exactly tStates (from uncontended memory).
+ * Loops use the given 8-bit register (DJNZ for B, DEC/JR NZ otherwise, 256
+ * iterations at most per loop); the remainder is filled by getAsmFiller().
+ * @param {string[]} asm - Output lines
+ * @param {number} tStates - Delay in T-states
+ * @param {string} [reg='B'] - Loop counter register (left at 0)
+ */
+function emitAsmDelay(asm, tStates, reg = 'B') {
+  const iterT = reg === 'B' ? 13 : 16;
+  // A loop of n iterations: LD r,n (7T) + (n-1) taken (13/16T) + last (8/11T) = n×iterT + 2
+  let remaining = tStates;
+  while (remaining >= iterT + 2 + 11) {
+    const n = Math.min(256, Math.floor((remaining - 2 - 11) / iterT));
+    asm.push(`    LD ${reg},${n & 0xFF}               ; ${n * iterT + 2}T`);
+    asm.push('1:');
+    if (reg === 'B') {
+      asm.push('    DJNZ 1B');
+    } else {
+      asm.push(`    DEC ${reg}`);
+      asm.push('    JR NZ,1B');
+    }
+    remaining -= n * iterT + 2;
+  }
+  const filler = getAsmFiller(remaining);
+  if (!filler) throw new Error(`Cannot build a ${tStates}T delay`);
+  const nops = filler.filter(op => op === 'NOP').length;
+  for (const op of filler) {
+    if (op !== 'NOP') asm.push('    ' + op);
+  }
+  if (nops === 1) {
+    asm.push('    NOP');
+  } else if (nops > 1) {
+    asm.push(`    DS ${nops},0              ; ${nops * 4}T`);
+  }
+}
+
+/**
+ * Append a one-time sync to INT with an exact phase. HALT is taken 0-3T
+ * after INT (the phase of its 4T NOP cycles); two tests in the next frames
+ * remove that jitter. Each test opens interrupts for one instruction boundary
+ * (EI + NOP + DI) k T-states before INT would be raised at zero jitter, so the
+ * INT is taken only when the jitter is k or more; the path without it waits the
+ * handler's 37T plus k. Tests with k = 2, then 1 leave no jitter.
+ * Needs IM 2 with an EI + RETI handler (19T response + 18T), SP set and the
+ * code in uncontended memory. Changes AF, BC and HL; interrupts stay disabled.
+ * @param {string[]} asm - Output lines
+ * @param {AsmMachine} machine - Target machine
+ * @returns {number} T-state after INT at which the sync ends (always the same)
+ */
+function emitAsmFrameSync(asm, machine) {
+  const handlerT = 37;
+  asm.push('    EI');
+  asm.push('    HALT                 ; First INT (may be one already raised)');
+  asm.push('    HALT                 ; Next INT, taken 0-3T after it is raised');
+  asm.push('    DI                   ; 41T + jitter: IM 2 (19T) + EI/RETI (18T) + DI (4T)');
+  let t = 41;
+
+  for (const k of [2, 1]) {
+    // The INT can be taken after the NOP: at frameT - k + jitter
+    const waitT = machine.frameT - k - t - 31 - 8;
+    const loops = Math.floor((waitT - 5 - 30) / 26);
+    asm.push(`    ; Jitter test: INT taken if the jitter is ${k}T or more`);
+    asm.push('    LD HL,0');
+    asm.push('    PUSH HL');
+    asm.push('    POP HL               ; 31T: zero below the stack');
+    asm.push(`    LD BC,${loops}`.padEnd(25) + `; ${loops * 26 + 5}T`);
+    asm.push('1:');
+    asm.push('    DEC BC');
+    asm.push('    LD A,B');
+    asm.push('    OR C');
+    asm.push('    JR NZ,1B');
+    emitAsmDelay(asm, waitT - loops * 26 - 5, 'B');
+    asm.push('    EI');
+    asm.push('    NOP                  ; INT taken here only if already raised');
+    asm.push('    DI');
+    asm.push('    DEC SP');
+    asm.push('    DEC SP');
+    asm.push('    POP HL               ; Return address if the INT was taken, else 0');
+    asm.push('    LD A,H');
+    asm.push('    OR A');
+    asm.push('    JP NZ,2F             ; 44T from the test');
+    asm.push(`    ; No INT: wait the handler's ${handlerT}T + ${k}T`);
+    emitAsmDelay(asm, handlerT + k, 'B');
+    asm.push('2:');
+    // Both paths: 44T + 37T after INT + the jitter left
+    t = 44 + handlerT;
+  }
+  return t;
+}
+
+// ============================================================================
+// Compression
+// ============================================================================
+
+/** @type {number} - Largest ZX0 offset (MSB Elias value up to 255) */
+const ZX0_MAX_OFFSET = 32640;
+
+/** @type {number} - Largest ZX7 offset (7 bits + 4 extension bits + 128) */
+const ZX7_MAX_OFFSET = 2176;
+
+/** @type {number} - Largest ZX7 match length */
+const ZX7_MAX_LENGTH = 65536;
+
+/** @type {number} - Largest LZ4 offset */
+const LZ4_MAX_OFFSET = 65535;
+
+/** @type {number} - LZ4 match finder: candidates tried per position */
+const LZ4_CHAIN_DEPTH = 256;
+
+/**
+ * Bit writer shared by ZX0 and ZX7: bytes go straight to the output, bits are
+ * packed MSB first into a byte reserved when its first bit is written.
+ * ZX0 "backtrack" puts the next bit into bit 0 of the last byte written.
+ */
+class PackBitWriter {
+  constructor() {
+    /** @type {number[]} */
+    this.out = [];
+    this.bitMask = 0;
+    this.bitIndex = 0;
+    this.backtrack = false;
+  }
+
+  /** @param {number} value */
+  byte(value) {
+    this.out.push(value & 0xFF);
+  }
+
+  /** @param {number|boolean} value */
+  bit(value) {
+    if (this.backtrack) {
+      if (value) this.out[this.out.length - 1] |= 1;
+      this.backtrack = false;
+      return;
+    }
+    if (this.bitMask === 0) {
+      this.bitMask = 0x80;
+      this.bitIndex = this.out.length;
+      this.out.push(0);
+    }
+    if (value) this.out[this.bitIndex] |= this.bitMask;
+    this.bitMask >>= 1;
+  }
+}
+
+/**
+ * Minimum over a range of a suffix cost array, filled from the end
+ * (used by the ZX7 and LZ4 optimal parsers).
+ */
+class PackCostTree {
+  /** @param {number} size - Number of positions */
+  constructor(size) {
+    this.size = 1;
+    while (this.size < size) this.size <<= 1;
+    this.cost = new Float64Array(this.size * 2).fill(Infinity);
+    this.pos = new Int32Array(this.size * 2).fill(-1);
+  }
+
+  /**
+   * @param {number} i - Position
+   * @param {number} cost - Cost from this position to the end
+   */
+  set(i, cost) {
+    let n = i + this.size;
+    this.cost[n] = cost;
+    this.pos[n] = i;
+    for (n >>= 1; n > 0; n >>= 1) {
+      const l = n * 2;
+      const r = l + 1;
+      const best = this.cost[r] < this.cost[l] ? r : l;
+      this.cost[n] = this.cost[best];
+      this.pos[n] = this.pos[best];
+    }
+  }
+
+  /**
+   * Cheapest position in [from, to] (the nearest on ties).
+   * @param {number} from
+   * @param {number} to
+   * @returns {number} Position, or -1 if the range is empty
+   */
+  min(from, to) {
+    let best = -1;
+    let bestCost = Infinity;
+    const take = (/** @type {number} */ n) => {
+      if (this.cost[n] < bestCost || (this.cost[n] === bestCost && this.pos[n] < best)) {
+        bestCost = this.cost[n];
+        best = this.pos[n];
+      }
+    };
+    let l = from + this.size;
+    let r = to + this.size + 1;
+    while (l < r) {
+      if (l & 1) take(l++);
+      if (r & 1) take(--r);
+      l >>= 1;
+      r >>= 1;
+    }
+    return best;
+  }
+}
+
+/**
+ * Compresses data in the ZX0 format (Einar Saukas, v2 forward stream), with
+ * the same optimal parser as the reference compressor.
+ * Unpacked by the Dzx0 routine from getAsmUnpacker('zx0').
+ * @param {ArrayLike<number>} data - Bytes to pack (at least one)
+ * @returns {Uint8Array} Packed stream
+ */
+function packZx0(data) {
+  const n = data.length;
+  // Elias gamma sizes of lengths and offset MSBs
+  const eliasSize = new Uint8Array(Math.max(n, 256) + 2);
+  for (let v = 1; v < eliasSize.length; v++) eliasSize[v] = v === 1 ? 1 : eliasSize[v >> 1] + 2;
+  const eliasBits = (/** @type {number} */ v) => eliasSize[v];
+  // Blocks (a literal run or a match ending at an index) are kept in a pool
+  // and chained by pool number; the last literal and match per offset live in
+  // typed arrays and only enter the pool when something links to them
+  let poolSize = 0;
+  let poolIndex = new Int32Array(4096);
+  let poolOffset = new Int32Array(4096);
+  let poolChain = new Int32Array(4096);
+  const addBlock = (/** @type {number} */ index, /** @type {number} */ offset, /** @type {number} */ chain) => {
+    if (poolSize === poolIndex.length) {
+      const grow = (/** @type {Int32Array} */ a) => {
+        const b = new Int32Array(a.length * 2);
+        b.set(a);
+        return b;
+      };
+      poolIndex = grow(poolIndex);
+      poolOffset = grow(poolOffset);
+      poolChain = grow(poolChain);
+    }
+    poolIndex[poolSize] = index;
+    poolOffset[poolSize] = offset;
+    poolChain[poolSize] = chain;
+    return poolSize++;
+  };
+
+  const maxOffset = Math.max(1, Math.min(n - 1, ZX0_MAX_OFFSET));
+  const litBits = new Int32Array(maxOffset + 1);
+  const litIndex = new Int32Array(maxOffset + 1);
+  const litChain = new Int32Array(maxOffset + 1).fill(-1);
+  const litBlock = new Int32Array(maxOffset + 1).fill(-1);
+  const matchBits = new Int32Array(maxOffset + 1);
+  const matchIndex = new Int32Array(maxOffset + 1);
+  const matchChain = new Int32Array(maxOffset + 1).fill(-1);
+  const matchBlock = new Int32Array(maxOffset + 1).fill(-1);
+  const hasMatch = new Uint8Array(maxOffset + 1);
+  const optimalBits = new Int32Array(n).fill(0x7FFFFFFF);
+  const optimal = new Int32Array(n).fill(-1);
+  const matchLength = new Int32Array(maxOffset + 1);
+  const bestLength = new Int32Array(n + 2);
+  bestLength[2] = 2;
+
+  const literalAt = (/** @type {number} */ o) => {
+    if (litBlock[o] < 0) litBlock[o] = addBlock(litIndex[o], 0, litChain[o]);
+    return litBlock[o];
+  };
+  const matchAt = (/** @type {number} */ o) => {
+    if (matchBlock[o] < 0) matchBlock[o] = addBlock(matchIndex[o], o, matchChain[o]);
+    return matchBlock[o];
+  };
+  const setMatch = (/** @type {number} */ o, /** @type {number} */ bits, /** @type {number} */ index, /** @type {number} */ chain) => {
+    matchBits[o] = bits;
+    matchIndex[o] = index;
+    matchChain[o] = chain;
+    matchBlock[o] = -1;
+    hasMatch[o] = 1;
+    if (bits < optimalBits[index]) {
+      optimalBits[index] = bits;
+      optimal[index] = matchAt(o);
+    }
+  };
+
+  // Fake block before the data: the first literals need no indicator bit
+  hasMatch[1] = 1;
+  matchBits[1] = -1;
+  matchIndex[1] = -1;
+
+  for (let index = 0; index < n; index++) {
+    let bestLengthSize = 2;
+    const limit = Math.max(1, Math.min(index, ZX0_MAX_OFFSET));
+    for (let offset = 1; offset <= limit; offset++) {
+      if (index !== 0 && index >= offset && data[index] === data[index - offset]) {
+        // Copy from the last offset
+        if (litChain[offset] >= 0) {
+          const length = index - litIndex[offset];
+          setMatch(offset, litBits[offset] + 1 + eliasBits(length), index, literalAt(offset));
+        }
+        // Copy from a new offset
+        if (++matchLength[offset] > 1) {
+          if (bestLengthSize < matchLength[offset]) {
+            let bits = optimalBits[index - bestLength[bestLengthSize]] + eliasBits(bestLength[bestLengthSize] - 1);
+            do {
+              bestLengthSize++;
+              const bits2 = optimalBits[index - bestLengthSize] + eliasBits(bestLengthSize - 1);
+              if (bits2 <= bits) {
+                bestLength[bestLengthSize] = bestLengthSize;
+                bits = bits2;
+              } else {
+                bestLength[bestLengthSize] = bestLength[bestLengthSize - 1];
+              }
+            } while (bestLengthSize < matchLength[offset]);
+          }
+          const length = bestLength[matchLength[offset]];
+          const bits = optimalBits[index - length] + 8 + eliasBits(((offset - 1) >> 7) + 1) + eliasBits(length - 1);
+          if (!hasMatch[offset] || matchIndex[offset] !== index || matchBits[offset] > bits) {
+            setMatch(offset, bits, index, optimal[index - length]);
+          }
+        }
+      } else {
+        // Copy literals
+        matchLength[offset] = 0;
+        if (hasMatch[offset]) {
+          const length = index - matchIndex[offset];
+          const bits = matchBits[offset] + 1 + eliasBits(length) + length * 8;
+          litBits[offset] = bits;
+          litIndex[offset] = index;
+          litChain[offset] = matchAt(offset);
+          litBlock[offset] = -1;
+          if (bits < optimalBits[index]) {
+            optimalBits[index] = bits;
+            optimal[index] = literalAt(offset);
+          }
+        }
+      }
+    }
+  }
+
+  const blocks = [];
+  for (let b = optimal[n - 1]; b >= 0 && poolIndex[b] >= 0; b = poolChain[b]) {
+    blocks.push({ index: poolIndex[b], offset: poolOffset[b] });
+  }
+  blocks.reverse();
+
+  const w = new PackBitWriter();
+  /** Interlaced Elias gamma: 0 + data bit per bit below the top one, then 1 */
+  const elias = (/** @type {number} */ value, /** @type {boolean} */ invert) => {
+    let i = 2;
+    while (i <= value) i <<= 1;
+    i >>= 1;
+    while ((i >>= 1) > 0) {
+      w.bit(0);
+      w.bit(invert ? !(value & i) : value & i);
+    }
+    w.bit(1);
+  };
+
+  let input = 0;
+  let lastOffset = 1;
+  let afterLiterals = false;
+  for (const b of blocks) {
+    const length = b.index + 1 - input;
+    if (b.offset === 0) {
+      if (input > 0) w.bit(0);
+      elias(length, false);
+      for (let i = 0; i < length; i++) w.byte(data[input + i]);
+      afterLiterals = true;
+    } else if (b.offset === lastOffset && afterLiterals) {
+      w.bit(0);
+      elias(length, false);
+      afterLiterals = false;
+    } else {
+      w.bit(1);
+      elias(Math.floor((b.offset - 1) / 128) + 1, true);
+      w.byte((127 - (b.offset - 1) % 128) << 1);
+      w.backtrack = true;
+      elias(length - 1, false);
+      lastOffset = b.offset;
+      afterLiterals = false;
+    }
+    input += length;
+  }
+
+  // End marker: new offset with MSB 256
+  w.bit(1);
+  elias(256, true);
+  return new Uint8Array(w.out);
+}
+
+/**
+ * Compresses data in the ZX7 format (Einar Saukas), optimal parse.
+ * Unpacked by the Dzx7 routine from getAsmUnpacker('zx7').
+ * @param {ArrayLike<number>} data - Bytes to pack (at least one)
+ * @returns {Uint8Array} Packed stream
+ */
+function packZx7(data) {
+  const n = data.length;
+  const gammaBits = (/** @type {number} */ v) => 2 * Math.floor(Math.log2(v)) + 1;
+
+  // Backward optimal parse: cost of the data from each position to the end
+  const tree = new PackCostTree(n + 1);
+  tree.set(n, 0);
+  const cost = new Float64Array(n + 1);
+  const matchLen = new Int32Array(n);
+  const matchOffset = new Int32Array(n);
+  const runLength = new Int32Array(ZX7_MAX_OFFSET + 1);
+
+  for (let i = n - 1; i >= 1; i--) {
+    cost[i] = cost[i + 1] + 9;
+    // Longest match among near (1-byte) and far (extended) offsets
+    const longest = [0, 0];
+    const longestOffset = [0, 0];
+    const limit = Math.min(i, ZX7_MAX_OFFSET);
+    for (let o = 1; o <= limit; o++) {
+      runLength[o] = data[i] === data[i - o] ? Math.min(runLength[o] + 1, ZX7_MAX_LENGTH) : 0;
+      const cls = o > 128 ? 1 : 0;
+      if (runLength[o] > longest[cls]) {
+        longest[cls] = runLength[o];
+        longestOffset[cls] = o;
+      }
+    }
+    for (let cls = 0; cls < 2; cls++) {
+      const maxLen = Math.min(longest[cls], n - i);
+      // Lengths with the same gamma size cost the same: take the cheapest end in each
+      for (let lo = 2; lo <= maxLen; lo = lo * 2 - 1) {
+        const hi = Math.min(lo * 2 - 2, maxLen);
+        const end = tree.min(i + lo, i + hi);
+        const bits = 1 + gammaBits(end - i - 1) + (cls ? 12 : 8) + cost[end];
+        if (bits < cost[i]) {
+          cost[i] = bits;
+          matchLen[i] = end - i;
+          matchOffset[i] = longestOffset[cls];
+        }
+      }
+    }
+    tree.set(i, cost[i]);
+  }
+
+  const w = new PackBitWriter();
+  w.byte(data[0]);
+  for (let i = 1; i < n;) {
+    if (matchLen[i] === 0) {
+      w.bit(0);
+      w.byte(data[i]);
+      i++;
+      continue;
+    }
+    w.bit(1);
+    const value = matchLen[i] - 1;
+    let mask = 2;
+    for (; mask <= value; mask <<= 1) w.bit(0);
+    while ((mask >>= 1) > 0) w.bit(value & mask);
+    let offset = matchOffset[i] - 1;
+    if (offset < 128) {
+      w.byte(offset);
+    } else {
+      offset -= 128;
+      w.byte((offset & 0x7F) | 0x80);
+      for (mask = 1024; mask > 127; mask >>= 1) w.bit(offset & mask);
+    }
+    i += matchLen[i];
+  }
+
+  // End marker: a length with 16 zero bits
+  w.bit(1);
+  for (let i = 0; i < 16; i++) w.bit(0);
+  w.bit(1);
+  return new Uint8Array(w.out);
+}
+
+/**
+ * Compresses data as an LZ4 block (no frame header), near-optimal parse over
+ * hash-chain matches. The last 5 bytes are always literals, as the format requires.
+ * @param {ArrayLike<number>} data - Bytes to pack
+ * @returns {Uint8Array} Packed block
+ */
+function packLz4(data) {
+  const n = data.length;
+  const extBytes = (/** @type {number} */ v) => (v < 15 ? 0 : 1 + Math.floor((v - 15) / 255));
+  const matchLimit = n - 12;
+
+  // Hash chains of 4-byte sequences
+  const head = new Int32Array(65536).fill(-1);
+  const prev = new Int32Array(n).fill(-1);
+  const hash = (/** @type {number} */ i) =>
+    ((data[i] | data[i + 1] << 8 | data[i + 2] << 16 | data[i + 3] << 24) * 2654435761 >>> 16) & 0xFFFF;
+  for (let i = 0; i + 4 <= n; i++) {
+    const h = hash(i);
+    prev[i] = head[h];
+    head[h] = i;
+  }
+
+  // Backward parse: literals cost a byte, a match its token, offset and length bytes
+  const tree = new PackCostTree(n + 1);
+  tree.set(n, 1);
+  const cost = new Float64Array(n + 1);
+  cost[n] = 1;
+  const matchLen = new Int32Array(n);
+  const matchOffset = new Int32Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    cost[i] = cost[i + 1] + 1;
+    if (i <= matchLimit) {
+      const maxLen = n - 5 - i;
+      let bestLen = 0;
+      let bestOffset = 0;
+      let depth = LZ4_CHAIN_DEPTH;
+      for (let j = prev[i]; j >= 0 && i - j <= LZ4_MAX_OFFSET && depth-- > 0; j = prev[j]) {
+        let len = 0;
+        while (len < maxLen && data[j + len] === data[i + len]) len++;
+        if (len > bestLen) {
+          bestLen = len;
+          bestOffset = i - j;
+          if (len === maxLen) break;
+        }
+      }
+      // Lengths with the same number of extension bytes cost the same
+      for (let lo = 4; lo <= bestLen;) {
+        const hi = Math.min(lo < 19 ? 18 : lo + 254, bestLen);
+        const end = tree.min(i + lo, i + hi);
+        const bytes = 3 + extBytes(end - i - 4) + cost[end];
+        if (bytes < cost[i]) {
+          cost[i] = bytes;
+          matchLen[i] = end - i;
+          matchOffset[i] = bestOffset;
+        }
+        lo = hi + 1;
+      }
+    }
+    tree.set(i, cost[i]);
+  }
+
+  const out = [];
+  const writeLength = (/** @type {number} */ v) => {
+    for (v -= 15; v >= 255; v -= 255) out.push(255);
+    out.push(v);
+  };
+  let literalStart = 0;
+  for (let i = 0; i <= n;) {
+    if (i < n && matchLen[i] === 0) {
+      i++;
+      continue;
+    }
+    const literals = i - literalStart;
+    const length = i < n ? matchLen[i] - 4 : 0;
+    out.push(Math.min(literals, 15) << 4 | Math.min(length, 15));
+    if (literals >= 15) writeLength(literals);
+    for (let j = literalStart; j < i; j++) out.push(data[j]);
+    if (i === n) break;
+    out.push(matchOffset[i] & 0xFF, matchOffset[i] >> 8);
+    if (length >= 15) writeLength(length);
+    i += matchLen[i];
+    literalStart = i;
+  }
+  return new Uint8Array(out);
+}
+
+/**
+ * @typedef {Object} AsmPacker
+ * @property {string} name - Display name
+ * @property {string} ext - Extension for packed binaries
+ * @property {(data: ArrayLike<number>) => Uint8Array} pack - Compressor
+ * @property {string} routine - Unpack routine label (HL = packed data, DE = destination)
+ * @property {boolean} sized - Packed data is preceded by DW packed size in ASM output
+ * @property {string[]} source - Unpack routine source
+ */
+
+/** @type {Object<string, AsmPacker>} - Compressors with their Z80 unpackers */
+const ASM_PACKERS = {
+  zx0: {
+    name: 'ZX0', ext: 'zx0', pack: packZx0, routine: 'Dzx0', sized: false,
+    source: [
+      '; ZX0 unpacker (standard, v2 format) by Einar Saukas & Urusergi',
+      '; HL = packed data, DE = destination',
+      'Dzx0:',
+      '    LD BC,#FFFF               ; Last offset = 1',
+      '    PUSH BC',
+      '    INC BC',
+      '    LD A,#80',
+      '.literals:',
+      '    CALL .elias               ; Literal count',
+      '    LDIR',
+      '    ADD A,A                   ; Last offset or new offset?',
+      '    JR C,.newOffset',
+      '    CALL .elias               ; Length',
+      '.copy:',
+      '    EX (SP),HL                ; Source to stack, HL = -offset',
+      '    PUSH HL',
+      '    ADD HL,DE',
+      '    LDIR',
+      '    POP HL',
+      '    EX (SP),HL',
+      '    ADD A,A                   ; Literals or new offset?',
+      '    JR NC,.literals',
+      '.newOffset:',
+      '    POP BC                    ; Drop the last offset',
+      '    LD C,#FE                  ; Offset MSB, negated',
+      '    CALL .eliasLoop',
+      '    INC C',
+      '    RET Z                     ; End marker',
+      '    LD B,C',
+      '    LD C,(HL)                 ; Offset LSB',
+      '    INC HL',
+      '    RR B                      ; Its bit 0 is the first length bit',
+      '    RR C',
+      '    PUSH BC',
+      '    LD BC,1',
+      '    CALL NC,.eliasBacktrack',
+      '    INC BC',
+      '    JR .copy',
+      '.elias:',
+      '    INC C                     ; Interlaced Elias gamma',
+      '.eliasLoop:',
+      '    ADD A,A',
+      '    JR NZ,.eliasSkip',
+      '    LD A,(HL)',
+      '    INC HL',
+      '    RLA',
+      '.eliasSkip:',
+      '    RET C',
+      '.eliasBacktrack:',
+      '    ADD A,A',
+      '    RL C',
+      '    RL B',
+      '    JR .eliasLoop'
+    ]
+  },
+  zx7: {
+    name: 'ZX7', ext: 'zx7', pack: packZx7, routine: 'Dzx7', sized: false,
+    source: [
+      '; ZX7 unpacker (standard) by Einar Saukas, Antonio Villena & Metalbrain',
+      '; HL = packed data, DE = destination',
+      'Dzx7:',
+      '    LD A,#80',
+      '.copyByte:',
+      '    LDI                       ; Literal',
+      '.mainLoop:',
+      '    CALL .nextBit',
+      '    JR NC,.copyByte           ; 0 = literal, 1 = sequence',
+      '    PUSH DE',
+      '    LD BC,0',
+      '    LD D,B',
+      '.lenSize:',
+      '    INC D                     ; Elias gamma size',
+      '    CALL .nextBit',
+      '    JR NC,.lenSize',
+      '.lenValue:',
+      '    CALL NC,.nextBit',
+      '    RL C',
+      '    RL B',
+      '    JR C,.exit                ; End marker',
+      '    DEC D',
+      '    JR NZ,.lenValue',
+      '    INC BC',
+      '    LD E,(HL)                 ; Offset: flag + 7 bits',
+      '    INC HL',
+      '    DB #CB,#33                ; SLL E',
+      '    JR NC,.offsetEnd',
+      '    LD D,#10                  ; 4 more bits',
+      '.offsetBit:',
+      '    CALL .nextBit',
+      '    RL D',
+      '    JR NC,.offsetBit',
+      '    INC D                     ; Add 128',
+      '    SRL D',
+      '.offsetEnd:',
+      '    RR E',
+      '    EX (SP),HL                ; Source to stack, HL = destination',
+      '    PUSH HL',
+      '    SBC HL,DE                 ; Destination - offset',
+      '    POP DE',
+      '    LDIR',
+      '.exit:',
+      '    POP HL',
+      '    JR NC,.mainLoop',
+      '.nextBit:',
+      '    ADD A,A',
+      '    RET NZ',
+      '    LD A,(HL)',
+      '    INC HL',
+      '    RLA',
+      '    RET'
+    ]
+  },
+  lz4: {
+    name: 'LZ4', ext: 'lz4', pack: packLz4, routine: 'Dlz4', sized: true,
+    source: [
+      '; LZ4 block unpacker',
+      '; HL = DW block size + LZ4 block, DE = destination',
+      'Dlz4:',
+      '    LD C,(HL)',
+      '    INC HL',
+      '    LD B,(HL)',
+      '    INC HL',
+      '    PUSH HL',
+      '    ADD HL,BC',
+      '    LD (.end+1),HL            ; End of the block',
+      '    POP HL',
+      '.token:',
+      '    LD A,(HL)                 ; Literal count (high nibble), match length - 4',
+      '    INC HL',
+      '    PUSH AF',
+      '    RRCA',
+      '    RRCA',
+      '    RRCA',
+      '    RRCA',
+      '    AND #0F',
+      '    JR Z,.end',
+      '    CALL .length',
+      '    LDIR',
+      '.end:',
+      '    LD BC,0',
+      '    LD A,L',
+      '    CP C',
+      '    JR NZ,.match',
+      '    LD A,H',
+      '    CP B',
+      '    JR NZ,.match',
+      '    POP AF                    ; Last sequence has no match',
+      '    RET',
+      '.match:',
+      '    LD C,(HL)                 ; Offset',
+      '    INC HL',
+      '    LD B,(HL)',
+      '    INC HL',
+      '    POP AF',
+      '    PUSH BC',
+      '    AND #0F',
+      '    CALL .length',
+      '    INC BC',
+      '    INC BC',
+      '    INC BC',
+      '    INC BC',
+      '    EX (SP),HL                ; Source to stack, HL = offset',
+      '    LD A,E',
+      '    SUB L',
+      '    LD L,A',
+      '    LD A,D',
+      '    SBC A,H',
+      '    LD H,A',
+      '    LDIR',
+      '    POP HL',
+      '    JR .token',
+      '.length:',
+      '    LD C,A                    ; BC = nibble, plus bytes while they are 255',
+      '    LD B,0',
+      '    CP 15',
+      '    RET NZ',
+      '.lengthByte:',
+      '    LD A,(HL)',
+      '    INC HL',
+      '    PUSH AF',
+      '    ADD A,C',
+      '    LD C,A',
+      '    JR NC,.lengthNext',
+      '    INC B',
+      '.lengthNext:',
+      '    POP AF',
+      '    INC A',
+      '    JR Z,.lengthByte',
+      '    RET'
+    ]
+  }
+};
+
+/**
+ * Read the packer selector.
+ * @returns {AsmPacker|null} Selected packer, or null for raw data
+ */
+function getAsmPacker() {
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById('editorPackSelect'));
+  return ASM_PACKERS[select?.value || ''] || null;
+}
+
+/**
+ * Append a block of packed data with a label.
+ * @param {string[]} asm - Output lines
+ * @param {string} label - Data label
+ * @param {ArrayLike<number>} data - Raw bytes
+ * @param {AsmPacker} packer - Compressor
+ * @param {Uint8Array} [packed] - Data already packed with this packer
+ * @returns {number} Packed size in bytes (including the LZ4 size word)
+ */
+function emitAsmPackedData(asm, label, data, packer, packed = packAsmData(packer, data)) {
+  const size = packed.length + (packer.sized ? 2 : 0);
+  asm.push(`; ${label}: ${data.length} bytes packed to ${size} (${packer.name})`);
+  asm.push(`${label}:`);
+  if (packer.sized) asm.push(`    DW ${packed.length}`);
+  asm.push(formatDbLines(Array.from(packed), 16));
+  return size;
+}
+
+/**
+ * Append a call that unpacks a labelled block.
+ * @param {string[]} asm - Output lines
+ * @param {string} label - Packed data label
+ * @param {string} dest - Destination address or label
+ * @param {AsmPacker} packer - Compressor
+ */
+function emitAsmUnpack(asm, label, dest, packer) {
+  asm.push(`    LD HL,${label}`);
+  asm.push(`    LD DE,${dest}`);
+  asm.push(`    CALL ${packer.routine}`);
+}
+
+/**
+ * Append a packer's unpack routine.
+ * @param {string[]} asm - Output lines
+ * @param {AsmPacker} packer - Compressor
+ */
+function emitAsmUnpacker(asm, packer) {
+  asm.push('; ----------------------------------------------------------------------------');
+  for (const line of packer.source) asm.push(line);
+  asm.push('');
+}
+
+/**
+ * Packed sizes of some data with every packer, for choosing the best one.
+ * @param {ArrayLike<number>[]} blocks - Blocks packed separately (sizes are summed)
+ * @returns {Array<{key: string, name: string, size: number}>} Sizes, smallest first
+ */
+function getPackSizes(blocks) {
+  return Object.entries(ASM_PACKERS).map(([key, packer]) => ({
+    key,
+    name: packer.name,
+    size: blocks.reduce((sum, b) => sum + packAsmData(packer, b).length + (packer.sized ? 2 : 0), 0)
+  })).sort((a, b) => a.size - b.size);
+}
+
+/**
+ * Show the packed sizes of some data with every packer, smallest first.
+ * Packs in the background first; nothing is shown if that is cancelled.
+ * @param {ArrayLike<number>[]} blocks - Blocks packed separately
+ * @param {string} what - What is packed, e.g. 'screen.scr'
+ */
+function showPackReport(blocks, what) {
+  const raw = blocks.reduce((sum, b) => sum + b.length, 0);
+  if (raw === 0) return;
+  packBlocksAsync(blocks, Object.values(ASM_PACKERS)).then(done => {
+    if (!done) return;
+    const lines = getPackSizes(blocks).map(s => `${s.name}: ${s.size} bytes (${Math.round(s.size * 100 / raw)}%)`);
+    alert(`Packed sizes of ${what} (${raw} bytes):\n\n${lines.join('\n')}\n\n` +
+      'ASM exports unpack with the matching routine; LZ4 blocks are preceded by their size (DW).');
+  });
+}
+
+// ============================================================================
+// Background Packing
+// ============================================================================
+// The optimal parsers take a noticeable time per block, so reports and packed
+// exports pack in js/pack_worker.js, one block per message: a cancelled job
+// stops after the block in progress. Packed blocks are cached by content, so
+// an export after the pack report (or a repeated export) does not pack again.
+
+/** @type {number} - Most packed blocks kept in the cache */
+const PACK_CACHE_LIMIT = 256;
+
+/** @type {Map<string, {data: Uint8Array, packed: Uint8Array}>} - Packed blocks by packer key, size and content hash (oldest first) */
+const packCache = new Map();
+
+/** @type {Worker|null} */
+let packWorker = null;
+
+/** @type {boolean} - Workers unavailable (e.g. page opened from file://); pack inline */
+let packWorkerFailed = false;
+
+/** @type {number} - Id of the most recent packing job */
+let packJobId = 0;
+
+/**
+ * @typedef {Object} PackJob
+ * @property {number} id
+ * @property {Array<{key: string, data: ArrayLike<number>}>} tasks - Blocks still to pack, in order
+ * @property {number} total - Number of blocks the job started with
+ * @property {function(boolean): void} resolve
+ */
+
+/** @type {PackJob|null} - Job the worker is running */
+let packPendingJob = null;
+
+/**
+ * Finds the ASM_PACKERS key of a packer.
+ * @param {AsmPacker} packer - Compressor
+ * @returns {string}
+ */
+function getAsmPackerKey(packer) {
+  return Object.keys(ASM_PACKERS).find(key => ASM_PACKERS[key] === packer) || packer.ext;
+}
+
+/**
+ * Cache key of a block: packer, length and FNV-1a hash of the bytes.
+ * @param {string} key - Packer key
+ * @param {ArrayLike<number>} data - Raw bytes
+ * @returns {string}
+ */
+function getPackCacheKey(key, data) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < data.length; i++) hash = Math.imul(hash ^ data[i], 0x01000193);
+  return `${key}:${data.length}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Looks up a packed block (the bytes are compared, not only the hash).
+ * @param {string} key - Packer key
+ * @param {ArrayLike<number>} data - Raw bytes
+ * @returns {Uint8Array|null}
+ */
+function getCachedPack(key, data) {
+  const entry = packCache.get(getPackCacheKey(key, data));
+  if (!entry) return null;
+  for (let i = 0; i < data.length; i++) {
+    if (entry.data[i] !== data[i]) return null;
+  }
+  return entry.packed;
+}
+
+/**
+ * Stores a packed block, dropping the oldest over PACK_CACHE_LIMIT.
+ * @param {string} key - Packer key
+ * @param {ArrayLike<number>} data - Raw bytes
+ * @param {Uint8Array} packed - Packed bytes
+ */
+function storeCachedPack(key, data, packed) {
+  const cacheKey = getPackCacheKey(key, data);
+  packCache.delete(cacheKey);
+  packCache.set(cacheKey, { data: Uint8Array.from(data), packed });
+  if (packCache.size > PACK_CACHE_LIMIT) {
+    packCache.delete(packCache.keys().next().value);
+  }
+}
+
+/**
+ * Packs a block on this thread, reusing a cached result.
+ * @param {AsmPacker} packer - Compressor
+ * @param {ArrayLike<number>} data - Raw bytes
+ * @returns {Uint8Array} Packed bytes
+ */
+function packAsmData(packer, data) {
+  const key = getAsmPackerKey(packer);
+  let packed = getCachedPack(key, data);
+  if (!packed) {
+    packed = packer.pack(data);
+    storeCachedPack(key, data, packed);
+  }
+  return packed;
+}
+
+/**
+ * Shows packing progress in the packing dialog (its Cancel button calls cancelPacking).
+ * @param {string|null} text - Progress text, null to hide the dialog
+ */
+function showPackProgress(text) {
+  const dialog = document.getElementById('packProgressDialog');
+  const label = document.getElementById('packProgressText');
+  if (!dialog) return;
+  if (text === null) {
+    dialog.style.display = 'none';
+    return;
+  }
+  if (label) label.textContent = text;
+  dialog.style.display = '';
+}
+
+/**
+ * Gets the packing worker, starting it if needed.
+ * @returns {Worker|null} null if workers are unavailable
+ */
+function getPackWorker() {
+  if (packWorker || packWorkerFailed) return packWorker;
+  if (typeof Worker === 'undefined') {
+    packWorkerFailed = true;
+    return null;
+  }
+  try {
+    packWorker = new Worker('js/pack_worker.js');
+  } catch (e) {
+    packWorkerFailed = true;
+    return null;
+  }
+  packWorker.addEventListener('message', handlePackWorkerMessage);
+  packWorker.addEventListener('error', handlePackWorkerError);
+  return packWorker;
+}
+
+/**
+ * Posts the next block of the pending job, or finishes it.
+ */
+function postNextPackTask() {
+  const job = packPendingJob;
+  if (!job) return;
+  const task = job.tasks[0];
+  if (!task) {
+    packPendingJob = null;
+    showPackProgress(null);
+    job.resolve(true);
+    return;
+  }
+  const done = job.total - job.tasks.length;
+  showPackProgress(`Packing with ${ASM_PACKERS[task.key].name}… ${done}/${job.total} blocks`);
+  packWorker?.postMessage({ id: job.id, key: task.key, data: Uint8Array.from(task.data) });
+}
+
+/**
+ * Stores a packed block from the worker and posts the next one.
+ * @param {MessageEvent} e
+ */
+function handlePackWorkerMessage(e) {
+  const msg = e.data;
+  // Replies to cancelled jobs are dropped
+  const job = packPendingJob;
+  if (!job || msg.id !== job.id) return;
+
+  const task = /** @type {{key: string, data: ArrayLike<number>}} */ (job.tasks.shift());
+  if (msg.error) {
+    packPendingJob = null;
+    showPackProgress(null);
+    alert(`Packing with ${ASM_PACKERS[task.key].name} failed: ${msg.error}`);
+    job.resolve(false);
+    return;
+  }
+  storeCachedPack(task.key, task.data, msg.packed);
+  postNextPackTask();
+}
+
+/**
+ * The worker script failed to load; pack the rest inline and stop using workers.
+ * @param {ErrorEvent} e
+ */
+function handlePackWorkerError(e) {
+  e.preventDefault();
+  packWorkerFailed = true;
+  if (packWorker) {
+    packWorker.terminate();
+    packWorker = null;
+  }
+
+  const job = packPendingJob;
+  packPendingJob = null;
+  showPackProgress(null);
+  if (!job) return;
+  for (const task of job.tasks) packAsmData(ASM_PACKERS[task.key], task.data);
+  job.resolve(true);
+}
+
+/**
+ * Cancels the running packing job; its promise resolves to false.
+ * The block in progress finishes in the worker and is dropped.
+ */
+function cancelPacking() {
+  const job = packPendingJob;
+  if (!job) return;
+  packPendingJob = null;
+  showPackProgress(null);
+  job.resolve(false);
+}
+
+/**
+ * Packs blocks with some packers in the worker, filling the cache that
+ * packAsmData reads, so the caller can then build its output synchronously.
+ * Blocks already cached (or repeated in the list) are packed once.
+ * @param {ArrayLike<number>[]} blocks - Raw blocks
+ * @param {AsmPacker[]} packers - Compressors
+ * @returns {Promise<boolean>} true when every block is packed, false if cancelled or failed
+ */
+function packBlocksAsync(blocks, packers) {
+  cancelPacking();
+
+  /** @type {Array<{key: string, data: ArrayLike<number>}>} */
+  const tasks = [];
+  const queued = new Set();
+  for (const packer of packers) {
+    const key = getAsmPackerKey(packer);
+    for (const data of blocks) {
+      const cacheKey = getPackCacheKey(key, data);
+      if (data.length === 0 || queued.has(cacheKey) || getCachedPack(key, data)) continue;
+      queued.add(cacheKey);
+      tasks.push({ key, data });
+    }
+  }
+  if (tasks.length === 0) return Promise.resolve(true);
+
+  if (!getPackWorker()) {
+    for (const task of tasks) packAsmData(ASM_PACKERS[task.key], task.data);
+    return Promise.resolve(true);
+  }
+
+  const id = ++packJobId;
+  return new Promise((resolve) => {
+    packPendingJob = { id, tasks, total: tasks.length, resolve };
+    postNextPackTask();
+  });
+}
+
+// ============================================================================
+// Output Dialects
+// ============================================================================
+
+/**
+ * @typedef {Object} AsmDialect
+ * @property {string} name - Display name
+ * @property {'asm'|'c'|'basic'} syntax - How data blocks are written
+ * @property {string} ext - Extension of the data file
+ * @property {string} comment - Line comment prefix
+ * @property {(value: number, base: string) => string} formatByte - Byte in 'hex', 'dec' or 'oct'
+ */
+
+/** @type {Object<string, AsmDialect>} - Data export syntaxes */
+const ASM_DIALECTS = {
+  sjasmplus: {
+    name: 'sjasmplus', syntax: 'asm', ext: 'asm', comment: ';',
+    formatByte: (value, base) => base === 'dec' ? value.toString(10)
+      : base === 'oct' ? '0q' + value.toString(8).padStart(3, '0')
+      : '#' + value.toString(16).toUpperCase().padStart(2, '0')
+  },
+  pasmo: {
+    name: 'Pasmo / z80asm', syntax: 'asm', ext: 'asm', comment: ';',
+    formatByte: (value, base) => base === 'dec' ? value.toString(10)
+      : base === 'oct' ? value.toString(8).padStart(3, '0') + 'q'
+      : '$' + value.toString(16).toUpperCase().padStart(2, '0')
+  },
+  c: {
+    name: 'C (z88dk / SDCC)', syntax: 'c', ext: 'c', comment: '//',
+    formatByte: (value, base) => base === 'dec' ? value.toString(10)
+      : base === 'oct' ? '0' + value.toString(8).padStart(3, '0')
+      : '0x' + value.toString(16).toUpperCase().padStart(2, '0')
+  },
+  boriel: {
+    // No octal literals in ZX Basic: octal falls back to decimal
+    name: 'Boriel ZX Basic', syntax: 'basic', ext: 'bas', comment: "'",
+    formatByte: (value, base) => base === 'hex'
+      ? '$' + value.toString(16).toUpperCase().padStart(2, '0')
+      : value.toString(10)
+  }
+};
+
+/**
+ * @typedef {Object} AsmDataRow
+ * @property {number[]} bytes - Bytes written on one line
+ * @property {string} [base='hex'] - 'hex', 'dec' or 'oct'
+ * @property {string} [comment] - Trailing comment (dropped in ZX Basic arrays)
+ */
+
+/**
+ * @typedef {Object} AsmDataBlock
+ * @property {string|null} label - Label or array name (null = unlabelled ASM data)
+ * @property {AsmDataRow[]} rows - Data lines
+ */
+
+/**
+ * Make a name usable as a label, C array or ZX Basic variable:
+ * [A-Za-z_][A-Za-z0-9_]*, other characters become '_' and a leading digit gets a '_' prefix.
+ * @param {string} name - Sprite, file or block name
+ * @returns {string} Identifier ('data' if nothing is left)
+ */
+function toDialectIdentifier(name) {
+  const id = name.replace(/[^A-Za-z0-9_]/g, '_');
+  if (!id) return 'data';
+  return /^[0-9]/.test(id) ? '_' + id : id;
+}
+
+/**
+ * Write labelled byte blocks in an output dialect. ASM dialects emit a label
+ * and DEFB lines per block, C emits const arrays (with an extern header) and
+ * ZX Basic emits DIM arrays with initial values. Block names go through
+ * toDialectIdentifier and empty blocks are skipped.
+ * @param {AsmDialect} dialect - Output dialect
+ * @param {string} baseName - File base name (C header name and guard)
+ * @param {string[]} title - Comment lines at the top, without the comment prefix
+ * @param {AsmDataBlock[]} allBlocks - Data blocks, separated by blank lines
+ * @returns {{text: string, header: string|null}} Data file, and the C header
+ */
+function formatDialectData(dialect, baseName, title, allBlocks) {
+  const lines = title.map(t => (dialect.comment + ' ' + t).trimEnd());
+  const size = (/** @type {AsmDataBlock} */ block) => block.rows.reduce((sum, row) => sum + row.bytes.length, 0);
+  // An empty array is not valid C or ZX Basic (DIM a(-1)), so empty blocks are left out
+  const blocks = allBlocks.filter(block => size(block) > 0);
+  // Names are made valid identifiers; a clash gets a numeric suffix
+  const used = new Set();
+  const names = blocks.map((block, i) => {
+    const base = block.label ? toDialectIdentifier(block.label) : (blocks.length > 1 ? 'data' + i : 'data');
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = base + '_' + n;
+    used.add(id);
+    return id;
+  });
+  const format = (/** @type {AsmDataRow} */ row) => row.bytes.map(b => dialect.formatByte(b, row.base || 'hex'));
+
+  if (dialect.syntax === 'asm') {
+    blocks.forEach((block, i) => {
+      lines.push('');
+      if (block.label) lines.push(names[i] + ':');
+      for (const row of block.rows) {
+        const data = '  DEFB ' + format(row).join(',');
+        lines.push(row.comment ? data + ' ; ' + row.comment : data);
+      }
+    });
+    return { text: lines.join('\n'), header: null };
+  }
+
+  if (dialect.syntax === 'c') {
+    const guard = toDialectIdentifier(baseName).toUpperCase() + '_H';
+    const header = [...lines, '', '#ifndef ' + guard, '#define ' + guard, ''];
+    lines.push('', `#include "${baseName}.h"`);
+    blocks.forEach((block, i) => {
+      header.push(`extern const unsigned char ${names[i]}[${size(block)}];`);
+      lines.push('', `const unsigned char ${names[i]}[${size(block)}] = {`);
+      for (const row of block.rows) {
+        const data = '    ' + format(row).join(', ') + ',';
+        lines.push(row.comment ? data + ' // ' + row.comment : data);
+      }
+      lines.push('};');
+    });
+    header.push('', '#endif');
+    return { text: lines.join('\n') + '\n', header: header.join('\n') + '\n' };
+  }
+
+  blocks.forEach((block, i) => {
+    lines.push('', `DIM ${names[i]}(${size(block) - 1}) AS UBYTE => { _`);
+    const rows = block.rows.filter(row => row.bytes.length > 0);
+    rows.forEach((row, r) => {
+      lines.push('    ' + format(row).join(', ') + (r < rows.length - 1 ? ', _' : ' _'));
+    });
+    lines.push('}');
+  });
+  return { text: lines.join('\n') + '\n', header: null };
+}
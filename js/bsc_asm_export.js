@@ -1,19 +1,63 @@
 // ============================================================================
-// BSC ASM Export — sjasmplus-compatible ASM source generation for BSC borders
+// BSC ASM Export — sjasmplus-compatible ASM source generation for BSC and BMC4 borders
 // ============================================================================
 
 /**
  * Generates sjasmplus-compatible ASM source for BSC border display.
- * Pentagon 128K timing: 224 T-states/line, 320 lines/frame.
+ * Line and frame lengths come from the target machine (Pentagon: 224 T-states/line,
+ * 320 lines/frame; Sinclair machines show 48 of the 64 top border lines).
  * All 8 colors pre-assigned to registers — no frequency counting needed.
  * C = #E6 (ULA port + yellow), A=7, B=1, D=2, E=3, H=4, L=5, OUT(C),0 for black.
  * OUTs emitted only on color change, NOPs fill same-color runs.
  * Color tracked across lines so hblank wrapping works naturally.
  * @param {string} baseName - Base filename for SAVESNA output
- * @returns {string} Complete ASM source code
+ * @param {boolean} [embedData=true] - Embed data as DB (false = INCBIN the .bsc file)
+ * @param {AsmMachine} [machine=ASM_MACHINES.pentagon] - Target machine timing
+ * @param {AsmPacker|null} [packer=null] - Pack the screen and unpack it at start (always embedded)
+ * @returns {{asm: string}|null} Complete ASM source code
  */
-function generateBscAsm(baseName = 'border', embedData = true) {
+function generateBscAsm(baseName = 'border', embedData = true, machine = ASM_MACHINES.pentagon, packer = null) {
   if (!screenData || screenData.length < BSC.TOTAL_SIZE) return null;
+  return generateBorderScreenAsm(baseName, embedData, false, machine, packer);
+}
+
+/**
+ * Generates sjasmplus-compatible ASM source for BMC4 (border + 8x4 multicolor).
+ * Same border engine as BSC; the two attribute sets live on the two screens
+ * (attr1 on screen 5, attr2 on screen 7, same bitmap on both) and the hblank
+ * after pixel lines 3 and 7 of every character row flips the shown screen:
+ * EXX + OUT (C),D/E + EXX = 20T, with BC'=#7FFD, D'=#18, E'=#10.
+ * @param {string} baseName - Base filename for SAVESNA output
+ * @param {boolean} [embedData=true] - Embed data as DB (false = INCBIN the .bmc4 file)
+ * @param {AsmMachine} [machine=ASM_MACHINES.pentagon] - Target machine timing (128K only)
+ * @param {AsmPacker|null} [packer=null] - Pack screen 5 and attr2 and unpack them at start (always embedded)
+ * @returns {{asm: string}|null} Complete ASM source code
+ */
+function generateBmc4Asm(baseName = 'bmc4', embedData = true, machine = ASM_MACHINES.pentagon, packer = null) {
+  if (!screenData || screenData.length < BMC4.TOTAL_SIZE || !machine.has128) return null;
+  return generateBorderScreenAsm(baseName, embedData, true, machine, packer);
+}
+
+/**
+ * Border engine shared by BSC and BMC4.
+ * @param {string} baseName - Base filename for SAVESNA output
+ * @param {boolean} embedData - Embed data as DB (false = INCBIN)
+ * @param {boolean} isBmc4 - BMC4 layout and 8x4 screen flips
+ * @param {AsmMachine} machine - Target machine timing
+ * @param {AsmPacker|null} packer - Compressor for the screen data (null = raw)
+ * @returns {{asm: string}}
+ */
+function generateBorderScreenAsm(baseName, embedData, isBmc4, machine, packer) {
+  const borderOffset = isBmc4 ? BMC4.BORDER_OFFSET : BSC.BORDER_OFFSET;
+  const lineT = machine.lineT;
+  const topLines = machine.topLines;
+  // BSC line origin (t=0) is 32T before the paper: left border segment 0.
+  // Lines start borderOutT early, so an OUT at line time t shows at t.
+  const lineStartT = machine.paperT - 32 - machine.borderOutT;
+  const frameStartT = lineStartT - topLines * lineT;
+  const loopT = machine.frameT - (topLines + 192 + 48) * lineT;
+  // OUT (C),r always addresses BC = #01E6 (B = blue)
+  const borderPort = 0x01E6;
 
   // Fixed color-to-OUT mapping (all 8 ZX colors covered)
   // C=$E6 (port byte, $E6 & 7 = 6 = yellow), A=7, B=1, D=2, E=3, H=4, L=5
@@ -47,9 +91,29 @@ function generateBscAsm(baseName = 'border', embedData = true) {
     }
   }
 
+  // --- Flush idle T-states: NOPs, plus CP 0 / LD R,A when contention broke the 4T grid ---
+  function flushIdle(asm, idleT) {
+    if (idleT % 4 === 0) {
+      flushNops(asm, idleT / 4);
+      return;
+    }
+    // 10T (a latched OUT before a BMC4 flip): JP to the next instruction
+    const filler = idleT === 10 ? ['JP $+3'] : getAsmFiller(idleT);
+    if (!filler) throw new Error(`Cannot fill ${idleT}T`);
+    for (const op of filler) {
+      if (op !== 'NOP') asm.push('    ' + op);
+    }
+    flushNops(asm, filler.filter(op => op === 'NOP').length);
+  }
+
+  // --- Length of an OUT (C),r starting at line time t (12T + I/O contention) ---
+  function outT(origin, t) {
+    return 12 + getAsmIoContention(machine, origin + t + 8, borderPort);
+  }
+
   // --- Generate ASM for a full border line (48 segments = 192T visible + hblank) ---
   // OUT on color change (12T = 3 segments), NOP on same color (4T = 1 segment).
-  // Total always 224T per line.
+  // Total always lineT per line.
   function emitFullLine(asm, lineOffset, curColor) {
     let t = 0;
     let nops = 0;
@@ -70,17 +134,21 @@ function generateBscAsm(baseName = 'border', embedData = true) {
     }
 
     // Hblank — remaining T-states as NOPs
-    nops += (224 - t) / 4;
+    nops += (lineT - t) / 4;
     flushNops(asm, nops);
     return curColor;
   }
 
   // --- Generate ASM for a side border line ---
   // Left 8 segments (32T) + screen area (128T NOPs) + right 8 segments (32T) + hblank.
-  // For right border: check seg 0 at t=152 (during screen area) so OUT takes effect
-  // at t=160 (start of visible right border). This compensates for 8T OUT latency.
-  // Total always 224T per line.
-  function emitSideLine(asm, lineOffset, curColor) {
+  // For right border: check seg 0 at t=152 (during screen area); the paper hides the
+  // change until t=160 (start of visible right border) and the OUT is done by seg 1.
+  // BMC4: a 20T screen flip goes into the hblank (t <= 200 there, so it fits).
+  // On 48K/128K an OUT whose I/O cycle reaches the paper is stretched by
+  // contention; the screen-area gap absorbs it, and after the right seg 0 OUT
+  // the ULA's 4T border latch shows the next change from the following segment.
+  // Total always lineT per line.
+  function emitSideLine(asm, lineOffset, curColor, flip, origin) {
     let t = 0;
     let nops = 0;
 
@@ -93,7 +161,7 @@ function generateBscAsm(baseName = 'border', embedData = true) {
         nops = 0;
         asm.push('    ' + colorOut[color]);
         curColor = color;
-        t += 12;
+        t += outT(origin, t);
       } else {
         nops++;
         t += 4;
@@ -101,28 +169,30 @@ function generateBscAsm(baseName = 'border', embedData = true) {
     }
 
     // Screen area — fill NOPs, but check right seg 0 at t=152
-    // so OUT takes effect at t=160 (start of right border)
+    // so its color is there at t=160 (start of right border)
     if (t < 152) {
-      nops += (152 - t) / 4;
+      flushNops(asm, nops);
+      nops = 0;
+      flushIdle(asm, 152 - t);
       t = 152;
     }
 
-    // At t=152, check right seg 0 (OUT here takes effect at t=160)
+    // At t=152, check right seg 0 (shown from t=160, behind the paper until then)
     const rightSeg0 = getSegColor(lineOffset + 4, 0);
     if (rightSeg0 !== curColor) {
       flushNops(asm, nops);
       nops = 0;
       asm.push('    ' + colorOut[rightSeg0]);
       curColor = rightSeg0;
-      t = 164;
+      t += outT(origin, t);
     } else {
       nops += (160 - t) / 4;
       t = 160;
     }
 
-    // Right border (starting from t=160 or t=164)
-    while (t < 192) {
-      const seg = Math.floor((t - 160) / 4);
+    // Right border (starting from t=160, or after the seg 0 OUT)
+    while (t < 192 - 3) {
+      const seg = Math.ceil((t - 160) / 4);
       const color = getSegColor(lineOffset + 4, seg);
       if (color !== curColor) {
         flushNops(asm, nops);
@@ -137,28 +207,50 @@ function generateBscAsm(baseName = 'border', embedData = true) {
     }
 
     // Hblank
-    nops += (224 - t) / 4;
-    flushNops(asm, nops);
+    if (flip) {
+      flushNops(asm, nops);
+      nops = 0;
+      asm.push('    EXX');
+      asm.push(flip === 2 ? '    OUT (C),D            ; Show screen 7 (attr2)' : '    OUT (C),E            ; Show screen 5 (attr1)');
+      asm.push('    EXX');
+      t += 20;
+    }
+    if ((lineT - t) % 4 === 0) {
+      flushNops(asm, nops + (lineT - t) / 4);
+    } else {
+      flushNops(asm, nops);
+      flushIdle(asm, lineT - t);
+    }
     return curColor;
   }
 
-  const scrData = Array.from(screenData.slice(0, SCREEN.TOTAL_SIZE));
   const asm = [];
 
   // === Header ===
   asm.push('; ============================================================================');
-  asm.push('; BSC Border Screen viewer — Pentagon 128K');
+  asm.push((isBmc4 ? '; BMC4 Border + 8x4 multicolor viewer — ' : '; BSC Border Screen viewer — ') + machine.name);
   asm.push('; Generated by SpectraLab v' + APP_VERSION);
   asm.push('; sjasmplus compatible source');
   asm.push(';');
-  asm.push('; Timing: 224 T-states/line, 320 lines/frame (71680T total)');
+  asm.push(`; Timing: ${lineT} T-states/line, ${machine.frameT / lineT} lines/frame (${machine.frameT}T total)`);
+  if (topLines < 64) {
+    asm.push(`; Top border: last ${topLines} of the 64 BSC lines (the rest is in vertical blank)`);
+  }
+  if (machine.ioContention) {
+    asm.push('; OUTs reaching the paper are stretched by I/O contention (accounted for)');
+  }
   asm.push('; All 8 colors pre-assigned: A=7 B=1 C=#E6(port+6) D=2 E=3 H=4 L=5');
   asm.push('; OUT on color change only, NOPs fill same-color runs.');
-  asm.push('; Free-running loop: HALT for initial sync only, then');
-  asm.push('; exact 71680T loop keeps phase without per-frame HALT jitter.');
+  asm.push('; Free-running loop: one exact-phase sync to INT at start, then');
+  asm.push(`; exact ${machine.frameT}T loop keeps phase without per-frame HALT jitter.`);
+  if (isBmc4) {
+    asm.push('; 8x4 multicolor: attr1 on screen 5, attr2 on screen 7 (same bitmap);');
+    asm.push('; hblank after lines 3/7 of each char row: EXX + OUT (C),D/E + EXX (20T)');
+    asm.push('; BC\'=#7FFD, D\'=#18 (show screen 7), E\'=#10 (show screen 5)');
+  }
   asm.push('; ============================================================================');
   asm.push('');
-  asm.push('    DEVICE ZXSPECTRUM128');
+  asm.push(machine.has128 ? '    DEVICE ZXSPECTRUM128' : '    DEVICE ZXSPECTRUM48');
   asm.push('    ORG #8000');
   asm.push('');
 
@@ -170,17 +262,62 @@ function generateBscAsm(baseName = 'border', embedData = true) {
   asm.push('    DI');
   asm.push('    LD SP,#7FFE');
   asm.push('');
-  asm.push('    ; Ensure standard 128K memory config: bank 0 in slot 3, screen bank 5');
-  asm.push('    XOR A');
-  asm.push('    LD BC,#7FFD');
-  asm.push('    OUT (C),A');
-  asm.push('');
-  asm.push('    ; Copy screen data to video memory');
-  asm.push('    LD HL,ScrData');
-  asm.push('    LD DE,#4000');
-  asm.push('    LD BC,6912');
-  asm.push('    LDIR');
-  asm.push('');
+  if (isBmc4) {
+    asm.push('    ; Page bank 7 at #C000 to fill screen 7');
+    asm.push('    LD BC,#7FFD');
+    asm.push('    LD A,#17');
+    asm.push('    OUT (C),A');
+    asm.push('');
+    asm.push('    ; Bitmap to both screens, attr1 to screen 5, attr2 to screen 7');
+    if (packer) {
+      emitAsmUnpack(asm, 'BmcScreen', '#4000', packer);
+      asm.push('    LD HL,#4000');
+      asm.push('    LD DE,#C000');
+      asm.push('    LD BC,6144');
+      asm.push('    LDIR');
+      emitAsmUnpack(asm, 'BmcAttr2', '#D800', packer);
+    } else {
+      asm.push('    LD HL,BmcData');
+      asm.push('    LD DE,#4000');
+      asm.push('    LD BC,6912            ; Bitmap + attr1');
+      asm.push('    LDIR');
+      asm.push('    LD HL,BmcData');
+      asm.push('    LD DE,#C000');
+      asm.push('    LD BC,6144');
+      asm.push('    LDIR');
+      asm.push('    LD HL,BmcData + 6912');
+      asm.push('    LD BC,768             ; DE = #D800');
+      asm.push('    LDIR');
+    }
+    asm.push('');
+    asm.push('    ; Back to bank 0 at #C000 (code and IM2 table), show screen 5');
+    asm.push('    LD BC,#7FFD');
+    asm.push('    LD A,#10');
+    asm.push('    OUT (C),A');
+    asm.push('');
+    asm.push('    ; Alternate set: screen flip registers');
+    asm.push('    EXX');
+    asm.push('    LD BC,#7FFD');
+    asm.push('    LD DE,#1810           ; D=#18 show screen 7, E=#10 show screen 5');
+    asm.push('    EXX');
+    asm.push('');
+  } else {
+    asm.push('    ; Ensure standard 128K memory config: bank 0 in slot 3, screen bank 5');
+    asm.push('    XOR A');
+    asm.push('    LD BC,#7FFD');
+    asm.push('    OUT (C),A');
+    asm.push('');
+    asm.push('    ; Copy screen data to video memory');
+    if (packer) {
+      emitAsmUnpack(asm, 'ScrData', '#4000', packer);
+    } else {
+      asm.push('    LD HL,ScrData');
+      asm.push('    LD DE,#4000');
+      asm.push('    LD BC,6912');
+      asm.push('    LDIR');
+    }
+    asm.push('');
+  }
   asm.push('    ; Setup IM2 interrupt handler');
   asm.push('    ; Vector table at #FE00: 257 bytes of #FD');
   asm.push('    LD HL,#FE00');
@@ -202,6 +339,13 @@ function generateBscAsm(baseName = 'border', embedData = true) {
   asm.push('    IM 2');
   asm.push('');
 
+  // === Initial sync ===
+  asm.push('; ============================================================================');
+  asm.push('; Initial sync to INT with an exact phase (one-time), then free-running loop');
+  asm.push('; ============================================================================');
+  const syncT = emitAsmFrameSync(asm, machine);
+  asm.push('');
+
   // === Prefill color registers ===
   asm.push('    ; Prefill color registers (all 8 colors covered)');
   asm.push('    LD A,7               ; white');
@@ -212,48 +356,27 @@ function generateBscAsm(baseName = 'border', embedData = true) {
   asm.push('    OUT (C),0            ; Initial border to black');
   asm.push('');
 
-  // === Initial sync ===
-  asm.push('; ============================================================================');
-  asm.push('; Initial sync via HALT (one-time), then free-running loop');
-  asm.push('; ============================================================================');
-  asm.push('    EI');
-  asm.push('    HALT                 ; Sync to INT (one-time, 0-3T jitter)');
-  asm.push('    DI                   ; Interrupts stay disabled from now on');
-  asm.push('');
-
-  // Initial delay: from DI to FrameStart via JP
-  // From INT: IM2 response (19T) + ISR EI+RETI (18T) + DI (4T) = 41T
-  // Target: FrameStart at 3606T from INT (3584T line 16 + 22T phase offset)
-  // Phase offset 22T = 44px to align OUTs with left edge of visible border
-  // 41 + delay_init + 10(JP) = 3606 -> delay_init = 3555T
-  // LD B,250(7T) + DJNZ x250(3245T) + 74xNOP(296T) + LD B,1(7T) = 3555T
-  asm.push('    ; Initial delay: 41T(INT overhead) + 3555T(delay) + 10T(JP) = 3606T');
-  asm.push('    LD B,250             ; 7T  (250 iterations)');
-  asm.push('.idelay:');
-  asm.push('    DJNZ .idelay         ; 3245T');
-  asm.push('    DUP 74');
-  asm.push('    NOP                  ; 74 x 4T = 296T');
-  asm.push('    EDUP');
+  // Initial delay: from the end of the sync to FrameStart via JP
+  // Target: FrameStart = 32T before the paper, topLines lines up
+  // (Pentagon: 3606T = line 16 + 22T phase offset, aligning OUTs with the left edge of the border
+  // once the 14T OUT latency is taken off)
+  // sync + prefill (53T) + delay_init + LD B,1 (7T) + JP (10T) = FrameStart
+  const initDelayT = frameStartT - syncT - 53 - 7 - 10;
+  asm.push(`    ; Initial delay: ${syncT}T(sync) + 53T(prefill) + ${initDelayT + 7}T(delay) + 10T(JP) = ${frameStartT}T`);
+  emitAsmDelay(asm, initDelayT, 'B');
   asm.push('    LD B,1               ; 7T - restore B (blue)');
   asm.push('    JP FrameStart        ; 10T');
   asm.push('');
 
   // === Main Loop (free-running) ===
   // After bottom border: OUT(C),0 (12T) + JP MainLoop (10T) = 22T
-  // MainLoop delay: 3584 - 22 = 3562T
-  // LD B,253(7T) + DJNZ x253(3284T) + 66xNOP(264T) + LD B,1(7T) = 3562T
-  // Full loop: 3584T + 68096T(frame) = 71680T = 320 lines
+  // MainLoop delay + LD B,1 (7T) + 22T = frame T-states not covered by border lines
   asm.push('; ============================================================================');
-  asm.push('; Main Loop - free-running, exactly 71680T per iteration');
+  asm.push(`; Main Loop - free-running, exactly ${machine.frameT}T per iteration`);
   asm.push('; ============================================================================');
   asm.push('MainLoop:');
-  asm.push('    ; Inter-frame delay: 3562T (+ 22T from OUT+JP = 3584T = 16 lines)');
-  asm.push('    LD B,253             ; 7T  (253 iterations)');
-  asm.push('.delay:');
-  asm.push('    DJNZ .delay          ; 3284T');
-  asm.push('    DUP 66');
-  asm.push('    NOP                  ; 66 x 4T = 264T');
-  asm.push('    EDUP');
+  asm.push(`    ; Inter-frame delay: ${loopT - 22}T (+ 22T from OUT+JP = ${loopT}T)`);
+  emitAsmDelay(asm, loopT - 22 - 7, 'B');
   asm.push('    LD B,1               ; 7T - restore B (blue)');
   asm.push('');
   asm.push('FrameStart:');
@@ -261,20 +384,22 @@ function generateBscAsm(baseName = 'border', embedData = true) {
   // === Frame: border color starts as black (set by OUT(C),0 before delay) ===
   let curColor = 0;
 
-  // === Top border: 64 lines ===
-  asm.push('    ; === Top border: 64 lines ===');
-  for (let y = 0; y < 64; y++) {
-    const lineOff = BSC.BORDER_OFFSET + y * BSC.BYTES_PER_FULL_LINE;
+  // === Top border: last topLines of the 64 lines ===
+  asm.push(`    ; === Top border: ${topLines} lines ===`);
+  for (let y = 64 - topLines; y < 64; y++) {
+    const lineOff = borderOffset + y * BSC.BYTES_PER_FULL_LINE;
     curColor = emitFullLine(asm, lineOff, curColor);
   }
   asm.push('');
 
   // === Side borders: 192 lines ===
   asm.push('    ; === Side borders: 192 lines ===');
-  const sideBase = BSC.BORDER_OFFSET + 64 * BSC.BYTES_PER_FULL_LINE;
+  const sideBase = borderOffset + 64 * BSC.BYTES_PER_FULL_LINE;
   for (let y = 0; y < 192; y++) {
     const lineOff = sideBase + y * BSC.BYTES_PER_SIDE_LINE;
-    curColor = emitSideLine(asm, lineOff, curColor);
+    // BMC4: after line 3 show attr2 (screen 7), after line 7 back to attr1
+    const flip = isBmc4 && (y & 3) === 3 ? ((y & 7) === 3 ? 2 : 1) : 0;
+    curColor = emitSideLine(asm, lineOff, curColor, flip, lineStartT + y * lineT);
   }
   asm.push('');
 
@@ -299,11 +424,31 @@ function generateBscAsm(baseName = 'border', embedData = true) {
   asm.push('; Data');
   asm.push('; ============================================================================');
   asm.push('');
-  asm.push('ScrData:                 ; 6912 bytes (bitmap + attributes)');
-  if (embedData) {
-    asm.push(formatDbLines(scrData, 16));
+  if (packer) {
+    emitAsmUnpacker(asm, packer);
+  }
+  if (isBmc4) {
+    // Bank 5 after the screen: stays mapped while bank 7 is paged in
+    asm.push('    ORG #6000');
+    if (packer) {
+      emitAsmPackedData(asm, 'BmcScreen', screenData.subarray(0, SCREEN.TOTAL_SIZE), packer);
+      emitAsmPackedData(asm, 'BmcAttr2', screenData.subarray(SCREEN.TOTAL_SIZE, BMC4.BORDER_OFFSET), packer);
+    } else if (embedData) {
+      asm.push('BmcData:                 ; 7680 bytes (bitmap + attr1 + attr2)');
+      asm.push(formatDbLines(Array.from(screenData.slice(0, BMC4.BORDER_OFFSET)), 16));
+    } else {
+      asm.push('BmcData:                 ; 7680 bytes (bitmap + attr1 + attr2)');
+      asm.push(`    INCBIN "${baseName}.bmc4", 0, 7680`);
+    }
+  } else if (packer) {
+    emitAsmPackedData(asm, 'ScrData', screenData.subarray(0, SCREEN.TOTAL_SIZE), packer);
   } else {
-    asm.push(`    INCBIN "${baseName}.bsc", 0, 6912`);
+    asm.push('ScrData:                 ; 6912 bytes (bitmap + attributes)');
+    if (embedData) {
+      asm.push(formatDbLines(Array.from(screenData.slice(0, SCREEN.TOTAL_SIZE)), 16));
+    } else {
+      asm.push(`    INCBIN "${baseName}.bsc", 0, 6912`);
+    }
   }
   asm.push('');
   asm.push('    SAVESNA "' + baseName + '.sna",Start');
@@ -314,16 +459,41 @@ function generateBscAsm(baseName = 'border', embedData = true) {
 
 /**
  * Exports BSC as sjasmplus ASM source file.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
  */
-function exportBscAsm() {
+function exportBscAsm(output = 'asm') {
   if (currentFormat !== FORMAT.BSC || !screenData || screenData.length < BSC.TOTAL_SIZE) {
     alert('Export ASM is only available for BSC format.');
     return;
   }
 
+  const machine = getAsmMachine();
   const baseName = getAsmBaseName(currentFileName, 'border');
-  const result = generateBscAsm(baseName, getAsmEmbedData());
+  const result = generateBscAsm(baseName, getAsmEmbedData(), machine, getAsmPacker());
+  if (!result) return;
+
+  outputAsmBuild(result.asm, baseName, output, () => screenData, { machine });
+}
+
+/**
+ * Exports BMC4 as sjasmplus ASM source file.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
+ */
+function exportBmc4Asm(output = 'asm') {
+  if (currentFormat !== FORMAT.BMC4 || !screenData || screenData.length < BMC4.TOTAL_SIZE) {
+    alert('Export ASM is only available for BMC4 format.');
+    return;
+  }
+
+  const machine = getAsmMachine();
+  if (!machine.has128) {
+    alert('BMC4 needs the second screen of a 128K machine.\n\nChoose 128K/+2, +2A/+3 or Pentagon.');
+    return;
+  }
+
+  const baseName = getAsmBaseName(currentFileName, 'bmc4');
+  const result = generateBmc4Asm(baseName, getAsmEmbedData(), machine, getAsmPacker());
   if (!result) return;
 
-  downloadFile(result.asm, baseName + '.asm');
+  outputAsmBuild(result.asm, baseName, output, () => screenData, { machine });
 }
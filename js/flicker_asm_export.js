@@ -4,14 +4,18 @@
 
 /**
  * Generates sjasmplus-compatible ASM source for Gigascreen (.img) display.
- * Uses Pentagon 128K dual-screen capability (banks 5 and 7).
+ * Uses the 128K dual-screen capability (banks 5 and 7).
  * Alternates between screens each frame for 25Hz flicker (50Hz / 2 frames).
+ * The flip happens once per INT, so any 128K machine works unchanged.
  * @param {Uint8Array} imgData - 13824 bytes (2 × 6912)
  * @param {string} baseName - Base filename for SAVESNA output
+ * @param {boolean} [embedData=true] - Embed data as DB (false = INCBIN)
+ * @param {AsmMachine} [machine=ASM_MACHINES.pentagon] - Target machine (128K paging required)
+ * @param {AsmPacker|null} [packer=null] - Pack both frames and unpack them at start (always embedded)
  * @returns {string} Complete ASM source code
  */
-function generateGigascreenAsm(imgData, baseName = 'gigascreen', embedData = true) {
-  if (!imgData || imgData.length < 13824) return null;
+function generateGigascreenAsm(imgData, baseName = 'gigascreen', embedData = true, machine = ASM_MACHINES.pentagon, packer = null) {
+  if (!imgData || imgData.length < 13824 || !machine.has128) return null;
 
   const frame1 = Array.from(imgData.slice(0, 6912));
   const frame2 = Array.from(imgData.slice(6912, 13824));
@@ -20,7 +24,7 @@ function generateGigascreenAsm(imgData, baseName = 'gigascreen', embedData = tru
 
   // === Header ===
   asm.push('; ============================================================================');
-  asm.push('; Gigascreen viewer — Pentagon 128K');
+  asm.push(`; Gigascreen viewer — ${machine.name}`);
   asm.push('; Generated by SpectraLab v' + APP_VERSION);
   asm.push('; sjasmplus compatible source');
   asm.push(';');
@@ -54,10 +58,14 @@ function generateGigascreenAsm(imgData, baseName = 'gigascreen', embedData = tru
   asm.push('    OUT (C),A');
   asm.push('');
   asm.push('    ; Copy frame 1 to bank 5 (#4000)');
-  asm.push('    LD HL,Frame1Data');
-  asm.push('    LD DE,#4000');
-  asm.push('    LD BC,6912');
-  asm.push('    LDIR');
+  if (packer) {
+    emitAsmUnpack(asm, 'Frame1Data', '#4000', packer);
+  } else {
+    asm.push('    LD HL,Frame1Data');
+    asm.push('    LD DE,#4000');
+    asm.push('    LD BC,6912');
+    asm.push('    LDIR');
+  }
   asm.push('');
   asm.push('    ; Page in bank 7 to slot 3');
   asm.push('    LD A,#17              ; Bank 7 in slot 3, screen=5');
@@ -66,10 +74,14 @@ function generateGigascreenAsm(imgData, baseName = 'gigascreen', embedData = tru
   asm.push('');
   asm.push('    ; Copy frame 2 to bank 7 screen area');
   asm.push('    ; Bank 7 paged to #C000, screen is at offset 0 within bank = #C000');
-  asm.push('    LD HL,Frame2Data');
-  asm.push('    LD DE,#C000');
-  asm.push('    LD BC,6912');
-  asm.push('    LDIR');
+  if (packer) {
+    emitAsmUnpack(asm, 'Frame2Data', '#C000', packer);
+  } else {
+    asm.push('    LD HL,Frame2Data');
+    asm.push('    LD DE,#C000');
+    asm.push('    LD BC,6912');
+    asm.push('    LDIR');
+  }
   asm.push('');
   asm.push('    ; Restore normal paging: bank 0 in slot 3');
   asm.push('    LD A,BANK5_SCREEN');
@@ -128,6 +140,16 @@ function generateGigascreenAsm(imgData, baseName = 'gigascreen', embedData = tru
   asm.push('; Data');
   asm.push('; ============================================================================');
   asm.push('');
+  if (packer) {
+    emitAsmUnpacker(asm, packer);
+    emitAsmPackedData(asm, 'Frame1Data', frame1, packer);
+    asm.push('');
+    emitAsmPackedData(asm, 'Frame2Data', frame2, packer);
+    asm.push('');
+    asm.push('    SAVESNA "' + baseName + '.sna",Start');
+    asm.push('');
+    return { asm: asm.join('\n') };
+  }
   asm.push('Frame1Data:              ; 6912 bytes');
   if (embedData) {
     asm.push(formatDbLines(frame1, 16));
@@ -153,6 +175,7 @@ function generateGigascreenAsm(imgData, baseName = 'gigascreen', embedData = tru
  * Uses ultra-fast unrolled LD HL,nn : PUSH HL technique with embedded bitmap data.
  * Cycles through 3 monochrome bitmaps with R, G, B color attributes.
  * Achieves tear-free 50fps: 64512T bitmap + ~5000T attrs = ~70000T (under 71680T frame)
+ * Pentagon only: contended screen writes on Sinclair machines overrun the frame.
  * @param {Uint8Array} rgb3Data - 18432 bytes (3 × 6144)
  * @param {string} baseName - Base filename for SAVESNA output
  * @returns {string} Complete ASM source code
@@ -348,33 +371,46 @@ function generateRgb3Asm(rgb3Data, baseName = 'rgb3') {
 
 /**
  * Exports Gigascreen (.img) as sjasmplus ASM source file.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
  */
-function exportGigascreenAsm() {
+function exportGigascreenAsm(output = 'asm') {
   if (currentFormat !== FORMAT.GIGASCREEN || !screenData || screenData.length < 13824) {
     alert('Export ASM is only available for Gigascreen (.img) format.');
     return;
   }
 
+  const machine = getAsmMachine();
+  if (!machine.has128) {
+    alert('Gigascreen needs the second screen of a 128K machine.\n\nChoose 128K/+2, +2A/+3 or Pentagon.');
+    return;
+  }
+
   const baseName = getAsmBaseName(currentFileName, 'gigascreen');
-  const result = generateGigascreenAsm(screenData, baseName, getAsmEmbedData());
+  const result = generateGigascreenAsm(screenData, baseName, getAsmEmbedData(), machine, getAsmPacker());
   if (!result) return;
 
-  downloadFile(result.asm, baseName + '.asm');
+  outputAsmBuild(result.asm, baseName, output, () => screenData, { machine, blendFrames: 2 });
 }
 
 /**
  * Exports RGB3 (.3) as sjasmplus ASM source file.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
  */
-function exportRgb3Asm() {
+function exportRgb3Asm(output = 'asm') {
   if (currentFormat !== FORMAT.RGB3 || !screenData || screenData.length < 18432) {
     alert('Export ASM is only available for RGB3 (.3) format.');
     return;
   }
 
+  if (getAsmMachine() !== ASM_MACHINES.pentagon) {
+    alert('The RGB3 viewer needs the uncontended memory of the Pentagon to copy a screen per frame.\n\nChoose Pentagon as the target machine.');
+    return;
+  }
+
   const baseName = getAsmBaseName(currentFileName, 'rgb3');
   // RGB3 always embeds data in code (LD HL,nn) - checkbox is ignored
   const result = generateRgb3Asm(screenData, baseName);
   if (!result) return;
 
-  downloadFile(result.asm, baseName + '.asm');
+  outputAsmBuild(result.asm, baseName, output, () => screenData, { machine: ASM_MACHINES.pentagon, blendFrames: 3 });
 }
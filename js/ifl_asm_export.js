@@ -14,8 +14,11 @@
  * Pentagon 128K timing (224T/line, 320 lines):
  * - Each attr row = 2 scanlines = 448T
  * - No beam racing: always write to screen not being displayed
+ *
+ * With a packer the bitmap and the reordered attributes are stored packed
+ * (always embedded) and unpacked at start; the attributes into a DS buffer.
  */
-function generateIflAsm(iflData, baseName = 'ifl', embedData = true) {
+function generateIflAsm(iflData, baseName = 'ifl', embedData = true, packer = null) {
   if (!iflData || iflData.length < 9216) return null;
 
   const bitmap = Array.from(iflData.slice(0, 6144));
@@ -52,6 +55,9 @@ function generateIflAsm(iflData, baseName = 'ifl', embedData = true) {
 
   asm.push('Start:');
   asm.push('    DI');
+  if (packer) {
+    asm.push('    LD SP,#6000           ; Stack for the unpacker');
+  }
   asm.push('');
   asm.push('    ; Page bank 7 at #C000 for second screen access');
   asm.push('    LD BC,#7FFD');
@@ -59,7 +65,11 @@ function generateIflAsm(iflData, baseName = 'ifl', embedData = true) {
   asm.push('    OUT (C),A');
   asm.push('');
 
-  if (!embedData) {
+  if (packer) {
+    asm.push('    ; Unpack the reordered attrs (row1..row95,row0)');
+    emitAsmUnpack(asm, 'AttrPacked', 'AttrData', packer);
+    asm.push('');
+  } else if (!embedData) {
     // Add attr reordering code for INCBIN mode
     asm.push('    ; Reorder attrs: row1..row95,row0 (for write-ahead interlace)');
     asm.push('    LD HL,IflData + 6144 + 32   ; Source: row 1');
@@ -84,19 +94,27 @@ function generateIflAsm(iflData, baseName = 'ifl', embedData = true) {
   asm.push('');
 
   asm.push('    ; Copy bitmap to BOTH screens');
-  if (embedData) {
+  if (packer) {
+    emitAsmUnpack(asm, 'BitmapData', '#4000', packer);
+    asm.push('    LD HL,#57FF');
+    asm.push('    LD DE,#D7FF');
+    asm.push('    LD BC,6144');
+    asm.push('    LDDR                  ; Copy screen 1 to screen 2');
+  } else if (embedData) {
     asm.push('    LD HL,BitmapData');
   } else {
     asm.push('    LD HL,IflData');
   }
-  asm.push('    LD DE,#4000');
-  asm.push('    LD BC,6144');
-  asm.push('    LDIR                  ; DE=#5800, BC=0 after');
-  asm.push('    EX DE,HL');
-  asm.push('    DEC HL                ; HL=#57FF');
-  asm.push('    LD DE,#D7FF');
-  asm.push('    LD B,#18              ; BC=#1800=6144 (C already 0)');
-  asm.push('    LDDR                  ; Copy screen 1 to screen 2');
+  if (!packer) {
+    asm.push('    LD DE,#4000');
+    asm.push('    LD BC,6144');
+    asm.push('    LDIR                  ; DE=#5800, BC=0 after');
+    asm.push('    EX DE,HL');
+    asm.push('    DEC HL                ; HL=#57FF');
+    asm.push('    LD DE,#D7FF');
+    asm.push('    LD B,#18              ; BC=#1800=6144 (C already 0)');
+    asm.push('    LDDR                  ; Copy screen 1 to screen 2');
+  }
   asm.push('');
   asm.push('    ; Black border');
   asm.push('    XOR A');
@@ -185,7 +203,16 @@ function generateIflAsm(iflData, baseName = 'ifl', embedData = true) {
   asm.push('; ============================================================================');
   asm.push('');
 
-  if (embedData) {
+  if (packer) {
+    emitAsmUnpacker(asm, packer);
+    emitAsmPackedData(asm, 'BitmapData', bitmap, packer);
+    asm.push('');
+    emitAsmPackedData(asm, 'AttrPacked', attrs, packer);
+    asm.push('');
+    asm.push('; Attribute buffer: row1..row95,row0 (for write-ahead interlace)');
+    asm.push('AttrData:');
+    asm.push('    DS 3072');
+  } else if (embedData) {
     asm.push('BitmapData:');
     asm.push(formatDbLines(bitmap, 16));
     asm.push('');
@@ -226,15 +253,42 @@ function downloadTestIfl() {
   downloadFile(new Blob([testData], { type: 'application/octet-stream' }), 'timing-test.ifl');
 }
 
-function exportIflAsm() {
+/**
+ * Exports IFL as sjasmplus ASM source file.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
+ */
+function exportIflAsm(output = 'asm') {
   if (currentFormat !== FORMAT.IFL || !screenData || screenData.length < 9216) {
     alert('Export ASM is only available for IFL (8x2 multicolor) format.');
     return;
   }
 
+  const machine = getAsmMachine();
+  if (!machine.has128) {
+    alert('8x2 multicolor needs the second screen of a 128K machine.\n\nChoose 128K/+2, +2A/+3 or Pentagon.');
+    return;
+  }
+
   const baseName = getAsmBaseName(currentFileName, 'ifl');
-  const result = generateIflAsm(screenData, baseName, getAsmEmbedData());
-  if (!result) return;
+  // Pentagon keeps the full 32-column engine; contended machines use the
+  // interlace engine, which rewrites only the columns that fit a 456T row
+  const packer = getAsmPacker();
+  const result = machine === ASM_MACHINES.pentagon ?
+    generateIflAsm(screenData, baseName, getAsmEmbedData(), packer) :
+    generateInterlaceAsm({
+      title: 'IFL 8x2 Multicolor',
+      data: screenData,
+      linesPerRow: 2,
+      baseName,
+      ext: 'ifl',
+      embedData: getAsmEmbedData(),
+      machine,
+      packer
+    });
+  if (!result) {
+    alert(`Cannot fit any multicolor columns into a row on the ${machine.name}.`);
+    return;
+  }
 
-  downloadFile(result.asm, baseName + '.asm');
+  outputAsmBuild(result.asm, baseName, output, () => screenData, { machine });
 }
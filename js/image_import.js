@@ -84,10 +84,24 @@ const labCache = new Map();
 /** @type {boolean} Cached useLab setting - updated at start of each conversion */
 let useLabMode = true;
 
+/** @type {((label: string, fraction: number) => void)|null} Progress listener, set by the conversion worker */
+let importProgressCallback = null;
+
+/**
+ * Report conversion progress from a long-running loop (no-op without a listener)
+ * @param {string} label - Current stage, e.g. 'Dithering'
+ * @param {number} fraction - Stage progress (0-1)
+ */
+function reportImportProgress(label, fraction) {
+  if (importProgressCallback) importProgressCallback(label, fraction);
+}
+
 /**
  * Update the useLab mode from checkbox (call once at start of conversion)
  */
 function updateColorDistanceMode() {
+  // The conversion worker has no DOM; it sets useLabMode from each job instead
+  if (typeof document === 'undefined') return;
   // Use cached element if available, fallback to DOM lookup
   const useLabCheckbox = importElements.useLab || /** @type {HTMLInputElement} */ (document.getElementById('importUseLab'));
   useLabMode = useLabCheckbox ? useLabCheckbox.checked : true;
@@ -384,6 +398,7 @@ function applyBilateralFilter(pixels, width, height, amount) {
   const original = new Uint8ClampedArray(pixels);
 
   for (let y = 0; y < height; y++) {
+    reportImportProgress('Smoothing', y / height);
     for (let x = 0; x < width; x++) {
       const idx = (y * width + x) * 4;
       const centerR = original[idx];
@@ -442,6 +457,7 @@ function applyBilateralFilter(pixels, width, height, amount) {
  */
 function floydSteinbergDither(pixels, width, height, palette) {
   for (let y = 0; y < height; y++) {
+    reportImportProgress('Dithering', y / height);
     for (let x = 0; x < width; x++) {
       const idx = (y * width + x) * 3;
       const oldR = pixels[idx];
@@ -499,6 +515,7 @@ function floydSteinbergDither(pixels, width, height, palette) {
  */
 function atkinsonDither(pixels, width, height, palette) {
   for (let y = 0; y < height; y++) {
+    reportImportProgress('Dithering', y / height);
     for (let x = 0; x < width; x++) {
       const idx = (y * width + x) * 3;
       const oldR = pixels[idx];
@@ -569,6 +586,7 @@ const BAYER_8X8 = [
  */
 function errorDiffusionDither(pixels, width, height, palette, kernel) {
   for (let y = 0; y < height; y++) {
+    reportImportProgress('Dithering', y / height);
     for (let x = 0; x < width; x++) {
       const idx = (y * width + x) * 3;
       const oldR = pixels[idx];
@@ -744,6 +762,7 @@ function sierra2Dither(pixels, width, height, palette) {
  */
 function serpentineDither(pixels, width, height, palette) {
   for (let y = 0; y < height; y++) {
+    reportImportProgress('Dithering', y / height);
     const reverse = y % 2 === 1;
     const startX = reverse ? width - 1 : 0;
     const endX = reverse ? -1 : width;
@@ -863,7 +882,9 @@ function riemersmaDither(pixels, width, height, palette) {
   const errQueueG = new Array(queueSize).fill(0);
   const errQueueB = new Array(queueSize).fill(0);
 
+  let step = 0;
   for (const { x, y } of hilbert) {
+    if ((++step & 4095) === 0) reportImportProgress('Dithering', step / hilbert.length);
     if (x >= width || y >= height) continue;
 
     const idx = (y * width + x) * 3;
@@ -1791,10 +1812,379 @@ function rgbaToFloat(pixels, numPixels) {
   return floatPixels;
 }
 
+// ============================================================================
+// Optimized Attribute Search (SCR)
+// Minimizes the error of the whole screen as the eye sees it (a Gaussian blur
+// of output minus source), refining each cell's ink/paper/bright together with
+// its bitmap so a cell accounts for what its neighbours already show.
+// Direct binary search: cep holds the blurred error correlated with the blur,
+// so the change in total error for any pixel change is a few multiplies.
+// ============================================================================
+
+/** @type {number} - Std deviation (px) of the blur that models the eye */
+const OPTIMIZE_BLUR_SIGMA = 1.2;
+
+/** @type {number} - Radius of the error autocorrelation kernel */
+const OPTIMIZE_KERNEL_RADIUS = 4;
+
+/** @type {number} - Attributes tried per cell, best first by plain (undithered) error */
+const OPTIMIZE_ATTR_CANDIDATES = 8;
+
+/**
+ * Offer optimized dithering for SCR only, with its time budget row while selected
+ * @param {string} format - Current import format
+ */
+function updateOptimizeImportOptions(format) {
+  const group = document.getElementById('importDitherOptimizeGroup');
+  if (group) group.style.display = format === 'scr' ? '' : 'none';
+
+  const ditherSelect = importElements.dithering;
+  if (ditherSelect && format !== 'scr' && ditherSelect.value === 'optimized') {
+    ditherSelect.value = 'cell-floyd';
+  }
+
+  const row = document.getElementById('importOptimizeRow');
+  if (row) row.style.display = format === 'scr' && ditherSelect?.value === 'optimized' ? 'flex' : 'none';
+}
+
+/**
+ * Autocorrelation of the eye model blur (a Gaussian with sigma * sqrt(2))
+ * @returns {Float32Array} (2R+1)^2 weights, row-major
+ */
+function buildOptimizeKernel() {
+  const r = OPTIMIZE_KERNEL_RADIUS;
+  const size = r * 2 + 1;
+  const kernel = new Float32Array(size * size);
+  const s2 = 2 * (OPTIMIZE_BLUR_SIGMA * Math.SQRT2) ** 2;
+  let sum = 0;
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      const w = Math.exp(-(dx * dx + dy * dy) / s2);
+      kernel[(dy + r) * size + dx + r] = w;
+      sum += w;
+    }
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+  return kernel;
+}
+
+/**
+ * Convert image pixels to SCR by minimizing the perceived error within a time budget
+ * @param {Float32Array} floatPixels - Adjusted source pixels (RGB, 256x192)
+ * @param {{regular: number[][], bright: number[][]}} palette - Color palette
+ * @param {boolean} monoOutput - Fixed black ink on bright white paper
+ * @param {number} timeBudget - Time to spend refining (ms)
+ * @returns {Uint8Array} 6912-byte SCR data
+ */
+function optimizeScr(floatPixels, palette, monoOutput, timeBudget) {
+  const start = Date.now();
+  const deadline = start + timeBudget;
+  const W = 256;
+  const H = 192;
+  const R = OPTIMIZE_KERNEL_RADIUS;
+  const KS = R * 2 + 1;
+  const kernel = buildOptimizeKernel();
+  const k0 = kernel[R * KS + R];
+
+  // Work in the same space colorDistance uses
+  const toSpace = useLabMode ? rgbToLab : (/** @type {number[]} */ rgb) => rgb;
+  const target = new Float32Array(W * H * 3);
+  for (let i = 0; i < W * H; i++) {
+    const c = toSpace([floatPixels[i * 3], floatPixels[i * 3 + 1], floatPixels[i * 3 + 2]]);
+    target[i * 3] = c[0];
+    target[i * 3 + 1] = c[1];
+    target[i * 3 + 2] = c[2];
+  }
+  const spacePalette = {
+    regular: palette.regular.map(toSpace),
+    bright: palette.bright.map(toSpace)
+  };
+
+  // Candidate attributes: ink <= paper (the bitmap covers the swapped order)
+  /** @type {Array<{ink: number, paper: number, bright: boolean}>} */
+  const allAttrs = [];
+  if (monoOutput) {
+    allAttrs.push({ ink: 0, paper: 7, bright: true });
+  } else {
+    for (let bright = 0; bright <= 1; bright++) {
+      for (let ink = 0; ink < 8; ink++) {
+        for (let paper = ink; paper < 8; paper++) {
+          allAttrs.push({ ink, paper, bright: bright === 1 });
+        }
+      }
+    }
+  }
+
+  const dithered = floatPixels.slice();
+  floydSteinbergDither(dithered, W, H, monoOutput ? [palette.bright[0], palette.bright[7]] : [...palette.regular, ...palette.bright]);
+
+  // Per cell: candidates ranked by plain error, current attribute and colors
+  /** @type {Array<Array<{ink: number, paper: number, bright: boolean}>>} */
+  const cellCandidates = [];
+  const cellAttr = new Array(768);
+  const cellInk = new Array(768);
+  const cellPaper = new Array(768);
+  const bitmap = new Uint8Array(W * H);
+
+  for (let cell = 0; cell < 768; cell++) {
+    const cellX = cell % 32;
+    const cellY = Math.floor(cell / 32);
+    const scored = allAttrs.map(attr => {
+      const pal = attr.bright ? spacePalette.bright : spacePalette.regular;
+      const a = pal[attr.ink];
+      const b = pal[attr.paper];
+      let err = 0;
+      for (let dy = 0; dy < 8; dy++) {
+        for (let dx = 0; dx < 8; dx++) {
+          const t = ((cellY * 8 + dy) * W + cellX * 8 + dx) * 3;
+          const da = (target[t] - a[0]) ** 2 + (target[t + 1] - a[1]) ** 2 + (target[t + 2] - a[2]) ** 2;
+          const db = (target[t] - b[0]) ** 2 + (target[t + 1] - b[1]) ** 2 + (target[t + 2] - b[2]) ** 2;
+          err += Math.min(da, db);
+        }
+      }
+      return { attr, err };
+    });
+    scored.sort((p, q) => p.err - q.err);
+    cellCandidates.push(scored.slice(0, OPTIMIZE_ATTR_CANDIDATES).map(s => s.attr));
+
+    // Start from global dithering fitted to cells (as the classic global path does)
+    const initial = monoOutput ?
+      analyzeCellMono(dithered, cellX, cellY, W, palette.bright[0], palette.bright[7]) :
+      analyzeCell(dithered, cellX, cellY, W);
+    const spacePal = initial.bright ? spacePalette.bright : spacePalette.regular;
+    cellAttr[cell] = { ink: initial.ink, paper: initial.paper, bright: initial.bright };
+    cellInk[cell] = spacePal[initial.ink];
+    cellPaper[cell] = spacePal[initial.paper];
+    for (let dy = 0; dy < 8; dy++) {
+      for (let dx = 0; dx < 8; dx++) {
+        bitmap[(cellY * 8 + dy) * W + cellX * 8 + dx] = (initial.bitmap[dy] >> (7 - dx)) & 1;
+      }
+    }
+  }
+
+  // Error image and its correlation with the kernel
+  const err = new Float32Array(W * H * 3);
+  for (let p = 0; p < W * H; p++) {
+    const cell = (p >> 11) * 32 + ((p & 255) >> 3);
+    const c = bitmap[p] ? cellInk[cell] : cellPaper[cell];
+    err[p * 3] = c[0] - target[p * 3];
+    err[p * 3 + 1] = c[1] - target[p * 3 + 1];
+    err[p * 3 + 2] = c[2] - target[p * 3 + 2];
+  }
+  const cep = new Float32Array(W * H * 3);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      let s0 = 0, s1 = 0, s2 = 0;
+      for (let ky = -R; ky <= R; ky++) {
+        const yy = y + ky;
+        if (yy < 0 || yy >= H) continue;
+        for (let kx = -R; kx <= R; kx++) {
+          const xx = x + kx;
+          if (xx < 0 || xx >= W) continue;
+          const w = kernel[(ky + R) * KS + kx + R];
+          const q = (yy * W + xx) * 3;
+          s0 += w * err[q];
+          s1 += w * err[q + 1];
+          s2 += w * err[q + 2];
+        }
+      }
+      const p = (y * W + x) * 3;
+      cep[p] = s0;
+      cep[p + 1] = s1;
+      cep[p + 2] = s2;
+    }
+  }
+
+  /**
+   * Apply a color change at pixel p to the error image and cep
+   */
+  const applyDelta = (/** @type {number} */ p, /** @type {number} */ d0, /** @type {number} */ d1, /** @type {number} */ d2) => {
+    err[p * 3] += d0;
+    err[p * 3 + 1] += d1;
+    err[p * 3 + 2] += d2;
+    const x = p & 255;
+    const y = p >> 8;
+    for (let ky = -R; ky <= R; ky++) {
+      const yy = y + ky;
+      if (yy < 0 || yy >= H) continue;
+      for (let kx = -R; kx <= R; kx++) {
+        const xx = x + kx;
+        if (xx < 0 || xx >= W) continue;
+        const w = kernel[(ky + R) * KS + kx + R];
+        const q = (yy * W + xx) * 3;
+        cep[q] += w * d0;
+        cep[q + 1] += w * d1;
+        cep[q + 2] += w * d2;
+      }
+    }
+  };
+
+  const deltas = new Float32Array(64 * 3);
+  const newBits = new Uint8Array(64);
+
+  /**
+   * Try the cell's candidate attributes; keep the one that lowers the total error most
+   * @returns {boolean} True if the cell changed
+   */
+  const refineCell = (/** @type {number} */ cell) => {
+    const cellX = cell % 32;
+    const cellY = Math.floor(cell / 32);
+    const base = cellY * 8 * W + cellX * 8;
+    const current = cellAttr[cell];
+    let bestGain = -1e-6;
+    let bestAttr = null;
+    let bestBits = null;
+
+    for (const attr of cellCandidates[cell]) {
+      if (attr.ink === current.ink && attr.paper === current.paper && attr.bright === current.bright) continue;
+      const pal = attr.bright ? spacePalette.bright : spacePalette.regular;
+      const ink = pal[attr.ink];
+      const paper = pal[attr.paper];
+
+      // Pick each pixel's new color on its own, then score the cell change exactly
+      let gain = 0;
+      for (let i = 0; i < 64; i++) {
+        const p = base + (i >> 3) * W + (i & 7);
+        const cur = bitmap[p] ? cellInk[cell] : cellPaper[cell];
+        const c0 = cep[p * 3], c1 = cep[p * 3 + 1], c2 = cep[p * 3 + 2];
+        const a0 = ink[0] - cur[0], a1 = ink[1] - cur[1], a2 = ink[2] - cur[2];
+        const b0 = paper[0] - cur[0], b1 = paper[1] - cur[1], b2 = paper[2] - cur[2];
+        const ea = 2 * (a0 * c0 + a1 * c1 + a2 * c2) + (a0 * a0 + a1 * a1 + a2 * a2) * k0;
+        const eb = 2 * (b0 * c0 + b1 * c1 + b2 * c2) + (b0 * b0 + b1 * b1 + b2 * b2) * k0;
+        const useInk = ea < eb;
+        newBits[i] = useInk ? 1 : 0;
+        deltas[i * 3] = useInk ? a0 : b0;
+        deltas[i * 3 + 1] = useInk ? a1 : b1;
+        deltas[i * 3 + 2] = useInk ? a2 : b2;
+        gain += 2 * (deltas[i * 3] * c0 + deltas[i * 3 + 1] * c1 + deltas[i * 3 + 2] * c2);
+      }
+      for (let i = 0; i < 64; i++) {
+        const d0 = deltas[i * 3], d1 = deltas[i * 3 + 1], d2 = deltas[i * 3 + 2];
+        if (d0 === 0 && d1 === 0 && d2 === 0) continue;
+        const iy = i >> 3, ix = i & 7;
+        for (let j = 0; j < 64; j++) {
+          const ky = (j >> 3) - iy, kx = (j & 7) - ix;
+          if (ky < -R || ky > R || kx < -R || kx > R) continue;
+          const w = kernel[(ky + R) * KS + kx + R];
+          gain += w * (d0 * deltas[j * 3] + d1 * deltas[j * 3 + 1] + d2 * deltas[j * 3 + 2]);
+        }
+      }
+
+      if (gain < bestGain) {
+        bestGain = gain;
+        bestAttr = attr;
+        bestBits = newBits.slice();
+      }
+    }
+
+    if (!bestAttr || !bestBits) return false;
+
+    const pal = bestAttr.bright ? spacePalette.bright : spacePalette.regular;
+    const ink = pal[bestAttr.ink];
+    const paper = pal[bestAttr.paper];
+    for (let i = 0; i < 64; i++) {
+      const p = base + (i >> 3) * W + (i & 7);
+      const cur = bitmap[p] ? cellInk[cell] : cellPaper[cell];
+      const next = bestBits[i] ? ink : paper;
+      if (next[0] !== cur[0] || next[1] !== cur[1] || next[2] !== cur[2]) {
+        applyDelta(p, next[0] - cur[0], next[1] - cur[1], next[2] - cur[2]);
+      }
+      bitmap[p] = bestBits[i];
+    }
+    cellAttr[cell] = bestAttr;
+    cellInk[cell] = ink;
+    cellPaper[cell] = paper;
+    return true;
+  };
+
+  /**
+   * Flip each pixel to its cell's other color, or swap it with a neighbour in
+   * the same cell, wherever that lowers the total error
+   * @returns {number} Number of changes made
+   */
+  const refinePixels = () => {
+    let changes = 0;
+    for (let p = 0; p < W * H; p++) {
+      const cell = (p >> 11) * 32 + ((p & 255) >> 3);
+      const cur = bitmap[p] ? cellInk[cell] : cellPaper[cell];
+      const alt = bitmap[p] ? cellPaper[cell] : cellInk[cell];
+      const d0 = alt[0] - cur[0], d1 = alt[1] - cur[1], d2 = alt[2] - cur[2];
+      if (d0 === 0 && d1 === 0 && d2 === 0) continue;
+      const dd = d0 * d0 + d1 * d1 + d2 * d2;
+      const flipGain = 2 * (d0 * cep[p * 3] + d1 * cep[p * 3 + 1] + d2 * cep[p * 3 + 2]) + dd * k0;
+
+      // Best swap with an 8-neighbour of the other color in the same cell
+      let swapGain = 0;
+      let swapWith = -1;
+      const x = p & 255;
+      const y = p >> 8;
+      for (let ky = -1; ky <= 1; ky++) {
+        for (let kx = -1; kx <= 1; kx++) {
+          const xx = x + kx;
+          const yy = y + ky;
+          if ((kx === 0 && ky === 0) || (xx >> 3) !== (x >> 3) || (yy >> 3) !== (y >> 3) || yy < 0 || yy >= H) continue;
+          const q = yy * W + xx;
+          if (bitmap[q] === bitmap[p]) continue;
+          const gain = 2 * (d0 * (cep[p * 3] - cep[q * 3]) + d1 * (cep[p * 3 + 1] - cep[q * 3 + 1]) + d2 * (cep[p * 3 + 2] - cep[q * 3 + 2])) +
+            2 * dd * (k0 - kernel[(ky + R) * KS + kx + R]);
+          if (gain < swapGain) {
+            swapGain = gain;
+            swapWith = q;
+          }
+        }
+      }
+
+      if (flipGain < -1e-6 && flipGain <= swapGain) {
+        bitmap[p] ^= 1;
+        applyDelta(p, d0, d1, d2);
+        changes++;
+      } else if (swapWith >= 0 && swapGain < -1e-6) {
+        bitmap[p] ^= 1;
+        bitmap[swapWith] ^= 1;
+        applyDelta(p, d0, d1, d2);
+        applyDelta(swapWith, -d0, -d1, -d2);
+        changes++;
+      }
+    }
+    return changes;
+  };
+
+  // Sweep until nothing improves or the budget runs out
+  let changed = true;
+  while (changed && Date.now() < deadline) {
+    changed = refinePixels() > 0;
+    for (let cellY = 0; cellY < 24 && Date.now() < deadline; cellY++) {
+      for (let cellX = 0; cellX < 32; cellX++) {
+        if (refineCell(cellY * 32 + cellX)) changed = true;
+      }
+      reportImportProgress('Optimizing', Math.min(1, (Date.now() - start) / timeBudget));
+    }
+  }
+  refinePixels();
+
+  // Pack into SCR
+  const scr = new Uint8Array(6912);
+  for (let y = 0; y < H; y++) {
+    const rowOffset = getBitmapOffset(y);
+    for (let cellX = 0; cellX < 32; cellX++) {
+      let byte = 0;
+      for (let dx = 0; dx < 8; dx++) {
+        byte = (byte << 1) | bitmap[y * W + cellX * 8 + dx];
+      }
+      scr[rowOffset + cellX] = byte;
+    }
+  }
+  for (let cell = 0; cell < 768; cell++) {
+    const attr = cellAttr[cell];
+    scr[6144 + cell] = (attr.paper << 3) | attr.ink | (attr.bright ? 0x40 : 0);
+  }
+  return scr;
+}
+
 /**
  * Convert image to SCR format
  * @param {HTMLCanvasElement} sourceCanvas - Source canvas (256x192)
- * @param {string} dithering - Dithering method: 'none', 'floyd-steinberg', 'ordered', 'atkinson'
+ * @param {string} dithering - Dithering method: 'cell-*', a global method, or 'optimized'
  * @param {number} brightness - Brightness adjustment (-100 to 100)
  * @param {number} contrast - Contrast adjustment (-100 to 100)
  * @param {number} saturation - Saturation adjustment (-100 to 100)
@@ -1806,9 +2196,11 @@ function rgbaToFloat(pixels, numPixels) {
  * @param {number} balanceR - Red channel adjustment (-50 to 50)
  * @param {number} balanceG - Green channel adjustment (-50 to 50)
  * @param {number} balanceB - Blue channel adjustment (-50 to 50)
+ * @param {boolean} monoOutput - Black ink on white paper only
+ * @param {number} optimizeTime - Time budget for 'optimized' dithering (ms)
  * @returns {Uint8Array} 6912-byte SCR data
  */
-function convertToScr(sourceCanvas, dithering, brightness, contrast, saturation = 0, gamma = 1.0, grayscale = false, sharpness = 0, smoothing = 0, blackPoint = 0, whitePoint = 255, balanceR = 0, balanceG = 0, balanceB = 0, monoOutput = false) {
+function convertToScr(sourceCanvas, dithering, brightness, contrast, saturation = 0, gamma = 1.0, grayscale = false, sharpness = 0, smoothing = 0, blackPoint = 0, whitePoint = 255, balanceR = 0, balanceG = 0, balanceB = 0, monoOutput = false, optimizeTime = 2000) {
   updateColorDistanceMode();
 
   const ctx = sourceCanvas.getContext('2d');
@@ -1829,6 +2221,11 @@ function convertToScr(sourceCanvas, dithering, brightness, contrast, saturation
   const palette = getCombinedPalette();
   const fullPalette = [...palette.regular, ...palette.bright];
 
+  // Optimized mode refines attributes and bitmap together
+  if (dithering === 'optimized') {
+    return optimizeScr(floatPixels, palette, monoOutput, optimizeTime);
+  }
+
   // Create SCR buffer
   const scr = new Uint8Array(6912);
 
@@ -1865,6 +2262,7 @@ function convertToScr(sourceCanvas, dithering, brightness, contrast, saturation
 
       // Now just analyze each cell to create bitmap (pixels already dithered)
       for (let cellY = 0; cellY < 24; cellY++) {
+        reportImportProgress('Matching cells', cellY / 24);
         for (let cellX = 0; cellX < 32; cellX++) {
           const cell = analyzeCellMono(floatPixels, cellX, cellY, 256, monoColors.inkRgb, monoColors.paperRgb);
 
@@ -1883,6 +2281,7 @@ function convertToScr(sourceCanvas, dithering, brightness, contrast, saturation
     } else {
       // Standard cell-aware dithering (pattern-based or non-mono)
       for (let cellY = 0; cellY < 24; cellY++) {
+        reportImportProgress('Matching cells', cellY / 24);
         for (let cellX = 0; cellX < 32; cellX++) {
           // Find best ink/paper combination (or use mono if enabled)
           const colors = monoColors || findCellColors(floatPixels, cellX, cellY, 256, palette);
@@ -1990,6 +2389,7 @@ function convertToScr(sourceCanvas, dithering, brightness, contrast, saturation
 
     // Process each 8x8 cell
     for (let cellY = 0; cellY < 24; cellY++) {
+      reportImportProgress('Matching cells', cellY / 24);
       for (let cellX = 0; cellX < 32; cellX++) {
         const cell = monoOutput
           ? analyzeCellMono(floatPixels, cellX, cellY, 256, palette.bright[0], palette.bright[7])
@@ -2262,6 +2662,7 @@ function convertToUlaPlus(sourceCanvas, dithering, brightness, contrast, saturat
 
   // Convert each cell
   for (let cellY = 0; cellY < 24; cellY++) {
+    reportImportProgress('Matching cells', cellY / 24);
     for (let cellX = 0; cellX < 32; cellX++) {
       // Find best CLUT and colors for this cell
       const colors = findUlaPlusCellColors(floatPixels, cellX, cellY, palette);
@@ -2677,6 +3078,7 @@ function convertToIfl(sourceCanvas, dithering, brightness, contrast, saturation
 
       // Analyze blocks (pixels already dithered)
       for (let blockY = 0; blockY < 96; blockY++) {
+        reportImportProgress('Matching cells', blockY / 96);
         for (let blockX = 0; blockX < 32; blockX++) {
           const block = analyzeBlock2Mono(floatPixels, blockX, blockY, 256, monoColors.inkRgb, monoColors.paperRgb);
 
@@ -2693,6 +3095,7 @@ function convertToIfl(sourceCanvas, dithering, brightness, contrast, saturation
     } else {
       // Standard cell-aware dithering
       for (let blockY = 0; blockY < 96; blockY++) {
+        reportImportProgress('Matching cells', blockY / 96);
         for (let blockX = 0; blockX < 32; blockX++) {
           const colors = monoColors || findBlockColors2(floatPixels, blockX, blockY, 256, palette);
 
@@ -2776,6 +3179,7 @@ function convertToIfl(sourceCanvas, dithering, brightness, contrast, saturation
 
     // Process 96 attribute rows (8×2 blocks)
     for (let blockY = 0; blockY < 96; blockY++) {
+      reportImportProgress('Matching cells', blockY / 96);
       for (let blockX = 0; blockX < 32; blockX++) {
         const block = monoOutput
           ? analyzeBlock2Mono(floatPixels, blockX, blockY, 256, palette.bright[0], palette.bright[7])
@@ -3029,6 +3433,7 @@ function convertToMlt(sourceCanvas, dithering, brightness, contrast, saturation
 
     // Process 192 attribute rows (8×1 blocks - one per pixel line)
     for (let y = 0; y < 192; y++) {
+      reportImportProgress('Matching cells', y / 192);
       for (let blockX = 0; blockX < 32; blockX++) {
         const colors = monoColors || findBlockColors1(floatPixels, blockX, y, 256, palette);
 
@@ -3107,6 +3512,7 @@ function convertToMlt(sourceCanvas, dithering, brightness, contrast, saturation
 
     // Process 192 attribute rows (8×1 blocks)
     for (let y = 0; y < 192; y++) {
+      reportImportProgress('Matching cells', y / 192);
       for (let blockX = 0; blockX < 32; blockX++) {
         const block = monoOutput
           ? analyzeBlock1Mono(floatPixels, blockX, y, 256, palette.bright[0], palette.bright[7])
@@ -3325,6 +3731,7 @@ function convertToBmc4(sourceCanvas, dithering, brightness, contrast, saturation
   // Extract main screen area (256x192 at offset 64,64)
   const mainPixels = new Uint8ClampedArray(256 * 192 * 4);
   for (let y = 0; y < 192; y++) {
+    reportImportProgress('Matching cells', y / 192);
     for (let x = 0; x < 256; x++) {
       const srcIdx = ((y + 64) * 384 + (x + 64)) * 4;
       const dstIdx = (y * 256 + x) * 4;
@@ -3374,6 +3781,7 @@ function convertToBmc4(sourceCanvas, dithering, brightness, contrast, saturation
 
   // Process 48 attribute blocks (8×4 each, 24 char rows × 2 blocks per char)
   for (let blockY = 0; blockY < 48; blockY++) {
+    reportImportProgress('Matching cells', blockY / 48);
     for (let blockX = 0; blockX < 32; blockX++) {
       let colors, bitmap;
 
@@ -3466,6 +3874,7 @@ function convertToBmc4(sourceCanvas, dithering, brightness, contrast, saturation
 
   // Side borders: 192 lines × 8 bytes
   for (let y = 0; y < 192; y++) {
+    reportImportProgress('Matching cells', y / 192);
     encodeSideBorderLine(y + 64);
   }
 
@@ -3528,6 +3937,244 @@ function ditherRgb3PerChannel(floatPixels, width, height, ditherFn) {
   }
 }
 
+/**
+ * Convert image to Timex hi-colour format (8×1 attributes in the second display file)
+ * Uses the MLT converter, then moves each attribute row to its interleaved address.
+ */
+function convertToTimexHicolor(sourceCanvas, dithering, brightness, contrast, saturation = 0, gamma = 1.0, grayscale = false, sharpness = 0, smoothing = 0, blackPoint = 0, whitePoint = 255, balanceR = 0, balanceG = 0, balanceB = 0, monoOutput = false) {
+  const mlt = convertToMlt(sourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
+  const result = new Uint8Array(12288);
+  result.set(mlt.subarray(0, 6144), 0);
+
+  for (let y = 0; y < 192; y++) {
+    const bitmapOffset = getBitmapOffset(y);
+    for (let col = 0; col < 32; col++) {
+      result[6144 + bitmapOffset + col] = mlt[6144 + y * 32 + col];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert image to Timex hi-res format (512×192, two colours)
+ * Even byte columns go to the first display file, odd ones to the second,
+ * followed by the port 0xFF value (hi-res mode + ink colour).
+ * @param {HTMLCanvasElement} sourceCanvas - 512×192 source canvas
+ * @param {number} ink - Ink colour (0-7), paper is 7 - ink
+ */
+function convertToTimexHires(sourceCanvas, dithering, brightness, contrast, saturation = 0, gamma = 1.0, grayscale = false, sharpness = 0, smoothing = 0, blackPoint = 0, whitePoint = 255, balanceR = 0, balanceG = 0, balanceB = 0, ink = 0) {
+  updateColorDistanceMode();
+
+  const ctx = sourceCanvas.getContext('2d');
+  if (!ctx) throw new Error('Cannot get canvas context');
+
+  const width = 512;
+  const height = 192;
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const pixels = imageData.data;
+
+  applyImageAdjustments(pixels, width, height, { brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB });
+
+  // Only two colours on screen, so dither the luminance like mono formats
+  if (!grayscale) {
+    applyGrayscale(pixels);
+  }
+
+  const floatPixels = rgbaToFloat(pixels, width * height);
+
+  const palette = getCombinedPalette();
+  const monoPalette = [palette.bright[0], palette.bright[7]];
+
+  const monoDithering = mapCellDithering(dithering);
+  switch (monoDithering) {
+    case 'floyd-steinberg': floydSteinbergDither(floatPixels, width, height, monoPalette); break;
+    case 'jarvis': jarvisDither(floatPixels, width, height, monoPalette); break;
+    case 'stucki': stuckiDither(floatPixels, width, height, monoPalette); break;
+    case 'burkes': burkesDither(floatPixels, width, height, monoPalette); break;
+    case 'sierra': sierraDither(floatPixels, width, height, monoPalette); break;
+    case 'sierra-lite': sierraLiteDither(floatPixels, width, height, monoPalette); break;
+    case 'sierra2': sierra2Dither(floatPixels, width, height, monoPalette); break;
+    case 'serpentine': serpentineDither(floatPixels, width, height, monoPalette); break;
+    case 'riemersma': riemersmaDither(floatPixels, width, height, monoPalette); break;
+    case 'blue-noise': blueNoiseDither(floatPixels, width, height, monoPalette); break;
+    case 'pattern': patternDither(floatPixels, width, height, monoPalette); break;
+    case 'atkinson': atkinsonDither(floatPixels, width, height, monoPalette); break;
+    case 'ordered': orderedDither(floatPixels, width, height, monoPalette); break;
+    case 'ordered8': ordered8Dither(floatPixels, width, height, monoPalette); break;
+    case 'noise': noiseDither(floatPixels, width, height, monoPalette); break;
+  }
+
+  // Dark pixels become ink unless the chosen ink is the brighter of the two colours
+  const inkColor = palette.bright[ink & 0x07];
+  const paperColor = palette.bright[7 - (ink & 0x07)];
+  const luma = (c) => c[0] * 0.299 + c[1] * 0.587 + c[2] * 0.114;
+  const inkIsLighter = luma(inkColor) > luma(paperColor);
+
+  const blackRgb = monoPalette[0];
+  const whiteRgb = monoPalette[1];
+  const result = new Uint8Array(12289);
+
+  for (let y = 0; y < height; y++) {
+    const bitmapOffset = getBitmapOffset(y);
+
+    for (let col = 0; col < 64; col++) {
+      let byte = 0;
+
+      for (let bit = 0; bit < 8; bit++) {
+        const x = col * 8 + bit;
+        const idx = (y * width + x) * 3;
+        const r = floatPixels[idx];
+        const g = floatPixels[idx + 1];
+        const b = floatPixels[idx + 2];
+
+        const blackDist = (r - blackRgb[0]) ** 2 + (g - blackRgb[1]) ** 2 + (b - blackRgb[2]) ** 2;
+        const whiteDist = (r - whiteRgb[0]) ** 2 + (g - whiteRgb[1]) ** 2 + (b - whiteRgb[2]) ** 2;
+        const isDark = blackDist < whiteDist;
+
+        if (isDark !== inkIsLighter) {
+          byte |= (0x80 >> bit);
+        }
+      }
+
+      const fileOffset = (col & 1) ? 6144 : 0;
+      result[fileOffset + bitmapOffset + (col >> 1)] = byte;
+    }
+  }
+
+  result[12288] = 0x06 | ((ink & 0x07) << 3);
+  return result;
+}
+
+/**
+ * Picks up to `count` 9-bit colours for an adaptive Layer 2 palette.
+ * Starts from the most frequent colour, then repeatedly takes the colour whose
+ * frequency times distance to the already chosen ones is largest, so rare but
+ * distinct colours are not crowded out by shades of the dominant ones.
+ * @param {Float32Array} pixels - Float array of RGB values
+ * @param {number} numPixels - Number of pixels
+ * @param {number} count - Palette size (256 or 16)
+ * @returns {number[]} 9-bit colours (RRRGGGBBB)
+ */
+function generateOptimalNextPalette(pixels, numPixels, count) {
+  const freq = new Map();
+  for (let i = 0; i < numPixels; i++) {
+    const color = rgbToNextColor(pixels[i * 3], pixels[i * 3 + 1], pixels[i * 3 + 2]);
+    freq.set(color, (freq.get(color) || 0) + 1);
+  }
+
+  const candidates = Array.from(freq.entries()).sort((a, b) => b[1] - a[1]);
+  if (candidates.length <= count) {
+    return candidates.map(entry => entry[0]);
+  }
+
+  const toRgb = (c) => nextColorToRgb(c >> 1, c & 1);
+  const chosen = [candidates[0][0]];
+  const minDist = candidates.map(entry => colorDistance(toRgb(entry[0]), toRgb(chosen[0])));
+
+  while (chosen.length < count) {
+    let best = -1;
+    let bestScore = 0;
+    for (let i = 0; i < candidates.length; i++) {
+      const score = candidates[i][1] * minDist[i];
+      if (score > bestScore) {
+        bestScore = score;
+        best = i;
+      }
+    }
+    if (best < 0) break;
+    const picked = candidates[best][0];
+    chosen.push(picked);
+    const pickedRgb = toRgb(picked);
+    for (let i = 0; i < candidates.length; i++) {
+      minDist[i] = Math.min(minDist[i], colorDistance(toRgb(candidates[i][0]), pickedRgb));
+    }
+  }
+
+  return chosen;
+}
+
+/**
+ * Convert image to a Next Layer 2 screen
+ * Output is the .nxi layout: 512-byte palette followed by the pixels.
+ * @param {HTMLCanvasElement} sourceCanvas - Source canvas at the mode's resolution
+ * @param {string} format - 'next_l2_256', 'next_l2_320' or 'next_l2_640'
+ * @param {string} paletteMode - 'adaptive' or 'default' (fixed RRRGGGBB palette)
+ */
+function convertToNextLayer2(sourceCanvas, dithering, brightness, contrast, saturation = 0, gamma = 1.0, grayscale = false, sharpness = 0, smoothing = 0, blackPoint = 0, whitePoint = 255, balanceR = 0, balanceG = 0, balanceB = 0, format = 'next_l2_256', paletteMode = 'adaptive') {
+  updateColorDistanceMode();
+
+  const ctx = sourceCanvas.getContext('2d');
+  if (!ctx) throw new Error('Cannot get canvas context');
+
+  const { width, height, pixelBytes, bpp } = getNextLayer2Geometry(format);
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const pixels = imageData.data;
+
+  applyImageAdjustments(pixels, width, height, { brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB });
+
+  const floatPixels = rgbaToFloat(pixels, width * height);
+
+  // Build the palette: 16 entries in 4bpp mode, 256 otherwise
+  const count = bpp === 4 ? 16 : 256;
+  const result = new Uint8Array(512 + pixelBytes);
+  if (paletteMode === 'default') {
+    // Hardware default: 4bpp screens only see its first 16 entries
+    result.set(generateDefaultNextPalette(), 0);
+  } else {
+    const colors = generateOptimalNextPalette(floatPixels, width * height, count);
+    for (let i = 0; i < count; i++) {
+      const color = colors[i] !== undefined ? colors[i] : 0;
+      result[i * 2] = color >> 1;
+      result[i * 2 + 1] = color & 1;
+    }
+  }
+
+  const paletteRgb = [];
+  for (let i = 0; i < count; i++) {
+    paletteRgb.push(nextColorToRgb(result[i * 2], result[i * 2 + 1]));
+  }
+
+  switch (mapCellDithering(dithering)) {
+    case 'floyd-steinberg': floydSteinbergDither(floatPixels, width, height, paletteRgb); break;
+    case 'jarvis': jarvisDither(floatPixels, width, height, paletteRgb); break;
+    case 'stucki': stuckiDither(floatPixels, width, height, paletteRgb); break;
+    case 'burkes': burkesDither(floatPixels, width, height, paletteRgb); break;
+    case 'sierra': sierraDither(floatPixels, width, height, paletteRgb); break;
+    case 'sierra-lite': sierraLiteDither(floatPixels, width, height, paletteRgb); break;
+    case 'sierra2': sierra2Dither(floatPixels, width, height, paletteRgb); break;
+    case 'serpentine': serpentineDither(floatPixels, width, height, paletteRgb); break;
+    case 'riemersma': riemersmaDither(floatPixels, width, height, paletteRgb); break;
+    case 'blue-noise': blueNoiseDither(floatPixels, width, height, paletteRgb); break;
+    case 'pattern': patternDither(floatPixels, width, height, paletteRgb); break;
+    case 'atkinson': atkinsonDither(floatPixels, width, height, paletteRgb); break;
+    case 'ordered': orderedDither(floatPixels, width, height, paletteRgb); break;
+    case 'ordered8': ordered8Dither(floatPixels, width, height, paletteRgb); break;
+    case 'noise': noiseDither(floatPixels, width, height, paletteRgb); break;
+  }
+
+  // Map every pixel to its nearest palette entry (dithered pixels are already exact,
+  // so cache lookups by colour to avoid searching the palette again)
+  const nearestCache = new Map();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 3;
+      const r = Math.max(0, Math.min(255, Math.round(floatPixels[idx])));
+      const g = Math.max(0, Math.min(255, Math.round(floatPixels[idx + 1])));
+      const b = Math.max(0, Math.min(255, Math.round(floatPixels[idx + 2])));
+      const key = (r << 16) | (g << 8) | b;
+      let index = nearestCache.get(key);
+      if (index === undefined) {
+        index = findNearestColor([r, g, b], paletteRgb);
+        nearestCache.set(key, index);
+      }
+      setNextLayer2Pixel(result, format, x, y, index);
+    }
+  }
+
+  return result;
+}
+
 /**
  * Convert image to monochrome format (bitmap only)
  * @param {number} thirds - Number of screen thirds (1, 2, or 3)
@@ -3744,66 +4391,475 @@ function renderRgb3ToCanvas(rgb3Data, canvas, zoom = 2) {
   }
 }
 
-// BSC format constants
-const BSC_CONST = {
-  TOTAL_SIZE: 11136,
-  BORDER_OFFSET: 6912,
-  FRAME_WIDTH: 384,
-  FRAME_HEIGHT: 304,
-  BORDER_LEFT_PX: 64,
-  BORDER_TOP_PX: 64,
-  BORDER_BOTTOM_PX: 48,
-  BYTES_PER_FULL_LINE: 24,
-  BYTES_PER_SIDE_LINE: 8,
-  PIXELS_PER_COLOR: 8
+// ============================================================================
+// Gigascreen Conversion
+// Two SCR frames shown alternately; every pixel is the blend of one colour
+// from each frame, so a cell offers 4 colours built from 2 virtual colours
+// ============================================================================
+
+/** Error diffusion kernels used by the Gigascreen ditherer ([dx, dy, weight]) */
+const GIGASCREEN_DITHER_KERNELS = {
+  'floyd-steinberg': [[1, 0, 7/16], [-1, 1, 3/16], [0, 1, 5/16], [1, 1, 1/16]],
+  'serpentine': [[1, 0, 7/16], [-1, 1, 3/16], [0, 1, 5/16], [1, 1, 1/16]],
+  'atkinson': [[1, 0, 1/8], [2, 0, 1/8], [-1, 1, 1/8], [0, 1, 1/8], [1, 1, 1/8], [0, 2, 1/8]],
+  'jarvis': [
+    [1, 0, 7/48], [2, 0, 5/48],
+    [-2, 1, 3/48], [-1, 1, 5/48], [0, 1, 7/48], [1, 1, 5/48], [2, 1, 3/48],
+    [-2, 2, 1/48], [-1, 2, 3/48], [0, 2, 5/48], [1, 2, 3/48], [2, 2, 1/48]
+  ],
+  'stucki': [
+    [1, 0, 8/42], [2, 0, 4/42],
+    [-2, 1, 2/42], [-1, 1, 4/42], [0, 1, 8/42], [1, 1, 4/42], [2, 1, 2/42],
+    [-2, 2, 1/42], [-1, 2, 2/42], [0, 2, 4/42], [1, 2, 2/42], [2, 2, 1/42]
+  ],
+  'burkes': [
+    [1, 0, 8/32], [2, 0, 4/32],
+    [-2, 1, 2/32], [-1, 1, 4/32], [0, 1, 8/32], [1, 1, 4/32], [2, 1, 2/32]
+  ],
+  'sierra': [
+    [1, 0, 5/32], [2, 0, 3/32],
+    [-2, 1, 2/32], [-1, 1, 4/32], [0, 1, 5/32], [1, 1, 4/32], [2, 1, 2/32],
+    [-1, 2, 2/32], [0, 2, 3/32], [1, 2, 2/32]
+  ],
+  'sierra-lite': [[1, 0, 2/4], [-1, 1, 1/4], [0, 1, 1/4]],
+  'sierra2': [
+    [1, 0, 4/16], [2, 0, 3/16],
+    [-2, 1, 1/16], [-1, 1, 2/16], [0, 1, 3/16], [1, 1, 2/16], [2, 1, 1/16]
+  ]
 };
 
+/** Number of nearest virtual colours tried for each cell cluster */
+const GIGASCREEN_CANDIDATES = 6;
+
 /**
- * Find nearest color from regular palette only (for border)
- * @param {number[]} rgb - Target color [R, G, B]
- * @param {number[][]} regularPalette - Regular palette colors (8 colors)
- * @returns {number} Nearest color index (0-7)
+ * Get the frame colour pairs of the Gigascreen virtual palette.
+ * The pairs come from the editor's 136-colour virtual palette; their blends
+ * are recomputed with the import palette so the preview matches the output.
+ * @param {{regular: number[][], bright: number[][]}} palette - Import palette
+ * @returns {{frame1Color: number, frame2Color: number, rgb: number[]}[]}
  */
-function findNearestBorderColor(rgb, regularPalette) {
-  let minDist = Infinity;
-  let nearest = 0;
-  for (let i = 0; i < 8; i++) {
-    const dist = colorDistance(rgb, regularPalette[i]);
-    if (dist < minDist) {
-      minDist = dist;
-      nearest = i;
-    }
+function getGigascreenImportColors(palette) {
+  if (typeof generateGigascreenVirtualPalette === 'function' && gigascreenVirtualPalette.length === 0) {
+    generateGigascreenVirtualPalette();
   }
-  return nearest;
+
+  const full = [...palette.regular, ...palette.bright];
+  return gigascreenVirtualPalette.map(vc => {
+    const rgb1 = full[vc.frame1Color];
+    const rgb2 = full[vc.frame2Color];
+    return {
+      frame1Color: vc.frame1Color,
+      frame2Color: vc.frame2Color,
+      rgb: [(rgb1[0] + rgb2[0]) / 2, (rgb1[1] + rgb2[1]) / 2, (rgb1[2] + rgb2[2]) / 2]
+    };
+  });
 }
 
 /**
- * Get average color of N-pixel horizontal block
- * @param {Uint8ClampedArray} pixels - Image pixels (RGBA)
- * @param {number} width - Image width
- * @param {number} x - Start X
- * @param {number} y - Y coordinate
- * @param {number} blockWidth - Number of pixels to average (default 32 for border timing)
- * @returns {number[]} Average [R, G, B]
+ * Resolve a virtual ink/paper choice into the two frame attributes and the
+ * 4 colours the cell can show. Like the editor, a frame is bright when either
+ * of its colours is bright.
+ * @param {number} ink1 - Frame 1 ink (0-15)
+ * @param {number} ink2 - Frame 2 ink (0-15)
+ * @param {number} paper1 - Frame 1 paper (0-15)
+ * @param {number} paper2 - Frame 2 paper (0-15)
+ * @param {{regular: number[][], bright: number[][]}} palette - Import palette
+ * @returns {{attr1: number, attr2: number, colors: number[][]}} colors = [ink+ink, ink+paper, paper+ink, paper+paper]
  */
-function getBlockAverageColor(pixels, width, x, y, blockWidth = 32) {
-  let r = 0, g = 0, b = 0;
-  const actualWidth = Math.min(blockWidth, width - x); // Don't read past image edge
-  for (let dx = 0; dx < actualWidth; dx++) {
-    const idx = (y * width + x + dx) * 4;
-    r += pixels[idx];
-    g += pixels[idx + 1];
-    b += pixels[idx + 2];
-  }
-  return [r / actualWidth, g / actualWidth, b / actualWidth];
+function resolveGigascreenCell(ink1, ink2, paper1, paper2, palette) {
+  const bright1 = ink1 >= 8 || paper1 >= 8;
+  const bright2 = ink2 >= 8 || paper2 >= 8;
+  const pal1 = bright1 ? palette.bright : palette.regular;
+  const pal2 = bright2 ? palette.bright : palette.regular;
+
+  const i1 = pal1[ink1 % 8];
+  const p1 = pal1[paper1 % 8];
+  const i2 = pal2[ink2 % 8];
+  const p2 = pal2[paper2 % 8];
+  const blend = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2, (a[2] + b[2]) / 2];
+
+  return {
+    attr1: ((paper1 % 8) << 3) | (ink1 % 8) | (bright1 ? 0x40 : 0),
+    attr2: ((paper2 % 8) << 3) | (ink2 % 8) | (bright2 ? 0x40 : 0),
+    colors: [blend(i1, i2), blend(i1, p2), blend(p1, i2), blend(p1, p2)]
+  };
 }
 
 /**
- * Convert image to 53c format (attributes only, 768 bytes)
- * Analyzes each 8x8 cell using the specified pattern to separate ink/paper pixels
- * @param {HTMLCanvasElement} sourceCanvas - Source canvas (256x192)
- * @param {number} brightness - Brightness adjustment
- * @param {number} contrast - Contrast adjustment
+ * Convert a colour to the space used for cell scoring (LAB or RGB)
+ * @param {number[]} rgb - Colour [R, G, B]
+ * @returns {number[]}
+ */
+function gigascreenMetric(rgb) {
+  return useLabMode ? rgbToLabCached(rgb) : [clamp(rgb[0]), clamp(rgb[1]), clamp(rgb[2])];
+}
+
+/**
+ * Pick the virtual ink and paper for one 8x8 cell.
+ * The cell is split into two clusters, the nearest virtual colours to each
+ * cluster become candidates, and every candidate pair (in both frame orders)
+ * is scored by how well its 4 blends cover the cell's pixels.
+ * @param {Float32Array} pixels - Source pixels (RGB)
+ * @param {number} cellX - Cell X position (0-31)
+ * @param {number} cellY - Cell Y position (0-23)
+ * @param {{frame1Color: number, frame2Color: number, rgb: number[]}[]} virtualColors - Virtual palette
+ * @param {{regular: number[][], bright: number[][]}} palette - Import palette
+ * @returns {{attr1: number, attr2: number, colors: number[][]}}
+ */
+function findGigascreenCellColors(pixels, cellX, cellY, virtualColors, palette) {
+  const cellColors = [];
+  for (let dy = 0; dy < 8; dy++) {
+    for (let dx = 0; dx < 8; dx++) {
+      const idx = ((cellY * 8 + dy) * 256 + cellX * 8 + dx) * 3;
+      cellColors.push([pixels[idx], pixels[idx + 1], pixels[idx + 2]]);
+    }
+  }
+  const cellMetric = cellColors.map(gigascreenMetric);
+
+  // Two-means clustering seeded with the darkest and lightest pixels
+  const luma = (c) => c[0] * 0.299 + c[1] * 0.587 + c[2] * 0.114;
+  let dark = cellColors[0];
+  let light = cellColors[0];
+  for (const c of cellColors) {
+    if (luma(c) < luma(dark)) dark = c;
+    if (luma(c) > luma(light)) light = c;
+  }
+  let centroids = [dark.slice(), light.slice()];
+  for (let iter = 0; iter < 4; iter++) {
+    const sums = [[0, 0, 0, 0], [0, 0, 0, 0]];
+    for (const c of cellColors) {
+      const k = colorDistance(c, centroids[0]) <= colorDistance(c, centroids[1]) ? 0 : 1;
+      sums[k][0] += c[0];
+      sums[k][1] += c[1];
+      sums[k][2] += c[2];
+      sums[k][3]++;
+    }
+    centroids = sums.map((s, k) => s[3] > 0 ? [s[0] / s[3], s[1] / s[3], s[2] / s[3]] : centroids[k]);
+  }
+
+  // Nearest virtual colours to each cluster
+  const candidates = centroids.map(centroid => {
+    const ranked = virtualColors.map((vc, i) => ({ i, d: colorDistance(centroid, vc.rgb) }));
+    ranked.sort((a, b) => a.d - b.d);
+    return ranked.slice(0, GIGASCREEN_CANDIDATES).map(r => r.i);
+  });
+
+  let best = null;
+  let bestError = Infinity;
+  for (const inkIndex of candidates[0]) {
+    const ink = virtualColors[inkIndex];
+    for (const paperIndex of candidates[1]) {
+      const paper = virtualColors[paperIndex];
+      // The ink's frame order is fixed; swapping both frames looks the same
+      for (let swap = 0; swap < 2; swap++) {
+        const paper1 = swap ? paper.frame2Color : paper.frame1Color;
+        const paper2 = swap ? paper.frame1Color : paper.frame2Color;
+        const cell = resolveGigascreenCell(ink.frame1Color, ink.frame2Color, paper1, paper2, palette);
+        const blends = cell.colors.map(gigascreenMetric);
+
+        let error = 0;
+        for (let p = 0; p < 64 && error < bestError; p++) {
+          const m = cellMetric[p];
+          let nearest = Infinity;
+          for (let k = 0; k < 4; k++) {
+            const b = blends[k];
+            const d0 = m[0] - b[0];
+            const d1 = m[1] - b[1];
+            const d2 = m[2] - b[2];
+            const d = d0 * d0 + d1 * d1 + d2 * d2;
+            if (d < nearest) nearest = d;
+          }
+          error += nearest;
+        }
+
+        if (error < bestError) {
+          bestError = error;
+          best = cell;
+        }
+      }
+    }
+  }
+
+  // Unreachable with a non-empty palette, but keeps the type checker happy
+  return best || resolveGigascreenCell(0, 0, 15, 15, palette);
+}
+
+/**
+ * Dither the image against per-cell 4-colour palettes.
+ * Returns the chosen blend (0-3) for every pixel. Cell-local dithering keeps
+ * error (and the Riemersma queue) inside each 8x8 cell.
+ * @param {Float32Array} pixels - Source pixels (RGB), modified in place
+ * @param {number[][][]} cellPalettes - 4 colours for each of the 768 cells
+ * @param {string} method - Global dithering name (see mapCellDithering)
+ * @param {boolean} cellLocal - Keep error inside each cell
+ * @returns {Uint8Array} 256×192 blend indices
+ */
+function ditherGigascreen(pixels, cellPalettes, method, cellLocal) {
+  const result = new Uint8Array(256 * 192);
+  const cellOf = (x, y) => (y >> 3) * 32 + (x >> 3);
+
+  const quantize = (x, y, offset) => {
+    const idx = (y * 256 + x) * 3;
+    const pal = cellPalettes[cellOf(x, y)];
+    const k = findNearestColor([clamp(pixels[idx] + offset), clamp(pixels[idx + 1] + offset), clamp(pixels[idx + 2] + offset)], pal);
+    result[y * 256 + x] = k;
+    return pal[k];
+  };
+
+  const thresholdFns = {
+    'ordered': (x, y) => (BAYER_4X4[y % 4][x % 4] / 16 - 0.5) * 64,
+    'ordered8': (x, y) => (BAYER_8X8[y % 8][x % 8] / 64 - 0.5) * 64,
+    'noise': () => (Math.random() - 0.5) * 64,
+    'blue-noise': (x, y) => (BLUE_NOISE_16[y % 16][x % 16] - 128) * 0.5,
+    'pattern': (x, y) => (CLUSTER_8X8[y % 8][x % 8] - 32) * 4
+  };
+
+  if (thresholdFns[method]) {
+    const threshold = thresholdFns[method];
+    for (let y = 0; y < 192; y++) {
+      reportImportProgress('Dithering', y / 192);
+      for (let x = 0; x < 256; x++) {
+        quantize(x, y, threshold(x, y));
+      }
+    }
+  } else if (method === 'riemersma') {
+    const queueSize = 16;
+    const weights = [];
+    let sum = 0;
+    for (let i = 0; i < queueSize; i++) {
+      weights[i] = Math.pow(2, -(i + 1) / 3);
+      sum += weights[i];
+    }
+    for (let i = 0; i < queueSize; i++) weights[i] /= sum;
+
+    const errQueue = [new Array(queueSize).fill(0), new Array(queueSize).fill(0), new Array(queueSize).fill(0)];
+    let lastCell = -1;
+
+    // Hilbert curves visit aligned 8x8 blocks contiguously, so a cell-local
+    // pass only needs to clear the queue when the curve enters a new cell
+    for (const { x, y } of generateHilbertCurve(8)) {
+      if (y >= 192) continue;
+      const cell = cellOf(x, y);
+      if (cellLocal && cell !== lastCell) {
+        for (const q of errQueue) q.fill(0);
+      }
+      lastCell = cell;
+
+      const idx = (y * 256 + x) * 3;
+      for (let ch = 0; ch < 3; ch++) {
+        let add = 0;
+        for (let i = 0; i < queueSize; i++) add += errQueue[ch][i] * weights[i];
+        pixels[idx + ch] += add;
+      }
+      const color = quantize(x, y, 0);
+      for (let ch = 0; ch < 3; ch++) {
+        errQueue[ch].shift();
+        errQueue[ch].push(pixels[idx + ch] - color[ch]);
+      }
+    }
+  } else if (GIGASCREEN_DITHER_KERNELS[method]) {
+    const kernel = GIGASCREEN_DITHER_KERNELS[method];
+    const serpentine = method === 'serpentine';
+
+    for (let y = 0; y < 192; y++) {
+      reportImportProgress('Dithering', y / 192);
+      const reverse = serpentine && y % 2 === 1;
+      for (let step = 0; step < 256; step++) {
+        const x = reverse ? 255 - step : step;
+        const idx = (y * 256 + x) * 3;
+        const color = quantize(x, y, 0);
+        const errR = pixels[idx] - color[0];
+        const errG = pixels[idx + 1] - color[1];
+        const errB = pixels[idx + 2] - color[2];
+        const cell = cellOf(x, y);
+
+        for (const [kdx, dy, weight] of kernel) {
+          const nx = x + (reverse ? -kdx : kdx);
+          const ny = y + dy;
+          if (nx < 0 || nx >= 256 || ny >= 192) continue;
+          if (cellLocal && cellOf(nx, ny) !== cell) continue;
+          const nIdx = (ny * 256 + nx) * 3;
+          pixels[nIdx] += errR * weight;
+          pixels[nIdx + 1] += errG * weight;
+          pixels[nIdx + 2] += errB * weight;
+        }
+      }
+    }
+  } else {
+    // 'none' - nearest blend only
+    for (let y = 0; y < 192; y++) {
+      reportImportProgress('Dithering', y / 192);
+      for (let x = 0; x < 256; x++) {
+        quantize(x, y, 0);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert image to Gigascreen format (two alternating SCR frames)
+ * Each cell gets a virtual ink and paper from the 136-colour virtual palette;
+ * pixels then dither across the 4 blends those two colours produce.
+ * @returns {Uint8Array} 13824-byte Gigascreen data (frame 1 SCR + frame 2 SCR)
+ */
+function convertToGigascreen(sourceCanvas, dithering, brightness, contrast, saturation = 0, gamma = 1.0, grayscale = false, sharpness = 0, smoothing = 0, blackPoint = 0, whitePoint = 255, balanceR = 0, balanceG = 0, balanceB = 0) {
+  updateColorDistanceMode();
+
+  const ctx = sourceCanvas.getContext('2d');
+  if (!ctx) throw new Error('Cannot get canvas context');
+
+  const imageData = ctx.getImageData(0, 0, 256, 192);
+  const pixels = imageData.data;
+
+  applyImageAdjustments(pixels, 256, 192, { brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB });
+
+  const floatPixels = rgbaToFloat(pixels, 256 * 192);
+
+  const palette = getCombinedPalette();
+  const virtualColors = getGigascreenImportColors(palette);
+
+  const img = new Uint8Array(GIGASCREEN.TOTAL_SIZE);
+
+  // Choose cell colours from the undithered image
+  const cellPalettes = [];
+  for (let cellY = 0; cellY < 24; cellY++) {
+    reportImportProgress('Matching cells', cellY / 24);
+    for (let cellX = 0; cellX < 32; cellX++) {
+      const cell = findGigascreenCellColors(floatPixels, cellX, cellY, virtualColors, palette);
+      const attrOffset = SCREEN.BITMAP_SIZE + cellY * 32 + cellX;
+      img[GIGASCREEN.FRAME1_OFFSET + attrOffset] = cell.attr1;
+      img[GIGASCREEN.FRAME2_OFFSET + attrOffset] = cell.attr2;
+      cellPalettes.push(cell.colors);
+    }
+  }
+
+  const blends = ditherGigascreen(floatPixels, cellPalettes, mapCellDithering(dithering), dithering.startsWith('cell-'));
+
+  // Blend k: frame 1 shows ink for k 0-1, frame 2 shows ink for k 0 and 2
+  for (let y = 0; y < 192; y++) {
+    const bitmapOffset = getBitmapOffset(y);
+    for (let col = 0; col < 32; col++) {
+      let byte1 = 0;
+      let byte2 = 0;
+      for (let bit = 0; bit < 8; bit++) {
+        const k = blends[y * 256 + col * 8 + bit];
+        if (k < 2) byte1 |= (0x80 >> bit);
+        if (k % 2 === 0) byte2 |= (0x80 >> bit);
+      }
+      img[GIGASCREEN.FRAME1_OFFSET + bitmapOffset + col] = byte1;
+      img[GIGASCREEN.FRAME2_OFFSET + bitmapOffset + col] = byte2;
+    }
+  }
+
+  return img;
+}
+
+/**
+ * Render Gigascreen data to canvas for preview (frames averaged)
+ * @param {Uint8Array} imgData - Gigascreen data (2 × 6912 SCR frames)
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} zoom - Zoom factor
+ */
+function renderGigascreenToCanvas(imgData, canvas, zoom = 2) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  canvas.width = 256 * zoom;
+  canvas.height = 192 * zoom;
+
+  const imageData = ctx.createImageData(256, 192);
+  const data = imageData.data;
+  const palette = getCombinedPalette();
+
+  const frameColor = (frameOffset, x, y) => {
+    const byte = imgData[frameOffset + getBitmapOffset(y) + (x >> 3)];
+    const attr = imgData[frameOffset + SCREEN.BITMAP_SIZE + (y >> 3) * 32 + (x >> 3)];
+    const pal = (attr & 0x40) ? palette.bright : palette.regular;
+    return (byte & (0x80 >> (x % 8))) ? pal[attr & 0x07] : pal[(attr >> 3) & 0x07];
+  };
+
+  for (let y = 0; y < 192; y++) {
+    for (let x = 0; x < 256; x++) {
+      const c1 = frameColor(GIGASCREEN.FRAME1_OFFSET, x, y);
+      const c2 = frameColor(GIGASCREEN.FRAME2_OFFSET, x, y);
+      const idx = (y * 256 + x) * 4;
+      data[idx] = (c1[0] + c2[0]) >> 1;
+      data[idx + 1] = (c1[1] + c2[1]) >> 1;
+      data[idx + 2] = (c1[2] + c2[2]) >> 1;
+      data[idx + 3] = 255;
+    }
+  }
+
+  const temp = getImportTempCanvas(256, 192);
+  if (temp) {
+    temp.ctx.putImageData(imageData, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(temp.canvas, 0, 0, 256 * zoom, 192 * zoom);
+  }
+}
+
+// BSC format constants
+const BSC_CONST = {
+  TOTAL_SIZE: 11136,
+  BORDER_OFFSET: 6912,
+  FRAME_WIDTH: 384,
+  FRAME_HEIGHT: 304,
+  BORDER_LEFT_PX: 64,
+  BORDER_TOP_PX: 64,
+  BORDER_BOTTOM_PX: 48,
+  BYTES_PER_FULL_LINE: 24,
+  BYTES_PER_SIDE_LINE: 8,
+  PIXELS_PER_COLOR: 8
+};
+
+/**
+ * Find nearest color from regular palette only (for border)
+ * @param {number[]} rgb - Target color [R, G, B]
+ * @param {number[][]} regularPalette - Regular palette colors (8 colors)
+ * @returns {number} Nearest color index (0-7)
+ */
+function findNearestBorderColor(rgb, regularPalette) {
+  let minDist = Infinity;
+  let nearest = 0;
+  for (let i = 0; i < 8; i++) {
+    const dist = colorDistance(rgb, regularPalette[i]);
+    if (dist < minDist) {
+      minDist = dist;
+      nearest = i;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Get average color of N-pixel horizontal block
+ * @param {Uint8ClampedArray} pixels - Image pixels (RGBA)
+ * @param {number} width - Image width
+ * @param {number} x - Start X
+ * @param {number} y - Y coordinate
+ * @param {number} blockWidth - Number of pixels to average (default 32 for border timing)
+ * @returns {number[]} Average [R, G, B]
+ */
+function getBlockAverageColor(pixels, width, x, y, blockWidth = 32) {
+  let r = 0, g = 0, b = 0;
+  const actualWidth = Math.min(blockWidth, width - x); // Don't read past image edge
+  for (let dx = 0; dx < actualWidth; dx++) {
+    const idx = (y * width + x + dx) * 4;
+    r += pixels[idx];
+    g += pixels[idx + 1];
+    b += pixels[idx + 2];
+  }
+  return [r / actualWidth, g / actualWidth, b / actualWidth];
+}
+
+/**
+ * Convert image to 53c format (attributes only, 768 bytes)
+ * Analyzes each 8x8 cell using the specified pattern to separate ink/paper pixels
+ * @param {HTMLCanvasElement} sourceCanvas - Source canvas (256x192)
+ * @param {number} brightness - Brightness adjustment
+ * @param {number} contrast - Contrast adjustment
  * @param {number} saturation - Saturation adjustment
  * @param {number} gamma - Gamma correction
  * @param {boolean} grayscale - Convert to grayscale
@@ -3934,6 +4990,180 @@ function convertTo53c(sourceCanvas, brightness, contrast, saturation = 0, gamma
   return attrData;
 }
 
+// ============================================================================
+// SPECSCII Conversion (character art)
+// Each 8x8 cell becomes one character plus INK/PAPER/BRIGHT
+// ============================================================================
+
+/**
+ * Get the glyph set used for SPECSCII conversion
+ * @param {string} source - 'font' (currently loaded font) or 'udg' (UDG brush tab)
+ * @returns {Uint8Array|null} 768 bytes (96 glyphs for codes 0x20-0x7F), or null if unavailable
+ */
+function getSpecsciiImportGlyphs(source) {
+  if (source === 'udg') {
+    const tab = typeof brushTabs !== 'undefined' ? brushTabs.find(t => t.name === 'UDG' && t.type === 'tileset') : null;
+    return tab && tab.data.length >= SPECSCII.FONT_SIZE ? tab.data.slice(0, SPECSCII.FONT_SIZE) : null;
+  }
+  return fontData.length >= SPECSCII.FONT_SIZE ? fontData.slice(0, SPECSCII.FONT_SIZE) : null;
+}
+
+/**
+ * Get one scan line of a SPECSCII character
+ * @param {Uint8Array} glyphs - 768-byte glyph set for codes 0x20-0x7F
+ * @param {number} code - Character code (0x20-0x7F glyph, 0x80-0x8F block graphic)
+ * @param {number} line - Scan line (0-7)
+ * @returns {number} 8-bit row, MSB = leftmost pixel
+ */
+function getSpecsciiImportGlyphRow(glyphs, code, line) {
+  if (code >= 0x80) {
+    // Block graphics: bit 1 top-left, bit 0 top-right, bit 3 bottom-left, bit 2 bottom-right
+    const pattern = code & 0x0F;
+    const leftBit = line < 4 ? 0x02 : 0x08;
+    const rightBit = line < 4 ? 0x01 : 0x04;
+    return ((pattern & leftBit) ? 0xF0 : 0) | ((pattern & rightBit) ? 0x0F : 0);
+  }
+  return glyphs[(code - SPECSCII.FIRST_CHAR) * 8 + line] || 0;
+}
+
+/**
+ * Build the list of candidate characters for a charset restriction.
+ * Characters with identical shapes are kept only once (first code wins).
+ * @param {Uint8Array} glyphs - 768-byte glyph set
+ * @param {string} charset - 'all', 'printable' (0x20-0x7F) or 'blocks' (0x80-0x8F)
+ * @returns {{code: number, bits: number[]}[]} Candidates with the indices (0-63) of their ink pixels
+ */
+function buildSpecsciiCandidates(glyphs, charset) {
+  const codes = [];
+  if (charset !== 'blocks') {
+    for (let code = 0x20; code <= 0x7F; code++) codes.push(code);
+  }
+  if (charset !== 'printable') {
+    for (let code = 0x80; code <= 0x8F; code++) codes.push(code);
+  }
+
+  const seen = new Set();
+  const candidates = [];
+  for (const code of codes) {
+    const bits = [];
+    let key = '';
+    for (let line = 0; line < 8; line++) {
+      const row = getSpecsciiImportGlyphRow(glyphs, code, line);
+      key += String.fromCharCode(row);
+      for (let bit = 0; bit < 8; bit++) {
+        if (row & (0x80 >> bit)) bits.push(line * 8 + bit);
+      }
+    }
+    if (seen.has(key)) continue;
+    seen.add(key);
+    candidates.push({ code, bits });
+  }
+  return candidates;
+}
+
+/**
+ * Show the SPECSCII options row for the SPECSCII format and enable the UDG
+ * glyph source only while the UDG tab is loaded
+ * @param {string} format - Selected import format
+ */
+function updateSpecsciiImportOptions(format) {
+  const row = document.getElementById('importSpecsciiRow');
+  if (row) {
+    row.style.display = format === 'specscii' ? 'flex' : 'none';
+  }
+  const select = importElements.specsciiGlyphs;
+  if (!select) return;
+  const udgOption = Array.from(select.options).find(o => o.value === 'udg');
+  if (udgOption) {
+    udgOption.disabled = !getSpecsciiImportGlyphs('udg');
+    if (udgOption.disabled && select.value === 'udg') select.value = 'font';
+  }
+}
+
+/**
+ * Convert image to SPECSCII character art.
+ * For every cell and candidate character, the best ink and paper follow
+ * independently from the pixels under the glyph's set and clear bits, so the
+ * search only has to compare colour sums per character and BRIGHT level.
+ * @param {HTMLCanvasElement} sourceCanvas - Source canvas (256x192)
+ * @param {string} charset - 'all', 'printable' or 'blocks'
+ * @param {Uint8Array} glyphs - 768-byte glyph set (see getSpecsciiImportGlyphs)
+ * @returns {{chars: Uint8Array, attrs: Uint8Array, glyphs: Uint8Array}} 32×24 character and attribute grids
+ */
+function convertToSpecscii(sourceCanvas, brightness, contrast, saturation = 0, gamma = 1.0, grayscale = false, sharpness = 0, smoothing = 0, blackPoint = 0, whitePoint = 255, balanceR = 0, balanceG = 0, balanceB = 0, charset = 'all', glyphs = fontData) {
+  updateColorDistanceMode();
+
+  const ctx = sourceCanvas.getContext('2d');
+  if (!ctx) throw new Error('Cannot get canvas context');
+
+  const imageData = ctx.getImageData(0, 0, 256, 192);
+  const pixels = imageData.data;
+
+  applyImageAdjustments(pixels, 256, 192, { brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB });
+
+  const palette = getCombinedPalette();
+  const colors = [...palette.regular, ...palette.bright];
+  const candidates = buildSpecsciiCandidates(glyphs, charset);
+
+  const chars = new Uint8Array(768);
+  const attrs = new Uint8Array(768);
+
+  // dist[c * 64 + p]: distance of cell pixel p to colour c (0-7 normal, 8-15 bright)
+  const dist = new Float64Array(16 * 64);
+  const total = new Float64Array(16);
+  const setSum = new Float64Array(16);
+
+  for (let row = 0; row < 24; row++) {
+    reportImportProgress('Matching cells', row / 24);
+    for (let col = 0; col < 32; col++) {
+      total.fill(0);
+      for (let p = 0; p < 64; p++) {
+        const idx = ((row * 8 + (p >> 3)) * 256 + col * 8 + (p & 7)) * 4;
+        const rgb = [pixels[idx], pixels[idx + 1], pixels[idx + 2]];
+        for (let c = 0; c < 16; c++) {
+          const d = colorDistance(rgb, colors[c]);
+          dist[c * 64 + p] = d;
+          total[c] += d;
+        }
+      }
+
+      let bestError = Infinity;
+      let bestCode = 0x20;
+      let bestAttr = 0x38;
+
+      for (const cand of candidates) {
+        for (let c = 0; c < 16; c++) {
+          let sum = 0;
+          const base = c * 64;
+          for (const p of cand.bits) sum += dist[base + p];
+          setSum[c] = sum;
+        }
+
+        for (let bright = 0; bright <= 1; bright++) {
+          const base = bright * 8;
+          let ink = 0;
+          let paper = 0;
+          for (let c = 1; c < 8; c++) {
+            if (setSum[base + c] < setSum[base + ink]) ink = c;
+            if (total[base + c] - setSum[base + c] < total[base + paper] - setSum[base + paper]) paper = c;
+          }
+          const error = setSum[base + ink] + total[base + paper] - setSum[base + paper];
+          if (error < bestError) {
+            bestError = error;
+            bestCode = cand.code;
+            bestAttr = (paper << 3) | ink | (bright ? 0x40 : 0);
+          }
+        }
+      }
+
+      chars[row * 32 + col] = bestCode;
+      attrs[row * 32 + col] = bestAttr;
+    }
+  }
+
+  return { chars, attrs, glyphs };
+}
+
 /**
  * Convert image to BSC format (384x304 with borders)
  * @param {HTMLCanvasElement} sourceCanvas - Source canvas (384x304)
@@ -3963,9 +5193,7 @@ function convertToBsc(sourceCanvas, dithering, brightness, contrast, saturation
   applyImageAdjustments(pixels, 384, 304, { brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB });
 
   // Extract main screen area (256x192 at offset 64,64)
-  const mainCanvas = document.createElement('canvas');
-  mainCanvas.width = 256;
-  mainCanvas.height = 192;
+  const mainCanvas = createConversionCanvas(256, 192);
   const mainCtx = mainCanvas.getContext('2d');
   if (!mainCtx) throw new Error('Cannot get main canvas context');
 
@@ -4109,6 +5337,7 @@ function convertMainAreaToScr(sourceCanvas, dithering, monoOutput = false) {
     } : null;
 
     for (let cellY = 0; cellY < 24; cellY++) {
+      reportImportProgress('Matching cells', cellY / 24);
       for (let cellX = 0; cellX < 32; cellX++) {
         const colors = monoColors || findCellColors(floatPixels, cellX, cellY, 256, palette);
 
@@ -4179,6 +5408,7 @@ function convertMainAreaToScr(sourceCanvas, dithering, monoOutput = false) {
     }
 
     for (let cellY = 0; cellY < 24; cellY++) {
+      reportImportProgress('Matching cells', cellY / 24);
       for (let cellX = 0; cellX < 32; cellX++) {
         const cell = monoOutput
           ? analyzeCellMono(floatPixels, cellX, cellY, 256, palette.bright[0], palette.bright[7])
@@ -4775,65 +6005,636 @@ function render53cToCanvas(attrData, canvas, zoom = 2, pattern = 'checker') {
     }
   }
 
-  const temp = getImportTempCanvas(256, 192);
-  if (temp) {
-    temp.ctx.putImageData(imageData, 0, 0);
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(temp.canvas, 0, 0, 256 * zoom, 192 * zoom);
-  }
+  const temp = getImportTempCanvas(256, 192);
+  if (temp) {
+    temp.ctx.putImageData(imageData, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(temp.canvas, 0, 0, 256 * zoom, 192 * zoom);
+  }
+}
+
+/**
+ * Render SPECSCII conversion result to a canvas
+ * @param {{chars: Uint8Array, attrs: Uint8Array, glyphs: Uint8Array}} specData - Result of convertToSpecscii
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} zoom - Zoom level
+ */
+function renderSpecsciiToCanvas(specData, canvas, zoom = 2) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  canvas.width = 256 * zoom;
+  canvas.height = 192 * zoom;
+
+  const imageData = ctx.createImageData(256, 192);
+  const pixels = imageData.data;
+  const palette = getCombinedPalette();
+
+  for (let row = 0; row < 24; row++) {
+    for (let col = 0; col < 32; col++) {
+      const code = specData.chars[row * 32 + col];
+      const attr = specData.attrs[row * 32 + col];
+      const pal = (attr & 0x40) ? palette.bright : palette.regular;
+      const inkColor = pal[attr & 0x07];
+      const paperColor = pal[(attr >> 3) & 0x07];
+
+      for (let line = 0; line < 8; line++) {
+        const glyphRow = getSpecsciiImportGlyphRow(specData.glyphs, code, line);
+        for (let px = 0; px < 8; px++) {
+          const color = (glyphRow & (0x80 >> px)) ? inkColor : paperColor;
+          const idx = ((row * 8 + line) * 256 + col * 8 + px) * 4;
+          pixels[idx] = color[0];
+          pixels[idx + 1] = color[1];
+          pixels[idx + 2] = color[2];
+          pixels[idx + 3] = 255;
+        }
+      }
+    }
+  }
+
+  const temp = getImportTempCanvas(256, 192);
+  if (temp) {
+    temp.ctx.putImageData(imageData, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(temp.canvas, 0, 0, 256 * zoom, 192 * zoom);
+  }
+}
+
+/**
+ * Render monochrome data to a canvas (bitmap only)
+ */
+function renderMonoToCanvas(monoData, canvas, zoom = 2, thirds = 3) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  const height = thirds * 64;
+  canvas.width = 256 * zoom;
+  canvas.height = 192 * zoom;  // Always 192 for display
+
+  const imageData = ctx.createImageData(256, 192);
+  const pixels = imageData.data;
+  const palette = getCombinedPalette();
+  const ink = palette.bright[0];   // Black
+  const paper = palette.bright[7]; // White
+
+  // Fill with paper first
+  for (let i = 0; i < 256 * 192 * 4; i += 4) {
+    pixels[i] = paper[0];
+    pixels[i + 1] = paper[1];
+    pixels[i + 2] = paper[2];
+    pixels[i + 3] = 255;
+  }
+
+  // Render the bitmap data
+  for (let y = 0; y < height; y++) {
+    const bitmapOffset = getBitmapOffset(y);
+
+    for (let x = 0; x < 256; x++) {
+      const cellX = Math.floor(x / 8);
+      const bitPos = x % 8;
+
+      const byte = monoData[bitmapOffset + cellX];
+      const isInk = (byte & (0x80 >> bitPos)) !== 0;
+      const color = isInk ? ink : paper;
+
+      const idx = (y * 256 + x) * 4;
+      pixels[idx] = color[0];
+      pixels[idx + 1] = color[1];
+      pixels[idx + 2] = color[2];
+      pixels[idx + 3] = 255;
+    }
+  }
+
+  const temp = getImportTempCanvas(256, 192);
+  if (temp) {
+    temp.ctx.putImageData(imageData, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(temp.canvas, 0, 0, 256 * zoom, 192 * zoom);
+  }
+}
+
+/**
+ * Render Timex hi-colour data to canvas
+ * @param {Uint8Array} timexData - 12288 bytes (bitmap + interleaved 8×1 attributes)
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} zoom - Zoom level
+ */
+function renderTimexHicolorToCanvas(timexData, canvas, zoom = 2) {
+  // Re-lay the attributes linearly and reuse the MLT renderer
+  const mltData = new Uint8Array(12288);
+  mltData.set(timexData.subarray(0, 6144), 0);
+  for (let y = 0; y < 192; y++) {
+    const bitmapOffset = getBitmapOffset(y);
+    for (let col = 0; col < 32; col++) {
+      mltData[6144 + y * 32 + col] = timexData[6144 + bitmapOffset + col];
+    }
+  }
+  renderMltToCanvas(mltData, canvas, zoom);
+}
+
+/**
+ * Render Timex hi-res data to canvas (512 pixels squeezed into the normal screen width)
+ * @param {Uint8Array} timexData - 12289 bytes (two display files + port 0xFF value)
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} zoom - Zoom level
+ */
+function renderTimexHiresToCanvas(timexData, canvas, zoom = 2) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  canvas.width = 256 * zoom;
+  canvas.height = 192 * zoom;
+
+  const imageData = ctx.createImageData(512, 192);
+  const pixels = imageData.data;
+  const palette = getCombinedPalette();
+  const inkIndex = (timexData[12288] >> 3) & 0x07;
+  const ink = palette.bright[inkIndex];
+  const paper = palette.bright[7 - inkIndex];
+
+  for (let y = 0; y < 192; y++) {
+    const bitmapOffset = getBitmapOffset(y);
+
+    for (let x = 0; x < 512; x++) {
+      const col = Math.floor(x / 8);
+      const fileOffset = (col & 1) ? 6144 : 0;
+      const byte = timexData[fileOffset + bitmapOffset + (col >> 1)];
+      const color = (byte & (0x80 >> (x % 8))) !== 0 ? ink : paper;
+
+      const idx = (y * 512 + x) * 4;
+      pixels[idx] = color[0];
+      pixels[idx + 1] = color[1];
+      pixels[idx + 2] = color[2];
+      pixels[idx + 3] = 255;
+    }
+  }
+
+  const temp = getImportTempCanvas(512, 192);
+  if (temp) {
+    temp.ctx.putImageData(imageData, 0, 0);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(temp.canvas, 0, 0, 256 * zoom, 192 * zoom);
+  }
+}
+
+/**
+ * Render Next Layer 2 data to canvas (640x256 is squeezed to 320 columns)
+ * @param {Uint8Array} nextData - Palette (512 bytes) followed by pixels
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} zoom - Zoom level
+ * @param {string} format - 'next_l2_256', 'next_l2_320' or 'next_l2_640'
+ */
+function renderNextLayer2ToCanvas(nextData, canvas, zoom = 2, format = 'next_l2_256') {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  const { width, height } = getNextLayer2Geometry(format);
+  const displayWidth = Math.min(width, 320);
+  canvas.width = displayWidth * zoom;
+  canvas.height = height * zoom;
+
+  const imageData = ctx.createImageData(width, height);
+  const pixels = imageData.data;
+  const palette = getNextPaletteRgb(nextData);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = palette[getNextLayer2Pixel(nextData, format, x, y)];
+      const idx = (y * width + x) * 4;
+      pixels[idx] = color[0];
+      pixels[idx + 1] = color[1];
+      pixels[idx + 2] = color[2];
+      pixels[idx + 3] = 255;
+    }
+  }
+
+  const temp = getImportTempCanvas(width, height);
+  if (temp) {
+    temp.ctx.putImageData(imageData, 0, 0);
+    ctx.imageSmoothingEnabled = width > displayWidth;
+    ctx.drawImage(temp.canvas, 0, 0, displayWidth * zoom, height * zoom);
+  }
+}
+
+// ============================================================================
+// Conversion Dispatch
+// ============================================================================
+
+/**
+ * @typedef {Object} ImportSettings
+ * @property {string} format - Import format value ('scr', 'bsc', 'ulaplus', ...)
+ * @property {string} dithering - Dithering method
+ * @property {number} brightness - Brightness adjustment (-100 to 100)
+ * @property {number} contrast - Contrast adjustment (-100 to 100)
+ * @property {number} saturation - Saturation adjustment (-100 to 100)
+ * @property {number} gamma - Gamma (0.1-3.0)
+ * @property {boolean} grayscale - Convert to grayscale first
+ * @property {number} sharpness - Sharpness (0-100)
+ * @property {number} smoothing - Bilateral smoothing (0-100)
+ * @property {number} blackPoint - Levels black point (0-255)
+ * @property {number} whitePoint - Levels white point (0-255)
+ * @property {number} balanceR - Red balance (-100 to 100)
+ * @property {number} balanceG - Green balance (-100 to 100)
+ * @property {number} balanceB - Blue balance (-100 to 100)
+ * @property {boolean} monoOutput - Force monochrome attributes
+ * @property {string} pattern53c - .53c fill pattern
+ * @property {number} timexInk - Timex hi-res ink colour (0-7)
+ * @property {string} nextPalette - Next Layer 2 palette mode
+ * @property {string} specsciiCharset - SPECSCII character subset
+ * @property {string} specsciiGlyphSource - SPECSCII glyph source ('font' or 'udg')
+ * @property {Uint8Array|null} glyphs - SPECSCII glyph set (768 bytes)
+ * @property {Uint8Array|null} ulaPlusPalette - External ULA+ palette, null = auto
+ * @property {number} optimizeTime - Time budget for 'optimized' dithering (ms)
+ */
+
+/**
+ * Creates a scratch canvas for converters; the conversion worker has no DOM
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement}
+ */
+function createConversionCanvas(width, height) {
+  if (typeof document === 'undefined') {
+    return /** @type {HTMLCanvasElement} */ (/** @type {unknown} */ (new OffscreenCanvas(width, height)));
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Reads the current import dialog settings
+ * @returns {ImportSettings}
+ */
+function readImportSettings() {
+  const format = importElements.format?.value || 'scr';
+  const specsciiGlyphSource = importElements.specsciiGlyphs?.value || 'font';
+  return {
+    format,
+    dithering: importElements.dithering?.value || 'floyd-steinberg',
+    brightness: parseInt(importElements.brightness?.value || '0', 10),
+    contrast: parseInt(importElements.contrast?.value || '0', 10),
+    saturation: parseInt(importElements.saturation?.value || '0', 10),
+    gamma: parseInt(importElements.gamma?.value || '100', 10) / 100,
+    grayscale: importElements.grayscale?.checked || false,
+    sharpness: parseInt(importElements.sharpness?.value || '0', 10),
+    smoothing: parseInt(importElements.smoothing?.value || '0', 10),
+    blackPoint: parseInt(importElements.blackPoint?.value || '0', 10),
+    whitePoint: parseInt(importElements.whitePoint?.value || '255', 10),
+    balanceR: parseInt(importElements.balanceR?.value || '0', 10),
+    balanceG: parseInt(importElements.balanceG?.value || '0', 10),
+    balanceB: parseInt(importElements.balanceB?.value || '0', 10),
+    monoOutput: importElements.monoOutput?.checked || false,
+    pattern53c: importElements.pattern53c?.value || 'checker',
+    timexInk: parseInt(importElements.timexInk?.value || '0', 10),
+    nextPalette: importElements.nextPalette?.value || 'adaptive',
+    specsciiCharset: importElements.specsciiCharset?.value || 'all',
+    specsciiGlyphSource,
+    glyphs: format === 'specscii' ? getSpecsciiImportGlyphs(specsciiGlyphSource) : null,
+    ulaPlusPalette: importUlaPlusPalette,
+    optimizeTime: parseInt(importElements.optimizeTime?.value || '2000', 10)
+  };
+}
+
+/**
+ * Gets the prepared source canvas a format converts from
+ * @param {string} format - Import format value
+ * @returns {HTMLCanvasElement|null} null if that source has not been prepared
+ */
+function getImportSourceCanvas(format) {
+  if (format === 'bsc' || format === 'bmc4') return importSourceCanvasBsc;
+  if (format === 'timex_hires') return importSourceCanvasHires;
+  if (format === 'next_l2_256' || format === 'next_l2_320' || format === 'next_l2_640') {
+    return getNextImportSourceCanvas(format);
+  }
+  return importSourceCanvas;
+}
+
+/**
+ * Gets the picture format and file extension an import format produces
+ * @param {string} format - Import format value
+ * @returns {{outputFormat: string, fileExt: string}}
+ */
+function getImportOutputType(format) {
+  switch (format) {
+    case '53c': return { outputFormat: FORMAT.ATTR_53C, fileExt: '.53c' };
+    case 'specscii': return { outputFormat: FORMAT.SPECSCII, fileExt: '.specscii' };
+    case 'bsc': return { outputFormat: FORMAT.BSC, fileExt: '.bsc' };
+    case 'ifl': return { outputFormat: FORMAT.IFL, fileExt: '.ifl' };
+    case 'mlt': return { outputFormat: FORMAT.MLT, fileExt: '.mlt' };
+    case 'timex_hicolor': return { outputFormat: FORMAT.TIMEX_HICOLOR, fileExt: '.scr' };
+    case 'timex_hires': return { outputFormat: FORMAT.TIMEX_HIRES, fileExt: '.scr' };
+    case 'next_l2_256': return { outputFormat: FORMAT.NEXT_L2_256, fileExt: '.nxi' };
+    case 'next_l2_320': return { outputFormat: FORMAT.NEXT_L2_320, fileExt: '.nxi' };
+    case 'next_l2_640': return { outputFormat: FORMAT.NEXT_L2_640, fileExt: '.nxi' };
+    case 'bmc4': return { outputFormat: FORMAT.BMC4, fileExt: '.bmc4' };
+    case 'gigascreen': return { outputFormat: FORMAT.GIGASCREEN, fileExt: '.img' };
+    case 'rgb3': return { outputFormat: FORMAT.RGB3, fileExt: '.3' };
+    case 'mono_full': return { outputFormat: FORMAT.MONO_FULL, fileExt: '.scr' };
+    case 'mono_2_3': return { outputFormat: FORMAT.MONO_2_3, fileExt: '.scr' };
+    case 'mono_1_3': return { outputFormat: FORMAT.MONO_1_3, fileExt: '.scr' };
+    case 'ulaplus': return { outputFormat: FORMAT.SCR_ULAPLUS, fileExt: '.scr' };
+    default: return { outputFormat: FORMAT.SCR, fileExt: '.scr' };
+  }
+}
+
+/** @type {Object<string, number>} - Screen thirds covered by each monochrome import format */
+const MONO_IMPORT_THIRDS = { mono_full: 3, mono_2_3: 2, mono_1_3: 1 };
+
+/**
+ * Runs the converter for settings.format (used by the worker and as the inline fallback)
+ * @param {HTMLCanvasElement} source - Source canvas sized for the format
+ * @param {ImportSettings} s - Conversion settings
+ * @returns {*} Converter result (see the matching convertTo* function)
+ */
+function runImportConverter(source, s) {
+  const d = s.dithering;
+  switch (s.format) {
+    case '53c':
+      return convertTo53c(source, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.pattern53c);
+    case 'specscii':
+      return convertToSpecscii(source, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.specsciiCharset, s.glyphs || fontData);
+    case 'bsc':
+      return convertToBsc(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.monoOutput);
+    case 'ifl':
+      return convertToIfl(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.monoOutput);
+    case 'mlt':
+      return convertToMlt(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.monoOutput);
+    case 'timex_hicolor':
+      return convertToTimexHicolor(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.monoOutput);
+    case 'timex_hires':
+      return convertToTimexHires(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.timexInk);
+    case 'next_l2_256':
+    case 'next_l2_320':
+    case 'next_l2_640':
+      return convertToNextLayer2(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.format, s.nextPalette);
+    case 'bmc4':
+      return convertToBmc4(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.monoOutput);
+    case 'gigascreen':
+      return convertToGigascreen(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB);
+    case 'rgb3':
+      return convertToRgb3(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB);
+    case 'mono_full':
+    case 'mono_2_3':
+    case 'mono_1_3':
+      return convertToMono(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, MONO_IMPORT_THIRDS[s.format]);
+    case 'ulaplus':
+      return convertToUlaPlus(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.ulaPlusPalette);
+    default:
+      return convertToScr(source, d, s.brightness, s.contrast, s.saturation, s.gamma, s.grayscale, s.sharpness, s.smoothing, s.blackPoint, s.whitePoint, s.balanceR, s.balanceG, s.balanceB, s.monoOutput, s.optimizeTime);
+  }
+}
+
+/**
+ * Draws a converter result onto the preview canvas
+ * @param {*} result - Value returned by runImportConverter
+ * @param {ImportSettings} s - Settings the result was converted with
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} zoom - Zoom level
+ */
+function renderImportResult(result, s, canvas, zoom) {
+  switch (s.format) {
+    case '53c': render53cToCanvas(result, canvas, zoom, s.pattern53c); break;
+    case 'specscii': renderSpecsciiToCanvas(result, canvas, zoom); break;
+    case 'bsc': renderBscToCanvas(result, canvas, zoom); break;
+    case 'ifl': renderIflToCanvas(result, canvas, zoom); break;
+    case 'mlt': renderMltToCanvas(result, canvas, zoom); break;
+    case 'timex_hicolor': renderTimexHicolorToCanvas(result, canvas, zoom); break;
+    case 'timex_hires': renderTimexHiresToCanvas(result, canvas, zoom); break;
+    case 'next_l2_256':
+    case 'next_l2_320':
+    case 'next_l2_640': renderNextLayer2ToCanvas(result, canvas, zoom, s.format); break;
+    case 'bmc4': renderBmc4ToCanvas(result, canvas, zoom); break;
+    case 'gigascreen': renderGigascreenToCanvas(result, canvas, zoom); break;
+    case 'rgb3': renderRgb3ToCanvas(result, canvas, zoom); break;
+    case 'mono_full':
+    case 'mono_2_3':
+    case 'mono_1_3': renderMonoToCanvas(result, canvas, zoom, MONO_IMPORT_THIRDS[s.format]); break;
+    case 'ulaplus': renderUlaPlusToCanvas(result.data, canvas, zoom); break;
+    default: renderScrToCanvas(result, canvas, zoom);
+  }
+}
+
+// ============================================================================
+// Conversion Worker
+// ============================================================================
+// One worker serves all conversions while the import dialog is open. Jobs carry
+// an id; a superseded job's reply is dropped, and only the newest job waits for
+// the worker to go idle. Where shared memory is available the running job also
+// checks a shared cancel cell at its progress points and stops early.
+
+/** @type {Worker|null} */
+let importWorker = null;
+
+/** @type {boolean} - Workers unavailable (e.g. page opened from file://); convert inline */
+let importWorkerFailed = false;
+
+/** @type {number} - Id of the most recent conversion job */
+let importJobId = 0;
+
+/** @type {number} - Id of the job the worker is running, 0 when idle */
+let importRunningJobId = 0;
+
+/** @type {{message: Object, transfer: Transferable[]}|null} - Newest job, posted once the worker is idle */
+let importQueuedJob = null;
+
+/** @type {Int32Array|null} - Shared with the worker: id of the job it should keep running (needs cross-origin isolation) */
+let importCancelCell = null;
+
+/**
+ * @typedef {Object} ImportJob
+ * @property {number} id
+ * @property {HTMLCanvasElement} source
+ * @property {ImportSettings} settings
+ * @property {function(*): void} resolve
+ * @property {function(Error): void} reject
+ */
+
+/** @type {ImportJob|null} - Job whose result is awaited */
+let importPendingJob = null;
+
+/**
+ * Shows conversion progress in the preview header
+ * @param {string|null} label - Stage name, null to hide
+ * @param {number} [fraction] - Completed fraction (0-1)
+ */
+function showImportProgress(label, fraction = 0) {
+  const el = importElements.progress;
+  if (!el) return;
+  if (label === null) {
+    el.style.display = 'none';
+    el.textContent = '';
+    return;
+  }
+  el.textContent = `${label}… ${Math.round(fraction * 100)}%`;
+  el.style.display = '';
+}
+
+/**
+ * Gets the conversion worker, starting it if needed
+ * @returns {Worker|null} null if workers are unavailable
+ */
+function getImportWorker() {
+  if (importWorker || importWorkerFailed) return importWorker;
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+    importWorkerFailed = true;
+    return null;
+  }
+  try {
+    importWorker = new Worker('js/import_worker.js');
+  } catch (e) {
+    importWorkerFailed = true;
+    return null;
+  }
+  importWorker.addEventListener('message', handleImportWorkerMessage);
+  importWorker.addEventListener('error', handleImportWorkerError);
+
+  if (typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated) {
+    importCancelCell = new Int32Array(new SharedArrayBuffer(4));
+    importWorker.postMessage({ type: 'cancelCell', cell: importCancelCell });
+  }
+  return importWorker;
 }
 
 /**
- * Render monochrome data to a canvas (bitmap only)
+ * Sets the job the worker should keep running; any other running job stops at its next progress point
+ * @param {number} id - Job id, 0 to stop the running job
  */
-function renderMonoToCanvas(monoData, canvas, zoom = 2, thirds = 3) {
-  const ctx = canvas.getContext('2d');
-  if (!ctx) return;
+function setImportCancelCell(id) {
+  if (importCancelCell) Atomics.store(importCancelCell, 0, id);
+}
 
-  const height = thirds * 64;
-  canvas.width = 256 * zoom;
-  canvas.height = 192 * zoom;  // Always 192 for display
+/**
+ * Posts the queued job if the worker is idle
+ */
+function postQueuedImportJob() {
+  if (!importWorker || importRunningJobId || !importQueuedJob) return;
+  const { message, transfer } = importQueuedJob;
+  importQueuedJob = null;
+  importRunningJobId = message.id;
+  importWorker.postMessage(message, transfer);
+}
 
-  const imageData = ctx.createImageData(256, 192);
-  const pixels = imageData.data;
-  const palette = getCombinedPalette();
-  const ink = palette.bright[0];   // Black
-  const paper = palette.bright[7]; // White
+/**
+ * Handles progress and result messages from the conversion worker
+ * @param {MessageEvent} e
+ */
+function handleImportWorkerMessage(e) {
+  const msg = e.data;
 
-  // Fill with paper first
-  for (let i = 0; i < 256 * 192 * 4; i += 4) {
-    pixels[i] = paper[0];
-    pixels[i + 1] = paper[1];
-    pixels[i + 2] = paper[2];
-    pixels[i + 3] = 255;
+  if (msg.type !== 'progress' && msg.id === importRunningJobId) {
+    importRunningJobId = 0;
+    postQueuedImportJob();
   }
 
-  // Render the bitmap data
-  for (let y = 0; y < height; y++) {
-    const bitmapOffset = getBitmapOffset(y);
+  // Replies to superseded or cancelled jobs are dropped
+  if (!importPendingJob || msg.id !== importPendingJob.id) return;
 
-    for (let x = 0; x < 256; x++) {
-      const cellX = Math.floor(x / 8);
-      const bitPos = x % 8;
+  if (msg.type === 'progress') {
+    showImportProgress(msg.label, msg.fraction);
+    return;
+  }
 
-      const byte = monoData[bitmapOffset + cellX];
-      const isInk = (byte & (0x80 >> bitPos)) !== 0;
-      const color = isInk ? ink : paper;
+  const job = importPendingJob;
+  importPendingJob = null;
+  showImportProgress(null);
+  if (msg.type === 'result') {
+    job.resolve(msg.result);
+  } else if (msg.type === 'cancelled') {
+    job.resolve(null);
+  } else {
+    job.reject(new Error(msg.message));
+  }
+}
 
-      const idx = (y * 256 + x) * 4;
-      pixels[idx] = color[0];
-      pixels[idx + 1] = color[1];
-      pixels[idx + 2] = color[2];
-      pixels[idx + 3] = 255;
-    }
+/**
+ * The worker script failed to load; finish the pending job inline and stop using workers
+ * @param {ErrorEvent} e
+ */
+function handleImportWorkerError(e) {
+  e.preventDefault();
+  importWorkerFailed = true;
+  terminateImportWorker();
+
+  const job = importPendingJob;
+  importPendingJob = null;
+  showImportProgress(null);
+  if (!job) return;
+  try {
+    job.resolve(runImportConverter(job.source, job.settings));
+  } catch (err) {
+    job.reject(/** @type {Error} */ (err));
   }
+}
 
-  const temp = getImportTempCanvas(256, 192);
-  if (temp) {
-    temp.ctx.putImageData(imageData, 0, 0);
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(temp.canvas, 0, 0, 256 * zoom, 192 * zoom);
+/**
+ * Cancels the pending conversion; its promise resolves to null. The worker keeps running for the next job
+ */
+function cancelImportConversion() {
+  importQueuedJob = null;
+  setImportCancelCell(0);
+  if (!importPendingJob) return;
+  importPendingJob.resolve(null);
+  importPendingJob = null;
+  showImportProgress(null);
+}
+
+/**
+ * Stops the conversion worker (on dialog close); the next conversion starts a fresh one
+ */
+function terminateImportWorker() {
+  cancelImportConversion();
+  if (importWorker) {
+    importWorker.terminate();
+    importWorker = null;
+  }
+  importRunningJobId = 0;
+  importCancelCell = null;
+}
+
+/**
+ * Converts the source canvas in the worker, cancelling any conversion still pending
+ * @param {HTMLCanvasElement} source - Source canvas sized for the format
+ * @param {ImportSettings} settings - Conversion settings
+ * @returns {Promise<*>} Converter result, or null if superseded by a newer conversion
+ */
+function convertImageAsync(source, settings) {
+  cancelImportConversion();
+
+  const worker = getImportWorker();
+  const ctx = source.getContext('2d');
+  if (!worker || !ctx) {
+    return new Promise((resolve) => resolve(runImportConverter(source, settings)));
   }
+
+  // Main-thread state the converters read, sent along with every job
+  updateColorDistanceMode();
+  if (settings.format === 'gigascreen' && typeof generateGigascreenVirtualPalette === 'function' &&
+      gigascreenVirtualPalette.length === 0) {
+    generateGigascreenVirtualPalette();
+  }
+
+  const image = ctx.getImageData(0, 0, source.width, source.height);
+  const id = ++importJobId;
+
+  return new Promise((resolve, reject) => {
+    importPendingJob = { id, source, settings, resolve, reject };
+    showImportProgress('Converting', 0);
+    setImportCancelCell(id);
+    importQueuedJob = {
+      message: {
+        id,
+        settings,
+        image,
+        palette: importPaletteColors,
+        useLab: useLabMode,
+        virtualPalette: typeof gigascreenVirtualPalette !== 'undefined' ? gigascreenVirtualPalette : []
+      },
+      transfer: [image.data.buffer]
+    };
+    postQueuedImportJob();
+  });
 }
 
 // ============================================================================
@@ -4876,6 +6677,26 @@ let importSourceCanvas = null;
 /** @type {HTMLCanvasElement|null} */
 let importSourceCanvasBsc = null;
 
+/** @type {HTMLCanvasElement|null} - Double-width source for Timex hi-res (512x192) */
+let importSourceCanvasHires = null;
+
+/** @type {HTMLCanvasElement|null} - Source for Next Layer 2 320x256 */
+let importSourceCanvasNext = null;
+
+/** @type {HTMLCanvasElement|null} - Source for Next Layer 2 640x256 */
+let importSourceCanvasNextHires = null;
+
+/**
+ * Gets the source canvas matching a Next Layer 2 import format
+ * @param {string} format - 'next_l2_256', 'next_l2_320' or 'next_l2_640'
+ * @returns {HTMLCanvasElement|null}
+ */
+function getNextImportSourceCanvas(format) {
+  if (format === 'next_l2_320') return importSourceCanvasNext;
+  if (format === 'next_l2_640') return importSourceCanvasNextHires;
+  return importSourceCanvas;
+}
+
 /** @type {HTMLCanvasElement|null} */
 let importPreviewCanvas = null;
 
@@ -4939,6 +6760,11 @@ const importElements = {
   /** @type {HTMLSelectElement|null} */ format: null,
   /** @type {HTMLSelectElement|null} */ palette: null,
   /** @type {HTMLSelectElement|null} */ pattern53c: null,
+  /** @type {HTMLSelectElement|null} */ timexInk: null,
+  /** @type {HTMLSelectElement|null} */ nextPalette: null,
+  /** @type {HTMLSelectElement|null} */ specsciiCharset: null,
+  /** @type {HTMLSelectElement|null} */ specsciiGlyphs: null,
+  /** @type {HTMLSelectElement|null} */ optimizeTime: null,
   /** @type {HTMLSelectElement|null} */ zoom: null,
   /** @type {HTMLSelectElement|null} */ fitMode: null,
   // Sliders
@@ -4972,6 +6798,12 @@ const importElements = {
   /** @type {HTMLElement|null} */ smoothingValue: null,
   /** @type {HTMLElement|null} */ levelsValue: null,
   /** @type {HTMLElement|null} */ colorBalanceValue: null,
+  /** @type {HTMLElement|null} */ progress: null,
+  // Batch conversion
+  /** @type {HTMLSelectElement|null} */ batchOutput: null,
+  /** @type {HTMLInputElement|null} */ batchDelay: null,
+  /** @type {HTMLSelectElement|null} */ batchCoherence: null,
+  /** @type {HTMLButtonElement|null} */ batchBtn: null,
   // Dialog
   /** @type {HTMLElement|null} */ dialog: null,
   // ULA+ palette import
@@ -5143,6 +6975,29 @@ function applyCropAndFit() {
       ctxBsc.drawImage(importImage, srcX, srcY, srcW, srcH, destXBsc, destYBsc, destWBsc, destHBsc);
     }
   }
+
+  // Also fill Timex hi-res canvas: same placement, horizontally doubled for full resolution
+  if (importSourceCanvasHires) {
+    const ctxHires = importSourceCanvasHires.getContext('2d');
+    if (ctxHires) {
+      ctxHires.imageSmoothingEnabled = false;
+      ctxHires.fillStyle = '#000';
+      ctxHires.fillRect(0, 0, 512, 192);
+      ctxHires.drawImage(importImage, srcX, srcY, srcW, srcH, destX * 2, destY, destW * 2, destH);
+    }
+  }
+
+  // Also fill Next Layer 2 canvases: same placement scaled to 320x256 and 640x256
+  for (const [canvas, w, h] of [[importSourceCanvasNext, 320, 256], [importSourceCanvasNextHires, 640, 256]]) {
+    const ctxNext = canvas ? canvas.getContext('2d') : null;
+    if (!ctxNext) continue;
+    const sx = w / 256;
+    const sy = h / 192;
+    ctxNext.imageSmoothingEnabled = false;
+    ctxNext.fillStyle = '#000';
+    ctxNext.fillRect(0, 0, w, h);
+    ctxNext.drawImage(importImage, srcX, srcY, srcW, srcH, destX * sx, destY * sy, destW * sx, destH * sy);
+  }
 }
 
 /**
@@ -5469,6 +7324,10 @@ function drawImportPreviewGrid(canvas, zoom, format) {
   } else if (format === 'mono_1_3') {
     width = 256;
     height = 64;
+  } else if (format === 'next_l2_320' || format === 'next_l2_640') {
+    // 640x256 preview is squeezed to 320 columns
+    width = 320;
+    height = 256;
   } else {
     width = 256;
     height = 192;
@@ -5611,6 +7470,19 @@ function initImageImport() {
   importSourceCanvasBsc.width = BSC_CONST.FRAME_WIDTH;
   importSourceCanvasBsc.height = BSC_CONST.FRAME_HEIGHT;
 
+  // Timex hi-res canvas (512x192, same layout as the SCR canvas at double width)
+  importSourceCanvasHires = document.createElement('canvas');
+  importSourceCanvasHires.width = 512;
+  importSourceCanvasHires.height = 192;
+
+  importSourceCanvasNext = document.createElement('canvas');
+  importSourceCanvasNext.width = 320;
+  importSourceCanvasNext.height = 256;
+
+  importSourceCanvasNextHires = document.createElement('canvas');
+  importSourceCanvasNextHires.width = 640;
+  importSourceCanvasNextHires.height = 256;
+
   // Cache all DOM elements once
   importElements.cropX = /** @type {HTMLInputElement} */ (document.getElementById('importCropX'));
   importElements.cropY = /** @type {HTMLInputElement} */ (document.getElementById('importCropY'));
@@ -5624,6 +7496,16 @@ function initImageImport() {
   importElements.palette = /** @type {HTMLSelectElement} */ (document.getElementById('importPalette'));
   importElements.format = /** @type {HTMLSelectElement} */ (document.getElementById('importFormat'));
   importElements.pattern53c = /** @type {HTMLSelectElement} */ (document.getElementById('import53cPattern'));
+  importElements.timexInk = /** @type {HTMLSelectElement} */ (document.getElementById('importTimexInk'));
+  importElements.nextPalette = /** @type {HTMLSelectElement} */ (document.getElementById('importNextPalette'));
+  importElements.specsciiCharset = /** @type {HTMLSelectElement} */ (document.getElementById('importSpecsciiCharset'));
+  importElements.specsciiGlyphs = /** @type {HTMLSelectElement} */ (document.getElementById('importSpecsciiGlyphs'));
+  importElements.optimizeTime = /** @type {HTMLSelectElement} */ (document.getElementById('importOptimizeTime'));
+  importElements.progress = document.getElementById('importProgress');
+  importElements.batchOutput = /** @type {HTMLSelectElement} */ (document.getElementById('importBatchOutput'));
+  importElements.batchDelay = /** @type {HTMLInputElement} */ (document.getElementById('importBatchDelay'));
+  importElements.batchCoherence = /** @type {HTMLSelectElement} */ (document.getElementById('importBatchCoherence'));
+  importElements.batchBtn = /** @type {HTMLButtonElement} */ (document.getElementById('importBatchBtn'));
   importElements.fitMode = /** @type {HTMLSelectElement} */ (document.getElementById('importFitMode'));
   importElements.grayscale = /** @type {HTMLInputElement} */ (document.getElementById('importGrayscale'));
   importElements.monoOutput = /** @type {HTMLInputElement} */ (document.getElementById('importMonoOutput'));
@@ -5740,65 +7622,28 @@ function initImageImport() {
     // Apply crop and fit to source canvas
     applyCropAndFit();
 
-    const dithering = ditheringSelect?.value || 'floyd-steinberg';
-    const contrast = parseInt(contrastSlider?.value || '0', 10);
-    const brightness = parseInt(brightnessSlider?.value || '0', 10);
-    const saturation = parseInt(saturationSlider?.value || '0', 10);
-    const gamma = parseInt(gammaSlider?.value || '100', 10) / 100;
-    const grayscale = grayscaleCheckbox?.checked || false;
-    const monoOutput = monoOutputCheckbox?.checked || false;
-    const sharpness = parseInt(sharpnessSlider?.value || '0', 10);
-    const smoothing = parseInt(smoothingSlider?.value || '0', 10);
-    const blackPoint = parseInt(blackPointSlider?.value || '0', 10);
-    const whitePoint = parseInt(whitePointSlider?.value || '255', 10);
-    const balanceR = parseInt(balanceRSlider?.value || '0', 10);
-    const balanceG = parseInt(balanceGSlider?.value || '0', 10);
-    const balanceB = parseInt(balanceBSlider?.value || '0', 10);
-    const format = formatSelect?.value || 'scr';
-    // Read zoom directly from element to ensure latest value for all formats
-    const currentZoom = parseInt(importElements.zoom?.value || '2', 10);
-
-    if (format === '53c') {
-      const pattern = importElements.pattern53c?.value || 'checker';
-      const attrData = convertTo53c(importSourceCanvas, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, pattern);
-      render53cToCanvas(attrData, importPreviewCanvas, currentZoom, pattern);
-    } else if (format === 'bsc' && importSourceCanvasBsc) {
-      const bscData = convertToBsc(importSourceCanvasBsc, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      renderBscToCanvas(bscData, importPreviewCanvas, currentZoom);
-    } else if (format === 'ifl') {
-      const iflData = convertToIfl(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      renderIflToCanvas(iflData, importPreviewCanvas, currentZoom);
-    } else if (format === 'mlt') {
-      const mltData = convertToMlt(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      renderMltToCanvas(mltData, importPreviewCanvas, currentZoom);
-    } else if (format === 'bmc4' && importSourceCanvasBsc) {
-      const bmc4Data = convertToBmc4(importSourceCanvasBsc, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      renderBmc4ToCanvas(bmc4Data, importPreviewCanvas, currentZoom);
-    } else if (format === 'rgb3') {
-      const rgb3Data = convertToRgb3(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB);
-      renderRgb3ToCanvas(rgb3Data, importPreviewCanvas, currentZoom);
-    } else if (format === 'mono_full') {
-      const monoData = convertToMono(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, 3);
-      renderMonoToCanvas(monoData, importPreviewCanvas, currentZoom, 3);
-    } else if (format === 'mono_2_3') {
-      const monoData = convertToMono(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, 2);
-      renderMonoToCanvas(monoData, importPreviewCanvas, currentZoom, 2);
-    } else if (format === 'mono_1_3') {
-      const monoData = convertToMono(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, 1);
-      renderMonoToCanvas(monoData, importPreviewCanvas, currentZoom, 1);
-    } else if (format === 'ulaplus') {
-      const result = convertToUlaPlus(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, importUlaPlusPalette);
-      renderUlaPlusToCanvas(result.data, importPreviewCanvas, currentZoom);
-      if (!importUlaPlusPalette) lastImportUlaPlusAutoPalette = result.palette;
-    } else {
-      const scrData = convertToScr(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      renderScrToCanvas(scrData, importPreviewCanvas, currentZoom);
-    }
+    const settings = readImportSettings();
+    // SPECSCII has nothing to preview while the UDG tileset is not loaded
+    if (settings.format === 'specscii' && !settings.glyphs) return;
+    const source = getImportSourceCanvas(settings.format);
+    if (!source) return;
 
-    // Draw grid overlay if enabled
-    if (showGridCheckbox?.checked && importPreviewCanvas) {
-      drawImportPreviewGrid(importPreviewCanvas, currentZoom, format);
-    }
+    // Starting a new conversion cancels the one still running
+    convertImageAsync(source, settings).then((result) => {
+      if (result === null || !importPreviewCanvas) return;
+
+      // Read zoom directly from element to ensure latest value for all formats
+      const currentZoom = parseInt(importElements.zoom?.value || '2', 10);
+      renderImportResult(result, settings, importPreviewCanvas, currentZoom);
+      if (settings.format === 'ulaplus' && !settings.ulaPlusPalette) lastImportUlaPlusAutoPalette = result.palette;
+
+      // Draw grid overlay if enabled
+      if (showGridCheckbox?.checked) {
+        drawImportPreviewGrid(importPreviewCanvas, currentZoom, settings.format);
+      }
+    }).catch((err) => {
+      console.error('Import preview failed:', err);
+    });
   };
 
   // Debounced wrapper - allows UI to update before heavy calculation
@@ -5965,7 +7810,11 @@ function initImageImport() {
     }
   });
 
-  ditheringSelect?.addEventListener('change', updatePreview);
+  ditheringSelect?.addEventListener('change', () => {
+    updateOptimizeImportOptions(formatSelect?.value || 'scr');
+    updatePreview();
+  });
+  importElements.optimizeTime?.addEventListener('change', updatePreview);
   formatSelect?.addEventListener('change', () => {
     // Update size defaults based on format
     const format = formatSelect?.value || 'scr';
@@ -5997,13 +7846,24 @@ function initImageImport() {
     if (patternRow) {
       patternRow.style.display = format === '53c' ? 'flex' : 'none';
     }
+    const timexInkRow = document.getElementById('importTimexInkRow');
+    if (timexInkRow) {
+      timexInkRow.style.display = format === 'timex_hires' ? 'flex' : 'none';
+    }
+    updateSpecsciiImportOptions(format);
+    updateOptimizeImportOptions(format);
+    const isNextFormat = format === 'next_l2_256' || format === 'next_l2_320' || format === 'next_l2_640';
+    const nextPaletteRow = document.getElementById('importNextPaletteRow');
+    if (nextPaletteRow) {
+      nextPaletteRow.style.display = isNextFormat ? 'flex' : 'none';
+    }
     const ditheringRow = document.getElementById('importDitheringRow');
     if (ditheringRow) {
-      ditheringRow.style.display = format === '53c' ? 'none' : 'flex';
+      ditheringRow.style.display = (format === '53c' || format === 'specscii') ? 'none' : 'flex';
     }
     // Hide cell-aware dithering for formats without attribute cells (RGB3, Mono)
     const cellGroup = document.getElementById('importDitherCellGroup');
-    const noCellFormats = format === 'rgb3' || format === 'mono' || format === 'mono_2_3' || format === 'mono_1_3';
+    const noCellFormats = format === 'rgb3' || format === 'mono' || format === 'mono_2_3' || format === 'mono_1_3' || format === 'timex_hires' || isNextFormat;
     if (cellGroup) {
       cellGroup.style.display = noCellFormats ? 'none' : '';
     }
@@ -6023,9 +7883,9 @@ function initImageImport() {
     if (importPreviewCanvas) {
       importPreviewCanvas.style.cursor = format === 'ulaplus' ? 'crosshair' : '';
     }
-    // Hide standard Palette: row for ULA+ (it has its own palette system)
+    // Hide standard Palette: row for ULA+ and Next (they have their own palette systems)
     if (importElements.paletteRow) {
-      importElements.paletteRow.style.display = format === 'ulaplus' ? 'none' : 'flex';
+      importElements.paletteRow.style.display = (format === 'ulaplus' || isNextFormat) ? 'none' : 'flex';
     }
     // Reset ULA+ palette state when switching away; re-apply standard palette for safety
     if (format !== 'ulaplus') {
@@ -6039,6 +7899,10 @@ function initImageImport() {
     updatePreview();
   });
   importElements.pattern53c?.addEventListener('change', updatePreview);
+  importElements.timexInk?.addEventListener('change', updatePreview);
+  importElements.nextPalette?.addEventListener('change', updatePreview);
+  importElements.specsciiCharset?.addEventListener('change', updatePreview);
+  importElements.specsciiGlyphs?.addEventListener('change', updatePreview);
   contrastSlider?.addEventListener('input', updatePreview);
   brightnessSlider?.addEventListener('input', updatePreview);
   saturationSlider?.addEventListener('input', function() {
@@ -6340,79 +8204,45 @@ function initImageImport() {
   });
 
   // Import button
-  importBtn?.addEventListener('click', () => {
+  importBtn?.addEventListener('click', async () => {
     if (!importSourceCanvas) return;
 
-    const dithering = ditheringSelect?.value || 'floyd-steinberg';
-    const contrast = parseInt(contrastSlider?.value || '0', 10);
-    const brightness = parseInt(brightnessSlider?.value || '0', 10);
-    const saturation = parseInt(saturationSlider?.value || '0', 10);
-    const gamma = parseInt(gammaSlider?.value || '100', 10) / 100;
-    const grayscale = grayscaleCheckbox?.checked || false;
-    const monoOutput = monoOutputCheckbox?.checked || false;
-    const sharpness = parseInt(sharpnessSlider?.value || '0', 10);
-    const smoothing = parseInt(smoothingSlider?.value || '0', 10);
-    const blackPoint = parseInt(blackPointSlider?.value || '0', 10);
-    const whitePoint = parseInt(whitePointSlider?.value || '255', 10);
-    const balanceR = parseInt(balanceRSlider?.value || '0', 10);
-    const balanceG = parseInt(balanceGSlider?.value || '0', 10);
-    const balanceB = parseInt(balanceBSlider?.value || '0', 10);
-    const format = formatSelect?.value || 'scr';
+    const settings = readImportSettings();
+    if (settings.format === 'specscii' && !settings.glyphs) {
+      alert('The UDG tileset is not loaded.');
+      return;
+    }
+    // A format whose source canvas is missing imports as plain SCR
+    let source = getImportSourceCanvas(settings.format);
+    if (!source) {
+      settings.format = 'scr';
+      source = importSourceCanvas;
+    }
 
-    let outputData;
-    let outputFormat;
-    let fileExt;
-
-    if (format === '53c') {
-      const pattern = importElements.pattern53c?.value || 'checker';
-      outputData = convertTo53c(importSourceCanvas, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, pattern);
-      outputFormat = FORMAT.ATTR_53C;
-      fileExt = '.53c';
-    } else if (format === 'bsc' && importSourceCanvasBsc) {
-      outputData = convertToBsc(importSourceCanvasBsc, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      outputFormat = FORMAT.BSC;
-      fileExt = '.bsc';
-    } else if (format === 'ifl') {
-      outputData = convertToIfl(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      outputFormat = FORMAT.IFL;
-      fileExt = '.ifl';
-    } else if (format === 'mlt') {
-      outputData = convertToMlt(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      outputFormat = FORMAT.MLT;
-      fileExt = '.mlt';
-    } else if (format === 'bmc4' && importSourceCanvasBsc) {
-      outputData = convertToBmc4(importSourceCanvasBsc, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      outputFormat = FORMAT.BMC4;
-      fileExt = '.bmc4';
-    } else if (format === 'rgb3') {
-      outputData = convertToRgb3(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB);
-      outputFormat = FORMAT.RGB3;
-      fileExt = '.3';
-    } else if (format === 'mono_full') {
-      outputData = convertToMono(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, 3);
-      outputFormat = FORMAT.MONO_FULL;
-      fileExt = '.scr';
-    } else if (format === 'mono_2_3') {
-      outputData = convertToMono(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, 2);
-      outputFormat = FORMAT.MONO_2_3;
-      fileExt = '.scr';
-    } else if (format === 'mono_1_3') {
-      outputData = convertToMono(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, 1);
-      outputFormat = FORMAT.MONO_1_3;
-      fileExt = '.scr';
-    } else if (format === 'ulaplus') {
-      // ULA+ format: SCR + 64-byte optimal palette
-      const result = convertToUlaPlus(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, importUlaPlusPalette);
+    let result;
+    try {
+      result = await convertImageAsync(source, settings);
+    } catch (err) {
+      alert('Image conversion failed: ' + /** @type {Error} */ (err).message);
+      return;
+    }
+    // Cancelled by a control change while converting
+    if (result === null) return;
+
+    const { outputFormat, fileExt } = getImportOutputType(settings.format);
+    let outputData = result;
+    /** @type {{chars: Uint8Array, attrs: Uint8Array, glyphs: Uint8Array}|null} */
+    let specsciiResult = null;
+
+    if (settings.format === 'specscii') {
+      // The grids are filled after the picture is created; the stream is rebuilt from them
+      specsciiResult = result;
+      outputData = new Uint8Array(0);
+    } else if (settings.format === 'ulaplus') {
+      // ULA+ format: SCR + 64-byte optimal palette; enable ULA+ mode with it
       outputData = result.data;
-      outputFormat = FORMAT.SCR_ULAPLUS;
-      fileExt = '.scr';
-      // Enable ULA+ mode with generated palette
       ulaPlusPalette = result.palette;
       isUlaPlusMode = true;
-    } else {
-      outputData = convertToScr(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      outputFormat = FORMAT.SCR;
-      fileExt = '.scr';
     }
 
     // Generate filename from imported file
@@ -6440,6 +8270,22 @@ function initImageImport() {
       currentFileName = newFileName;
     }
 
+    // SPECSCII: UDG glyphs become the current font, then fill the new picture's grids
+    if (specsciiResult) {
+      if (settings.specsciiGlyphSource === 'udg') {
+        fontData = specsciiResult.glyphs;
+        fontLoaded = true;
+        currentFontName = 'UDG';
+        updateFontInfo();
+        if (typeof updateRomBrushTab === 'function') {
+          updateRomBrushTab();
+        }
+      }
+      if (typeof specsciiLoadGrids === 'function') {
+        specsciiLoadGrids(specsciiResult.chars, specsciiResult.attrs);
+      }
+    }
+
     // Close dialog and render
     closeImportDialog();
 
@@ -6471,6 +8317,22 @@ function initImageImport() {
     }
   });
 
+  // Batch conversion: pick images or ZIPs, convert them with the current settings
+  const batchFileInput = /** @type {HTMLInputElement} */ (document.getElementById('importBatchFile'));
+  importElements.batchBtn?.addEventListener('click', () => {
+    batchFileInput?.click();
+  });
+  batchFileInput?.addEventListener('change', () => {
+    const files = Array.from(batchFileInput.files || []);
+    batchFileInput.value = '';
+    if (files.length > 0) runBatchConversion(files);
+  });
+  importElements.batchOutput?.addEventListener('change', () => {
+    const isSca = importElements.batchOutput?.value === 'sca';
+    if (importElements.batchDelay) importElements.batchDelay.style.display = isSca ? '' : 'none';
+    if (importElements.batchCoherence) importElements.batchCoherence.style.display = isSca ? '' : 'none';
+  });
+
   // Prevent accidental close on overlay click
   importElements.dialog.addEventListener('click', (e) => {
     // Only close if clicking directly on overlay AND using Cancel button
@@ -6553,6 +8415,10 @@ function openImportDialog(file) {
   if (importElements.palette) importElements.palette.value = currentPaletteId;
   applyImportPalette(currentPaletteId);
 
+  // UDG glyphs may have finished loading since the dialog was last shown
+  updateSpecsciiImportOptions(importElements.format?.value || 'scr');
+  updateOptimizeImportOptions(importElements.format?.value || 'scr');
+
   // Reset fit mode
   if (importElements.fitMode) importElements.fitMode.value = 'stretch';
   importFitMode = 'stretch';
@@ -6621,56 +8487,8 @@ function openImportDialog(file) {
     // Auto-detect brightness
     autoDetectBrightness();
 
-    // Generate initial preview using cached elements
-    const dithering = importElements.dithering?.value || 'floyd-steinberg';
-    const contrast = parseInt(importElements.contrast?.value || '0', 10);
-    const brightness = parseInt(importElements.brightness?.value || '0', 10);
-    const saturation = parseInt(importElements.saturation?.value || '0', 10);
-    const gamma = parseInt(importElements.gamma?.value || '100', 10) / 100;
-    const sharpness = parseInt(importElements.sharpness?.value || '0', 10);
-    const smoothing = parseInt(importElements.smoothing?.value || '0', 10);
-    const blackPoint = parseInt(importElements.blackPoint?.value || '0', 10);
-    const whitePoint = parseInt(importElements.whitePoint?.value || '255', 10);
-    const balanceR = parseInt(importElements.balanceR?.value || '0', 10);
-    const balanceG = parseInt(importElements.balanceG?.value || '0', 10);
-    const balanceB = parseInt(importElements.balanceB?.value || '0', 10);
-    const grayscale = importElements.grayscale?.checked || false;
-    const monoOutput = importElements.monoOutput?.checked || false;
-
-    // Render initial preview based on format
-    if (format === 'ulaplus') {
-      const result = convertToUlaPlus(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, importUlaPlusPalette);
-      renderUlaPlusToCanvas(result.data, importPreviewCanvas, importZoom);
-      if (!importUlaPlusPalette) lastImportUlaPlusAutoPalette = result.palette;
-    } else if (format === '53c') {
-      const pattern = importElements.pattern53c?.value || 'checker';
-      const attrData = convertTo53c(importSourceCanvas, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, pattern);
-      render53cToCanvas(attrData, importPreviewCanvas, importZoom, pattern);
-    } else if (format === 'ifl') {
-      const iflData = convertToIfl(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      renderIflToCanvas(iflData, importPreviewCanvas, importZoom);
-    } else if (format === 'mlt') {
-      const mltData = convertToMlt(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      renderMltToCanvas(mltData, importPreviewCanvas, importZoom);
-    } else if (format === 'bmc4' && importSourceCanvasBsc) {
-      const bmc4Data = convertToBmc4(importSourceCanvasBsc, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      renderBmc4ToCanvas(bmc4Data, importPreviewCanvas, importZoom);
-    } else if (format === 'rgb3') {
-      const rgb3Data = convertToRgb3(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB);
-      renderRgb3ToCanvas(rgb3Data, importPreviewCanvas, importZoom);
-    } else if (format === 'mono_full') {
-      const monoData = convertToMono(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, 3);
-      renderMonoToCanvas(monoData, importPreviewCanvas, importZoom, 3);
-    } else if (format === 'mono_2_3') {
-      const monoData = convertToMono(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, 2);
-      renderMonoToCanvas(monoData, importPreviewCanvas, importZoom, 2);
-    } else if (format === 'mono_1_3') {
-      const monoData = convertToMono(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, 1);
-      renderMonoToCanvas(monoData, importPreviewCanvas, importZoom, 1);
-    } else {
-      const scrData = convertToScr(importSourceCanvas, dithering, brightness, contrast, saturation, gamma, grayscale, sharpness, smoothing, blackPoint, whitePoint, balanceR, balanceG, balanceB, monoOutput);
-      renderScrToCanvas(scrData, importPreviewCanvas, importZoom);
-    }
+    // Generate initial preview; it converts in the background while the dialog is shown
+    updateImportPreview?.();
 
     // Show dialog
     importElements.dialog.style.display = '';
@@ -6699,6 +8517,9 @@ function closeImportDialog() {
   }
   importFile = null;
 
+  // Drop any conversion still running and stop the worker
+  terminateImportWorker();
+
   // Reset ULA+ palette import state
   importUlaPlusPalette = null;
   lastImportUlaPlusAutoPalette = null;
@@ -6713,6 +8534,544 @@ function closeImportDialog() {
   if (importPreviewCanvas) importPreviewCanvas.style.cursor = '';
 }
 
+// ============================================================================
+// Animated GIF Decoding
+// Frames are composited one at a time, in order, so long animations never
+// hold more than one decoded screen
+// ============================================================================
+
+/**
+ * @typedef {Object} GifFrame
+ * @property {number} x - Left position on the logical screen
+ * @property {number} y - Top position on the logical screen
+ * @property {number} w - Frame width
+ * @property {number} h - Frame height
+ * @property {Uint8Array|null} palette - Color table (RGB triplets)
+ * @property {boolean} interlaced - Rows stored in 4-pass interlaced order
+ * @property {number} minCodeSize - LZW minimum code size
+ * @property {number} dataStart - Offset of the first image data sub-block
+ * @property {number} delay - Delay in 1/100 s
+ * @property {number} transparent - Transparent color index, -1 = none
+ * @property {number} disposal - Disposal method (2 = clear, 3 = restore previous)
+ */
+
+/**
+ * Skips a chain of GIF data sub-blocks
+ * @param {Uint8Array} bytes - GIF data
+ * @param {number} pos - Offset of the first sub-block size byte
+ * @returns {number} Offset after the block terminator
+ */
+function skipGifSubBlocks(bytes, pos) {
+  while (pos < bytes.length) {
+    const size = bytes[pos++];
+    if (size === 0) break;
+    pos += size;
+  }
+  return pos;
+}
+
+/**
+ * Parses a GIF's structure (pixel data is decoded on demand)
+ * @param {Uint8Array} bytes - GIF file data
+ * @returns {{width: number, height: number, frames: GifFrame[]}|null} null if not a GIF
+ */
+function parseGif(bytes) {
+  const sig = String.fromCharCode(...bytes.subarray(0, 6));
+  if (sig !== 'GIF87a' && sig !== 'GIF89a') return null;
+
+  const width = bytes[6] | (bytes[7] << 8);
+  const height = bytes[8] | (bytes[9] << 8);
+  const flags = bytes[10];
+  let pos = 13;
+
+  /** @type {Uint8Array|null} */
+  let globalPalette = null;
+  if (flags & 0x80) {
+    const size = 3 * (2 << (flags & 0x07));
+    globalPalette = bytes.subarray(pos, pos + size);
+    pos += size;
+  }
+
+  /** @type {GifFrame[]} */
+  const frames = [];
+  let control = { delay: 0, transparent: -1, disposal: 0 };
+
+  while (pos < bytes.length) {
+    const block = bytes[pos++];
+    if (block === 0x3B) break; // Trailer
+
+    if (block === 0x21) {
+      // Extension; only the graphic control extension matters here
+      const label = bytes[pos++];
+      if (label === 0xF9 && bytes[pos] >= 4) {
+        const packed = bytes[pos + 1];
+        control = {
+          delay: bytes[pos + 2] | (bytes[pos + 3] << 8),
+          transparent: (packed & 0x01) ? bytes[pos + 4] : -1,
+          disposal: (packed >> 2) & 0x07
+        };
+      }
+      pos = skipGifSubBlocks(bytes, pos);
+    } else if (block === 0x2C) {
+      // Image descriptor
+      const x = bytes[pos] | (bytes[pos + 1] << 8);
+      const y = bytes[pos + 2] | (bytes[pos + 3] << 8);
+      const w = bytes[pos + 4] | (bytes[pos + 5] << 8);
+      const h = bytes[pos + 6] | (bytes[pos + 7] << 8);
+      const packed = bytes[pos + 8];
+      pos += 9;
+
+      let palette = globalPalette;
+      if (packed & 0x80) {
+        const size = 3 * (2 << (packed & 0x07));
+        palette = bytes.subarray(pos, pos + size);
+        pos += size;
+      }
+      const minCodeSize = bytes[pos++];
+      frames.push({ x, y, w, h, palette, interlaced: (packed & 0x40) !== 0, minCodeSize, dataStart: pos, ...control });
+      pos = skipGifSubBlocks(bytes, pos);
+      control = { delay: 0, transparent: -1, disposal: 0 };
+    } else {
+      break; // Corrupt or truncated; keep the frames read so far
+    }
+  }
+
+  return { width, height, frames };
+}
+
+/**
+ * Decodes a GIF frame's LZW image data into color indices
+ * @param {Uint8Array} bytes - GIF data
+ * @param {GifFrame} frame - Frame to decode
+ * @returns {Uint8Array} w*h color indices in stored row order
+ */
+function decodeGifLzw(bytes, frame) {
+  const pixelCount = frame.w * frame.h;
+  const out = new Uint8Array(pixelCount);
+  const clearCode = 1 << frame.minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Uint16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  for (let i = 0; i < clearCode; i++) suffix[i] = i;
+
+  let codeSize = frame.minCodeSize + 1;
+  let codeMask = (1 << codeSize) - 1;
+  let nextCode = clearCode + 2;
+  let oldCode = -1;
+  let first = 0;
+  let datum = 0;
+  let bits = 0;
+  let outPos = 0;
+  let pos = frame.dataStart;
+
+  while (pos < bytes.length && outPos < pixelCount) {
+    const blockSize = bytes[pos++];
+    if (blockSize === 0) break;
+    const blockEnd = pos + blockSize;
+
+    while (pos < blockEnd) {
+      datum |= bytes[pos++] << bits;
+      bits += 8;
+
+      while (bits >= codeSize) {
+        const code = datum & codeMask;
+        datum >>= codeSize;
+        bits -= codeSize;
+
+        if (code === clearCode) {
+          codeSize = frame.minCodeSize + 1;
+          codeMask = (1 << codeSize) - 1;
+          nextCode = clearCode + 2;
+          oldCode = -1;
+          continue;
+        }
+        if (code === endCode) return out;
+
+        if (oldCode === -1) {
+          if (outPos < pixelCount) out[outPos++] = suffix[code];
+          oldCode = code;
+          first = suffix[code];
+          continue;
+        }
+
+        let sp = 0;
+        let c = code;
+        if (code >= nextCode) {
+          // KwKwK case: the code being defined right now
+          stack[sp++] = first;
+          c = oldCode;
+        }
+        while (c >= clearCode) {
+          stack[sp++] = suffix[c];
+          c = prefix[c];
+        }
+        first = suffix[c];
+        stack[sp++] = first;
+
+        if (nextCode < 4096) {
+          prefix[nextCode] = oldCode;
+          suffix[nextCode] = first;
+          nextCode++;
+          if ((nextCode & codeMask) === 0 && nextCode < 4096) {
+            codeSize++;
+            codeMask = (1 << codeSize) - 1;
+          }
+        }
+        oldCode = code;
+
+        while (sp > 0 && outPos < pixelCount) out[outPos++] = stack[--sp];
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Creates a reader that composites a GIF's frames in order
+ * @param {{width: number, height: number, frames: GifFrame[]}} gif - Parsed GIF
+ * @param {Uint8Array} bytes - GIF data
+ * @returns {function(): HTMLCanvasElement} Returns the canvas showing the next frame
+ */
+function createGifFrameReader(gif, bytes) {
+  const canvas = createConversionCanvas(gif.width, gif.height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Cannot get canvas context');
+  const screen = ctx.createImageData(gif.width, gif.height);
+  const pixels = screen.data;
+  /** @type {Uint8ClampedArray|null} */
+  let saved = null;
+  /** @type {GifFrame|null} */
+  let previous = null;
+  let index = 0;
+
+  return () => {
+    // Dispose of the previous frame
+    if (previous && previous.disposal === 2) {
+      for (let y = previous.y; y < Math.min(gif.height, previous.y + previous.h); y++) {
+        const row = y * gif.width;
+        pixels.fill(0, (row + previous.x) * 4, (row + Math.min(gif.width, previous.x + previous.w)) * 4);
+      }
+    } else if (previous && previous.disposal === 3 && saved) {
+      pixels.set(saved);
+    }
+
+    const frame = gif.frames[index++];
+    saved = frame.disposal === 3 ? pixels.slice() : null;
+
+    const indices = decodeGifLzw(bytes, frame);
+    const palette = frame.palette;
+    if (palette) {
+      for (let row = 0; row < frame.h; row++) {
+        // Interlaced rows: every 8th from 0, every 8th from 4, every 4th from 2, every 2nd from 1
+        let y = row;
+        if (frame.interlaced) {
+          const pass1 = Math.ceil(frame.h / 8);
+          const pass2 = pass1 + Math.ceil((frame.h - 4) / 8);
+          const pass3 = pass2 + Math.ceil((frame.h - 2) / 4);
+          y = row < pass1 ? row * 8 :
+              row < pass2 ? (row - pass1) * 8 + 4 :
+              row < pass3 ? (row - pass2) * 4 + 2 : (row - pass3) * 2 + 1;
+        }
+        const screenY = frame.y + y;
+        if (screenY >= gif.height) continue;
+        for (let x = 0; x < frame.w; x++) {
+          const screenX = frame.x + x;
+          if (screenX >= gif.width) break;
+          const ci = indices[row * frame.w + x];
+          if (ci === frame.transparent || ci * 3 + 2 >= palette.length) continue;
+          const p = (screenY * gif.width + screenX) * 4;
+          pixels[p] = palette[ci * 3];
+          pixels[p + 1] = palette[ci * 3 + 1];
+          pixels[p + 2] = palette[ci * 3 + 2];
+          pixels[p + 3] = 255;
+        }
+      }
+    }
+
+    ctx.putImageData(screen, 0, 0);
+    previous = frame;
+    return canvas;
+  };
+}
+
+// ============================================================================
+// Batch Conversion
+// Applies the dialog's current settings to many images at once; animated GIFs
+// contribute one image per frame
+// ============================================================================
+
+/** @type {Object<string, number>} - Temporal coherence: max mean source change (per channel) for a cell to be held */
+const BATCH_COHERENCE_THRESHOLDS = { off: 0, low: 4, medium: 10, high: 20 };
+
+/**
+ * @typedef {Object} BatchFrame
+ * @property {string} name - Output base name
+ * @property {number} delay - Frame delay in 1/50 s units, 0 = the dialog's delay
+ * @property {function(): Promise<{image: CanvasImageSource, width: number, height: number}>} load
+ *   Decodes the frame; frames of one GIF must be loaded in order
+ */
+
+/**
+ * Decodes an image file
+ * @param {File} file - Image file
+ * @returns {Promise<{image: CanvasImageSource, width: number, height: number}>}
+ */
+function loadBatchImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve({ image: img, width: img.naturalWidth, height: img.naturalHeight });
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Cannot decode ${file.name}`));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Turns an image file into batch frames: one per animated GIF frame, else one
+ * @param {File} file - Image file
+ * @returns {Promise<BatchFrame[]>}
+ */
+async function getBatchFrames(file) {
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+  const single = [{ name: baseName, delay: 0, load: () => loadBatchImage(file) }];
+  if (!/\.gif$/i.test(file.name)) return single;
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const gif = parseGif(bytes);
+  if (!gif || gif.frames.length < 2) return single;
+
+  const next = createGifFrameReader(gif, bytes);
+  const padWidth = gif.frames.length > 1000 ? 4 : 3;
+  return gif.frames.map((frame, i) => ({
+    name: `${baseName}_${String(i).padStart(padWidth, '0')}`,
+    // GIF delays are 1/100 s; browsers play 0 as 1/10 s
+    delay: Math.max(1, Math.round((frame.delay || 10) / 2)),
+    load: async () => ({ image: next(), width: gif.width, height: gif.height })
+  }));
+}
+
+/**
+ * Collects the image files of a multi-file selection, expanding ZIP archives
+ * @param {File[]} files - Selected files
+ * @returns {Promise<File[]>} Image files in natural name order (frame_2 before frame_10)
+ */
+async function collectBatchImageFiles(files) {
+  /** @type {File[]} */
+  const images = [];
+  for (const file of files) {
+    if (isZipFile(file.name)) {
+      const zip = await JSZip.loadAsync(file);
+      /** @type {Array<{name: string, entry: *}>} */
+      const entries = [];
+      zip.forEach((path, entry) => {
+        if (!entry.dir && isImageFile(path)) entries.push({ name: path, entry });
+      });
+      for (const { name, entry } of entries) {
+        const blob = await entry.async('blob');
+        images.push(new File([blob], name.split('/').pop() || name));
+      }
+    } else if (isImageFile(file.name)) {
+      images.push(file);
+    }
+  }
+  return images.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+/**
+ * Holds cells whose source barely changed since they were last converted, so
+ * dithering noise does not flicker between animation frames
+ * @param {Uint8Array} data - Converted frame (SCR or .53c), modified in place
+ * @param {Uint8Array|null} previous - Previous output frame
+ * @param {Uint8ClampedArray} source - This frame's source pixels (RGBA, 256x192)
+ * @param {Uint8ClampedArray} reference - Source each held cell was converted from, updated in place
+ * @param {boolean} attrsOnly - .53c frames (attributes only)
+ * @param {number} threshold - Max mean change per channel for a cell to be held
+ */
+function applyTemporalCoherence(data, previous, source, reference, attrsOnly, threshold) {
+  const attrBase = attrsOnly ? 0 : 6144;
+  for (let cellY = 0; cellY < 24; cellY++) {
+    for (let cellX = 0; cellX < 32; cellX++) {
+      let diff = 0;
+      for (let dy = 0; dy < 8; dy++) {
+        const row = ((cellY * 8 + dy) * 256 + cellX * 8) * 4;
+        for (let i = row; i < row + 32; i++) {
+          if ((i & 3) !== 3) diff += Math.abs(source[i] - reference[i]);
+        }
+      }
+
+      if (previous && diff / 192 < threshold) {
+        // Hold: keep the previous frame's cell
+        data[attrBase + cellY * 32 + cellX] = previous[attrBase + cellY * 32 + cellX];
+        if (!attrsOnly) {
+          for (let dy = 0; dy < 8; dy++) {
+            const offset = getBitmapOffset(cellY * 8 + dy) + cellX;
+            data[offset] = previous[offset];
+          }
+        }
+      } else {
+        // Changed: this frame's source becomes the cell's reference
+        for (let dy = 0; dy < 8; dy++) {
+          const row = ((cellY * 8 + dy) * 256 + cellX * 8) * 4;
+          reference.set(source.subarray(row, row + 32), row);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Converts many images (animated GIFs frame by frame) with the current import
+ * settings. Downloads a ZIP of converted files, or opens one SCA animation
+ * (SCR frames as type 0, .53c frames as type 1) in the viewer.
+ * @param {File[]} files - Selected images and/or ZIP archives
+ */
+async function runBatchConversion(files) {
+  if (!importImage || !importSourceCanvas) return;
+
+  const settings = readImportSettings();
+  const output = importElements.batchOutput?.value || 'zip';
+
+  if (settings.format === 'specscii') {
+    alert('SPECSCII output fills the editor and cannot be batch converted.');
+    return;
+  }
+  if (output === 'sca' && settings.format !== 'scr' && settings.format !== '53c') {
+    alert('SCA animations can only be built from SCR or .53c frames.');
+    return;
+  }
+  if (typeof JSZip === 'undefined') {
+    alert('JSZip library not available for batch conversion.');
+    return;
+  }
+
+  /** @type {BatchFrame[]} */
+  const frames = [];
+  try {
+    for (const image of await collectBatchImageFiles(files)) {
+      frames.push(...await getBatchFrames(image));
+    }
+  } catch (error) {
+    alert('Error reading files: ' + /** @type {Error} */ (error).message);
+    return;
+  }
+  if (frames.length === 0) {
+    alert('No image files selected.');
+    return;
+  }
+  if (output === 'sca' && frames.length > 65535) {
+    alert('An SCA animation holds at most 65535 frames.');
+    return;
+  }
+
+  // Crop is kept at the same relative position for images of other sizes
+  const savedImage = importImage;
+  const savedCrop = { ...importCrop };
+  const relCrop = {
+    x: importCrop.x / importOriginalSize.width,
+    y: importCrop.y / importOriginalSize.height,
+    w: importCrop.w / importOriginalSize.width,
+    h: importCrop.h / importOriginalSize.height
+  };
+
+  const batchBtn = importElements.batchBtn;
+  const batchLabel = batchBtn?.textContent || '';
+  if (batchBtn) batchBtn.disabled = true;
+
+  const { fileExt } = getImportOutputType(settings.format);
+  const fixedDelay = parseInt(importElements.batchDelay?.value || '5', 10) || 5;
+  const coherence = output === 'sca' ? BATCH_COHERENCE_THRESHOLDS[importElements.batchCoherence?.value || 'off'] || 0 : 0;
+  const reference = new Uint8ClampedArray(256 * 192 * 4);
+  /** @type {Array<{name: string, data: Uint8Array, delay: number}>} */
+  const converted = [];
+  /** @type {Set<string>} */
+  const usedNames = new Set();
+  let cancelled = false;
+
+  try {
+    for (let i = 0; i < frames.length; i++) {
+      if (batchBtn) batchBtn.textContent = `${i + 1}/${frames.length}`;
+
+      const frame = await frames[i].load();
+      importImage = /** @type {HTMLImageElement} */ (/** @type {unknown} */ (frame.image));
+      importCrop = {
+        x: Math.round(relCrop.x * frame.width),
+        y: Math.round(relCrop.y * frame.height),
+        w: Math.max(1, Math.round(relCrop.w * frame.width)),
+        h: Math.max(1, Math.round(relCrop.h * frame.height))
+      };
+      applyCropAndFit();
+
+      const source = getImportSourceCanvas(settings.format) || importSourceCanvas;
+      const sourcePixels = coherence > 0 ? source.getContext('2d')?.getImageData(0, 0, 256, 192).data : null;
+      const result = await convertImageAsync(source, settings);
+      // A control change restarts the preview, which cancels the batch
+      if (result === null) {
+        cancelled = true;
+        break;
+      }
+
+      const data = settings.format === 'ulaplus' ? result.data : result;
+      if (sourcePixels) {
+        const previous = converted.length > 0 ? converted[converted.length - 1].data : null;
+        applyTemporalCoherence(data, previous, sourcePixels, reference, settings.format === '53c', coherence);
+      }
+
+      let name = frames[i].name + fileExt;
+      for (let n = 2; usedNames.has(name); n++) name = `${frames[i].name}_${n}${fileExt}`;
+      usedNames.add(name);
+      converted.push({ name, data, delay: frames[i].delay || fixedDelay });
+    }
+  } catch (error) {
+    alert('Batch conversion failed: ' + /** @type {Error} */ (error).message);
+    cancelled = true;
+  } finally {
+    importImage = savedImage;
+    importCrop = savedCrop;
+    applyCropAndFit();
+    updateImportPreview?.();
+    if (batchBtn) {
+      batchBtn.textContent = batchLabel;
+      batchBtn.disabled = false;
+    }
+  }
+  if (cancelled) return;
+
+  const firstName = frames[0].name.replace(/_\d+$/, '');
+  if (output === 'sca') {
+    const is53c = settings.format === '53c';
+    const pattern = settings.pattern53c === 'stripes' ? APP_CONFIG.PATTERN_53C_STRIPES :
+                    settings.pattern53c === 'dd77' ? APP_CONFIG.PATTERN_53C_DD77 : APP_CONFIG.PATTERN_53C_CHECKER;
+    const sca = buildScaFile(
+      converted.map(c => c.data),
+      converted.map(c => c.delay),
+      is53c ? 1 : 0,
+      is53c ? pattern : null
+    );
+    // Open in the viewer; the SCA editor saves it
+    closeImportDialog();
+    loadScreenFile(new File([sca], `${firstName}.sca`));
+    return;
+  }
+
+  const zip = new JSZip();
+  for (const { name, data } of converted) {
+    zip.file(name, data);
+  }
+  try {
+    const content = await zip.generateAsync({ type: 'blob' });
+    downloadFile(content, `${firstName}_batch.zip`);
+  } catch (error) {
+    alert('Error creating ZIP file: ' + /** @type {Error} */ (error).message);
+  }
+}
+
 /**
  * Check if file is an image file
  * @param {string} filename - File name to check
@@ -0,0 +1,80 @@
+// SpectraLab - Image Import Worker
+// Runs image conversion off the main thread so the import preview stays responsive
+// @ts-check
+"use strict";
+
+// Converters and the palette/format constants they use; none of these touch the DOM at load time
+importScripts('app_config.js', 'screen_viewer.js', 'image_import.js');
+
+/** @type {Array<{frame1Color: number, frame2Color: number}>} - Gigascreen blends, sent by the page (screen_editor.js is not loaded here) */
+let gigascreenVirtualPalette = [];
+
+/** @type {number} - Minimum time between progress messages (ms) */
+const PROGRESS_INTERVAL = 50;
+
+/** @type {Int32Array|null} - Shared with the page: id of the job to keep running, checked at progress points */
+let cancelCell = null;
+
+/**
+ * Whether the page has cancelled or superseded a job
+ * @param {number} id - Job id
+ * @returns {boolean}
+ */
+function isJobCancelled(id) {
+  return cancelCell !== null && Atomics.load(cancelCell, 0) !== id;
+}
+
+/**
+ * Setup message: {type: 'cancelCell', cell: Int32Array} (only where shared memory is available)
+ * Job message: {id, settings, image: ImageData, palette, useLab, virtualPalette}
+ * Replies: {id, type: 'progress', label, fraction}, {id, type: 'result', result},
+ * {id, type: 'cancelled'} or {id, type: 'error', message}
+ */
+self.onmessage = (e) => {
+  const job = e.data;
+  if (job.type === 'cancelCell') {
+    cancelCell = job.cell;
+    return;
+  }
+  if (isJobCancelled(job.id)) {
+    self.postMessage({ id: job.id, type: 'cancelled' });
+    return;
+  }
+
+  importPaletteColors = job.palette;
+  useLabMode = job.useLab;
+  gigascreenVirtualPalette = job.virtualPalette;
+
+  const canvas = new OffscreenCanvas(job.image.width, job.image.height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    self.postMessage({ id: job.id, type: 'error', message: 'Cannot get canvas context' });
+    return;
+  }
+  ctx.putImageData(job.image, 0, 0);
+
+  let lastLabel = '';
+  let lastTime = 0;
+  importProgressCallback = (label, fraction) => {
+    // Unwinds the converter; reported as 'cancelled' below
+    if (isJobCancelled(job.id)) throw new Error('Cancelled');
+    const now = Date.now();
+    if (label === lastLabel && now - lastTime < PROGRESS_INTERVAL) return;
+    lastLabel = label;
+    lastTime = now;
+    self.postMessage({ id: job.id, type: 'progress', label, fraction });
+  };
+
+  try {
+    const result = runImportConverter(/** @type {HTMLCanvasElement} */ (/** @type {unknown} */ (canvas)), job.settings);
+    self.postMessage({ id: job.id, type: 'result', result });
+  } catch (err) {
+    if (isJobCancelled(job.id)) {
+      self.postMessage({ id: job.id, type: 'cancelled' });
+      return;
+    }
+    self.postMessage({ id: job.id, type: 'error', message: err instanceof Error ? err.message : String(err) });
+  } finally {
+    importProgressCallback = null;
+  }
+};
@@ -0,0 +1,387 @@
+// ============================================================================
+// MLT ASM Export — sjasmplus-compatible ASM source for 8x1 multicolor
+// (the interlace engine here also builds IFL viewers for Sinclair 128K machines)
+// ============================================================================
+
+/** @type {number} - T-states from the first screen flip to the first paper pixel (IFL phase) */
+const INTERLACE_FLIP_LEAD = 81;
+
+/**
+ * Ranks column pairs by how often their attributes vary inside character rows.
+ * Pair p covers columns 2p and 2p+1; a row counts when either column differs
+ * from the first row of its character row (the static attribute).
+ * @param {ArrayLike<number>} attrs - rows × 32 attributes
+ * @param {number} rows - Attribute rows (192 for 8x1, 96 for 8x2)
+ * @param {number} rowsPerChar - Attribute rows per character row
+ * @returns {Array<{p: number, score: number}>} All 16 pairs, most changing first
+ */
+function rankMulticolorPairs(attrs, rows, rowsPerChar) {
+  const scores = [];
+  for (let p = 0; p < 16; p++) {
+    let score = 0;
+    for (let r = 0; r < rows; r++) {
+      const row = r * 32 + p * 2;
+      const first = (r - r % rowsPerChar) * 32 + p * 2;
+      if (attrs[row] !== attrs[first] || attrs[row + 1] !== attrs[first + 1]) score++;
+    }
+    scores.push({ p, score });
+  }
+  return scores.sort((a, b) => b.score - a.score || a.p - b.p);
+}
+
+/**
+ * T-states taken by one attribute row of the interlace engine, contention included:
+ * OUT (C),D/E + NOP, then per pair POP HL (10T) + LD (nn),HL (16T).
+ * @param {AsmMachine} machine - Target machine
+ * @param {number} start - T-state at which the row's OUT starts
+ * @param {number[]} addresses - Attribute addresses written, in order
+ * @returns {number} T-states used
+ */
+function getInterlaceRowT(machine, start, addresses) {
+  let t = start + 8;
+  t += getAsmIoContention(machine, t, 0x7FFD) + 4;
+  t += 4;
+  for (const address of addresses) {
+    t += 10 + 10;
+    // Screen 1 is bank 5; screen 2 (#D800) is bank 7 paged at #C000
+    const contended = machine.contendedBanks.includes(address >= 0xC000 ? 7 : 5);
+    for (let i = 0; i < 2; i++) {
+      if (contended) t += getAsmContention(machine, t);
+      t += 3;
+    }
+  }
+  return t - start;
+}
+
+/**
+ * Dual-screen interlace multicolor engine (8x1 or 8x2), for any 128K machine.
+ *
+ * Screen 1 shows even attribute rows, screen 2 odd ones: every row flips the
+ * screen (OUT (C),E/D with BC=#7FFD) and writes the next row's attributes to the
+ * screen not being displayed. A row has lineT × linesPerRow T-states; each
+ * POP HL + LD (nn),HL pair takes 26T plus the contention of the two screen
+ * writes, so only the column pairs that fit are rewritten — the ones whose
+ * attributes change most. The other columns keep each character row's first
+ * attribute row. Every row is padded to its exact length.
+ *
+ * Layout: code and the gathered attribute stream in bank 2 (#8000, uncontended),
+ * bitmap at #6000, raw attributes in bank 0 at #C000 (read once at startup,
+ * before bank 7 is paged in). Packed data goes to bank 0 after the raw
+ * attribute buffer and is unpacked straight to it and to screen 1.
+ * @param {Object} opts
+ * @param {string} opts.title - Header title, e.g. 'MLT 8x1 Multicolor'
+ * @param {Uint8Array} opts.data - 6144-byte bitmap followed by the attribute rows
+ * @param {number} opts.linesPerRow - Pixel lines per attribute row (1 or 2)
+ * @param {string} opts.baseName - Base filename for SAVESNA/INCBIN
+ * @param {string} opts.ext - Source file extension for INCBIN
+ * @param {boolean} opts.embedData - Embed data as DB (false = INCBIN)
+ * @param {AsmMachine} opts.machine - Target machine (must have 128K paging)
+ * @param {AsmPacker|null} [opts.packer] - Pack the bitmap and attributes (always embedded)
+ * @returns {{asm: string, columns: number[], lost: number, degraded: number[]}|null} ASM source,
+ *   the first column of each multicolor pair, the pair-rows that differ outside them and the
+ *   columns those rows fall in; null if no pair fits
+ */
+function generateInterlaceAsm({ title, data, linesPerRow, baseName, ext, embedData, machine, packer = null }) {
+  const rows = 192 / linesPerRow;
+  const rowsPerChar = 8 / linesPerRow;
+  const rowT = machine.lineT * linesPerRow;
+  const attrs = data.subarray(6144, 6144 + rows * 32);
+  const firstOutT = machine.paperT - INTERLACE_FLIP_LEAD;
+
+  /** Address of row r's attributes at a column (next row goes to the other screen) */
+  const attrAddress = (/** @type {number} */ r, /** @type {number} */ col) =>
+    (r & 1 ? 0xD800 : 0x5800) + Math.floor(r / rowsPerChar) * 32 + col;
+
+  // Most pairs whose rows all fit (with a fillable remainder)
+  const ranking = rankMulticolorPairs(attrs, rows, rowsPerChar);
+  let columns = [];
+  let fills = [];
+  for (let k = Math.min(16, Math.floor((rowT - 16) / 26)); k > 0 && columns.length === 0; k--) {
+    const cols = ranking.slice(0, k).map(s => s.p * 2).sort((a, b) => a - b);
+    const rowFills = [];
+    for (let r = 0; r < rows; r++) {
+      const next = (r + 1) % rows;
+      const used = getInterlaceRowT(machine, firstOutT + r * rowT, cols.map(c => attrAddress(next, c)));
+      const filler = used <= rowT ? getAsmFiller(rowT - used) : null;
+      if (!filler) break;
+      rowFills.push(filler);
+    }
+    if (rowFills.length === rows) {
+      columns = cols;
+      fills = rowFills;
+    }
+  }
+  if (columns.length === 0) return null;
+
+  const chosen = new Set(columns.map(c => c / 2));
+  const dropped = ranking.filter(s => !chosen.has(s.p) && s.score > 0);
+  const lost = dropped.reduce((sum, s) => sum + s.score, 0);
+  const degraded = dropped.flatMap(s => [s.p * 2, s.p * 2 + 1]).sort((a, b) => a - b);
+  const pairBytes = columns.length * 2;
+
+  const asm = [];
+
+  asm.push('; ============================================================================');
+  asm.push(`; ${title} viewer for ${machine.name}`);
+  asm.push('; Generated by SpectraLab v' + APP_VERSION);
+  asm.push('; ============================================================================');
+  asm.push(`; Dual-screen interlace, one flip per ${linesPerRow === 1 ? 'line' : `${linesPerRow} lines`} (${rowT}T)`);
+  asm.push('; BC=#7FFD, D=#1F (show screen 2), E=#17 (show screen 1)');
+  asm.push('; Even rows: show screen 1, write next row to screen 2 (#D800)');
+  asm.push('; Odd rows: show screen 2, write next row to screen 1 (#5800)');
+  asm.push(`; OUT(C),r (12T) + NOP (4T) + ${columns.length}×POP+LD (${columns.length * 26}T) + contention + padding = ${rowT}T`);
+  asm.push(';');
+  asm.push(`; Multicolor columns: ${columns.map(c => `${c}-${c + 1}`).join(', ')}`);
+  if (columns.length < 16) {
+    asm.push('; Other columns use the first row of each character row' +
+      (lost > 0 ? ` (${lost} pair-rows differ)` : ' (exact)'));
+  }
+  asm.push('; ============================================================================');
+  asm.push('');
+  asm.push('    DEVICE ZXSPECTRUM128');
+  asm.push('    ORG #8000');
+  asm.push('');
+
+  asm.push('Start:');
+  asm.push('    DI');
+  asm.push('    LD SP,#7FFE');
+  asm.push('');
+  asm.push('    ; Bank 0 at #C000 (raw attributes), show screen 1');
+  asm.push('    LD BC,#7FFD');
+  asm.push('    LD A,#10');
+  asm.push('    OUT (C),A');
+  asm.push('');
+  if (packer) {
+    emitAsmUnpack(asm, 'PackedAttrs', 'RawAttrs', packer);
+    asm.push('');
+  }
+  asm.push(`    ; Gather the multicolor pairs: rows 1..${rows - 1}, then row 0 (write-ahead)`);
+  asm.push('    LD HL,RawAttrs + 32');
+  asm.push('    LD DE,AttrData');
+  asm.push(`    LD A,${rows - 1}`);
+  asm.push('    CALL Gather');
+  asm.push('    LD HL,RawAttrs');
+  asm.push('    LD A,1');
+  asm.push('    CALL Gather');
+  asm.push('');
+  asm.push('    ; Static attrs: first row of each char row');
+  asm.push('    LD HL,RawAttrs');
+  asm.push('    LD DE,#5800');
+  asm.push('    LD A,24');
+  asm.push('.static:');
+  asm.push('    PUSH HL');
+  asm.push('    LD BC,32');
+  asm.push('    LDIR');
+  asm.push('    POP HL');
+  asm.push(`    LD BC,${rowsPerChar * 32}             ; Next char row`);
+  asm.push('    ADD HL,BC');
+  asm.push('    DEC A');
+  asm.push('    JR NZ,.static');
+  asm.push('');
+  asm.push('    ; Bitmap to screen 1');
+  if (packer) {
+    emitAsmUnpack(asm, 'PackedBitmap', '#4000', packer);
+  } else {
+    asm.push('    LD HL,Bitmap');
+    asm.push('    LD DE,#4000');
+    asm.push('    LD BC,6144');
+    asm.push('    LDIR');
+  }
+  asm.push('');
+  asm.push('    ; Page bank 7 at #C000 and copy screen 1 to screen 2');
+  asm.push('    LD BC,#7FFD');
+  asm.push('    LD A,#17              ; Bank 7 at #C000, show screen 1');
+  asm.push('    OUT (C),A');
+  asm.push('    LD HL,#4000');
+  asm.push('    LD DE,#C000');
+  asm.push('    LD BC,6912');
+  asm.push('    LDIR');
+  asm.push('');
+  asm.push('    ; Black border');
+  asm.push('    XOR A');
+  asm.push('    OUT (#FE),A');
+  asm.push('');
+  asm.push('    ; Setup IM2 interrupt (minimal handler: just RET)');
+  asm.push('    LD HL,#FE00');
+  asm.push('    LD DE,#FE01');
+  asm.push('    LD BC,257');
+  asm.push('    LD (HL),#FD');
+  asm.push('    LDIR');
+  asm.push('    LD A,#C9             ; RET opcode');
+  asm.push('    LD (#FDFD),A');
+  asm.push('    LD A,#FE');
+  asm.push('    LD I,A');
+  asm.push('    IM 2');
+  asm.push('');
+  asm.push('    ; Setup registers for page flipping (preserved across frames)');
+  asm.push('    LD BC,#7FFD           ; Paging port');
+  asm.push('    LD D,#1F              ; Show screen 2 (bank 7)');
+  asm.push('    LD E,#17              ; Show screen 1 (bank 5)');
+  asm.push('');
+
+  // From INT: IM2 response (19T) + RET (10T) + DI (4T) + LD (nn),SP (20T) + delay + LD SP,nn (10T)
+  const delayT = firstOutT - 63;
+  asm.push('; ============================================================================');
+  asm.push('; Main loop - dual screen interlace');
+  asm.push('; ============================================================================');
+  asm.push('MainLoop:');
+  asm.push('    EI');
+  asm.push('    HALT                  ; Wait for INT');
+  asm.push('    DI');
+  asm.push('    LD (SaveSP+1),SP');
+  asm.push('');
+  asm.push(`    ; Delay to the first flip: ${delayT}T (${INTERLACE_FLIP_LEAD}T before the paper)`);
+  asm.push('    ; Using A to preserve BC=#7FFD, D=#1F, E=#17');
+  emitAsmDelay(asm, delayT, 'A');
+  asm.push('');
+  asm.push('    LD SP,AttrData');
+  asm.push('');
+  asm.push(`    ; === ${rows} rows: each writes the next row to the hidden screen ===`);
+  for (let r = 0; r < rows; r++) {
+    const next = (r + 1) % rows;
+    if (r % rowsPerChar === 0) asm.push(`    ; Char row ${r / rowsPerChar}`);
+    asm.push(r & 1 ? '    OUT (C),D             ; odd: show scr2, write to scr1' :
+      '    OUT (C),E             ; even: show scr1, write to scr2');
+    asm.push('    NOP');
+    for (const col of columns) {
+      asm.push('    POP HL');
+      asm.push(`    LD (#${attrAddress(next, col).toString(16).toUpperCase()}),HL`);
+    }
+    const nops = fills[r].filter(op => op === 'NOP').length;
+    for (const op of fills[r]) {
+      if (op !== 'NOP') asm.push('    ' + op);
+    }
+    if (nops > 0) asm.push(`    DS ${nops},0`);
+  }
+  asm.push('');
+  asm.push('SaveSP:');
+  asm.push('    LD SP,0');
+  asm.push('    JP MainLoop');
+  asm.push('');
+
+  asm.push('; ----------------------------------------------------------------------------');
+  asm.push('; Copy the multicolor pairs of A rows');
+  asm.push('; In: HL = first attribute row, DE = destination, A = row count');
+  asm.push('; ----------------------------------------------------------------------------');
+  asm.push('Gather:');
+  for (const col of columns) {
+    asm.push('    PUSH HL');
+    asm.push(`    LD BC,${col}`);
+    asm.push('    ADD HL,BC');
+    asm.push('    LDI');
+    asm.push('    LDI');
+    asm.push('    POP HL');
+  }
+  asm.push('    LD BC,32');
+  asm.push('    ADD HL,BC');
+  asm.push('    DEC A');
+  asm.push('    JP NZ,Gather');
+  asm.push('    RET');
+  asm.push('');
+
+  if (packer) {
+    emitAsmUnpacker(asm, packer);
+  }
+
+  asm.push('; ============================================================================');
+  asm.push('; Data');
+  asm.push('; ============================================================================');
+  asm.push('');
+  asm.push(`; Attribute stream: ${pairBytes} bytes per row, gathered at startup (row1..row${rows - 1},row0)`);
+  asm.push('AttrData:');
+  asm.push(`    DS ${rows * pairBytes}`);
+  asm.push('');
+  asm.push('    ASSERT $ <= #C000          ; Bank 7 is paged at #C000 while running');
+  asm.push('');
+  asm.push(`; Raw attributes: ${rows} rows × 32 (bank 0, read before bank 7 is paged in)`);
+  asm.push('    ORG #C000');
+  asm.push('RawAttrs:');
+  if (packer) {
+    asm.push(`    DS ${rows * 32}`);
+    asm.push('');
+    emitAsmPackedData(asm, 'PackedAttrs', attrs, packer);
+    asm.push('');
+    emitAsmPackedData(asm, 'PackedBitmap', data.subarray(0, 6144), packer);
+    asm.push('');
+    asm.push('    ASSERT $ <= #10000         ; Packed data must fit in bank 0');
+    asm.push('');
+    asm.push(`    SAVESNA "${baseName}.sna",Start`);
+    return { asm: asm.join('\n') };
+  }
+  if (embedData) {
+    asm.push(formatDbLines(Array.from(attrs), 16));
+  } else {
+    asm.push(`    INCBIN "${baseName}.${ext}", 6144, ${rows * 32}`);
+  }
+  asm.push('');
+  asm.push('; Bitmap: 6144 bytes (bank 5, below the stack)');
+  asm.push('    ORG #6000');
+  asm.push('Bitmap:');
+  if (embedData) {
+    asm.push(formatDbLines(Array.from(data.subarray(0, 6144)), 16));
+  } else {
+    asm.push(`    INCBIN "${baseName}.${ext}", 0, 6144`);
+  }
+  asm.push('');
+  asm.push(`    SAVESNA "${baseName}.sna",Start`);
+
+  return { asm: asm.join('\n'), columns, lost, degraded };
+}
+
+/**
+ * 8x1 Multicolor - the interlace engine with one flip per line.
+ * Pentagon: OUT (C),D/E (12T) + NOP (4T) + 8×POP+LD (208T) = 224T, so 16 of
+ * the 32 columns change every line; contended machines fit fewer.
+ * @param {Uint8Array} mltData - 12288 bytes: bitmap + 192 attribute lines
+ * @param {string} baseName - Base filename for SAVESNA output
+ * @param {boolean} [embedData=true] - Embed data as DB (false = INCBIN the .mlt file)
+ * @param {AsmMachine} [machine=ASM_MACHINES.pentagon] - Target machine (128K paging required)
+ * @param {AsmPacker|null} [packer=null] - Pack the bitmap and attributes (always embedded)
+ * @returns {{asm: string, columns: number[], lost: number, degraded: number[]}|null} See generateInterlaceAsm
+ */
+function generateMltAsm(mltData, baseName = 'mlt', embedData = true, machine = ASM_MACHINES.pentagon, packer = null) {
+  if (!mltData || mltData.length < MLT.TOTAL_SIZE || !machine.has128) return null;
+
+  return generateInterlaceAsm({
+    title: 'MLT 8x1 Multicolor',
+    data: mltData,
+    linesPerRow: 1,
+    baseName,
+    ext: 'mlt',
+    embedData,
+    machine,
+    packer
+  });
+}
+
+/**
+ * Exports MLT as sjasmplus ASM source file.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
+ */
+function exportMltAsm(output = 'asm') {
+  if (currentFormat !== FORMAT.MLT || !screenData || screenData.length < MLT.TOTAL_SIZE) {
+    alert('Export ASM is only available for MLT (8x1 multicolor) format.');
+    return;
+  }
+
+  const machine = getAsmMachine();
+  if (!machine.has128) {
+    alert('8x1 multicolor needs the second screen of a 128K machine.\n\nChoose 128K/+2, +2A/+3 or Pentagon.');
+    return;
+  }
+
+  const baseName = getAsmBaseName(currentFileName, 'mlt');
+  const result = generateMltAsm(screenData, baseName, getAsmEmbedData(), machine, getAsmPacker());
+  if (!result) {
+    alert(`Cannot fit any multicolor columns into a line on the ${machine.name}.`);
+    return;
+  }
+
+  if (result.lost > 0) {
+    alert(`The ${machine.name} multicolors only ${result.columns.length * 2} of 32 columns per line.\n\n` +
+      `Columns ${result.degraded.filter(c => c % 2 === 0).map(c => `${c}-${c + 1}`).join(', ')} show the first line of each character row ` +
+      `(${result.lost} pair-rows differ).`);
+  }
+
+  outputAsmBuild(result.asm, baseName, output, () => screenData, { machine });
+}
@@ -0,0 +1,21 @@
+// SpectraLab - Packing Worker
+// Runs the ZX0/ZX7/LZ4 packers off the main thread so the page stays responsive
+// @ts-check
+"use strict";
+
+// Packers; asm_export_utils.js touches no DOM at load time
+importScripts('asm_export_utils.js');
+
+/**
+ * Message: {id, key, data: Uint8Array} - one block, key from ASM_PACKERS
+ * Replies: {id, packed: Uint8Array} or {id, error}
+ */
+self.onmessage = (e) => {
+  const { id, key, data } = e.data;
+  try {
+    const packed = ASM_PACKERS[key].pack(data);
+    self.postMessage({ id, packed }, [packed.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: err instanceof Error ? err.message : String(err) });
+  }
+};
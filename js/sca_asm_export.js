@@ -0,0 +1,592 @@
+// ============================================================================
+// SCA ASM Export — sjasmplus-compatible ASM source for SCA animation players
+// ============================================================================
+
+/** @type {number} - Player code address (48K delta player) */
+const SCA_DELTA_PLAYER_ORG = 0x6000;
+
+/** @type {number} - IM2 handler address; animation data must end below it */
+const SCA_IM2_HANDLER = 0xFDFD;
+
+/** @type {number} - Player code and frame table address (frame player) */
+const SCA_FRAME_PLAYER_ORG = 0x6000;
+
+/** @type {number} - Frame player IM2 vector table (I = #BE, in uncontended bank 2) */
+const SCA_FRAME_IM2_TABLE = 0xBE00;
+
+/** @type {number} - Frame player IM2 handler address (vector table filled with #BF) */
+const SCA_FRAME_IM2_HANDLER = 0xBFBF;
+
+/**
+ * Memory areas the frame player stores frames in, filled in order. Bank 2 is
+ * fixed at #8000; the #C000 banks are paged through port #7FFD. A 48K machine
+ * has only bank 2 and bank 0 (plain RAM at #8000-#FFFF).
+ * @type {Array<{bank: number, start: number, end: number}>}
+ */
+const SCA_FRAME_AREAS = [
+  { bank: 2, start: 0x8000, end: SCA_FRAME_IM2_TABLE },
+  ...[0, 1, 3, 4, 6, 7].map(bank => ({ bank, start: 0xC000, end: 0x10000 }))
+];
+
+/** @type {number} - Areas available on a 48K machine (bank 2 and bank 0) */
+const SCA_FRAME_AREAS_48K = 2;
+
+/**
+ * Places frames into the frame player's memory areas, never splitting a frame
+ * across areas.
+ * @param {number[]} sizes - Stored bytes per frame (6912 or 768, less when packed)
+ * @returns {Array<{area: number, address: number}>|null} Placement per frame, or null if they do not fit in 128K
+ */
+function layoutScaFrames(sizes) {
+  const placement = [];
+  let area = 0;
+  let address = SCA_FRAME_AREAS[0].start;
+  for (const size of sizes) {
+    while (address + size > SCA_FRAME_AREAS[area].end) {
+      if (++area >= SCA_FRAME_AREAS.length) return null;
+      address = SCA_FRAME_AREAS[area].start;
+    }
+    placement.push({ area, address });
+    address += size;
+  }
+  return placement;
+}
+
+/**
+ * Gets the largest number of frames the frame player can store.
+ * @param {number} frameSize - Bytes per frame (6912 or 768)
+ * @returns {number}
+ */
+function getScaFramePlayerCapacity(frameSize) {
+  return SCA_FRAME_AREAS.reduce((sum, a) => sum + Math.floor((a.end - a.start) / frameSize), 0);
+}
+
+/**
+ * Generates sjasmplus-compatible ASM source for an SCA frame player (type 0 or 1).
+ * Frames are stored as they are and copied to the screen (type 0) or to the
+ * attributes over a fill-pattern bitmap drawn once at start (type 1).
+ *
+ * Frames go to bank 2 first, then to bank 0 at #C000; if that is not enough
+ * the source targets 128K and pages banks 1, 3, 4, 6 and 7 in through #7FFD.
+ * Each frame table entry is: DB #7FFD value, DW frame address, DB delay.
+ *
+ * Timing: the IM2 handler counts interrupts, so a frame's delay (HALT count)
+ * includes the time spent copying it. A full screen takes about two TV frames
+ * to copy, which is the shortest delay a type 0 frame can really have.
+ *
+ * With a packer each frame is stored packed and unpacked straight to the
+ * screen, so more frames fit but unpacking takes longer than the copy.
+ * @param {Uint8Array[]} frames - Frame data (6912 bytes for type 0, 768 for type 1)
+ * @param {number[]} delays - Per-frame delays in 1/50 s units
+ * @param {number} payloadType - 0 (full screens) or 1 (attributes)
+ * @param {ArrayLike<number>|null} fillPattern - 8-byte bitmap pattern (type 1 only)
+ * @param {number} borderColor - Border color (0-7)
+ * @param {string} baseName - Base filename for SAVESNA output
+ * @param {boolean} [loopFrame=false] - Last frame repeats the first: reuse its data instead of storing it again
+ * @param {AsmPacker|null} [packer=null] - Store frames packed
+ * @returns {{asm: string}|null} Complete ASM source code, or null if the frames do not fit in 128K
+ */
+function generateScaAsm(frames, delays, payloadType, fillPattern, borderColor = 0, baseName = 'animation', loopFrame = false, packer = null) {
+  if (frames.length === 0) return null;
+
+  const isAttr = payloadType === 1;
+  const frameSize = isAttr ? SCA.ATTR_FRAME_SIZE : SCA.FRAME_SIZE;
+  const shareLast = loopFrame && frames.length > 1;
+  const storedCount = shareLast ? frames.length - 1 : frames.length;
+
+  const packed = packer ? frames.slice(0, storedCount).map(f => packAsmData(packer, f)) : null;
+  const sizes = packed && packer ? packed.map(p => p.length + (packer.sized ? 2 : 0)) : Array(storedCount).fill(frameSize);
+  const placement = layoutScaFrames(sizes);
+  if (!placement) return null;
+  // Table entries (4 bytes each) share bank 5 with the code
+  if (SCA_FRAME_PLAYER_ORG + 0x100 + frames.length * 4 > 0x8000) return null;
+
+  const is128 = placement[placement.length - 1].area >= SCA_FRAME_AREAS_48K;
+  const frameDelays = delays.map(d => Math.max(1, Math.min(255, d || 1)));
+  const hex = (/** @type {number} */ v, /** @type {number} */ digits) => '#' + v.toString(16).toUpperCase().padStart(digits, '0');
+
+  const asm = [];
+
+  // === Header ===
+  asm.push('; ============================================================================');
+  asm.push(`; SCA ${isAttr ? 'attribute' : 'full-screen'} animation player — ZX Spectrum ${is128 ? '128K' : '48K'}`);
+  asm.push('; Generated by SpectraLab v' + APP_VERSION);
+  asm.push('; sjasmplus compatible source');
+  asm.push(';');
+  asm.push(`; ${frames.length} frames of ${frameSize} bytes${shareLast ? ', last frame reuses frame 0 (loop frame)' : ''}`);
+  if (packer) {
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    asm.push(`; Frames packed with ${packer.name}: ${storedCount * frameSize} bytes packed to ${total}`);
+  }
+  asm.push('; Frame table: DB #7FFD value, DW frame address, DB delay');
+  asm.push('; Delays are HALT counts (1/50 s), counted from the start of each frame');
+  if (is128) {
+    asm.push('; Frames are stored in bank 2 and banks 0,1,3,4,6,7 (paged at #C000)');
+  }
+  asm.push('; ============================================================================');
+  asm.push('');
+  asm.push(is128 ? '    DEVICE ZXSPECTRUM128' : '    DEVICE ZXSPECTRUM48');
+  if (is128) {
+    asm.push('    SLOT 3                    ; PAGE maps banks at #C000');
+  }
+  asm.push('    ORG ' + hex(SCA_FRAME_PLAYER_ORG, 4));
+  asm.push('');
+  asm.push(`FRAME_COUNT EQU ${frames.length}`);
+  asm.push(`FRAME_SIZE  EQU ${frameSize}`);
+  asm.push('');
+
+  // === Initialization ===
+  asm.push('; ============================================================================');
+  asm.push('; Initialization');
+  asm.push('; ============================================================================');
+  asm.push('Start:');
+  asm.push('    DI');
+  asm.push('    LD SP,Start               ; Stack below the player');
+  asm.push('');
+  if (isAttr) {
+    asm.push('    ; Fill the bitmap with the pattern: pixel line within a cell = H & 7');
+    asm.push('    LD HL,#4000');
+    asm.push('.fillLine:');
+    asm.push('    LD A,H');
+    asm.push('    AND 7');
+    asm.push('    ADD A,LOW FillPattern');
+    asm.push('    LD E,A');
+    asm.push('    LD D,HIGH FillPattern');
+    asm.push('    LD A,(DE)');
+    asm.push('    LD B,0                    ; 256 bytes');
+    asm.push('.fillByte:');
+    asm.push('    LD (HL),A');
+    asm.push('    INC L');
+    asm.push('    DJNZ .fillByte');
+    asm.push('    INC H');
+    asm.push('    LD A,H');
+    asm.push('    CP #58');
+    asm.push('    JR NZ,.fillLine');
+    asm.push('');
+  }
+  asm.push(`    LD A,${borderColor & 0x07}                    ; Border color`);
+  asm.push('    OUT (#FE),A');
+  asm.push('');
+  asm.push('    ; Setup IM2 interrupt (handler counts frames)');
+  asm.push('    LD HL,' + hex(SCA_FRAME_IM2_TABLE, 4));
+  asm.push('    LD DE,' + hex(SCA_FRAME_IM2_TABLE + 1, 4));
+  asm.push('    LD BC,257');
+  asm.push('    LD (HL),' + hex(SCA_FRAME_IM2_HANDLER >> 8, 2));
+  asm.push('    LDIR');
+  asm.push('    LD A,' + hex(SCA_FRAME_IM2_TABLE >> 8, 2));
+  asm.push('    LD I,A');
+  asm.push('    IM 2');
+  asm.push('    EI');
+  asm.push('');
+
+  // === Main loop ===
+  asm.push('; ============================================================================');
+  asm.push('; Main loop');
+  asm.push('; ============================================================================');
+  asm.push('Loop:');
+  asm.push('    LD IX,FrameTable');
+  asm.push('    LD HL,FRAME_COUNT');
+  asm.push('.next:');
+  asm.push('    PUSH HL');
+  asm.push('    HALT                      ; Frame starts on an interrupt');
+  asm.push('    XOR A');
+  asm.push('    LD (Ticks),A');
+  if (is128) {
+    asm.push('    LD A,(IX+0)               ; Page in the frame\'s bank');
+    asm.push('    LD BC,#7FFD');
+    asm.push('    OUT (C),A');
+  }
+  asm.push('    LD L,(IX+1)');
+  asm.push('    LD H,(IX+2)');
+  asm.push(isAttr ? '    LD DE,#5800' : '    LD DE,#4000');
+  if (packer) {
+    asm.push(`    CALL ${packer.routine}`);
+  } else {
+    asm.push('    LD BC,FRAME_SIZE');
+    asm.push('    LDIR');
+  }
+  asm.push('.hold:');
+  asm.push('    LD A,(Ticks)              ; Wait until the delay has elapsed');
+  asm.push('    INC A                     ; (the next HALT ends it)');
+  asm.push('    CP (IX+3)');
+  asm.push('    JR NC,.shown');
+  asm.push('    HALT');
+  asm.push('    JR .hold');
+  asm.push('.shown:');
+  asm.push('    LD BC,4');
+  asm.push('    ADD IX,BC');
+  asm.push('    POP HL');
+  asm.push('    DEC HL');
+  asm.push('    LD A,H');
+  asm.push('    OR L');
+  asm.push('    JR NZ,.next');
+  asm.push('    JR Loop');
+  asm.push('');
+  asm.push('Ticks:');
+  asm.push('    DB 0');
+  asm.push('');
+  if (isAttr) {
+    const pattern = Array.from({ length: 8 }, (_, i) => fillPattern ? fillPattern[i] : 0);
+    asm.push('    ALIGN 8');
+    asm.push('FillPattern:');
+    asm.push(formatDbLines(pattern, 8));
+    asm.push('');
+  }
+  if (packer) {
+    emitAsmUnpacker(asm, packer);
+  }
+
+  // === Frame table ===
+  asm.push('; ============================================================================');
+  asm.push('; Frame table');
+  asm.push('; ============================================================================');
+  asm.push('FrameTable:');
+  for (let i = 0; i < frames.length; i++) {
+    const stored = shareLast && i === frames.length - 1 ? 0 : i;
+    const bank = SCA_FRAME_AREAS[placement[stored].area].bank;
+    const port = hex(0x10 | (bank === 2 ? 0 : bank), 2);
+    const comment = stored !== i ? `  ; Frame ${i} = frame 0` : '';
+    asm.push(`    DB ${port},LOW Frame${stored},HIGH Frame${stored},${frameDelays[i]}${comment}`);
+  }
+  asm.push('');
+  asm.push('    ASSERT $ <= #8000          ; Code and table stay in bank 5');
+  asm.push('');
+
+  // === Frame data ===
+  asm.push('; ============================================================================');
+  asm.push('; Frame data');
+  asm.push('; ============================================================================');
+  let currentArea = -1;
+  for (let i = 0; i < storedCount; i++) {
+    const { area, address } = placement[i];
+    if (area !== currentArea) {
+      if (currentArea === 0) {
+        asm.push('    ASSERT $ <= ' + hex(SCA_FRAME_IM2_TABLE, 4) + '          ; Below the IM2 table');
+      }
+      currentArea = area;
+      const bank = SCA_FRAME_AREAS[area].bank;
+      asm.push('');
+      if (is128 && bank !== 2) {
+        asm.push(`    PAGE ${bank}`);
+      }
+      asm.push(`    ORG ${hex(address, 4)}                ; Bank ${bank}`);
+    }
+    if (packed && packer) {
+      emitAsmPackedData(asm, `Frame${i}`, frames[i], packer, packed[i]);
+    } else {
+      asm.push(`Frame${i}:`);
+      asm.push(formatDbLines(Array.from(frames[i]), 16));
+    }
+  }
+  if (currentArea === 0) {
+    asm.push('    ASSERT $ <= ' + hex(SCA_FRAME_IM2_TABLE, 4) + '          ; Below the IM2 table');
+  }
+  asm.push('');
+
+  // === Interrupt handler ===
+  asm.push('; ============================================================================');
+  asm.push('; IM2 handler (bank 2, always mapped)');
+  asm.push('; ============================================================================');
+  if (is128) {
+    asm.push('    PAGE 0');
+  }
+  asm.push('    ORG ' + hex(SCA_FRAME_IM2_HANDLER, 4));
+  asm.push('Interrupt:');
+  asm.push('    PUSH AF');
+  asm.push('    LD A,(Ticks)');
+  asm.push('    INC A');
+  asm.push('    LD (Ticks),A');
+  asm.push('    POP AF');
+  asm.push('    EI');
+  asm.push('    RET');
+  asm.push('');
+  asm.push(`    SAVESNA "${baseName}.sna",Start`);
+  asm.push('');
+
+  return { asm: asm.join('\n') };
+}
+
+/**
+ * Generates sjasmplus-compatible ASM source for a 48K delta (type 2) SCA player.
+ * Frames are stored as change lists (see SCA in screen_viewer.js): the first
+ * against a blank screen, each next one against its predecessor, and a loop
+ * list that turns the last frame back into the first.
+ *
+ * Each frame: HALT, apply its change list (LDIR per run), then HALT for the
+ * rest of its delay. The loop body replays frames 1..N-1 and the loop list, so
+ * the delay table is stored rotated (delay 1..N-1, then delay 0).
+ * @param {Uint8Array[]} frames - 6912-byte screens
+ * @param {number[]} delays - Per-frame delays in 1/50 s units
+ * @param {number} borderColor - Border color (0-7)
+ * @param {string} baseName - Base filename for SAVESNA output
+ * @returns {{asm: string}|null} Complete ASM source code, or null if the data does not fit in 48K
+ */
+function generateScaDeltaAsm(frames, delays, borderColor = 0, baseName = 'animation') {
+  if (frames.length === 0) return null;
+
+  const firstList = encodeScaDelta(new Uint8Array(SCA.FRAME_SIZE), frames[0]);
+  const stream = encodeScaDeltaStream(frames);
+  const loopDelays = [...delays.slice(1), delays[0]].map(d => Math.max(1, Math.min(255, d || 1)));
+
+  // Code + first delay + delay table + change lists must end below the IM2 handler
+  const dataSize = 1 + loopDelays.length + stream.length;
+  if (SCA_DELTA_PLAYER_ORG + 0x100 + dataSize > SCA_IM2_HANDLER) return null;
+
+  const asm = [];
+
+  // === Header ===
+  asm.push('; ============================================================================');
+  asm.push('; SCA delta animation player — ZX Spectrum 48K');
+  asm.push('; Generated by SpectraLab v' + APP_VERSION);
+  asm.push('; sjasmplus compatible source');
+  asm.push(';');
+  asm.push(`; ${frames.length} frames, ${stream.length} bytes of change lists`);
+  asm.push('; Change list: runs of DW screen offset, DB length, bytes; DW #FFFF ends the list');
+  asm.push('; Frame 0 is stored against a blank screen; the last list loops back to frame 0');
+  asm.push('; Delays are HALT counts (1/50 s)');
+  asm.push('; ============================================================================');
+  asm.push('');
+  asm.push('    DEVICE ZXSPECTRUM48');
+  asm.push('    ORG #' + SCA_DELTA_PLAYER_ORG.toString(16).toUpperCase());
+  asm.push('');
+  asm.push(`FRAME_COUNT EQU ${frames.length}`);
+  asm.push('');
+
+  // === Initialization ===
+  asm.push('; ============================================================================');
+  asm.push('; Initialization');
+  asm.push('; ============================================================================');
+  asm.push('Start:');
+  asm.push('    DI');
+  asm.push('    LD SP,Start               ; Stack below the player');
+  asm.push('');
+  asm.push('    ; Blank screen: frame 0 is stored as changes against it');
+  asm.push('    LD HL,#4000');
+  asm.push('    LD DE,#4001');
+  asm.push('    LD BC,6911');
+  asm.push('    LD (HL),L                 ; L = 0');
+  asm.push('    LDIR');
+  asm.push('');
+  asm.push(`    LD A,${borderColor & 0x07}                    ; Border color`);
+  asm.push('    OUT (#FE),A');
+  asm.push('');
+  asm.push('    ; Setup IM2 interrupt (minimal handler: just RET)');
+  asm.push('    LD HL,#FE00');
+  asm.push('    LD DE,#FE01');
+  asm.push('    LD BC,257');
+  asm.push('    LD (HL),#FD');
+  asm.push('    LDIR');
+  asm.push('    LD A,#C9                  ; RET opcode');
+  asm.push('    LD (#FDFD),A');
+  asm.push('    LD A,#FE');
+  asm.push('    LD I,A');
+  asm.push('    IM 2');
+  asm.push('');
+  asm.push('    ; Frame 0');
+  asm.push('    CALL WaitFrame');
+  asm.push('    LD HL,FrameData');
+  asm.push('    CALL ApplyDelta');
+  asm.push('    LD A,(FirstDelay)');
+  asm.push('    LD B,A');
+  asm.push('    CALL Hold');
+  asm.push('');
+
+  // === Main loop ===
+  asm.push('; ============================================================================');
+  asm.push('; Main loop: frames 1..N-1, then the loop list back to frame 0');
+  asm.push('; ============================================================================');
+  asm.push('Loop:');
+  asm.push('    LD HL,LoopData');
+  asm.push('    LD IX,DelayTable');
+  asm.push('    LD BC,FRAME_COUNT');
+  asm.push('.next:');
+  asm.push('    PUSH BC');
+  asm.push('    CALL WaitFrame');
+  asm.push('    CALL ApplyDelta');
+  asm.push('    LD B,(IX+0)');
+  asm.push('    INC IX');
+  asm.push('    CALL Hold');
+  asm.push('    POP BC');
+  asm.push('    DEC BC');
+  asm.push('    LD A,B');
+  asm.push('    OR C');
+  asm.push('    JR NZ,.next');
+  asm.push('    JR Loop');
+  asm.push('');
+
+  // === Subroutines ===
+  asm.push('; ----------------------------------------------------------------------------');
+  asm.push('; Apply one change list');
+  asm.push('; In: HL = change list   Out: HL = next change list');
+  asm.push('; ----------------------------------------------------------------------------');
+  asm.push('ApplyDelta:');
+  asm.push('    LD E,(HL)');
+  asm.push('    INC HL');
+  asm.push('    LD D,(HL)');
+  asm.push('    INC HL');
+  asm.push('    LD A,D');
+  asm.push('    INC A                     ; #FFFF ends the list (offsets are below #1B00)');
+  asm.push('    RET Z');
+  asm.push('    ADD A,#3F                 ; DE = #4000 + offset');
+  asm.push('    LD D,A');
+  asm.push('    LD C,(HL)');
+  asm.push('    INC HL');
+  asm.push('    LD B,0');
+  asm.push('    LDIR');
+  asm.push('    JR ApplyDelta');
+  asm.push('');
+  asm.push('; ----------------------------------------------------------------------------');
+  asm.push('; Keep the frame on screen: B = delay (frames), one already elapsed');
+  asm.push('; ----------------------------------------------------------------------------');
+  asm.push('Hold:');
+  asm.push('    DEC B');
+  asm.push('    RET Z');
+  asm.push('.wait:');
+  asm.push('    CALL WaitFrame');
+  asm.push('    DJNZ .wait');
+  asm.push('    RET');
+  asm.push('');
+  asm.push('WaitFrame:');
+  asm.push('    EI');
+  asm.push('    HALT');
+  asm.push('    DI');
+  asm.push('    RET');
+  asm.push('');
+
+  // === Data section ===
+  asm.push('; ============================================================================');
+  asm.push('; Data');
+  asm.push('; ============================================================================');
+  asm.push('');
+  asm.push('FirstDelay:');
+  asm.push(`    DB ${loopDelays[loopDelays.length - 1]}`);
+  asm.push('');
+  asm.push(`DelayTable:                  ; ${loopDelays.length} bytes: delays of frames 1..N-1, then frame 0`);
+  asm.push(formatDbLines(loopDelays, 16));
+  asm.push('');
+  asm.push(`FrameData:                   ; ${stream.length} bytes of change lists`);
+  asm.push(formatDbLines(Array.from(stream.subarray(0, firstList.length)), 16));
+  asm.push('LoopData:                    ; Frames 1..N-1, then back to frame 0');
+  asm.push(formatDbLines(Array.from(stream.subarray(firstList.length)), 16));
+  asm.push('');
+  asm.push('    ASSERT $ <= #' + SCA_IM2_HANDLER.toString(16).toUpperCase() + '          ; Below the IM2 handler');
+  asm.push('');
+  asm.push(`    SAVESNA "${baseName}.sna",Start`);
+  asm.push('');
+
+  return { asm: asm.join('\n') };
+}
+
+/**
+ * Exports the SCA editor's remaining frames as a frame player ASM source file.
+ * A last frame matching the first (see hasLoopFrame) is stored only once.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
+ */
+function exportScaFramesAsm(output = 'asm') {
+  if (!scaHeader || currentFormat !== FORMAT.SCA) return;
+
+  const kept = typeof getKeptFrameIndices === 'function' ? getKeptFrameIndices() :
+    Array.from({ length: scaHeader.frameCount }, (_, i) => i);
+  if (kept.length === 0) {
+    alert('Cannot export: no frames remaining.');
+    return;
+  }
+
+  const packSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('editPackSelect'));
+  const packer = ASM_PACKERS[packSelect?.value || ''] || null;
+
+  const baseName = getAsmBaseName(currentFileName, 'animation');
+  const frames = kept.map(getScaFrameData);
+  if (packer) {
+    // Pack in the background; generateScaAsm then reuses the packed frames
+    packBlocksAsync(frames, [packer]).then(done => {
+      if (done) finishScaFramesAsm(frames, kept, baseName, packer, output);
+    });
+    return;
+  }
+  finishScaFramesAsm(frames, kept, baseName, null, output);
+}
+
+/**
+ * Generates and outputs the frame player once any packing is done.
+ * @param {Uint8Array[]} frames - Frame data of the kept frames
+ * @param {number[]} kept - Kept frame indices
+ * @param {string} baseName - Base filename
+ * @param {AsmPacker|null} packer - Compressor, or null for raw frames
+ * @param {'asm'|'sna'|'tap'|'preview'} output - Output kind, as for exportScaFramesAsm
+ */
+function finishScaFramesAsm(frames, kept, baseName, packer, output) {
+  // Another file may have been opened while packing
+  if (!scaHeader || currentFormat !== FORMAT.SCA) return;
+  const result = generateScaAsm(
+    frames,
+    kept.map(i => typeof getFrameDelay === 'function' ? getFrameDelay(i) : scaHeader?.delays[i] || 1),
+    scaHeader.payloadType,
+    scaHeader.fillPattern,
+    scaHeader.borderColor,
+    baseName,
+    typeof hasLoopFrame === 'function' && hasLoopFrame(),
+    packer
+  );
+  if (!result && packer) {
+    alert(`Too many frames for a 128K player: ${kept.length} frames do not fit even packed with ${packer.name}.\n\n` +
+      'Trim frames or remove duplicates and try again.');
+    return;
+  }
+  if (!result) {
+    const capacity = getScaFramePlayerCapacity(scaHeader.frameSize);
+    alert(`Too many frames for a 128K player: ${kept.length} frames, at most ${capacity} fit.\n\n` +
+      'Trim frames or remove duplicates' + (scaHeader.payloadType === 0 ? ', or choose the Delta payload' : '') + ' and try again.');
+    return;
+  }
+
+  outputAsmBuild(result.asm, baseName, output, () => screenData);
+}
+
+/**
+ * Exports the SCA editor's remaining frames as ASM: a delta player when the
+ * Delta payload is selected, a frame player otherwise.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
+ */
+function exportScaAsm(output = 'asm') {
+  if (!scaHeader || currentFormat !== FORMAT.SCA) return;
+  const payloadType = typeof getSavePayloadType === 'function' ? getSavePayloadType() : scaHeader.payloadType;
+  if (payloadType === SCA.PAYLOAD_DELTA) {
+    exportScaDeltaAsm(output);
+  } else {
+    exportScaFramesAsm(output);
+  }
+}
+
+/**
+ * Exports the SCA editor's remaining frames as a delta player ASM source file.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
+ */
+function exportScaDeltaAsm(output = 'asm') {
+  if (!scaHeader || currentFormat !== FORMAT.SCA) return;
+  if (scaHeader.payloadType !== 0) {
+    alert('The delta player needs full-screen (type 0) frames.');
+    return;
+  }
+
+  const kept = typeof getKeptFrameIndices === 'function' ? getKeptFrameIndices() :
+    Array.from({ length: scaHeader.frameCount }, (_, i) => i);
+  if (kept.length === 0) {
+    alert('Cannot export: no frames remaining.');
+    return;
+  }
+
+  const baseName = getAsmBaseName(currentFileName, 'animation');
+  const result = generateScaDeltaAsm(
+    kept.map(getScaFrameData),
+    kept.map(i => typeof getFrameDelay === 'function' ? getFrameDelay(i) : scaHeader?.delays[i] || 1),
+    scaHeader.borderColor,
+    baseName
+  );
+  if (!result) {
+    alert('The animation changes too much to fit in 48K as a delta player.\n\nTrim frames or remove duplicates and try again.');
+    return;
+  }
+
+  outputAsmBuild(result.asm, baseName, output, () => screenData);
+}
@@ -131,8 +131,28 @@ function initScaEditor() {
   document.getElementById('scaEditBtn')?.addEventListener('click', enterEditMode);
   document.getElementById('editBackBtn')?.addEventListener('click', exitEditMode);
   document.getElementById('editSaveBtn')?.addEventListener('click', saveTrimmedSca);
+  document.getElementById('editPayloadSelect')?.addEventListener('change', updateTrimControls);
+  document.getElementById('editExportAsmBtn')?.addEventListener('click', () => {
+    if (typeof exportScaAsm === 'function') exportScaAsm();
+  });
+  document.getElementById('editExportSnaBtn')?.addEventListener('click', () => {
+    if (typeof exportScaAsm === 'function') exportScaAsm('sna');
+  });
+  document.getElementById('editExportTapBtn')?.addEventListener('click', () => {
+    if (typeof exportScaAsm === 'function') exportScaAsm('tap');
+  });
+  document.getElementById('editEmulateBtn')?.addEventListener('click', () => {
+    if (typeof exportScaAsm === 'function') exportScaAsm('preview');
+  });
+  document.getElementById('editPackSizesBtn')?.addEventListener('click', () => {
+    if (typeof showPackReport === 'function') {
+      showPackReport(getKeptFrameIndices().map(getScaFrameData), 'the trimmed frames');
+    }
+  });
   document.getElementById('exportScrBtn')?.addEventListener('click', exportToScrSeries);
   document.getElementById('export53cBtn')?.addEventListener('click', exportTo53cSeries);
+  document.getElementById('editExportGifBtn')?.addEventListener('click', () => exportScaAnimation('gif'));
+  document.getElementById('editExportApngBtn')?.addEventListener('click', () => exportScaAnimation('apng'));
 
   document.getElementById('trimStartDec')?.addEventListener('click', () => adjustTrim('start', -1));
   document.getElementById('trimStartInc')?.addEventListener('click', () => adjustTrim('start', 1));
@@ -294,6 +314,13 @@ function enterEditMode() {
     editFileName.textContent = currentFileName || 'animation.sca';
   }
 
+  // Payload choice (full-screen animations only): keep the stored one
+  const payloadSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('editPayloadSelect'));
+  if (payloadSelect) {
+    payloadSelect.value = scaHeader.storedPayloadType === SCA.PAYLOAD_DELTA ? 'delta' : 'full';
+    payloadSelect.style.display = scaHeader.payloadType === 1 ? 'none' : '';
+  }
+
   // Generate filmstrip
   generateFilmstrip();
 
@@ -545,6 +572,31 @@ function getTrimmedFrameCount() {
   return Math.max(0, afterTrim - removedInRange);
 }
 
+/**
+ * Gets the original indices of the remaining frames (after trim, optimization, and manual deletion)
+ * @returns {number[]}
+ */
+function getKeptFrameIndices() {
+  if (!scaHeader) return [];
+  const indices = [];
+  for (let i = editTrimStart; i < scaHeader.frameCount - editTrimEnd; i++) {
+    if (!optimizedOutFrames.has(i) && !manuallyDeletedFrames.has(i)) {
+      indices.push(i);
+    }
+  }
+  return indices;
+}
+
+/**
+ * Gets a frame's data
+ * @param {number} frameIndex - Original frame index
+ * @returns {Uint8Array} View into screenData (6912 or 768 bytes)
+ */
+function getScaFrameData(frameIndex) {
+  const offset = getScaFrameOffset(frameIndex);
+  return screenData.subarray(offset, offset + (scaHeader ? scaHeader.frameSize : 0));
+}
+
 /**
  * Compares two frames for equality
  * @param {number} frameIndex1 - First frame index
@@ -1000,23 +1052,43 @@ function formatDuration(ms) {
 }
 
 /**
- * Calculates SCA file size for given frame count
- * @param {number} frameCount - Number of frames
+ * Calculates SCA file size for the given frames
+ * @param {number[]} frameIndices - Original indices of the frames to store
+ * @param {number} payloadType - 0 = full frames, 1 = attributes, 2 = delta
  * @returns {number} File size in bytes
  */
-function calculateScaFileSize(frameCount) {
-  if (!scaHeader) {
-    // Default to type 0 if no header
-    return SCA.HEADER_SIZE + frameCount + (frameCount * SCA.FRAME_SIZE);
-  }
-  if (scaHeader.payloadType === 1) {
+function calculateScaFileSize(frameIndices, payloadType) {
+  const frameCount = frameIndices.length;
+  if (payloadType === 1) {
     // Type 1: Header + delays + fill pattern (8 bytes) + attributes per frame (768 bytes)
     return SCA.HEADER_SIZE + frameCount + SCA.FILL_PATTERN_SIZE + (frameCount * SCA.ATTR_FRAME_SIZE);
   }
+  if (payloadType === SCA.PAYLOAD_DELTA && frameCount > 0) {
+    // Type 2: Header + delays + change lists (first frame from blank, plus the loop back)
+    let size = SCA.HEADER_SIZE + frameCount;
+    let prev = new Uint8Array(SCA.FRAME_SIZE);
+    for (const index of frameIndices) {
+      const frame = getScaFrameData(index);
+      size += encodeScaDelta(prev, frame).length;
+      prev = frame;
+    }
+    return size + encodeScaDelta(prev, getScaFrameData(frameIndices[0])).length;
+  }
   // Type 0: Header + delays + full frames (6912 bytes)
   return SCA.HEADER_SIZE + frameCount + (frameCount * SCA.FRAME_SIZE);
 }
 
+/**
+ * Gets the payload type to save: the Payload setting for full-screen
+ * animations, type 1 for attribute-only ones
+ * @returns {number}
+ */
+function getSavePayloadType() {
+  if (!scaHeader || scaHeader.payloadType === 1) return 1;
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById('editPayloadSelect'));
+  return select?.value === 'delta' ? SCA.PAYLOAD_DELTA : 0;
+}
+
 /**
  * Updates the trim control displays
  */
@@ -1055,8 +1127,10 @@ function updateTrimControls() {
   }
 
   // Update file sizes
-  const originalSize = calculateScaFileSize(scaHeader.frameCount);
-  const trimmedSize = calculateScaFileSize(getTrimmedFrameCount());
+  const allFrames = Array.from({ length: scaHeader.frameCount }, (_, i) => i);
+  const keptFrames = getKeptFrameIndices();
+  const originalSize = calculateScaFileSize(allFrames, scaHeader.storedPayloadType);
+  const trimmedSize = calculateScaFileSize(keptFrames, getSavePayloadType());
 
   if (editOriginalSize) {
     editOriginalSize.textContent = formatFileSize(originalSize);
@@ -1064,6 +1138,17 @@ function updateTrimControls() {
   if (editTrimmedSize) {
     editTrimmedSize.textContent = formatFileSize(trimmedSize);
   }
+
+  // Full frames vs. delta, for full-screen animations
+  const deltaRow = document.getElementById('deltaSizeRow');
+  const isFullScreen = scaHeader.payloadType === 0;
+  if (deltaRow) deltaRow.style.display = isFullScreen ? '' : 'none';
+  const deltaSizeEl = document.getElementById('editDeltaSize');
+  if (deltaSizeEl && isFullScreen) {
+    const fullSize = calculateScaFileSize(keptFrames, 0);
+    const deltaSize = calculateScaFileSize(keptFrames, SCA.PAYLOAD_DELTA);
+    deltaSizeEl.textContent = `${formatFileSize(fullSize)} / ${formatFileSize(deltaSize)}`;
+  }
 }
 
 // ============================================================================
@@ -1306,6 +1391,19 @@ function saveTrimmedSca() {
     return;
   }
 
+  if (getSavePayloadType() === SCA.PAYLOAD_DELTA) {
+    const kept = getKeptFrameIndices();
+    const sca = buildScaFile(
+      kept.map(getScaFrameData),
+      kept.map(getFrameDelay),
+      SCA.PAYLOAD_DELTA,
+      null,
+      scaHeader.borderColor
+    );
+    downloadFile(new Blob([sca], { type: 'application/octet-stream' }), getTrimmedScaFileName());
+    return;
+  }
+
   const isType1 = scaHeader.payloadType === 1;
   const frameSize = scaHeader.frameSize;
 
@@ -1361,7 +1459,14 @@ function saveTrimmedSca() {
     }
   }
 
-  // Generate filename
+  downloadFile(new Blob([newData], { type: 'application/octet-stream' }), getTrimmedScaFileName());
+}
+
+/**
+ * Generates the file name for a saved SCA from the edits made
+ * @returns {string}
+ */
+function getTrimmedScaFileName() {
   const baseName = currentFileName.replace(/\.sca$/i, '');
   const hasTrim = editTrimStart > 0 || editTrimEnd > 0;
   const hasOptimized = optimizedOutFrames.size > 0;
@@ -1373,10 +1478,10 @@ function saveTrimmedSca() {
     suffix = '_trimmed';
   } else if (delaysModified) {
     suffix = '_edited';
+  } else if (scaHeader && getSavePayloadType() !== scaHeader.storedPayloadType) {
+    suffix = getSavePayloadType() === SCA.PAYLOAD_DELTA ? '_delta' : '_full';
   }
-  const newFileName = `${baseName}${suffix}.sca`;
-
-  downloadFile(new Blob([newData], { type: 'application/octet-stream' }), newFileName);
+  return `${baseName}${suffix}.sca`;
 }
 
 /**
@@ -1527,5 +1632,22 @@ async function exportTo53cSeries() {
   }
 }
 
+/**
+ * Exports remaining frames as animated GIF or APNG at the edit preview zoom
+ * @param {string} kind - 'gif' or 'apng'
+ */
+function exportScaAnimation(kind) {
+  if (!scaHeader || !screenData) return;
+
+  if (getTrimmedFrameCount() === 0) {
+    alert('Cannot export: no frames remaining.');
+    return;
+  }
+
+  if (typeof exportAnimation === 'function') {
+    exportAnimation(kind, editZoom, 0);
+  }
+}
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', initScaEditor);
@@ -679,7 +679,9 @@ function isSnapActive() {
  * @returns {number}
  */
 function getFormatWidth() {
-  // All formats are 256 pixels wide
+  // All formats are 256 pixels wide except Timex hi-res and Next Layer 2 wide modes
+  if (currentFormat === FORMAT.TIMEX_HIRES) return TIMEX.HIRES_WIDTH;
+  if (isNextLayer2Format(currentFormat)) return getNextLayer2Geometry(currentFormat).width;
   return 256;
 }
 
@@ -690,6 +692,7 @@ function getFormatWidth() {
 function getFormatHeight() {
   if (currentFormat === FORMAT.MONO_1_3) return 64;
   if (currentFormat === FORMAT.MONO_2_3) return 128;
+  if (isNextLayer2Format(currentFormat)) return getNextLayer2Geometry(currentFormat).height;
   return 192;
 }
 
@@ -838,7 +841,8 @@ let borderPreviewPos = null;
  *   brushShape: string,
  *   scrollTop: number,
  *   scrollLeft: number,
- *   ulaPlusPalette: Uint8Array|null
+ *   ulaPlusPalette: Uint8Array|null,
+ *   animation?: AnimTimeline|null
  * }} PictureState
  */
 
@@ -1110,7 +1114,9 @@ function addPicture(fileName, format, data) {
     // Grids will be parsed from screenData when editor is activated
     specsciiCharGrid: null,
     specsciiAttrGrid: null,
-    specsciiMask: null
+    specsciiMask: null,
+    // Set by openScaTimeline / createAnimationFromPicture
+    animation: null
   };
 
   openPictures.push(newPicture);
@@ -1352,6 +1358,28 @@ function getBitmapAddress(x, y) {
   return third * 2048 + pixelLine * 256 + charRow * 32 + charCol;
 }
 
+/**
+ * Calculates Timex hi-res bitmap address for a pixel (512×192).
+ * Even byte columns live in the first display file, odd ones in the second.
+ * @param {number} x - X coordinate (0-511)
+ * @param {number} y - Y coordinate (0-191)
+ * @returns {number} Byte offset (0-12287)
+ */
+function getTimexHiresAddress(x, y) {
+  const byteCol = Math.floor(x / 8);
+  const fileOffset = (byteCol & 1) ? TIMEX.SECOND_OFFSET : 0;
+  return fileOffset + getBitmapAddress((byteCol >> 1) * 8, y);
+}
+
+/**
+ * Sets Timex hi-res screen colours in the port 0xFF byte
+ * @param {Uint8Array} data - Timex hi-res screen data (12289 bytes)
+ * @param {number} ink - Ink color (0-7), paper becomes 7 - ink
+ */
+function setTimexHiresInk(data, ink) {
+  data[TIMEX.MODE_OFFSET] = TIMEX.HIRES_MODE | ((ink & 0x07) << 3);
+}
+
 /**
  * Calculates attribute address for a pixel's cell
  * @param {number} x - X coordinate (0-255)
@@ -1383,8 +1411,28 @@ function getIflAttributeAddress(x, y) {
  * @returns {number} Byte offset (6144-12287)
  */
 function getMltAttributeAddress(x, y) {
-  const charCol = Math.floor(x / 8);
-  return MLT.BITMAP_SIZE + y * 32 + charCol;  // One attr row per pixel line
+  return MLT.BITMAP_SIZE + getMltAttributeIndex(x, y);
+}
+
+/**
+ * Checks if the current format uses 8×1 attributes (MLT or Timex hi-colour)
+ * @returns {boolean}
+ */
+function isAttr8x1Format() {
+  return currentFormat === FORMAT.MLT || currentFormat === FORMAT.TIMEX_HICOLOR;
+}
+
+/**
+ * Calculates the index of an 8×1 attribute within the attribute area.
+ * MLT stores one linear attribute row per pixel line; Timex hi-colour keeps
+ * attributes in the second display file, interleaved exactly like the bitmap.
+ * @param {number} x - X coordinate (0-255)
+ * @param {number} y - Y coordinate (0-191)
+ * @returns {number} Index (0-6143)
+ */
+function getMltAttributeIndex(x, y) {
+  if (currentFormat === FORMAT.TIMEX_HICOLOR) return getBitmapAddress(x, y);
+  return y * 32 + Math.floor(x / 8);  // One attr row per pixel line
 }
 
 /**
@@ -1424,8 +1472,11 @@ function getBitPosition(x) {
  * @returns {number} 0 (paper) or 1 (ink)
  */
 function getPixel(data, x, y) {
-  if (x < 0 || x >= SCREEN.WIDTH || y < 0 || y >= SCREEN.HEIGHT) return 0;
-  const addr = getBitmapAddress(x, y);
+  if (x < 0 || x >= getFormatWidth() || y < 0 || y >= getFormatHeight()) return 0;
+  if (isNextLayer2Format(currentFormat)) {
+    return getNextLayer2Pixel(data, currentFormat, x, y) !== 0 ? 1 : 0;
+  }
+  const addr = currentFormat === FORMAT.TIMEX_HIRES ? getTimexHiresAddress(x, y) : getBitmapAddress(x, y);
   const bit = getBitPosition(x);
   return (data[addr] >> bit) & 1;
 }
@@ -1465,9 +1516,27 @@ function setPixel(data, x, y, isInk) {
     return;
   }
 
+  // Next Layer 2: one palette index per pixel, no attributes
+  if (isNextLayer2Format(currentFormat)) {
+    setNextLayer2Pixel(data, currentFormat, x, y, isInk ? nextInkIndex : nextPaperIndex);
+    return;
+  }
+
   // Get current color for format-specific handling
   const color = isInk ? getCurrentInkColor() : getCurrentPaperColor();
 
+  // Timex hi-res: bitmap only, colours come from the port 0xFF byte
+  if (currentFormat === FORMAT.TIMEX_HIRES) {
+    const addr = getTimexHiresAddress(x, y);
+    const bit = getBitPosition(x);
+    if (isInk) {
+      data[addr] |= (1 << bit);
+    } else {
+      data[addr] &= ~(1 << bit);
+    }
+    return;
+  }
+
   // RGB3 format: set bits in all 3 color channels based on ink/paper color
   if (currentFormat === FORMAT.RGB3) {
     const bitmapAddr = getBitmapAddress(x, y);
@@ -1548,7 +1617,7 @@ function setPixel(data, x, y, isInk) {
   const attr = getCurrentDrawingAttribute();
 
   // MLT uses 8×1 blocks (192 rows), IFL uses 8×2 blocks (96 rows), BMC4 uses 8×4 blocks (48 rows), SCR uses 8×8 cells (24 rows)
-  const attrAddr = currentFormat === FORMAT.MLT ? getMltAttributeAddress(x, y) :
+  const attrAddr = isAttr8x1Format() ? getMltAttributeAddress(x, y) :
                    currentFormat === FORMAT.IFL ? getIflAttributeAddress(x, y) :
                    currentFormat === FORMAT.BMC4 ? getBmc4AttributeAddress(x, y) :
                    getAttributeAddress(x, y);
@@ -1568,8 +1637,8 @@ function setPixel(data, x, y, isInk) {
         } else if (layer.attributes2) {
           layer.attributes2[attrIdx] = attr;
         }
-      } else if (currentFormat === FORMAT.MLT) {
-        const attrIdx = y * 32 + Math.floor(x / 8);
+      } else if (isAttr8x1Format()) {
+        const attrIdx = getMltAttributeIndex(x, y);
         layer.attributes[attrIdx] = attr;
       } else if (currentFormat === FORMAT.IFL) {
         const attrRow = Math.floor(y / 2);
@@ -1600,8 +1669,8 @@ function setPixel(data, x, y, isInk) {
           } else if (layer.attributes2) {
             layer.attributes2[attrIdx] = attr;
           }
-        } else if (currentFormat === FORMAT.MLT) {
-          const attrIdx = y * 32 + Math.floor(x / 8);
+        } else if (isAttr8x1Format()) {
+          const attrIdx = getMltAttributeIndex(x, y);
           layer.attributes[attrIdx] = attr;
         } else if (currentFormat === FORMAT.IFL) {
           const attrRow = Math.floor(y / 2);
@@ -1633,6 +1702,24 @@ function setPixelBitmapOnly(data, x, y, isInk) {
   if (currentFormat === FORMAT.MONO_2_3 && y >= 128) return;
   if (currentFormat === FORMAT.MONO_1_3 && y >= 64) return;
 
+  // Next Layer 2: pixels carry their own colour
+  if (isNextLayer2Format(currentFormat)) {
+    setNextLayer2Pixel(data, currentFormat, x, y, isInk ? nextInkIndex : nextPaperIndex);
+    return;
+  }
+
+  // Timex hi-res: bitmap only, colours come from the port 0xFF byte
+  if (currentFormat === FORMAT.TIMEX_HIRES) {
+    const addr = getTimexHiresAddress(x, y);
+    const bit = getBitPosition(x);
+    if (isInk) {
+      data[addr] |= (1 << bit);
+    } else {
+      data[addr] &= ~(1 << bit);
+    }
+    return;
+  }
+
   // RGB3 format: set bits in all 3 color channels
   if (currentFormat === FORMAT.RGB3) {
     const bitmapAddr = getBitmapAddress(x, y);
@@ -1708,14 +1795,21 @@ function setPixelAttributeOnly(data, x, y) {
   const height = getFormatHeight();
   if (x < 0 || x >= width || y < 0 || y >= height) return;
 
-  // Monochrome and RGB3 formats have no attributes
+  // Monochrome, RGB3 and Next Layer 2 formats have no attributes
   if (currentFormat === FORMAT.MONO_FULL || currentFormat === FORMAT.MONO_2_3 ||
-      currentFormat === FORMAT.MONO_1_3 || currentFormat === FORMAT.RGB3) {
+      currentFormat === FORMAT.MONO_1_3 || currentFormat === FORMAT.RGB3 ||
+      isNextLayer2Format(currentFormat)) {
+    return;
+  }
+
+  // Timex hi-res: the only "attribute" is the screen-wide ink in the port 0xFF byte
+  if (currentFormat === FORMAT.TIMEX_HIRES) {
+    setTimexHiresInk(data, getCurrentInkColor());
     return;
   }
 
   const attr = getCurrentDrawingAttribute();
-  const attrAddr = currentFormat === FORMAT.MLT ? getMltAttributeAddress(x, y) :
+  const attrAddr = isAttr8x1Format() ? getMltAttributeAddress(x, y) :
                    currentFormat === FORMAT.IFL ? getIflAttributeAddress(x, y) :
                    currentFormat === FORMAT.BMC4 ? getBmc4AttributeAddress(x, y) :
                    getAttributeAddress(x, y);
@@ -1733,8 +1827,8 @@ function setPixelAttributeOnly(data, x, y) {
       } else if (layer.attributes2) {
         layer.attributes2[attrIdx] = attr;
       }
-    } else if (currentFormat === FORMAT.MLT) {
-      const attrIdx = y * 32 + Math.floor(x / 8);
+    } else if (isAttr8x1Format()) {
+      const attrIdx = getMltAttributeIndex(x, y);
       layer.attributes[attrIdx] = attr;
     } else if (currentFormat === FORMAT.IFL) {
       const attrRow = Math.floor(y / 2);
@@ -1859,6 +1953,7 @@ function getCurrentPaperColor() {
  * @returns {boolean}
  */
 function isInkTransparent() {
+  if (isNextLayer2Format(currentFormat)) return false;
   if (isUlaPlusMode) {
     return ulaPlusInkIndex === ULAPLUS_TRANSPARENT;
   }
@@ -1870,6 +1965,7 @@ function isInkTransparent() {
  * @returns {boolean}
  */
 function isPaperTransparent() {
+  if (isNextLayer2Format(currentFormat)) return false;
   if (isUlaPlusMode) {
     return ulaPlusPaperIndex === ULAPLUS_TRANSPARENT;
   }
@@ -1903,7 +1999,7 @@ function getLayerBitmapSize() {
   if (currentFormat === FORMAT.BSC) return SCREEN.BITMAP_SIZE;
   if (currentFormat === FORMAT.BMC4) return BMC4.BITMAP_SIZE;
   if (currentFormat === FORMAT.IFL) return IFL.BITMAP_SIZE;
-  if (currentFormat === FORMAT.MLT) return MLT.BITMAP_SIZE;
+  if (isAttr8x1Format()) return MLT.BITMAP_SIZE;
   if (currentFormat === FORMAT.GIGASCREEN) return SCREEN.BITMAP_SIZE; // Per-frame bitmap size
   if (currentFormat === FORMAT.SPECSCII) return 768; // 32×24 character grid
   return SCREEN.BITMAP_SIZE; // Default for SCR
@@ -1942,7 +2038,7 @@ function getLayerAttributeSize() {
   if (currentFormat === FORMAT.IFL) {
     return IFL.ATTR_SIZE; // 3072 bytes (8×2 cells)
   }
-  if (currentFormat === FORMAT.MLT) {
+  if (isAttr8x1Format()) {
     return MLT.ATTR_SIZE; // 6144 bytes (8×1 cells)
   }
   if (currentFormat === FORMAT.GIGASCREEN) {
@@ -1973,7 +2069,8 @@ function initLayers() {
   }
 
   // Only enable layers for editable bitmap formats (not attribute-only or SCA)
-  if (!isFormatEditable() || currentFormat === FORMAT.ATTR_53C) {
+  if (!isFormatEditable() || currentFormat === FORMAT.ATTR_53C || currentFormat === FORMAT.TIMEX_HIRES ||
+      isNextLayer2Format(currentFormat)) {
     layersEnabled = false;
     layers = [];
     return;
@@ -2458,7 +2555,7 @@ function flattenAttributesToScreen() {
   // SCR/BSC/IFL/MLT: single attribute bank
   // Calculate cell dimensions based on format
   let cellHeight;
-  if (currentFormat === FORMAT.MLT) {
+  if (isAttr8x1Format()) {
     cellHeight = 1; // 8×1 cells
   } else if (currentFormat === FORMAT.IFL) {
     cellHeight = 2; // 8×2 cells
@@ -2473,7 +2570,7 @@ function flattenAttributesToScreen() {
     for (let attrCol = 0; attrCol < attrCols; attrCol++) {
       const cellStartX = attrCol * cellWidth;
       const cellStartY = attrRow * cellHeight;
-      const attrIdx = attrRow * attrCols + attrCol;
+      const attrIdx = isAttr8x1Format() ? getMltAttributeIndex(cellStartX, cellStartY) : attrRow * attrCols + attrCol;
 
       // Find topmost visible layer with content AND attributes in this cell
       const ownerLayer = findLayerOwnerForRegionWithAttributes(cellStartX, cellStartY, cellWidth, cellHeight);
@@ -2789,7 +2886,8 @@ function toggleLayerSectionVisibility() {
   const layerSection = document.getElementById('layerSection');
   if (layerSection) {
     // Show layer section for all editable bitmap formats (not attribute-only or SCA)
-    const supportsLayers = isFormatEditable() && currentFormat !== FORMAT.ATTR_53C;
+    const supportsLayers = isFormatEditable() && currentFormat !== FORMAT.ATTR_53C &&
+      !isNextLayer2Format(currentFormat);
     layerSection.style.display = supportsLayers ? '' : 'none';
   }
 }
@@ -2831,6 +2929,10 @@ function saveProject() {
     flattenLayersToScreen();
   }
 
+  // The frame being edited goes back to the timeline before it is saved
+  const anim = getActiveAnimation();
+  if (anim) commitAnimFrame(anim);
+
   const hasBorder = formatHasBorder();
   const borderSize = getLayerBorderSize();
   const attrSize = getLayerAttributeSize();
@@ -2920,6 +3022,11 @@ function saveProject() {
     }
   }
 
+  // Include the animation timeline; the layers above are those of its current frame
+  if (anim) {
+    project.animation = getAnimationForProject(anim);
+  }
+
   const json = JSON.stringify(project, null, 2);
   const baseName = currentFileName.replace(/\.[^.]+$/, '') || 'project';
   downloadFile(json, baseName + '.slp', 'application/json');
@@ -2971,7 +3078,7 @@ function loadProject(file) {
         totalSize = BSC.TOTAL_SIZE;
       } else if (currentFormat === FORMAT.IFL) {
         totalSize = IFL.TOTAL_SIZE;
-      } else if (currentFormat === FORMAT.MLT) {
+      } else if (isAttr8x1Format()) {
         totalSize = MLT.TOTAL_SIZE;
       } else {
         totalSize = bitmapSize + attrSize;
@@ -3111,7 +3218,12 @@ function loadProject(file) {
         openPictures[result].layers = deepCloneLayers(layers);
         openPictures[result].activeLayerIndex = activeLayerIndex;
         openPictures[result].layersEnabled = layersEnabled;
+        // Restore the animation timeline if present
+        if (project.animation) {
+          openPictures[result].animation = restoreAnimationFromProject(project.animation);
+        }
       }
+      updateAnimationPanel();
 
       // Restore sprite sheet if present
       if (project.spriteSheet && typeof restoreSpriteSheetFromProject === 'function') {
@@ -4229,7 +4341,7 @@ function drawGradient(x0, y0, x1, y1, isInk) {
   } else if (currentFormat === FORMAT.IFL) {
     width = IFL.WIDTH;
     height = IFL.HEIGHT;
-  } else if (currentFormat === FORMAT.MLT) {
+  } else if (isAttr8x1Format()) {
     width = MLT.WIDTH;
     height = MLT.HEIGHT;
   } else if (currentFormat === FORMAT.RGB3) {
@@ -4411,7 +4523,26 @@ function fillCell(x, y, isInk) {
       const bitmapAddr = getBitmapAddress(cellX, cellY + py);
       screenData[bitmapAddr] = isInk ? 0xFF : 0x00;
     }
-  } else if (currentFormat === FORMAT.MLT) {
+  } else if (currentFormat === FORMAT.TIMEX_HIRES) {
+    // Timex hi-res: 8×8 cells on the 512-wide grid, no attributes
+    const cellX = Math.floor(x / 8) * 8;
+    const cellY = Math.floor(y / 8) * 8;
+
+    for (let py = 0; py < 8; py++) {
+      screenData[getTimexHiresAddress(cellX, cellY + py)] = isInk ? 0xFF : 0x00;
+    }
+  } else if (isNextLayer2Format(currentFormat)) {
+    // Next Layer 2: 8×8 cells filled with the selected palette index
+    const cellX = Math.floor(x / 8) * 8;
+    const cellY = Math.floor(y / 8) * 8;
+    const index = isInk ? nextInkIndex : nextPaperIndex;
+
+    for (let py = 0; py < 8; py++) {
+      for (let px = 0; px < 8; px++) {
+        setNextLayer2Pixel(screenData, currentFormat, cellX + px, cellY + py, index);
+      }
+    }
+  } else if (isAttr8x1Format()) {
     if (!screenData || screenData.length < MLT.TOTAL_SIZE) return;
 
     // MLT: 8×1 blocks (single pixel row)
@@ -4519,7 +4650,12 @@ function getPixelState(x, y) {
   const height = getFormatHeight();
   if (x < 0 || x >= width || y < 0 || y >= height) return 0;
 
-  const bitmapAddr = getBitmapAddress(x, y);
+  // Next Layer 2: the state is the palette index itself
+  if (isNextLayer2Format(currentFormat)) {
+    return getNextLayer2Pixel(screenData, currentFormat, x, y);
+  }
+
+  const bitmapAddr = currentFormat === FORMAT.TIMEX_HIRES ? getTimexHiresAddress(x, y) : getBitmapAddress(x, y);
   const bitMask = 0x80 >> (x % 8);
 
   // When layers are enabled and on non-background layer, read from layer bitmap
@@ -4717,6 +4853,11 @@ function setPixelDirect(x, y, isInk) {
     return;
   }
 
+  if (isNextLayer2Format(currentFormat)) {
+    setNextLayer2Pixel(screenData, currentFormat, x, y, isInk ? nextInkIndex : nextPaperIndex);
+    return;
+  }
+
   // Get current color for format-specific handling
   const color = isInk ? getCurrentInkColor() : getCurrentPaperColor();
 
@@ -4736,8 +4877,9 @@ function setPixelDirect(x, y, isInk) {
     return;
   }
 
-  if (currentFormat === FORMAT.MONO_FULL || currentFormat === FORMAT.MONO_2_3 || currentFormat === FORMAT.MONO_1_3) {
-    const bitmapAddr = getBitmapAddress(x, y);
+  if (currentFormat === FORMAT.MONO_FULL || currentFormat === FORMAT.MONO_2_3 || currentFormat === FORMAT.MONO_1_3 ||
+      currentFormat === FORMAT.TIMEX_HIRES) {
+    const bitmapAddr = currentFormat === FORMAT.TIMEX_HIRES ? getTimexHiresAddress(x, y) : getBitmapAddress(x, y);
     const bitMask = 0x80 >> (x % 8);
     if (isInk) screenData[bitmapAddr] |= bitMask;
     else screenData[bitmapAddr] &= ~bitMask & 0xFF;
@@ -4757,7 +4899,7 @@ function setPixelDirect(x, y, isInk) {
 
   // Update attribute address based on format
   let attrAddr;
-  if (currentFormat === FORMAT.MLT) {
+  if (isAttr8x1Format()) {
     attrAddr = getMltAttributeAddress(x, y);
   } else if (currentFormat === FORMAT.IFL) {
     attrAddr = getIflAttributeAddress(x, y);
@@ -4788,8 +4930,8 @@ function setPixelDirect(x, y, isInk) {
           } else if (layer.attributes2) {
             layer.attributes2[attrIdx] = attr;
           }
-        } else if (currentFormat === FORMAT.MLT) {
-          const attrIdx = y * 32 + Math.floor(x / 8);
+        } else if (isAttr8x1Format()) {
+          const attrIdx = getMltAttributeIndex(x, y);
           layer.attributes[attrIdx] = attr;
         } else if (currentFormat === FORMAT.IFL) {
           const attrRow = Math.floor(y / 2);
@@ -4827,8 +4969,8 @@ function setPixelDirect(x, y, isInk) {
             } else if (layer.attributes2) {
               layer.attributes2[attrIdx] = attr;
             }
-          } else if (currentFormat === FORMAT.MLT) {
-            const attrIdx = y * 32 + Math.floor(x / 8);
+          } else if (isAttr8x1Format()) {
+            const attrIdx = getMltAttributeIndex(x, y);
             layer.attributes[attrIdx] = attr;
           } else if (currentFormat === FORMAT.IFL) {
             const attrRow = Math.floor(y / 2);
@@ -4855,12 +4997,19 @@ function setPixelDirect(x, y, isInk) {
  * @param {number} y
  */
 function recolorCell(x, y) {
-  // Monochrome and RGB3 formats have no attributes to recolor
-  if (currentFormat === FORMAT.MONO_FULL || currentFormat === FORMAT.MONO_2_3 || currentFormat === FORMAT.MONO_1_3 || currentFormat === FORMAT.RGB3) {
+  // Monochrome, RGB3 and Next Layer 2 formats have no attributes to recolor
+  if (currentFormat === FORMAT.MONO_FULL || currentFormat === FORMAT.MONO_2_3 || currentFormat === FORMAT.MONO_1_3 ||
+      currentFormat === FORMAT.RGB3 || isNextLayer2Format(currentFormat)) {
     return;
   }
 
-  if (currentFormat === FORMAT.MLT) {
+  // Timex hi-res: recolor the whole screen via the port 0xFF byte
+  if (currentFormat === FORMAT.TIMEX_HIRES) {
+    setTimexHiresInk(screenData, getCurrentInkColor());
+    return;
+  }
+
+  if (isAttr8x1Format()) {
     if (!screenData || screenData.length < MLT.TOTAL_SIZE) return;
 
     // MLT: 8×1 blocks - set single attribute for this pixel row
@@ -4945,8 +5094,8 @@ function getSelectionRect() {
   // Clamp to screen bounds
   left = Math.max(0, left);
   top = Math.max(0, top);
-  right = Math.min(SCREEN.WIDTH - 1, right);
-  bottom = Math.min(SCREEN.HEIGHT - 1, bottom);
+  right = Math.min(getFormatWidth() - 1, right);
+  bottom = Math.min(getFormatHeight() - 1, bottom);
 
   const width = right - left + 1;
   const height = bottom - top + 1;
@@ -5045,7 +5194,7 @@ function copySelection() {
       bitmap,
       attrs
     };
-  } else if (currentFormat === FORMAT.MLT) {
+  } else if (isAttr8x1Format()) {
     // .mlt: copy bitmap (linear packed) + attributes (8×1 blocks)
     const cellLeft = Math.floor(rect.left / 8);
     const cellCols = Math.ceil(rect.width / 8);
@@ -5071,7 +5220,7 @@ function copySelection() {
     const attrs = new Uint8Array(cellCols * attrRows);
     for (let ar = 0; ar < attrRows; ar++) {
       for (let cc = 0; cc < cellCols; cc++) {
-        const srcAddr = MLT.BITMAP_SIZE + (cellLeft + cc) + (rect.top + ar) * 32;
+        const srcAddr = getMltAttributeAddress((cellLeft + cc) * 8, rect.top + ar);
         attrs[ar * cellCols + cc] = screenData[srcAddr];
       }
     }
@@ -5085,6 +5234,23 @@ function copySelection() {
       bitmap,
       attrs
     };
+  } else if (isNextLayer2Format(currentFormat)) {
+    // Next Layer 2: copy palette indices, one byte per pixel, row by row
+    const pixels = new Uint8Array(rect.width * rect.height);
+    for (let py = 0; py < rect.height; py++) {
+      for (let px = 0; px < rect.width; px++) {
+        pixels[py * rect.width + px] = getNextLayer2Pixel(screenData, currentFormat, rect.left + px, rect.top + py);
+      }
+    }
+
+    clipboardData = {
+      format: 'layer2',
+      width: rect.width,
+      height: rect.height,
+      cellCols: Math.ceil(rect.width / 8),
+      cellRows: Math.ceil(rect.height / 8),
+      pixels
+    };
   } else {
     // .scr: copy bitmap (linear packed) + attributes
     const cellLeft = Math.floor(rect.left / 8);
@@ -5242,13 +5408,14 @@ function invertSelection() {
         screenData[RGB3.BLUE_OFFSET + addr] ^= bitMask;
       }
     }
-  } else if (currentFormat === FORMAT.MONO_FULL || currentFormat === FORMAT.MONO_2_3 || currentFormat === FORMAT.MONO_1_3) {
-    // Monochrome: XOR bitmap bits
+  } else if (currentFormat === FORMAT.MONO_FULL || currentFormat === FORMAT.MONO_2_3 || currentFormat === FORMAT.MONO_1_3 ||
+             currentFormat === FORMAT.TIMEX_HIRES) {
+    // Monochrome / Timex hi-res: XOR bitmap bits
     for (let py = 0; py < rect.height; py++) {
       for (let px = 0; px < rect.width; px++) {
         const x = rect.left + px;
         const y = rect.top + py;
-        const addr = getBitmapAddress(x, y);
+        const addr = currentFormat === FORMAT.TIMEX_HIRES ? getTimexHiresAddress(x, y) : getBitmapAddress(x, y);
         const bitMask = 0x80 >> (x % 8);
         screenData[addr] ^= bitMask;
       }
@@ -5270,6 +5437,16 @@ function invertSelection() {
         screenData[addr] = (ink << 3) | paper | flags;
       }
     }
+  } else if (isNextLayer2Format(currentFormat)) {
+    // Next Layer 2: invert palette indices
+    const indexMask = getNextLayer2Geometry(currentFormat).bpp === 4 ? 0x0F : 0xFF;
+    for (let py = 0; py < rect.height; py++) {
+      for (let px = 0; px < rect.width; px++) {
+        const x = rect.left + px;
+        const y = rect.top + py;
+        setNextLayer2Pixel(screenData, currentFormat, x, y, getNextLayer2Pixel(screenData, currentFormat, x, y) ^ indexMask);
+      }
+    }
   } else {
     // SCR/IFL/MLT/BMC4/BSC: XOR bitmap bits (attributes unchanged)
     for (let py = 0; py < rect.height; py++) {
@@ -5305,7 +5482,8 @@ function startPasteMode() {
   const editorFormat = currentFormat === FORMAT.SPECSCII ? 'specscii' :
                        currentFormat === FORMAT.ATTR_53C ? '53c' :
                        currentFormat === FORMAT.IFL ? 'ifl' :
-                       currentFormat === FORMAT.MLT ? 'mlt' : 'scr';
+                       isNextLayer2Format(currentFormat) ? 'layer2' :
+                       isAttr8x1Format() ? 'mlt' : 'scr';
   if (clipboardData.format !== editorFormat) {
     if (infoEl) {
       infoEl.innerHTML = 'Clipboard format mismatch (' + clipboardData.format + ' vs ' + editorFormat + ')';
@@ -5354,13 +5532,13 @@ function executePaste(x, y) {
         for (let px = 0; px < clipboardData.width; px++) {
           const dx = x + px;
           const dy = y + py;
-          if (dx < 0 || dx >= SCREEN.WIDTH || dy < 0 || dy >= SCREEN.HEIGHT) continue;
+          if (dx < 0 || dx >= getFormatWidth() || dy < 0 || dy >= SCREEN.HEIGHT) continue;
 
           const byteIdx = py * bitmapBytesPerRow + Math.floor(px / 8);
           const bitIdx = 7 - (px % 8);
           const clipBit = (clipboardData.bitmap[byteIdx] & (1 << bitIdx)) !== 0;
 
-          const bitmapAddr = getBitmapAddress(dx, dy);
+          const bitmapAddr = currentFormat === FORMAT.TIMEX_HIRES ? getTimexHiresAddress(dx, dy) : getBitmapAddress(dx, dy);
           const bit = getBitPosition(dx);
 
           if (brushPaintMode === 'invert') {
@@ -5385,8 +5563,8 @@ function executePaste(x, y) {
       }
     }
 
-    // Write attributes from clipboard (skip for retouch mode)
-    if (brushPaintMode !== 'retouch') {
+    // Write attributes from clipboard (skip for retouch mode and Timex hi-res, which has none)
+    if (brushPaintMode !== 'retouch' && currentFormat !== FORMAT.TIMEX_HIRES) {
       const cellLeft = Math.floor(x / 8);
       const cellTop = Math.floor(y / 8);
       for (let cr = 0; cr < clipboardData.cellRows; cr++) {
@@ -5399,6 +5577,35 @@ function executePaste(x, y) {
         }
       }
     }
+  } else if (clipboardData.format === 'layer2' && clipboardData.pixels) {
+    // Next Layer 2: write palette indices (no attributes, so recolor does nothing)
+    if (brushPaintMode !== 'recolor') {
+      const width = getFormatWidth();
+      const height = getFormatHeight();
+      const indexMask = getNextLayer2Geometry(currentFormat).bpp === 4 ? 0x0F : 0xFF;
+      for (let py = 0; py < clipboardData.height; py++) {
+        for (let px = 0; px < clipboardData.width; px++) {
+          const dx = x + px;
+          const dy = y + py;
+          if (dx < 0 || dx >= width || dy < 0 || dy >= height) continue;
+
+          const index = clipboardData.pixels[py * clipboardData.width + px] & indexMask;
+          if (brushPaintMode === 'invert') {
+            // XOR: invert screen index where clipboard is non-zero
+            if (index) {
+              setNextLayer2Pixel(screenData, currentFormat, dx, dy, getNextLayer2Pixel(screenData, currentFormat, dx, dy) ^ indexMask);
+            }
+          } else if (brushPaintMode === 'set') {
+            // Set: index 0 is treated as background and left untouched
+            if (index) {
+              setNextLayer2Pixel(screenData, currentFormat, dx, dy, index);
+            }
+          } else {
+            setNextLayer2Pixel(screenData, currentFormat, dx, dy, index);
+          }
+        }
+      }
+    }
   } else if (clipboardData.format === 'ifl' && clipboardData.bitmap) {
     // IFL: write bitmap pixels (skip for recolor mode)
     if (brushPaintMode !== 'recolor') {
@@ -5493,7 +5700,7 @@ function executePaste(x, y) {
           const destCol = cellLeft + cc;
           const destRow = y + ar;  // MLT: one attr row per pixel line
           if (destCol < 0 || destCol >= MLT.ATTR_COLS || destRow < 0 || destRow >= MLT.ATTR_ROWS) continue;
-          const destAddr = MLT.BITMAP_SIZE + destCol + destRow * 32;
+          const destAddr = getMltAttributeAddress(destCol * 8, destRow);
           screenData[destAddr] = clipboardData.attrs[ar * clipboardData.cellCols + cc];
         }
       }
@@ -5753,13 +5960,35 @@ function drawPastePreview(x, y) {
         }
       }
     }
+  } else if (clipboardData.format === 'layer2' && clipboardData.pixels) {
+    // Next Layer 2: draw indices with the current screen palette
+    const palette = getNextPaletteRgb(screenData);
+    const width = getFormatWidth();
+    const height = getFormatHeight();
+    for (let py = 0; py < clipboardData.height; py++) {
+      for (let px = 0; px < clipboardData.width; px++) {
+        const dx = x + px;
+        const dy = y + py;
+        if (dx < 0 || dx >= width || dy < 0 || dy >= height) continue;
+
+        const rgb = palette[clipboardData.pixels[py * clipboardData.width + px]];
+        ctx.fillStyle = `rgb(${rgb[0]},${rgb[1]},${rgb[2]})`;
+        ctx.fillRect(
+          borderPixels + dx * zoom,
+          borderPixels + dy * zoom,
+          zoom,
+          zoom
+        );
+      }
+    }
   }
 
   ctx.restore();
 
   // Draw outline around paste region
-  const pw = clipboardData.format === 'scr' ? clipboardData.width : clipboardData.cellCols * 8;
-  const ph = clipboardData.format === 'scr' ? clipboardData.height : clipboardData.cellRows * 8;
+  const exactSize = clipboardData.format === 'scr' || clipboardData.format === 'layer2';
+  const pw = exactSize ? clipboardData.width : clipboardData.cellCols * 8;
+  const ph = exactSize ? clipboardData.height : clipboardData.cellRows * 8;
 
   ctx.strokeStyle = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.SELECTION_COLOR) || 'rgba(0, 255, 255, 0.9)';
   ctx.lineWidth = Math.max(1, zoom / 2);
@@ -5804,7 +6033,7 @@ function canvasToScreenCoords(canvas, event) {
   const screenX = Math.floor((canvasX - borderPixels) / zoom);
   const screenY = Math.floor((canvasY - borderPixels) / zoom);
 
-  if (screenX < 0 || screenX >= SCREEN.WIDTH || screenY < 0 || screenY >= SCREEN.HEIGHT) {
+  if (screenX < 0 || screenX >= getFormatWidth() || screenY < 0 || screenY >= getFormatHeight()) {
     return null;
   }
 
@@ -5900,6 +6129,11 @@ function _handleEditorMouseDownCoords(event, coords) {
       if (pickGigascreenColorFromCanvas(coords.x, coords.y, pickInk)) {
         editorRender();
       }
+    } else if (isNextLayer2Format(currentFormat)) {
+      // Left-click picks ink, right-click picks paper
+      if (pickNextColorFromCanvas(coords.x, coords.y, event.button !== 2)) {
+        editorRender();
+      }
     } else if (currentFormat === FORMAT.SCR || currentFormat === FORMAT.BSC) {
       if (pickScrColorFromCanvas(coords.x, coords.y)) {
         editorRender();
@@ -6791,6 +7025,25 @@ function clearScreen() {
     return;
   }
 
+  // Timex hi-res: clear both display files, take screen colours from current ink
+  if (currentFormat === FORMAT.TIMEX_HIRES) {
+    for (let i = 0; i < TIMEX.MODE_OFFSET; i++) {
+      screenData[i] = 0;
+    }
+    setTimexHiresInk(screenData, editorInkColor);
+    editorRender();
+    return;
+  }
+
+  // Next Layer 2: fill pixels with the paper index, keep the palette
+  if (isNextLayer2Format(currentFormat)) {
+    const geom = getNextLayer2Geometry(currentFormat);
+    const fill = geom.bpp === 4 ? ((nextPaperIndex & 0x0F) << 4) | (nextPaperIndex & 0x0F) : nextPaperIndex;
+    screenData.fill(fill, NEXT_L2.PALETTE_SIZE, NEXT_L2.PALETTE_SIZE + geom.pixelBytes);
+    editorRender();
+    return;
+  }
+
   // RGB3: clear all 3 bitmaps to paper color
   if (currentFormat === FORMAT.RGB3) {
     const paperColor = editorPaperColor;
@@ -6864,7 +7117,7 @@ function clearScreen() {
 
   // Set all attributes to current ink/paper/bright/flash
   const attr = getCurrentDrawingAttribute();
-  if (currentFormat === FORMAT.MLT) {
+  if (isAttr8x1Format()) {
     // MLT: 6144 attribute bytes (192 rows × 32 columns)
     for (let i = MLT.BITMAP_SIZE; i < MLT.TOTAL_SIZE; i++) {
       screenData[i] = attr;
@@ -6921,6 +7174,75 @@ function clearScreen() {
 // Preview Panel
 // ============================================================================
 
+/**
+ * Renders a Timex hi-res screen into the preview canvas at its real aspect ratio
+ * @param {CanvasRenderingContext2D} ctx
+ */
+function renderTimexHiresPreview(ctx) {
+  const width = TIMEX.HIRES_WIDTH;
+  previewCanvas.width = SCREEN.WIDTH * previewZoom;
+  previewCanvas.height = SCREEN.HEIGHT * previewZoom;
+
+  const imageData = ctx.createImageData(width, SCREEN.HEIGHT);
+  const data = imageData.data;
+  const { inkRgb, paperRgb } = getTimexHiresColorsRgb(screenData[TIMEX.MODE_OFFSET]);
+
+  for (let y = 0; y < SCREEN.HEIGHT; y++) {
+    for (let x = 0; x < width; x++) {
+      const rgb = getPixel(screenData, x, y) ? inkRgb : paperRgb;
+      const pixelIndex = (y * width + x) * 4;
+      data[pixelIndex] = rgb[0];
+      data[pixelIndex + 1] = rgb[1];
+      data[pixelIndex + 2] = rgb[2];
+      data[pixelIndex + 3] = 255;
+    }
+  }
+
+  const temp = document.createElement('canvas');
+  temp.width = width;
+  temp.height = SCREEN.HEIGHT;
+  const tempCtx = temp.getContext('2d');
+  if (!tempCtx) return;
+  tempCtx.putImageData(imageData, 0, 0);
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(temp, 0, 0, previewCanvas.width, previewCanvas.height);
+}
+
+/**
+ * Renders a Next Layer 2 screen into the preview canvas (640x256 is squeezed to 320x256)
+ * @param {CanvasRenderingContext2D} ctx
+ */
+function renderNextLayer2Preview(ctx) {
+  const { width, height } = getNextLayer2Geometry(currentFormat);
+  const displayWidth = currentFormat === FORMAT.NEXT_L2_640 ? width / 2 : width;
+  previewCanvas.width = displayWidth * previewZoom;
+  previewCanvas.height = height * previewZoom;
+
+  const imageData = ctx.createImageData(width, height);
+  const data = imageData.data;
+  const palette = getNextPaletteRgb(screenData);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const rgb = palette[getNextLayer2Pixel(screenData, currentFormat, x, y)];
+      const pixelIndex = (y * width + x) * 4;
+      data[pixelIndex] = rgb[0];
+      data[pixelIndex + 1] = rgb[1];
+      data[pixelIndex + 2] = rgb[2];
+      data[pixelIndex + 3] = 255;
+    }
+  }
+
+  const temp = document.createElement('canvas');
+  temp.width = width;
+  temp.height = height;
+  const tempCtx = temp.getContext('2d');
+  if (!tempCtx) return;
+  tempCtx.putImageData(imageData, 0, 0);
+  ctx.imageSmoothingEnabled = displayWidth !== width;
+  ctx.drawImage(temp, 0, 0, previewCanvas.width, previewCanvas.height);
+}
+
 /**
  * Renders the preview canvas
  */
@@ -6938,6 +7260,18 @@ function renderPreview() {
     return;
   }
 
+  // Timex hi-res: 512 pixels squeezed into the normal screen width
+  if (currentFormat === FORMAT.TIMEX_HIRES && screenData.length >= TIMEX.HIRES_SIZE) {
+    renderTimexHiresPreview(ctx);
+    return;
+  }
+
+  // Next Layer 2: palette-indexed pixels
+  if (isNextLayer2Format(currentFormat)) {
+    renderNextLayer2Preview(ctx);
+    return;
+  }
+
   // Set canvas size based on preview zoom
   previewCanvas.width = SCREEN.WIDTH * previewZoom;
   previewCanvas.height = SCREEN.HEIGHT * previewZoom;
@@ -7115,7 +7449,7 @@ function renderPreview() {
         }
       }
     }
-  } else if (currentFormat === FORMAT.MLT && screenData.length >= MLT.TOTAL_SIZE) {
+  } else if (isAttr8x1Format() && screenData.length >= MLT.TOTAL_SIZE) {
     // MLT: render bitmap with 8×1 multicolor attributes (one per pixel line)
     const sections = [
       { bitmapAddr: 0, yOffset: 0 },
@@ -7134,7 +7468,7 @@ function renderPreview() {
             const y = section.yOffset + row * 8 + line;
 
             // MLT: attribute per 8×1 block (192 rows total, one per pixel line)
-            const attrOffset = MLT.BITMAP_SIZE + y * 32 + col;
+            const attrOffset = getMltAttributeAddress(x, y);
             const attr = screenData[attrOffset];
 
             let inkIndex = attr & 0x07;
@@ -7940,6 +8274,9 @@ function editorRender(skipPreview = false) {
     }
     updateFlashTimer();
 
+    // Draw neighbouring animation frames
+    drawOnionSkin();
+
     // Draw selection overlay (finalized selection rectangle)
     if (selectionStartPoint && selectionEndPoint && !isSelecting && !isPasting) {
       drawFinalizedSelectionOverlay();
@@ -8118,6 +8455,12 @@ function saveScrFile(filename) {
   } else if (currentFormat === FORMAT.MLT) {
     saveData = screenData.slice(0, MLT.TOTAL_SIZE);
     defaultExt = '.mlt';
+  } else if (currentFormat === FORMAT.TIMEX_HICOLOR) {
+    saveData = screenData.slice(0, TIMEX.HICOLOR_SIZE);
+    defaultExt = '.scr';
+  } else if (currentFormat === FORMAT.TIMEX_HIRES) {
+    saveData = screenData.slice(0, TIMEX.HIRES_SIZE);
+    defaultExt = '.scr';
   } else if (currentFormat === FORMAT.BMC4) {
     saveData = screenData.slice(0, BMC4.TOTAL_SIZE);
     defaultExt = '.bmc4';
@@ -8127,6 +8470,10 @@ function saveScrFile(filename) {
   } else if (currentFormat === FORMAT.GIGASCREEN) {
     saveData = screenData.slice(0, GIGASCREEN.TOTAL_SIZE);
     defaultExt = '.img';
+  } else if (isNextLayer2Format(currentFormat)) {
+    // Next Layer 2: always saved with its palette (.nxi layout)
+    saveData = screenData.slice(0, NEXT_L2.PALETTE_SIZE + getNextLayer2Geometry(currentFormat).pixelBytes);
+    defaultExt = '.nxi';
   } else if (currentFormat === FORMAT.MONO_FULL) {
     saveData = screenData.slice(0, 6144);
     defaultExt = '.scr';
@@ -8170,6 +8517,7 @@ function saveScrFile(filename) {
                  currentFormat === FORMAT.MLT ? 'screen.mlt' :
                  currentFormat === FORMAT.BMC4 ? 'screen.bmc4' :
                  currentFormat === FORMAT.GIGASCREEN ? 'screen.img' :
+                 isNextLayer2Format(currentFormat) ? 'screen.nxi' :
                  currentFormat === FORMAT.SPECSCII ? 'screen.specscii' : 'screen.scr';
     }
   }
@@ -8292,6 +8640,41 @@ function createNewPicture(format) {
       newFileName = 'new_screen.mlt';
       break;
 
+    case 'timex_hicolor':
+      newData = new Uint8Array(TIMEX.HICOLOR_SIZE);
+      // Second display file holds the 8×1 attributes
+      for (let i = TIMEX.SECOND_OFFSET; i < TIMEX.HICOLOR_SIZE; i++) {
+        newData[i] = newAttr;
+      }
+      newFormat = FORMAT.TIMEX_HICOLOR;
+      newFileName = 'new_screen.scr';
+      break;
+
+    case 'timex_hires':
+      newData = new Uint8Array(TIMEX.HIRES_SIZE);
+      // Port 0xFF: hi-res mode with current ink (paper is the complementary colour)
+      setTimexHiresInk(newData, editorInkColor);
+      newFormat = FORMAT.TIMEX_HIRES;
+      newFileName = 'new_screen.scr';
+      break;
+
+    case 'next_l2_256':
+    case 'next_l2_320':
+    case 'next_l2_640': {
+      // Next Layer 2: default palette followed by pixels in the current paper index
+      const geom = getNextLayer2Geometry(format);
+      const count = geom.bpp === 4 ? 16 : NEXT_L2.PALETTE_ENTRIES;
+      if (nextInkIndex >= count) nextInkIndex = count - 1;
+      if (nextPaperIndex >= count) nextPaperIndex = 0;
+      newData = new Uint8Array(NEXT_L2.PALETTE_SIZE + geom.pixelBytes);
+      newData.set(generateDefaultNextPalette(), 0);
+      const fill = geom.bpp === 4 ? (nextPaperIndex << 4) | nextPaperIndex : nextPaperIndex;
+      newData.fill(fill, NEXT_L2.PALETTE_SIZE);
+      newFormat = format;
+      newFileName = 'new_screen.nxi';
+      break;
+    }
+
     case 'bmc4':
       newData = new Uint8Array(BMC4.TOTAL_SIZE);
       // Fill attr1 and attr2 with current ink/paper
@@ -8492,7 +8875,7 @@ function updateEditorInfo(x, y) {
       return;
     }
     attr = screenData[getIflAttributeAddress(x, y)];
-  } else if (currentFormat === FORMAT.MLT) {
+  } else if (isAttr8x1Format()) {
     if (screenData.length < MLT.TOTAL_SIZE) {
       infoEl.textContent = 'No screen loaded';
       return;
@@ -8513,6 +8896,29 @@ function updateEditorInfo(x, y) {
       `Monochrome<br>` +
       `Pixel: ${pixelValue ? 'set' : 'clear'}`;
     return;
+  } else if (currentFormat === FORMAT.TIMEX_HIRES) {
+    // Timex hi-res: screen-wide colours from the port 0xFF byte
+    if (screenData.length < TIMEX.HIRES_SIZE) {
+      infoEl.textContent = 'No screen loaded';
+      return;
+    }
+    const ink = (screenData[TIMEX.MODE_OFFSET] >> 3) & 0x07;
+    const pixelValue = getPixel(screenData, x, y);
+    infoEl.innerHTML =
+      `Pos: (${x}, ${y}) Cell: (${cellX}, ${cellY})<br>` +
+      `Hi-res: ${COLOR_NAMES[ink]}/${COLOR_NAMES[7 - ink]}<br>` +
+      `Pixel: ${pixelValue ? 'ink' : 'paper'}`;
+    return;
+  } else if (isNextLayer2Format(currentFormat)) {
+    // Next Layer 2: show palette index and its colour
+    const index = getNextLayer2Pixel(screenData, currentFormat, x, y);
+    const value = screenData[index * 2] << 1 | (screenData[index * 2 + 1] & 1);
+    const rgb = getNextEditorColor(index);
+    infoEl.innerHTML =
+      `Pos: (${x}, ${y}) Cell: (${cellX}, ${cellY})<br>` +
+      `Index: ${index} (9-bit ${value.toString(16).toUpperCase().padStart(3, '0')})<br>` +
+      `RGB: ${rgb[0]}, ${rgb[1]}, ${rgb[2]}`;
+    return;
   } else if (currentFormat === FORMAT.RGB3) {
     // RGB3: show pixel color from R, G, B channels
     if (screenData.length < RGB3.TOTAL_SIZE) {
@@ -8556,7 +8962,7 @@ function updateEditorInfo(x, y) {
       `8\u00d72: ${COLOR_NAMES[parsed.ink]}/${COLOR_NAMES[parsed.paper]}` +
       `${parsed.bright ? ' BRIGHT' : ''}<br>` +
       `Pixel: ${pixelValue ? 'ink' : 'paper'}`;
-  } else if (currentFormat === FORMAT.MLT) {
+  } else if (isAttr8x1Format()) {
     // MLT: 8×1 blocks (one per pixel line)
     const pixelValue = getPixel(screenData, x, y);
     infoEl.innerHTML =
@@ -8630,6 +9036,9 @@ function drawBrushPreview() {
   } else if (isUlaPlusMode) {
     const rgb = getUlaPlusColor(ulaPlusInkIndex);
     color = `rgb(${rgb[0]},${rgb[1]},${rgb[2]})`;
+  } else if (isNextLayer2Format(currentFormat)) {
+    const rgb = getNextEditorColor(nextInkIndex);
+    color = `rgb(${rgb[0]},${rgb[1]},${rgb[2]})`;
   } else {
     color = editorBright ? ZX_PALETTE.BRIGHT[editorInkColor] : ZX_PALETTE.REGULAR[editorInkColor];
   }
@@ -10295,57 +10704,207 @@ function initUlaPlusPaletteUI() {
 }
 
 // ============================================================================
-// SPECSCII Editor — Grid Management, Stream Parser/Encoder, Drawing, Palette
+// Next Layer 2 Palette UI
 // ============================================================================
 
+/** @type {number} - Selected Layer 2 ink palette index (0-255, 0-15 in 640x256 mode) */
+let nextInkIndex = 255;
+
+/** @type {number} - Selected Layer 2 paper palette index */
+let nextPaperIndex = 0;
+
 /**
- * Initializes empty SPECSCII grids (32×24)
- * @param {number} [fillChar=0x20] - Character to fill with (default: space)
- * @param {number} [fillAttr=0x38] - Attribute to fill with (default: white ink on black paper)
+ * Returns the number of usable palette entries for the current Layer 2 format
+ * @returns {number} - 16 for 640x256 (4bpp), 256 otherwise
  */
-function specsciiInitGrids(fillChar = 0x20, fillAttr = 0x38) {
-  specsciiCharGrid = new Uint8Array(768);
-  specsciiAttrGrid = new Uint8Array(768);
-  specsciiMask = new Uint8Array(768);
-  specsciiCharGrid.fill(fillChar);
-  specsciiAttrGrid.fill(fillAttr);
-  // mask starts at 0 — cells are empty/transparent until user places content
+function getNextPaletteCount() {
+  return currentFormat === FORMAT.NEXT_L2_640 ? 16 : NEXT_L2.PALETTE_ENTRIES;
 }
 
 /**
- * Parses a SPECSCII stream (screenData) into the character and attribute grids.
- * Walk bytes, process control codes (INK, PAPER, BRIGHT, FLASH, AT, ENTER).
- * Printable chars (0x20-0x7F, 0x80-0x8F) placed into grid with current attribute.
- * Detects OVER 1 sections and creates separate layers for each OVER block.
+ * Returns the RGB colour of a Layer 2 palette index in the current screen
+ * @param {number} index - Palette index
+ * @returns {number[]} - [r, g, b]
  */
-function specsciiStreamToGrids() {
-  if (!screenData) return;
+function getNextEditorColor(index) {
+  const palette = getNextPaletteRgb(screenData);
+  return palette[index & 0xFF];
+}
 
-  // Initialize grids: space (0x20), white ink (7) on black paper (0) = attr 0x07
-  specsciiInitGrids(0x20, 0x38);
+/**
+ * Shows or hides the Layer 2 palette section and the regular palette
+ */
+function updateNextPaletteSectionVisibility() {
+  const isNext = isNextLayer2Format(currentFormat);
+  const nextSection = document.getElementById('nextPaletteSection');
+  if (nextSection) {
+    nextSection.style.display = isNext ? 'block' : 'none';
+  }
+  if (!isNext) return;
 
-  // Collect OVER layers: each entry is {charGrid, attrGrid, mask}
-  /** @type {Array<{charGrid: Uint8Array, attrGrid: Uint8Array, mask: Uint8Array}>} */
-  const overLayers = [];
-  let overMode = 0;
-  /** @type {Uint8Array|null} */
-  let curCharGrid = specsciiCharGrid;
-  /** @type {Uint8Array|null} */
-  let curAttrGrid = specsciiAttrGrid;
-  /** @type {Uint8Array|null} */
-  let curMask = specsciiMask; // track which cells have user-placed content
+  const regularPalette = document.getElementById('editorPalette');
+  if (regularPalette) {
+    regularPalette.style.display = 'none';
+  }
+  const brightCheckbox = document.getElementById('editorBrightCheckbox');
+  if (brightCheckbox) {
+    const brightFlashContainer = brightCheckbox.closest('.editor-color-row');
+    if (brightFlashContainer) {
+      /** @type {HTMLElement} */ (brightFlashContainer).style.display = 'none';
+    }
+  }
 
-  let ink = 7, paper = 0, bright = 0, flash = 0;
-  let col = 0, row = 0;
-  let i = 0;
+  // Clamp selection when switching to the 16-colour mode
+  const count = getNextPaletteCount();
+  if (nextInkIndex >= count) nextInkIndex = count - 1;
+  if (nextPaperIndex >= count) nextPaperIndex = 0;
 
-  while (i < screenData.length) {
-    const byte = screenData[i];
+  buildNextPaletteGrid();
+}
 
-    if (byte === SPECSCII.CC_ENTER) {
-      col = 0;
-      row++;
-      if (row >= SPECSCII.CHAR_ROWS) row = SPECSCII.CHAR_ROWS - 1;
+/**
+ * Builds the Layer 2 palette grid from the palette stored in the screen data
+ * Left click = ink, right click = paper
+ */
+function buildNextPaletteGrid() {
+  const container = document.getElementById('nextPaletteGrid');
+  if (!container || !screenData || !isNextLayer2Format(currentFormat)) return;
+
+  container.innerHTML = '';
+  const palette = getNextPaletteRgb(screenData);
+  const count = getNextPaletteCount();
+
+  for (let i = 0; i < count; i++) {
+    const cell = document.createElement('div');
+    cell.className = 'next-palette-cell';
+    cell.dataset.index = String(i);
+    const rgb = palette[i];
+    cell.style.backgroundColor = `rgb(${rgb[0]},${rgb[1]},${rgb[2]})`;
+    cell.title = `#${i} - click: ink, right-click: paper`;
+
+    cell.addEventListener('click', (e) => {
+      e.preventDefault();
+      nextInkIndex = i;
+      updateNextPaletteSelection();
+    });
+
+    cell.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      nextPaperIndex = i;
+      updateNextPaletteSelection();
+    });
+
+    container.appendChild(cell);
+  }
+
+  updateNextPaletteSelection();
+}
+
+/**
+ * Updates ink/paper highlight in the Layer 2 palette grid and the info line
+ */
+function updateNextPaletteSelection() {
+  const cells = document.querySelectorAll('.next-palette-cell');
+  cells.forEach((cell) => {
+    const index = parseInt(/** @type {HTMLElement} */ (cell).dataset.index || '0', 10);
+    cell.classList.toggle('ink-selected', index === nextInkIndex);
+    cell.classList.toggle('paper-selected', index === nextPaperIndex);
+  });
+
+  const info = document.getElementById('nextPaletteInfo');
+  if (info) {
+    info.textContent = `Ink: ${nextInkIndex}  Paper: ${nextPaperIndex}`;
+  }
+}
+
+/**
+ * Picks the Layer 2 palette index under the cursor as ink or paper
+ * @param {number} x - X coordinate in pixels
+ * @param {number} y - Y coordinate in pixels
+ * @param {boolean} pickInk - true to set ink, false to set paper
+ * @returns {boolean} - true if a colour was picked
+ */
+function pickNextColorFromCanvas(x, y, pickInk) {
+  if (!screenData || !isNextLayer2Format(currentFormat)) return false;
+  const geom = getNextLayer2Geometry(currentFormat);
+  if (x < 0 || x >= geom.width || y < 0 || y >= geom.height) return false;
+
+  const index = getNextLayer2Pixel(screenData, currentFormat, x, y);
+  if (pickInk) {
+    nextInkIndex = index;
+  } else {
+    nextPaperIndex = index;
+  }
+  updateNextPaletteSelection();
+  return true;
+}
+
+// ============================================================================
+// SPECSCII Editor — Grid Management, Stream Parser/Encoder, Drawing, Palette
+// ============================================================================
+
+/**
+ * Initializes empty SPECSCII grids (32×24)
+ * @param {number} [fillChar=0x20] - Character to fill with (default: space)
+ * @param {number} [fillAttr=0x38] - Attribute to fill with (default: white ink on black paper)
+ */
+function specsciiInitGrids(fillChar = 0x20, fillAttr = 0x38) {
+  specsciiCharGrid = new Uint8Array(768);
+  specsciiAttrGrid = new Uint8Array(768);
+  specsciiMask = new Uint8Array(768);
+  specsciiCharGrid.fill(fillChar);
+  specsciiAttrGrid.fill(fillAttr);
+  // mask starts at 0 — cells are empty/transparent until user places content
+}
+
+/**
+ * Replaces the SPECSCII grids with converted content and rebuilds the stream.
+ * Every cell is marked as placed so the whole screen is encoded.
+ * @param {Uint8Array} chars - 768 character codes
+ * @param {Uint8Array} attrs - 768 attribute bytes
+ */
+function specsciiLoadGrids(chars, attrs) {
+  specsciiCharGrid = new Uint8Array(chars);
+  specsciiAttrGrid = new Uint8Array(attrs);
+  specsciiMask = new Uint8Array(768);
+  specsciiMask.fill(1);
+  specsciiSyncToStream();
+}
+
+/**
+ * Parses a SPECSCII stream (screenData) into the character and attribute grids.
+ * Walk bytes, process control codes (INK, PAPER, BRIGHT, FLASH, AT, ENTER).
+ * Printable chars (0x20-0x7F, 0x80-0x8F) placed into grid with current attribute.
+ * Detects OVER 1 sections and creates separate layers for each OVER block.
+ */
+function specsciiStreamToGrids() {
+  if (!screenData) return;
+
+  // Initialize grids: space (0x20), white ink (7) on black paper (0) = attr 0x07
+  specsciiInitGrids(0x20, 0x38);
+
+  // Collect OVER layers: each entry is {charGrid, attrGrid, mask}
+  /** @type {Array<{charGrid: Uint8Array, attrGrid: Uint8Array, mask: Uint8Array}>} */
+  const overLayers = [];
+  let overMode = 0;
+  /** @type {Uint8Array|null} */
+  let curCharGrid = specsciiCharGrid;
+  /** @type {Uint8Array|null} */
+  let curAttrGrid = specsciiAttrGrid;
+  /** @type {Uint8Array|null} */
+  let curMask = specsciiMask; // track which cells have user-placed content
+
+  let ink = 7, paper = 0, bright = 0, flash = 0;
+  let col = 0, row = 0;
+  let i = 0;
+
+  while (i < screenData.length) {
+    const byte = screenData[i];
+
+    if (byte === SPECSCII.CC_ENTER) {
+      col = 0;
+      row++;
+      if (row >= SPECSCII.CHAR_ROWS) row = SPECSCII.CHAR_ROWS - 1;
       i++;
       continue;
     }
@@ -11415,6 +11974,10 @@ function isFormatEditable() {
   if (currentFormat === FORMAT.BSC && screenData && screenData.length >= BSC.TOTAL_SIZE) return true;
   if (currentFormat === FORMAT.IFL && screenData && screenData.length >= IFL.TOTAL_SIZE) return true;
   if (currentFormat === FORMAT.MLT && screenData && screenData.length >= MLT.TOTAL_SIZE) return true;
+  if (currentFormat === FORMAT.TIMEX_HICOLOR && screenData && screenData.length >= TIMEX.HICOLOR_SIZE) return true;
+  if (currentFormat === FORMAT.TIMEX_HIRES && screenData && screenData.length >= TIMEX.HIRES_SIZE) return true;
+  if (isNextLayer2Format(currentFormat) && screenData &&
+      screenData.length >= NEXT_L2.PALETTE_SIZE + getNextLayer2Geometry(currentFormat).pixelBytes) return true;
   if (currentFormat === FORMAT.BMC4 && screenData && screenData.length >= BMC4.TOTAL_SIZE) return true;
   if (currentFormat === FORMAT.RGB3 && screenData && screenData.length >= RGB3.TOTAL_SIZE) return true;
   if (currentFormat === FORMAT.GIGASCREEN && screenData && screenData.length >= GIGASCREEN.TOTAL_SIZE) return true;
@@ -12753,6 +13316,9 @@ function updateEditorState() {
     updateExportAsmButton();
     if (typeof renderPreview === 'function') renderPreview();
   }
+
+  // Animation section follows the picture and its format
+  updateAnimationPanel();
 }
 
 /**
@@ -13422,6 +13988,20 @@ function rotateClipboard() {
     clipboardData.cellCols = nCols;
     clipboardData.cellRows = nRows;
     clipboardData.attrs = newAttrs;
+  } else if (clipboardData.format === 'layer2' && clipboardData.pixels) {
+    const ow = clipboardData.width;
+    const oh = clipboardData.height;
+    const newPixels = new Uint8Array(ow * oh);
+    for (let r = 0; r < oh; r++) {
+      for (let c = 0; c < ow; c++) {
+        newPixels[c * oh + (oh - 1 - r)] = clipboardData.pixels[r * ow + c];
+      }
+    }
+    clipboardData.pixels = newPixels;
+    clipboardData.width = oh;
+    clipboardData.height = ow;
+    clipboardData.cellCols = Math.ceil(oh / 8);
+    clipboardData.cellRows = Math.ceil(ow / 8);
   }
   editorRender();
 }
@@ -13472,6 +14052,16 @@ function mirrorClipboardH() {
       }
     }
     clipboardData.attrs = newAttrs;
+  } else if (clipboardData.format === 'layer2' && clipboardData.pixels) {
+    const w = clipboardData.width;
+    const h = clipboardData.height;
+    const newPixels = new Uint8Array(w * h);
+    for (let r = 0; r < h; r++) {
+      for (let c = 0; c < w; c++) {
+        newPixels[r * w + (w - 1 - c)] = clipboardData.pixels[r * w + c];
+      }
+    }
+    clipboardData.pixels = newPixels;
   }
   editorRender();
 }
@@ -13522,6 +14112,14 @@ function mirrorClipboardV() {
       }
     }
     clipboardData.attrs = newAttrs;
+  } else if (clipboardData.format === 'layer2' && clipboardData.pixels) {
+    const w = clipboardData.width;
+    const h = clipboardData.height;
+    const newPixels = new Uint8Array(w * h);
+    for (let r = 0; r < h; r++) {
+      newPixels.set(clipboardData.pixels.subarray(r * w, r * w + w), (h - 1 - r) * w);
+    }
+    clipboardData.pixels = newPixels;
   }
   editorRender();
 }
@@ -13776,25 +14374,18 @@ function executePasteAt(x, y) {
         screenData[destAddr] = clipboardData.attrs[cr * clipboardData.cellCols + cc];
       }
     }
-  }
-}
-
-/**
- * Formats a byte value according to the specified numeric base
- * Uses sjasmplus-compatible prefixes: #XX for hex, 0qXXX for octal
- * @param {number} value - Byte value (0-255)
- * @param {string} base - 'hex', 'dec', or 'oct'
- * @returns {string}
- */
-function formatAsmByte(value, base) {
-  switch (base) {
-    case 'dec':
-      return value.toString(10);
-    case 'oct':
-      return '0q' + value.toString(8).padStart(3, '0');
-    case 'hex':
-    default:
-      return '#' + value.toString(16).toUpperCase().padStart(2, '0');
+  } else if (clipboardData.format === 'layer2' && clipboardData.pixels) {
+    // Next Layer 2: palette indices
+    const width = getFormatWidth();
+    const height = getFormatHeight();
+    for (let py = 0; py < clipboardData.height; py++) {
+      for (let px = 0; px < clipboardData.width; px++) {
+        const dx = x + px;
+        const dy = y + py;
+        if (dx < 0 || dx >= width || dy < 0 || dy >= height) continue;
+        setNextLayer2Pixel(screenData, currentFormat, dx, dy, clipboardData.pixels[py * clipboardData.width + px]);
+      }
+    }
   }
 }
 
@@ -13843,11 +14434,21 @@ function bytesToVisual(bytes) {
   }).join('');
 }
 
+/**
+ * Reads the selection export dialect selector.
+ * @returns {AsmDialect}
+ */
+function getSelectionExportDialect() {
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById('exportDialect'));
+  return ASM_DIALECTS[select?.value || 'sjasmplus'] || ASM_DIALECTS.sjasmplus;
+}
+
 /**
  * Generates ASM export text from current selection
- * @returns {string|null}
+ * @param {AsmDialect} [dialect] - Output dialect (default: the export dialect selector)
+ * @returns {{text: string, header: string|null}|null} Data file and C header, or null without a selection
  */
-function generateSelectionAsmText() {
+function generateSelectionAsmText(dialect = getSelectionExportDialect()) {
   if (!clipboardData) {
     return null;
   }
@@ -13862,62 +14463,52 @@ function generateSelectionAsmText() {
   const bitmapBase = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.ASM_BITMAP_BASE) || 'hex';
   const attrBase = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.ASM_ATTR_BASE) || 'hex';
 
-  const asmLines = [];
-  asmLines.push('; Selection export — SpectraLab v' + APP_VERSION);
-
   const w = clipboardData.width || clipboardData.cellCols * 8;
   const h = clipboardData.height || clipboardData.cellRows * 8;
-  asmLines.push(`; Size: ${w}x${h} pixels`);
-  asmLines.push(`; ${clipboardData.cellCols}x${clipboardData.cellRows} cells`);
-  asmLines.push('');
+  const title = [
+    'Selection export — SpectraLab v' + APP_VERSION,
+    `Size: ${w}x${h} pixels`,
+    `${clipboardData.cellCols}x${clipboardData.cellRows} cells`
+  ];
+
+  /** @type {AsmDataBlock[]} */
+  const blocks = [];
+  /** @type {AsmDataRow[]} */
+  let rows = [];
+  /**
+   * Starts a new data block
+   * @param {string|null} label - Block label
+   */
+  const startBlock = (label) => {
+    rows = [];
+    blocks.push({ label, rows });
+  };
 
   /**
-   * Outputs bytes as DEFB lines according to lineMode setting
+   * Outputs bytes as data lines according to lineMode setting
    * @param {number[]} bytes - Bytes to output
    * @param {string} base - Numeric base
    * @param {string} [comment] - Optional comment for the line
    * @param {boolean} [isBitmap] - Whether this is bitmap data (for visual comments)
    */
   const outputDefbLines = (bytes, base, comment, isBitmap = false) => {
-    if (lineMode === 'block') {
-      // Split into chunks of 8 bytes
-      const chunks = chunkArray(bytes, 8);
-      chunks.forEach((chunk, idx) => {
-        const formatted = chunk.map(b => formatAsmByte(b, base)).join(',');
-        let lineComment = '';
-        if (visualComments && isBitmap) {
-          lineComment = bytesToVisual(chunk);
-        }
-        if (comment && idx === chunks.length - 1) {
-          lineComment = lineComment ? lineComment + ' ' + comment : comment;
-        }
-        if (lineComment) {
-          asmLines.push('  DEFB ' + formatted + ' ; ' + lineComment);
-        } else {
-          asmLines.push('  DEFB ' + formatted);
-        }
-      });
-    } else {
-      // Line-based: all bytes on one line
-      const formatted = bytes.map(b => formatAsmByte(b, base)).join(',');
+    // Block-based: 8 bytes per line, line-based: all bytes on one line
+    const chunks = lineMode === 'block' ? chunkArray(bytes, 8) : [bytes];
+    chunks.forEach((chunk, idx) => {
       let lineComment = '';
       if (visualComments && isBitmap) {
-        lineComment = bytesToVisual(bytes);
+        lineComment = bytesToVisual(chunk);
       }
-      if (comment) {
+      if (comment && idx === chunks.length - 1) {
         lineComment = lineComment ? lineComment + ' ' + comment : comment;
       }
-      if (lineComment) {
-        asmLines.push('  DEFB ' + formatted + ' ; ' + lineComment);
-      } else {
-        asmLines.push('  DEFB ' + formatted);
-      }
-    }
+      rows.push({ bytes: chunk, base, comment: lineComment || undefined });
+    });
   };
 
   // For attribute-only formats, just export attrs
   if (clipboardData.format === '53c' || !clipboardData.bitmap) {
-    asmLines.push('attrs:');
+    startBlock('attrs');
     for (let row = 0; row < clipboardData.cellRows; row++) {
       const attrBytes = [];
       for (let col = 0; col < clipboardData.cellCols; col++) {
@@ -13928,6 +14519,7 @@ function generateSelectionAsmText() {
     }
   } else if (paletteMode === 'interleaved' && includePalette) {
     // Output: 8 bitmap rows per cell row, then attrs for that row
+    startBlock(null);
     let globalRowIndex = 0;
     for (let cellRow = 0; cellRow < clipboardData.cellRows; cellRow++) {
       // 8 pixel rows per cell row
@@ -13955,7 +14547,7 @@ function generateSelectionAsmText() {
     }
   } else {
     // Bitmap first, then attributes
-    asmLines.push('bitmap:');
+    startBlock('bitmap');
     for (let y = 0; y < (clipboardData.height || 0); y++) {
       const rowBytes = [];
       for (let col = 0; col < clipboardData.cellCols; col++) {
@@ -13966,8 +14558,7 @@ function generateSelectionAsmText() {
     }
 
     if (includePalette) {
-      asmLines.push('');
-      asmLines.push('attrs:');
+      startBlock('attrs');
       for (let row = 0; row < clipboardData.cellRows; row++) {
         const attrBytes = [];
         for (let col = 0; col < clipboardData.cellCols; col++) {
@@ -13979,29 +14570,31 @@ function generateSelectionAsmText() {
     }
   }
 
-  return asmLines.join('\n');
+  return formatDialectData(dialect, 'selection', title, blocks);
 }
 
 /**
- * Exports the current selection to ASM file (DEFB format)
+ * Exports the current selection in the selected dialect
+ * (ASM DEFB, C source with its .h header, or ZX Basic)
  */
 function exportSelectionAsm() {
-  const asmText = generateSelectionAsmText();
-  if (!asmText) {
+  const dialect = getSelectionExportDialect();
+  const output = generateSelectionAsmText(dialect);
+  if (!output) {
     const infoEl = document.getElementById('transformSelectionInfo');
     if (infoEl) infoEl.textContent = 'No selection to export';
     return;
   }
 
-  // Download as .asm file
-  downloadFile(asmText, 'selection.asm');
+  downloadFile(output.text, 'selection.' + dialect.ext);
+  if (output.header) downloadFile(output.header, 'selection.h');
 }
 
 /**
  * Copies the current selection ASM to clipboard
  */
 function copySelectionAsmToClipboard() {
-  const asmText = generateSelectionAsmText();
+  const asmText = generateSelectionAsmText()?.text;
   if (!asmText) {
     const infoEl = document.getElementById('transformSelectionInfo');
     if (infoEl) infoEl.textContent = 'No selection to copy';
@@ -14995,6 +15588,11 @@ function updateConvertOptions() {
   } else if (currentFormat === FORMAT.BSC) {
     // BSC can convert to SCR
     convertSelect.innerHTML += '<option value="bsc-to-scr">→ SCR (strip border)</option>';
+  } else if (currentFormat === FORMAT.MLT) {
+    // MLT and Timex hi-colour differ only in attribute layout
+    convertSelect.innerHTML += '<option value="mlt-to-timex">→ Timex hi-colour (.scr)</option>';
+  } else if (currentFormat === FORMAT.TIMEX_HICOLOR) {
+    convertSelect.innerHTML += '<option value="timex-to-mlt">→ MLT (.mlt)</option>';
   }
 }
 
@@ -15025,6 +15623,12 @@ function handleConversion(action) {
     case 'bsc-to-scr':
       convertBscToScr();
       break;
+    case 'mlt-to-timex':
+      convertMltTimexHicolor(FORMAT.TIMEX_HICOLOR);
+      break;
+    case 'timex-to-mlt':
+      convertMltTimexHicolor(FORMAT.MLT);
+      break;
   }
 }
 
@@ -15110,6 +15714,60 @@ function convertScrToUlaPlus() {
   editorRender();
 }
 
+/**
+ * Convert between MLT and Timex hi-colour by re-laying out the 8×1 attributes
+ * (MLT: linear rows, Timex: interleaved like the bitmap)
+ * @param {string} targetFormat - FORMAT.MLT or FORMAT.TIMEX_HICOLOR
+ */
+function convertMltTimexHicolor(targetFormat) {
+  if (!screenData || screenData.length < MLT.TOTAL_SIZE) {
+    alert('No valid 8×1 multicolor data to convert');
+    return;
+  }
+
+  const newData = new Uint8Array(MLT.TOTAL_SIZE);
+  newData.set(screenData.slice(0, MLT.BITMAP_SIZE), 0);
+  for (let y = 0; y < SCREEN.HEIGHT; y++) {
+    for (let col = 0; col < SCREEN.CHAR_COLS; col++) {
+      const linearAddr = MLT.BITMAP_SIZE + y * 32 + col;
+      const timexAddr = TIMEX.SECOND_OFFSET + getBitmapAddress(col * 8, y);
+      if (targetFormat === FORMAT.TIMEX_HICOLOR) {
+        newData[timexAddr] = screenData[linearAddr];
+      } else {
+        newData[linearAddr] = screenData[timexAddr];
+      }
+    }
+  }
+
+  // Update state
+  screenData = newData;
+  currentFormat = targetFormat;
+  currentFileName = currentFileName.replace(/\.[^.]+$/, targetFormat === FORMAT.MLT ? '.mlt' : '.scr');
+
+  // Layer attributes use the format's own layout - rebuild from the composite
+  if (layersEnabled) {
+    initLayers();
+  }
+
+  // Clear undo history for new format
+  undoStack = [];
+  redoStack = [];
+
+  // Mark picture as modified and sync state
+  markPictureModified();
+  saveCurrentPictureState();
+
+  // Update UI
+  if (typeof toggleFormatControlsVisibility === 'function') {
+    toggleFormatControlsVisibility();
+  }
+  updateConvertOptions();
+  updateFileInfo();
+  updatePictureTabBar();
+  renderScreen();
+  editorRender();
+}
+
 /**
  * Convert ULA+ to SCR (strip palette)
  */
@@ -15158,28 +15816,49 @@ function updateExportAsmButton() {
   const embedDataChk = document.getElementById('editorEmbedDataChk');
   if (!exportSelect || !exportBtn) return;
 
-  const supportsAsm = currentFormat === FORMAT.BSC || currentFormat === FORMAT.GIGASCREEN || currentFormat === FORMAT.RGB3 || currentFormat === FORMAT.IFL || currentFormat === FORMAT.SCR_ULAPLUS;
+  const supportsAsm = currentFormat === FORMAT.BSC || currentFormat === FORMAT.GIGASCREEN || currentFormat === FORMAT.RGB3 || currentFormat === FORMAT.IFL || currentFormat === FORMAT.MLT || currentFormat === FORMAT.BMC4 || currentFormat === FORMAT.SCR_ULAPLUS;
   const isSpecscii = currentFormat === FORMAT.SPECSCII;
 
   // Build export options based on current format
   const options = [];
   if (supportsAsm) {
     if (currentFormat === FORMAT.BSC) {
-      options.push({ value: 'asm', label: 'ASM (Pentagon border)' });
+      options.push({ value: 'asm', label: 'ASM (border)' });
     } else if (currentFormat === FORMAT.GIGASCREEN) {
-      options.push({ value: 'asm', label: 'ASM (Pentagon dual-screen)' });
+      options.push({ value: 'asm', label: 'ASM (128K dual-screen)' });
     } else if (currentFormat === FORMAT.RGB3) {
       options.push({ value: 'asm', label: 'ASM (Pentagon RGB flicker)' });
     } else if (currentFormat === FORMAT.IFL) {
-      options.push({ value: 'asm', label: 'ASM (Pentagon 8x2 multicolor)' });
+      options.push({ value: 'asm', label: 'ASM (8x2 multicolor)' });
+    } else if (currentFormat === FORMAT.MLT) {
+      options.push({ value: 'asm', label: 'ASM (8x1 multicolor)' });
+    } else if (currentFormat === FORMAT.BMC4) {
+      options.push({ value: 'asm', label: 'ASM (border + 8x4 multicolor)' });
     } else if (currentFormat === FORMAT.SCR_ULAPLUS) {
       options.push({ value: 'asm', label: 'ASM (ULA+ palette)' });
     }
+    options.push({ value: 'asm-sna', label: '.sna (assembled ASM)' });
+    options.push({ value: 'asm-tap', label: '.tap (assembled ASM)' });
+    options.push({ value: 'asm-preview', label: 'Run in emulator...' });
   }
   if (isSpecscii) {
     options.push({ value: 'scr', label: '.scr (bitmap render)' });
     options.push({ value: 'tap', label: '.tap (BASIC program)' });
   }
+  if (typeof canExportToTrdos === 'function' && canExportToTrdos()) {
+    options.push({ value: 'trd', label: '.trd (TR-DOS disk)' });
+    options.push({ value: 'scl', label: '.scl (TR-DOS disk)' });
+  }
+  if (typeof canExportToSnapshot === 'function' && canExportToSnapshot()) {
+    options.push({ value: 'sna', label: '.sna (into loaded snapshot)' });
+    options.push({ value: 'z80', label: '.z80 (into loaded snapshot)' });
+  }
+  if (screenData.length > 0) {
+    options.push({ value: 'zx0', label: '.zx0 (packed file)' });
+    options.push({ value: 'zx7', label: '.zx7 (packed file)' });
+    options.push({ value: 'lz4', label: '.lz4 (packed file)' });
+    options.push({ value: 'packsizes', label: 'Packed sizes...' });
+  }
 
   // Populate dropdown
   exportSelect.innerHTML = '';
@@ -15203,6 +15882,22 @@ function updateExportAsmButton() {
   if (embedDataChk) {
     embedDataChk.disabled = !supportsEmbed;
   }
+
+  // Target machine: only for exporters with beam-timed code (ULA+ just sets a palette)
+  const machineSelect = document.getElementById('editorAsmMachineSelect');
+  if (machineSelect) {
+    machineSelect.style.display = supportsAsm && currentFormat !== FORMAT.SCR_ULAPLUS ? '' : 'none';
+    // MLT rewrites only the column pairs that fit into one line
+    machineSelect.title = currentFormat === FORMAT.MLT
+      ? 'Target machine timing for ASM export\nMLT multicolor columns: Pentagon 16 of 32, 128K/+2 and +2A/+3 12 of 32, 48K none'
+      : 'Target machine timing for ASM export';
+  }
+
+  // Packer: RGB3 data lives in LD HL,nn operands of the viewer code, so it cannot be packed
+  const packSelect = document.getElementById('editorPackSelect');
+  if (packSelect) {
+    packSelect.style.display = supportsAsm && currentFormat !== FORMAT.RGB3 ? '' : 'none';
+  }
 }
 
 /**
@@ -16187,6 +16882,526 @@ function initQrDialog() {
   });
 }
 
+// ============================================================================
+// Animation Timeline (frame-by-frame SCA editing)
+// An animation is an SCR or .53c picture with a list of frames; screenData
+// always holds the frame being edited and is written back on frame change
+// ============================================================================
+
+/**
+ * @typedef {{
+ *   data: Uint8Array,
+ *   delay: number,
+ *   undoStack: Object[],
+ *   redoStack: Object[]
+ * }} AnimFrame
+ */
+
+/**
+ * @typedef {{
+ *   frames: AnimFrame[],
+ *   current: number,
+ *   payloadType: number,
+ *   fillPattern: Uint8Array|null,
+ *   borderColor: number
+ * }} AnimTimeline
+ */
+
+/** @type {number} - Delay for new animations (1/50 s) */
+const ANIM_DEFAULT_DELAY = 5;
+
+/** @type {number} - Maximum frames in an SCA file */
+const ANIM_MAX_FRAMES = 65535;
+
+/** @type {boolean} - Show previous frame as onion skin */
+let onionSkinPrev = false;
+
+/** @type {boolean} - Show next frame as onion skin */
+let onionSkinNext = false;
+
+/** @type {number|null} - Timeline playback timer ID */
+let animPlayTimerId = null;
+
+/**
+ * Gets the animation of the active picture
+ * @returns {AnimTimeline|null} null if the picture is not an animation (or was converted to another format)
+ */
+function getActiveAnimation() {
+  if (activePictureIndex < 0 || activePictureIndex >= openPictures.length) return null;
+  const anim = openPictures[activePictureIndex].animation;
+  if (!anim) return null;
+  return currentFormat === (anim.payloadType === 1 ? FORMAT.ATTR_53C : FORMAT.SCR) ? anim : null;
+}
+
+/**
+ * Creates a timeline frame
+ * @param {Uint8Array} data - Frame data (6912 or 768 bytes)
+ * @param {number} delay - Delay in 1/50 s
+ * @returns {AnimFrame}
+ */
+function createAnimFrame(data, delay) {
+  return { data, delay, undoStack: [], redoStack: [] };
+}
+
+/**
+ * Gets the 53c fill pattern selected in the View tab
+ * @returns {number[]} 8 pattern bytes
+ */
+function getSelected53cPattern() {
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById('pattern53cSelect'));
+  const patternName = select?.value || 'checker';
+  if (patternName === 'stripes') return APP_CONFIG.PATTERN_53C_STRIPES;
+  if (patternName === 'dd77') return APP_CONFIG.PATTERN_53C_DD77;
+  return APP_CONFIG.PATTERN_53C_CHECKER;
+}
+
+/**
+ * Gets the fill pattern for a type 1 animation: its own if it is not one of
+ * the built-in patterns, otherwise the one selected in the View tab
+ * @param {AnimTimeline} anim
+ * @returns {ArrayLike<number>}
+ */
+function getAnimFillPattern(anim) {
+  return anim.fillPattern || getSelected53cPattern();
+}
+
+/**
+ * Writes the edited frame (screenData and its undo history) back to the timeline
+ * @param {AnimTimeline} anim
+ */
+function commitAnimFrame(anim) {
+  if (layersEnabled && layers.length > 0) {
+    flattenLayersToScreen();
+  }
+  const frame = anim.frames[anim.current];
+  frame.data = screenData.slice(0, anim.payloadType === 1 ? SCA.ATTR_FRAME_SIZE : SCA.FRAME_SIZE);
+  frame.undoStack = undoStack;
+  frame.redoStack = redoStack;
+}
+
+/**
+ * Loads a timeline frame into the editor
+ * @param {AnimTimeline} anim
+ * @param {number} index - Frame index
+ */
+function showAnimFrame(anim, index) {
+  anim.current = index;
+  const frame = anim.frames[index];
+  screenData = frame.data.slice();
+  undoStack = frame.undoStack;
+  redoStack = frame.redoStack;
+
+  selectionStartPoint = null;
+  selectionEndPoint = null;
+  isSelecting = false;
+
+  editorRender();
+  updateAnimationPanel();
+}
+
+/**
+ * Switches the editor to another frame
+ * @param {number} index - Frame index (wraps around)
+ */
+function goToAnimFrame(index) {
+  const anim = getActiveAnimation();
+  if (!anim) return;
+  const count = anim.frames.length;
+  index = ((index % count) + count) % count;
+  if (index === anim.current) return;
+
+  commitAnimFrame(anim);
+  // Layers belong to the frame being edited
+  flattenAllLayers();
+  showAnimFrame(anim, index);
+}
+
+/**
+ * Adds a frame to the timeline
+ * @param {'add'|'insert'|'duplicate'} mode - Blank frame after the current one,
+ *   blank frame before it, or a copy after it
+ */
+function addAnimFrame(mode) {
+  const anim = getActiveAnimation();
+  if (!anim) return;
+  if (anim.frames.length >= ANIM_MAX_FRAMES) {
+    alert(`An SCA animation holds at most ${ANIM_MAX_FRAMES} frames.`);
+    return;
+  }
+
+  commitAnimFrame(anim);
+  flattenAllLayers();
+
+  const current = anim.frames[anim.current];
+  let data;
+  if (mode === 'duplicate') {
+    data = current.data.slice();
+  } else {
+    // Blank frame: empty bitmap in the current colors
+    data = new Uint8Array(current.data.length);
+    const attrStart = anim.payloadType === 1 ? 0 : SCREEN.BITMAP_SIZE;
+    data.fill(getCurrentDrawingAttribute(), attrStart, attrStart + SCA.ATTR_FRAME_SIZE);
+  }
+
+  const index = mode === 'insert' ? anim.current : anim.current + 1;
+  anim.frames.splice(index, 0, createAnimFrame(data, current.delay));
+  markPictureModified();
+  showAnimFrame(anim, index);
+}
+
+/**
+ * Deletes the current frame
+ */
+function deleteAnimFrame() {
+  const anim = getActiveAnimation();
+  if (!anim) return;
+  if (anim.frames.length < 2) {
+    alert('An animation needs at least one frame.');
+    return;
+  }
+  if (!confirm(`Delete frame ${anim.current + 1}?`)) return;
+
+  flattenAllLayers();
+  anim.frames.splice(anim.current, 1);
+  markPictureModified();
+  showAnimFrame(anim, Math.min(anim.current, anim.frames.length - 1));
+}
+
+/**
+ * Sets the current frame's delay
+ * @param {number} delay - Delay in 1/50 s (clamped to 1-255)
+ */
+function setAnimFrameDelay(delay) {
+  const anim = getActiveAnimation();
+  if (!anim) return;
+  anim.frames[anim.current].delay = Math.max(1, Math.min(255, Math.round(delay) || 1));
+  markPictureModified();
+  updateAnimationPanel();
+}
+
+/**
+ * Starts or stops timeline playback
+ */
+function toggleAnimPlayback() {
+  if (animPlayTimerId !== null) {
+    stopAnimPlayback();
+    return;
+  }
+  const anim = getActiveAnimation();
+  if (!anim || anim.frames.length < 2) return;
+
+  const step = () => {
+    animPlayTimerId = setTimeout(() => {
+      // Stop when another picture becomes active
+      if (getActiveAnimation() !== anim) {
+        stopAnimPlayback();
+        return;
+      }
+      goToAnimFrame(anim.current + 1);
+      step();
+    }, anim.frames[anim.current].delay * SCA.DELAY_UNIT_MS);
+  };
+  step();
+  updateAnimationPanel();
+}
+
+/**
+ * Stops timeline playback
+ */
+function stopAnimPlayback() {
+  if (animPlayTimerId !== null) {
+    clearTimeout(animPlayTimerId);
+    animPlayTimerId = null;
+  }
+  updateAnimationPanel();
+}
+
+/**
+ * Renders timeline frame data to a 256x192 ImageData
+ * @param {AnimTimeline} anim
+ * @param {Uint8Array} data - Frame data
+ * @param {ImageData} imageData - Target (256x192)
+ */
+function renderAnimFrameImage(anim, data, imageData) {
+  const pixels = imageData.data;
+  const pattern = anim.payloadType === 1 ? getAnimFillPattern(anim) : null;
+
+  for (let y = 0; y < SCREEN.HEIGHT; y++) {
+    for (let col = 0; col < SCREEN.CHAR_COLS; col++) {
+      const attrIndex = (y >> 3) * 32 + col;
+      const attr = pattern ? data[attrIndex] : data[SCREEN.BITMAP_SIZE + attrIndex];
+      const bits = pattern ? pattern[y & 7] : data[getBitmapAddress(col * 8, y)];
+      const { inkRgb, paperRgb } = getColorsRgb(attr);
+
+      for (let bit = 0; bit < 8; bit++) {
+        const rgb = (bits & (0x80 >> bit)) ? inkRgb : paperRgb;
+        const p = (y * SCREEN.WIDTH + col * 8 + bit) * 4;
+        pixels[p] = rgb[0];
+        pixels[p + 1] = rgb[1];
+        pixels[p + 2] = rgb[2];
+        pixels[p + 3] = 255;
+      }
+    }
+  }
+}
+
+/**
+ * Draws the neighbouring frames translucently over the edited one
+ */
+function drawOnionSkin() {
+  if (!onionSkinPrev && !onionSkinNext) return;
+  const anim = getActiveAnimation();
+  if (!anim || animPlayTimerId !== null) return;
+
+  const temp = getTempPreviewCanvas(SCREEN.WIDTH, SCREEN.HEIGHT);
+  if (!temp || !screenCtx) return;
+  const offset = borderSize * zoom;
+  const opacity = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.ONION_SKIN_OPACITY) || 0.3;
+
+  /** @type {number[]} */
+  const neighbours = [];
+  if (onionSkinPrev && anim.current > 0) neighbours.push(anim.current - 1);
+  if (onionSkinNext && anim.current < anim.frames.length - 1) neighbours.push(anim.current + 1);
+
+  for (const index of neighbours) {
+    const imageData = temp.ctx.createImageData(SCREEN.WIDTH, SCREEN.HEIGHT);
+    renderAnimFrameImage(anim, anim.frames[index].data, imageData);
+    temp.ctx.putImageData(imageData, 0, 0);
+
+    screenCtx.save();
+    screenCtx.globalAlpha = opacity;
+    screenCtx.imageSmoothingEnabled = false;
+    screenCtx.drawImage(temp.canvas, offset, offset, SCREEN.WIDTH * zoom, SCREEN.HEIGHT * zoom);
+    screenCtx.restore();
+  }
+}
+
+/**
+ * Opens the loaded SCA animation as an editable picture (type 0 as SCR
+ * frames, type 1 as .53c frames)
+ */
+function openScaTimeline() {
+  if (!scaHeader || currentFormat !== FORMAT.SCA) return;
+  if (scaHeader.width !== SCREEN.WIDTH || scaHeader.height !== SCREEN.HEIGHT) {
+    alert(`Only ${SCREEN.WIDTH}x${SCREEN.HEIGHT} SCA animations can be edited.`);
+    return;
+  }
+  if (openPictures.length >= MAX_PICTURES) {
+    alert('Maximum ' + MAX_PICTURES + ' pictures. Close one to open another.');
+    return;
+  }
+
+  /** @type {AnimFrame[]} */
+  const frames = [];
+  for (let i = 0; i < scaHeader.frameCount; i++) {
+    const offset = getScaFrameOffset(i);
+    frames.push(createAnimFrame(screenData.slice(offset, offset + scaHeader.frameSize), scaHeader.delays[i] || 1));
+  }
+
+  const payloadType = scaHeader.payloadType;
+  /** @type {Uint8Array|null} */
+  let fillPattern = null;
+  if (payloadType === 1 && scaHeader.fillPattern) {
+    // Built-in patterns follow the View tab setting; others stay with the animation
+    const named = /** @type {Array<[string, number[]]>} */ ([
+      ['checker', APP_CONFIG.PATTERN_53C_CHECKER],
+      ['stripes', APP_CONFIG.PATTERN_53C_STRIPES],
+      ['dd77', APP_CONFIG.PATTERN_53C_DD77]
+    ]);
+    const header = scaHeader;
+    const match = named.find(([, bytes]) => bytes.every((b, i) => b === header.fillPattern?.[i]));
+    if (match && pattern53cSelect) {
+      pattern53cSelect.value = match[0];
+    } else {
+      fillPattern = scaHeader.fillPattern.slice();
+    }
+  }
+
+  const borderColorSuggestion = scaHeader.borderColor;
+  const fileName = currentFileName || 'animation.sca';
+  if (typeof exitEditMode === 'function') exitEditMode();
+  resetScaState();
+
+  const index = addPicture(fileName, payloadType === 1 ? FORMAT.ATTR_53C : FORMAT.SCR, frames[0].data);
+  if (index < 0) return;
+  openPictures[index].animation = {
+    frames,
+    current: 0,
+    payloadType,
+    fillPattern,
+    borderColor: borderColorSuggestion
+  };
+  updateAnimationPanel();
+
+  // Show the Edit tab
+  /** @type {HTMLElement|null} */ (document.querySelector('.panel-tab[data-tab="edit"]'))?.click();
+}
+
+/**
+ * Turns the active SCR or .53c picture into a one-frame animation
+ */
+function createAnimationFromPicture() {
+  if (activePictureIndex < 0 || activePictureIndex >= openPictures.length) return;
+  if (currentFormat !== FORMAT.SCR && currentFormat !== FORMAT.ATTR_53C) return;
+
+  const payloadType = currentFormat === FORMAT.ATTR_53C ? 1 : 0;
+  const size = payloadType === 1 ? SCA.ATTR_FRAME_SIZE : SCA.FRAME_SIZE;
+  openPictures[activePictureIndex].animation = {
+    frames: [createAnimFrame(screenData.slice(0, size), ANIM_DEFAULT_DELAY)],
+    current: 0,
+    payloadType,
+    fillPattern: null,
+    borderColor
+  };
+  updateAnimationPanel();
+}
+
+/**
+ * Serializes an animation timeline for a project file (frame data, delays, current frame)
+ * @param {AnimTimeline} anim
+ * @returns {Object}
+ */
+function getAnimationForProject(anim) {
+  return {
+    current: anim.current,
+    payloadType: anim.payloadType,
+    fillPattern: anim.fillPattern ? arrayToBase64(Uint8Array.from(anim.fillPattern)) : null,
+    borderColor: anim.borderColor,
+    frames: anim.frames.map(f => ({ data: arrayToBase64(f.data), delay: f.delay }))
+  };
+}
+
+/**
+ * Restores an animation timeline saved by getAnimationForProject
+ * @param {Object} data - Project animation
+ * @returns {AnimTimeline|null} null if the data holds no frames
+ */
+function restoreAnimationFromProject(data) {
+  if (!data || !Array.isArray(data.frames) || data.frames.length === 0) return null;
+  const frames = data.frames.map((/** @type {{data: string, delay: number}} */ f) =>
+    createAnimFrame(base64ToArray(f.data), Math.max(1, Math.min(255, f.delay || ANIM_DEFAULT_DELAY))));
+  return {
+    frames,
+    current: Math.max(0, Math.min(frames.length - 1, data.current || 0)),
+    payloadType: data.payloadType === 1 ? 1 : 0,
+    fillPattern: data.fillPattern ? base64ToArray(data.fillPattern) : null,
+    borderColor: data.borderColor || 0
+  };
+}
+
+/**
+ * Saves the animation as an SCA file (type 0 for SCR frames, type 1 for .53c)
+ */
+function saveAnimationSca() {
+  const anim = getActiveAnimation();
+  if (!anim) return;
+
+  commitAnimFrame(anim);
+  const sca = buildScaFile(
+    anim.frames.map(f => f.data),
+    anim.frames.map(f => f.delay),
+    anim.payloadType,
+    anim.payloadType === 1 ? getAnimFillPattern(anim) : null,
+    anim.borderColor
+  );
+
+  const baseName = (currentFileName || 'animation').replace(/\.[^.]+$/, '');
+  downloadFile(new Blob([sca], { type: 'application/octet-stream' }), baseName + '_edited.sca');
+
+  openPictures[activePictureIndex].modified = false;
+  updatePictureTabBar();
+}
+
+/**
+ * Updates the Animation section of the Edit tab
+ */
+function updateAnimationPanel() {
+  const section = document.getElementById('animSection');
+  if (!section) return;
+
+  const canAnimate = editorActive && activePictureIndex >= 0 &&
+    (currentFormat === FORMAT.SCR || currentFormat === FORMAT.ATTR_53C);
+  section.style.display = canAnimate ? '' : 'none';
+  if (!canAnimate) {
+    if (animPlayTimerId !== null) {
+      clearTimeout(animPlayTimerId);
+      animPlayTimerId = null;
+    }
+    return;
+  }
+
+  const anim = getActiveAnimation();
+  const createBtn = document.getElementById('animCreateBtn');
+  const controls = document.getElementById('animControls');
+  if (createBtn) createBtn.style.display = anim ? 'none' : '';
+  if (controls) controls.style.display = anim ? '' : 'none';
+  if (!anim) return;
+
+  const info = document.getElementById('animFrameInfo');
+  if (info) info.textContent = `Frame ${anim.current + 1}/${anim.frames.length}`;
+
+  const delayInput = /** @type {HTMLInputElement|null} */ (document.getElementById('animDelay'));
+  if (delayInput && document.activeElement !== delayInput) {
+    delayInput.value = String(anim.frames[anim.current].delay);
+  }
+
+  const playBtn = document.getElementById('animPlayBtn');
+  if (playBtn) playBtn.textContent = animPlayTimerId !== null ? 'Stop' : 'Play';
+
+  const deleteBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById('animDeleteBtn'));
+  if (deleteBtn) deleteBtn.disabled = anim.frames.length < 2;
+}
+
+/**
+ * Wires up the Animation section controls
+ */
+function initAnimationTimeline() {
+  document.getElementById('animCreateBtn')?.addEventListener('click', createAnimationFromPicture);
+  document.getElementById('animPrevBtn')?.addEventListener('click', () => {
+    const anim = getActiveAnimation();
+    if (anim) goToAnimFrame(anim.current - 1);
+  });
+  document.getElementById('animNextBtn')?.addEventListener('click', () => {
+    const anim = getActiveAnimation();
+    if (anim) goToAnimFrame(anim.current + 1);
+  });
+  document.getElementById('animPlayBtn')?.addEventListener('click', toggleAnimPlayback);
+  document.getElementById('animAddBtn')?.addEventListener('click', () => addAnimFrame('add'));
+  document.getElementById('animInsertBtn')?.addEventListener('click', () => addAnimFrame('insert'));
+  document.getElementById('animDuplicateBtn')?.addEventListener('click', () => addAnimFrame('duplicate'));
+  document.getElementById('animDeleteBtn')?.addEventListener('click', deleteAnimFrame);
+  document.getElementById('animSaveBtn')?.addEventListener('click', saveAnimationSca);
+  document.getElementById('animDelay')?.addEventListener('change', (e) => {
+    setAnimFrameDelay(parseInt(/** @type {HTMLInputElement} */ (e.target).value, 10));
+  });
+  document.getElementById('animOnionPrev')?.addEventListener('change', (e) => {
+    onionSkinPrev = /** @type {HTMLInputElement} */ (e.target).checked;
+    editorRender();
+  });
+  document.getElementById('animOnionNext')?.addEventListener('change', (e) => {
+    onionSkinNext = /** @type {HTMLInputElement} */ (e.target).checked;
+    editorRender();
+  });
+
+  // Opened from the SCA editor
+  document.getElementById('editPaintFramesBtn')?.addEventListener('click', openScaTimeline);
+
+  // , and . step through frames
+  document.addEventListener('keydown', (e) => {
+    if (!editorActive || e.ctrlKey || e.altKey) return;
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+    const anim = getActiveAnimation();
+    if (!anim) return;
+    if (e.code === 'Comma') {
+      e.preventDefault();
+      goToAnimFrame(anim.current - 1);
+    } else if (e.code === 'Period') {
+      e.preventDefault();
+      goToAnimFrame(anim.current + 1);
+    }
+  });
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -16316,6 +17531,9 @@ function initEditor() {
   // QR code dialog initialization
   initQrDialog();
 
+  // Animation timeline initialization
+  initAnimationTimeline();
+
   // Helper function to setup collapsible with localStorage persistence
   /**
    * @param {string} headerId - ID of the header element
@@ -16544,6 +17762,24 @@ function initEditor() {
     });
   }
 
+  // ASM target machine dropdown
+  const asmMachineSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('editorAsmMachineSelect'));
+  if (asmMachineSelect) {
+    asmMachineSelect.value = localStorage.getItem('spectraLabAsmMachine') || 'pentagon';
+    asmMachineSelect.addEventListener('change', () => {
+      localStorage.setItem('spectraLabAsmMachine', asmMachineSelect.value);
+    });
+  }
+
+  // ASM packer dropdown
+  const asmPackSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('editorPackSelect'));
+  if (asmPackSelect) {
+    asmPackSelect.value = localStorage.getItem('spectraLabAsmPacker') || '';
+    asmPackSelect.addEventListener('change', () => {
+      localStorage.setItem('spectraLabAsmPacker', asmPackSelect.value);
+    });
+  }
+
   // Cut button
   document.getElementById('editorCutBtn')?.addEventListener('click', () => {
     if (selectionStartPoint && selectionEndPoint) {
@@ -16596,12 +17832,15 @@ function initEditor() {
     if (!exportSelect) return;
     const value = exportSelect.value;
 
-    if (value === 'asm') {
-      if (currentFormat === FORMAT.BSC) exportBscAsm();
-      else if (currentFormat === FORMAT.GIGASCREEN) exportGigascreenAsm();
-      else if (currentFormat === FORMAT.RGB3) exportRgb3Asm();
-      else if (currentFormat === FORMAT.IFL) exportIflAsm();
-      else if (currentFormat === FORMAT.SCR_ULAPLUS) exportUlaPlusAsm();
+    if (value === 'asm' || value.startsWith('asm-')) {
+      const output = value === 'asm' ? 'asm' : /** @type {'sna'|'tap'|'preview'} */ (value.slice(4));
+      if (currentFormat === FORMAT.BSC) exportBscAsm(output);
+      else if (currentFormat === FORMAT.GIGASCREEN) exportGigascreenAsm(output);
+      else if (currentFormat === FORMAT.RGB3) exportRgb3Asm(output);
+      else if (currentFormat === FORMAT.IFL) exportIflAsm(output);
+      else if (currentFormat === FORMAT.MLT) exportMltAsm(output);
+      else if (currentFormat === FORMAT.BMC4) exportBmc4Asm(output);
+      else if (currentFormat === FORMAT.SCR_ULAPLUS) exportUlaPlusAsm(output);
     } else if (value === 'scr') {
       if (currentFormat !== FORMAT.SPECSCII || !specsciiCharGrid) return;
       const scrData = exportSpecsciiToScr();
@@ -16612,6 +17851,19 @@ function initEditor() {
       const tapData = exportSpecsciiToTap();
       const baseName = currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : 'screen';
       downloadFile(new Blob([tapData], { type: 'application/octet-stream' }), baseName + '.tap');
+    } else if (value === 'trd' || value === 'scl') {
+      exportScreenToTrdos(value);
+    } else if (value === 'sna' || value === 'z80') {
+      exportScreenToSnapshot(value);
+    } else if (ASM_PACKERS[value]) {
+      const packer = ASM_PACKERS[value];
+      const baseName = currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : 'screen';
+      const data = screenData;
+      packBlocksAsync([data], [packer]).then(done => {
+        if (done) downloadFile(new Blob([packAsmData(packer, data)], { type: 'application/octet-stream' }), baseName + '.' + packer.ext);
+      });
+    } else if (value === 'packsizes') {
+      showPackReport([screenData], currentFileName || 'the screen');
     }
   });
 
@@ -111,6 +111,11 @@ const FORMAT = {
   IFL: 'ifl',             // 9216-byte multicolor 8x2 (6144 pixels + 3072 attributes)
   BMC4: 'bmc4',           // 11904-byte border + 8x4 multicolor
   MLT: 'mlt',             // 12288-byte multicolor 8x1 (6144 pixels + 6144 attributes)
+  TIMEX_HICOLOR: 'timex_hicolor', // 12288-byte Timex hi-colour 8x1 (two interleaved display files)
+  TIMEX_HIRES: 'timex_hires',     // 12289-byte Timex hi-res 512x192 (two display files + mode byte)
+  NEXT_L2_256: 'next_l2_256',     // ZX Next Layer 2 256x192, 8bpp (.sl2/.nxi)
+  NEXT_L2_320: 'next_l2_320',     // ZX Next Layer 2 320x256, 8bpp (.nxi)
+  NEXT_L2_640: 'next_l2_640',     // ZX Next Layer 2 640x256, 4bpp (.nxi)
   RGB3: 'rgb3',           // 18432-byte tricolor RGB (3 × 6144 bitmaps)
   GIGASCREEN: 'img',      // 13824-byte Gigascreen (2 × 6912 SCR frames)
   MONO_FULL: 'mono_full', // 6144-byte monochrome (full screen)
@@ -172,6 +177,37 @@ const MLT = {
   ATTR_COLS: 32
 };
 
+// Timex SCLD screen modes (TC2048/TC2068/TS2068)
+// Both modes use the second display file at 0x6000, stored right after the first one:
+// - Hi-colour: bitmap at 0x4000, 8x1 attributes at 0x6000 using the same interleaved layout as the bitmap
+// - Hi-res: even byte columns at 0x4000, odd byte columns at 0x6000, plus the port 0xFF value
+//   (bits 5-3 select ink, paper is the complementary colour)
+const TIMEX = {
+  HICOLOR_SIZE: 12288,    // 6144 + 6144
+  HIRES_SIZE: 12289,      // 6144 + 6144 + 1 mode byte
+  BITMAP_SIZE: 6144,      // Same as standard SCR
+  SECOND_OFFSET: 6144,    // Second display file (0x6000)
+  MODE_OFFSET: 12288,     // Port 0xFF value (hi-res only)
+  HIRES_MODE: 0x06,       // Port 0xFF bits 2-0 for 512x192 mode
+  HIRES_WIDTH: 512
+};
+
+// ZX Spectrum Next Layer 2 screens
+// Pixels are palette indices. 256x192 is stored row by row; 320x256 and 640x256 are
+// stored column by column (top to bottom, then left to right), 640x256 packing two
+// pixels per byte with the left one in the high nibble.
+// A file may start with a 512-byte palette: 256 entries of 2 bytes, RRRGGGBB followed
+// by the lowest blue bit in bit 0. In memory the palette is always present, first,
+// so the data is also a valid .nxi file.
+const NEXT_L2 = {
+  PALETTE_SIZE: 512,      // 256 entries × 2 bytes
+  PALETTE_ENTRIES: 256,
+  SIZE_256: 49152,        // 256 × 192 × 1 byte
+  SIZE_320: 81920,        // 320 × 256 × 1 byte, or 640 × 256 × ½ byte
+  HEIGHT_256: 192,
+  HEIGHT_320: 256
+};
+
 // RGB3 format constants (tricolor RGB)
 // Three bitmaps: Red, Green, Blue - combined additively
 const RGB3 = {
@@ -223,12 +259,21 @@ const BMC4 = {
 // - Byte 11: Payload type identifier (0 = uncompressed)
 // - Bytes 12-13: Payload starting position (little-endian)
 // Payload type 0: delay table (1 byte per frame) + frames (6912 bytes each)
+// Payload type 1: delay table + 8-byte fill pattern + attributes (768 bytes each)
+// Payload type 2: delay table + one change list per frame + one loop change list
+// - Change list: runs of [offset lo, offset hi, length 1-255, bytes...] ending with #FFFF
+// - Frame 0 is stored against a blank (all zero) screen, frame N against frame N-1
+// - The loop change list turns the last frame back into frame 0
 const SCA = {
   HEADER_SIZE: 14,
   SIGNATURE: 'SCA',
   FRAME_SIZE: 6912,           // Payload type 0: full SCREEN$ format per frame
   ATTR_FRAME_SIZE: 768,       // Payload type 1: attributes only per frame
   FILL_PATTERN_SIZE: 8,       // Payload type 1: 8-byte fill pattern
+  PAYLOAD_DELTA: 2,           // Payload type 2: changed byte runs against the previous frame
+  DELTA_END: 0xFFFF,          // Payload type 2: change list terminator (in place of an offset)
+  DELTA_MAX_RUN: 255,         // Payload type 2: longest run
+  DELTA_MERGE_GAP: 3,         // Payload type 2: unchanged bytes worth copying rather than starting a new run
   DELAY_UNIT_MS: 20           // 1/50 second = 20ms per delay unit
 };
 
@@ -633,7 +678,7 @@ let fontLoaded = true;
 let currentFontName = 'ROM';
 
 // SCA animation state
-/** @type {{version: number, width: number, height: number, borderColor: number, frameCount: number, payloadType: number, payloadOffset: number, frameDataStart: number, frameSize: number, delays: Uint8Array, fillPattern: Uint8Array|null}|null} */
+/** @type {{version: number, width: number, height: number, borderColor: number, frameCount: number, payloadType: number, storedPayloadType: number, payloadOffset: number, frameDataStart: number, frameSize: number, delays: Uint8Array, fillPattern: Uint8Array|null}|null} */
 let scaHeader = null;
 
 /** @type {number} - Current frame index (0-based) */
@@ -778,6 +823,9 @@ let gigascreenFlickerLastTime = 0;
 /** @type {number} - Flicker frame interval in ms (20ms = 50Hz) */
 const FLICKER_INTERVAL_MS = 20;
 
+/** @type {number|null} - Flicker phase forced while rendering export frames (null = live animation) */
+let exportFlickerPhase = null;
+
 /**
  * Caches DOM element references for performance
  */
@@ -1240,6 +1288,299 @@ function renderMltScreen(ctx, borderOffset) {
   ctx.drawImage(temp.canvas, borderOffset, borderOffset, SCREEN.WIDTH * zoom, SCREEN.HEIGHT * zoom);
 }
 
+/**
+ * Renders a Timex hi-colour screen (8x1 multicolor)
+ * Attribute bytes live in the second display file at the same offset as their bitmap byte
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} borderOffset - Border offset in canvas pixels
+ */
+function renderTimexHicolorScreen(ctx, borderOffset) {
+  const imageData = ctx.createImageData(SCREEN.WIDTH, SCREEN.HEIGHT);
+  const data = imageData.data;
+
+  for (let y = 0; y < SCREEN.HEIGHT; y++) {
+    const third = Math.floor(y / 64);
+    const charRow = Math.floor((y % 64) / 8);
+    const pixelLine = y % 8;
+    const bitmapBase = third * 2048 + charRow * 32 + pixelLine * 256;
+
+    for (let col = 0; col < SCREEN.CHAR_COLS; col++) {
+      const byte = screenData[bitmapBase + col];
+      const attr = screenData[TIMEX.SECOND_OFFSET + bitmapBase + col];
+      let inkRgb, paperRgb;
+      if (showAttributes) {
+        ({ inkRgb, paperRgb } = getColorsRgb(attr));
+      } else {
+        inkRgb = [255, 255, 255];
+        paperRgb = [0, 0, 0];
+      }
+
+      const x = col * 8;
+      for (let bit = 0; bit < 8; bit++) {
+        const px = x + bit;
+        const maskIdx = y * SCREEN.WIDTH + px;
+        const rgb = isPixelTransparent(maskIdx)
+          ? getCheckerboardColor(px, y)
+          : (isBitSet(byte, bit) ? inkRgb : paperRgb);
+        const pixelIndex = maskIdx * 4;
+        data[pixelIndex] = rgb[0];
+        data[pixelIndex + 1] = rgb[1];
+        data[pixelIndex + 2] = rgb[2];
+        data[pixelIndex + 3] = 255;
+      }
+    }
+  }
+
+  const temp = getTempRenderCanvas(SCREEN.WIDTH, SCREEN.HEIGHT);
+  if (!temp) return;
+  temp.ctx.putImageData(imageData, 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(temp.canvas, borderOffset, borderOffset, SCREEN.WIDTH * zoom, SCREEN.HEIGHT * zoom);
+}
+
+/**
+ * Gets the ink/paper colours of a Timex hi-res screen from its port 0xFF value
+ * @param {number} modeByte - Port 0xFF value (bits 5-3 = ink, paper is 7 - ink)
+ * @returns {{inkRgb: number[], paperRgb: number[]}} RGB color arrays
+ */
+function getTimexHiresColorsRgb(modeByte) {
+  const ink = (modeByte >> 3) & 0x07;
+  return { inkRgb: ZX_PALETTE_RGB.BRIGHT[ink], paperRgb: ZX_PALETTE_RGB.BRIGHT[7 - ink] };
+}
+
+/**
+ * Renders a Timex hi-res screen (512x192, two colours)
+ * Byte columns alternate between the two display files: even from 0x4000, odd from 0x6000
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} borderOffset - Border offset in canvas pixels
+ */
+function renderTimexHiresScreen(ctx, borderOffset) {
+  const width = TIMEX.HIRES_WIDTH;
+  const imageData = ctx.createImageData(width, SCREEN.HEIGHT);
+  const data = imageData.data;
+
+  let inkRgb, paperRgb;
+  if (showAttributes) {
+    ({ inkRgb, paperRgb } = getTimexHiresColorsRgb(screenData[TIMEX.MODE_OFFSET] || 0));
+  } else {
+    inkRgb = [255, 255, 255];
+    paperRgb = [0, 0, 0];
+  }
+
+  for (let y = 0; y < SCREEN.HEIGHT; y++) {
+    const third = Math.floor(y / 64);
+    const charRow = Math.floor((y % 64) / 8);
+    const pixelLine = y % 8;
+    const bitmapBase = third * 2048 + charRow * 32 + pixelLine * 256;
+
+    for (let col = 0; col < width / 8; col++) {
+      const fileOffset = (col & 1) ? TIMEX.SECOND_OFFSET : 0;
+      const byte = screenData[fileOffset + bitmapBase + (col >> 1)];
+      const x = col * 8;
+      for (let bit = 0; bit < 8; bit++) {
+        const rgb = isBitSet(byte, bit) ? inkRgb : paperRgb;
+        const pixelIndex = (y * width + x + bit) * 4;
+        data[pixelIndex] = rgb[0];
+        data[pixelIndex + 1] = rgb[1];
+        data[pixelIndex + 2] = rgb[2];
+        data[pixelIndex + 3] = 255;
+      }
+    }
+  }
+
+  const temp = getTempRenderCanvas(width, SCREEN.HEIGHT);
+  if (!temp) return;
+  temp.ctx.putImageData(imageData, 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(temp.canvas, borderOffset, borderOffset, width * zoom, SCREEN.HEIGHT * zoom);
+}
+
+/**
+ * Checks if a format is one of the Next Layer 2 modes
+ * @param {string} format - Format constant
+ * @returns {boolean}
+ */
+function isNextLayer2Format(format) {
+  return format === FORMAT.NEXT_L2_256 || format === FORMAT.NEXT_L2_320 || format === FORMAT.NEXT_L2_640;
+}
+
+/**
+ * Gets the geometry of a Next Layer 2 mode
+ * @param {string} format - Format constant
+ * @returns {{width: number, height: number, pixelBytes: number, bpp: number}}
+ */
+function getNextLayer2Geometry(format) {
+  if (format === FORMAT.NEXT_L2_320) {
+    return { width: 320, height: NEXT_L2.HEIGHT_320, pixelBytes: NEXT_L2.SIZE_320, bpp: 8 };
+  }
+  if (format === FORMAT.NEXT_L2_640) {
+    return { width: 640, height: NEXT_L2.HEIGHT_320, pixelBytes: NEXT_L2.SIZE_320, bpp: 4 };
+  }
+  return { width: 256, height: NEXT_L2.HEIGHT_256, pixelBytes: NEXT_L2.SIZE_256, bpp: 8 };
+}
+
+/**
+ * Generates the Next's default Layer 2 palette: entry N is colour RRRGGGBB = N,
+ * with the ninth (lowest blue) bit set when either of the two blue bits is set
+ * @returns {Uint8Array} 512-byte palette
+ */
+function generateDefaultNextPalette() {
+  const palette = new Uint8Array(NEXT_L2.PALETTE_SIZE);
+  for (let i = 0; i < NEXT_L2.PALETTE_ENTRIES; i++) {
+    palette[i * 2] = i;
+    palette[i * 2 + 1] = (i & 0x03) ? 1 : 0;
+  }
+  return palette;
+}
+
+/**
+ * Converts a 9-bit Next colour to RGB
+ * @param {number} rrrgggbb - First palette byte
+ * @param {number} lowBlue - Second palette byte (bit 0 = lowest blue bit)
+ * @returns {number[]} RGB array [r, g, b]
+ */
+function nextColorToRgb(rrrgggbb, lowBlue) {
+  const r = (rrrgggbb >> 5) & 0x07;
+  const g = (rrrgggbb >> 2) & 0x07;
+  const b = ((rrrgggbb & 0x03) << 1) | (lowBlue & 0x01);
+  return [Math.round(r * 255 / 7), Math.round(g * 255 / 7), Math.round(b * 255 / 7)];
+}
+
+/**
+ * Converts RGB to the nearest 9-bit Next colour
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number} Colour as RRRGGGBBB (0-511)
+ */
+function rgbToNextColor(r, g, b) {
+  const to3 = (v) => Math.max(0, Math.min(7, Math.round(v * 7 / 255)));
+  return (to3(r) << 6) | (to3(g) << 3) | to3(b);
+}
+
+/**
+ * Gets the RGB colours of all 256 palette entries of a Layer 2 screen
+ * @param {Uint8Array} data - Layer 2 data (palette first)
+ * @returns {number[][]} Array of [r, g, b]
+ */
+function getNextPaletteRgb(data) {
+  const colors = [];
+  for (let i = 0; i < NEXT_L2.PALETTE_ENTRIES; i++) {
+    colors.push(nextColorToRgb(data[i * 2] || 0, data[i * 2 + 1] || 0));
+  }
+  return colors;
+}
+
+/**
+ * Reads a pixel's palette index from Layer 2 data
+ * @param {Uint8Array} data - Layer 2 data (palette first)
+ * @param {string} format - Layer 2 format constant
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number} Palette index (0-255, or 0-15 for 640x256)
+ */
+function getNextLayer2Pixel(data, format, x, y) {
+  if (format === FORMAT.NEXT_L2_256) {
+    return data[NEXT_L2.PALETTE_SIZE + y * 256 + x];
+  }
+  if (format === FORMAT.NEXT_L2_320) {
+    return data[NEXT_L2.PALETTE_SIZE + x * NEXT_L2.HEIGHT_320 + y];
+  }
+  const byte = data[NEXT_L2.PALETTE_SIZE + (x >> 1) * NEXT_L2.HEIGHT_320 + y];
+  return (x & 1) ? (byte & 0x0F) : (byte >> 4);
+}
+
+/**
+ * Writes a pixel's palette index into Layer 2 data
+ * @param {Uint8Array} data - Layer 2 data (palette first)
+ * @param {string} format - Layer 2 format constant
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} index - Palette index (masked to 0-15 for 640x256)
+ */
+function setNextLayer2Pixel(data, format, x, y, index) {
+  if (format === FORMAT.NEXT_L2_256) {
+    data[NEXT_L2.PALETTE_SIZE + y * 256 + x] = index;
+    return;
+  }
+  if (format === FORMAT.NEXT_L2_320) {
+    data[NEXT_L2.PALETTE_SIZE + x * NEXT_L2.HEIGHT_320 + y] = index;
+    return;
+  }
+  const addr = NEXT_L2.PALETTE_SIZE + (x >> 1) * NEXT_L2.HEIGHT_320 + y;
+  if (x & 1) {
+    data[addr] = (data[addr] & 0xF0) | (index & 0x0F);
+  } else {
+    data[addr] = (data[addr] & 0x0F) | ((index & 0x0F) << 4);
+  }
+}
+
+/**
+ * Brings a loaded .sl2/.nxi file into the in-memory layout (palette + pixels),
+ * adding the default palette when the file has none
+ * @param {Uint8Array} data - File contents
+ * @param {string} format - Layer 2 format constant
+ * @returns {Uint8Array} Normalised data
+ */
+function normalizeNextLayer2Data(data, format) {
+  const { pixelBytes } = getNextLayer2Geometry(format);
+  const result = new Uint8Array(NEXT_L2.PALETTE_SIZE + pixelBytes);
+  if (data.length >= NEXT_L2.PALETTE_SIZE + pixelBytes) {
+    result.set(data.subarray(0, NEXT_L2.PALETTE_SIZE + pixelBytes));
+  } else {
+    result.set(generateDefaultNextPalette(), 0);
+    result.set(data.subarray(0, pixelBytes), NEXT_L2.PALETTE_SIZE);
+  }
+  return result;
+}
+
+/**
+ * Renders a Next Layer 2 screen
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} borderOffset - Border offset in canvas pixels
+ */
+function renderNextLayer2Screen(ctx, borderOffset) {
+  const { width, height } = getNextLayer2Geometry(currentFormat);
+  const imageData = ctx.createImageData(width, height);
+  const data = imageData.data;
+  const palette = getNextPaletteRgb(screenData);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const rgb = palette[getNextLayer2Pixel(screenData, currentFormat, x, y)];
+      const pixelIndex = (y * width + x) * 4;
+      data[pixelIndex] = rgb[0];
+      data[pixelIndex + 1] = rgb[1];
+      data[pixelIndex + 2] = rgb[2];
+      data[pixelIndex + 3] = 255;
+    }
+  }
+
+  const temp = getTempRenderCanvas(width, height);
+  if (!temp) return;
+  temp.ctx.putImageData(imageData, 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(temp.canvas, borderOffset, borderOffset, width * zoom, height * zoom);
+}
+
+/**
+ * Switches an 81920-byte Layer 2 screen between its 320x256x8 and 640x256x4 readings
+ * (the file itself does not say which one it is)
+ * @param {string} mode - '320' or '640'
+ */
+function setNextLayer2Mode(mode) {
+  if (currentFormat !== FORMAT.NEXT_L2_320 && currentFormat !== FORMAT.NEXT_L2_640) return;
+  currentFormat = mode === '640' ? FORMAT.NEXT_L2_640 : FORMAT.NEXT_L2_320;
+  updateFileInfo();
+  renderScreen();
+  if (typeof updateNextPaletteSectionVisibility === 'function') {
+    updateNextPaletteSectionVisibility();
+  }
+  if (typeof editorActive !== 'undefined' && editorActive && typeof updateEditorState === 'function') {
+    updateEditorState();
+  }
+}
+
 /**
  * Renders an RGB3 format screen (tricolor RGB)
  * Three bitmaps combined: R, G, B channels
@@ -1426,7 +1767,9 @@ function setRgb3FlickerEnabled(enabled) {
  * @param {number} borderOffset - Border offset in canvas pixels
  */
 function renderGigascreen(ctx, borderOffset) {
-  if (gigascreenMode === GIGASCREEN_MODE.FLICKER && gigascreenFlickerFrameId !== null) {
+  if (gigascreenMode === GIGASCREEN_MODE.FLICKER && exportFlickerPhase !== null) {
+    renderGigascreenFrame(ctx, borderOffset, exportFlickerPhase % 2);
+  } else if (gigascreenMode === GIGASCREEN_MODE.FLICKER && gigascreenFlickerFrameId !== null) {
     renderGigascreenFrame(ctx, borderOffset, gigascreenFlickerPhase);
   } else {
     renderGigascreenAverage(ctx, borderOffset);
@@ -2551,7 +2894,7 @@ function renderBscMainScreen(ctx, offsetX, offsetY) {
 /**
  * Parses SCA file header and validates format
  * @param {Uint8Array} data - Raw file data
- * @returns {{version: number, width: number, height: number, borderColor: number, frameCount: number, payloadType: number, payloadOffset: number, frameDataStart: number, frameSize: number, delays: Uint8Array, fillPattern: Uint8Array|null}|null} Parsed header or null if invalid
+ * @returns {{version: number, width: number, height: number, borderColor: number, frameCount: number, payloadType: number, storedPayloadType: number, payloadOffset: number, frameDataStart: number, frameSize: number, delays: Uint8Array, fillPattern: Uint8Array|null}|null} Parsed header or null if invalid
  */
 function parseScaHeader(data) {
   if (data.length < SCA.HEADER_SIZE) {
@@ -2578,8 +2921,8 @@ function parseScaHeader(data) {
   const payloadOffset = data[12] | (data[13] << 8);
 
   // Validate
-  if (frameCount === 0 || (payloadType !== 0 && payloadType !== 1)) {
-    return null; // Only payload types 0 and 1 are supported
+  if (frameCount === 0 || (payloadType !== 0 && payloadType !== 1 && payloadType !== SCA.PAYLOAD_DELTA)) {
+    return null; // Only payload types 0, 1 and 2 are supported
   }
 
   // Delay table starts at payloadOffset
@@ -2596,6 +2939,10 @@ function parseScaHeader(data) {
     // Frame data starts after delay table
     frameDataStart = payloadOffset + frameCount;
     frameSize = SCA.FRAME_SIZE;
+  } else if (payloadType === SCA.PAYLOAD_DELTA) {
+    // Type 2: change lists follow the delay table (expanded by expandScaDeltaFile)
+    frameDataStart = payloadOffset + frameCount;
+    frameSize = SCA.FRAME_SIZE;
   } else {
     // Type 1: Attribute-only frames (768 bytes each)
     // Fill pattern (8 bytes) follows delay table, then frame data
@@ -2605,8 +2952,10 @@ function parseScaHeader(data) {
     frameSize = SCA.ATTR_FRAME_SIZE;
   }
 
-  // Validate that we have enough data for all frames
-  const expectedSize = frameDataStart + (frameCount * frameSize);
+  // Validate that we have enough data for all frames (type 2: at least the terminators)
+  const expectedSize = payloadType === SCA.PAYLOAD_DELTA ?
+    frameDataStart + (frameCount + 1) * 2 :
+    frameDataStart + (frameCount * frameSize);
   if (data.length < expectedSize) {
     return null;
   }
@@ -2618,6 +2967,7 @@ function parseScaHeader(data) {
     borderColor: borderColorSuggestion,
     frameCount,
     payloadType,
+    storedPayloadType: payloadType,
     payloadOffset,
     frameDataStart,
     frameSize,
@@ -2626,6 +2976,173 @@ function parseScaHeader(data) {
   };
 }
 
+/**
+ * Encodes the changes between two screens as a type 2 change list
+ * @param {ArrayLike<number>} prev - Previous screen (6912 bytes)
+ * @param {ArrayLike<number>} next - New screen (6912 bytes)
+ * @returns {number[]} Runs of [offset lo, offset hi, length, bytes...] followed by the #FFFF terminator
+ */
+function encodeScaDelta(prev, next) {
+  const out = [];
+  let pos = 0;
+  while (pos < SCA.FRAME_SIZE) {
+    if (prev[pos] === next[pos]) {
+      pos++;
+      continue;
+    }
+
+    // Extend the run over short unchanged gaps (cheaper than a new 3-byte run header)
+    const start = pos;
+    let end = pos + 1;
+    for (let i = end; i < SCA.FRAME_SIZE && i - start < SCA.DELTA_MAX_RUN; i++) {
+      if (prev[i] !== next[i]) {
+        end = i + 1;
+      } else if (i - end >= SCA.DELTA_MERGE_GAP - 1) {
+        break;
+      }
+    }
+
+    out.push(start & 0xFF, start >> 8, end - start);
+    for (let i = start; i < end; i++) out.push(next[i]);
+    pos = end;
+  }
+  out.push(SCA.DELTA_END & 0xFF, SCA.DELTA_END >> 8);
+  return out;
+}
+
+/**
+ * Encodes full-screen frames as a type 2 payload: one change list per frame
+ * (the first against a blank screen) and the loop change list back to frame 0
+ * @param {Uint8Array[]} frames - 6912-byte screens
+ * @returns {Uint8Array} Change lists
+ */
+function encodeScaDeltaStream(frames) {
+  /** @type {number[][]} */
+  const lists = [];
+  let prev = new Uint8Array(SCA.FRAME_SIZE);
+  for (const frame of frames) {
+    lists.push(encodeScaDelta(prev, frame));
+    prev = frame;
+  }
+  lists.push(encodeScaDelta(prev, frames[0]));
+
+  const stream = new Uint8Array(lists.reduce((sum, list) => sum + list.length, 0));
+  let offset = 0;
+  for (const list of lists) {
+    stream.set(list, offset);
+    offset += list.length;
+  }
+  return stream;
+}
+
+/**
+ * Applies one type 2 change list to a screen
+ * @param {Uint8Array} data - SCA file data
+ * @param {number} pos - Offset of the change list
+ * @param {Uint8Array} frame - Screen to update (6912 bytes)
+ * @returns {number} Offset after the terminator, or -1 if the list is malformed
+ */
+function applyScaDelta(data, pos, frame) {
+  for (;;) {
+    if (pos + 2 > data.length) return -1;
+    const offset = data[pos] | (data[pos + 1] << 8);
+    pos += 2;
+    if (offset === SCA.DELTA_END) return pos;
+
+    const length = data[pos++];
+    if (length === 0 || offset + length > SCA.FRAME_SIZE || pos + length > data.length) return -1;
+    frame.set(data.subarray(pos, pos + length), offset);
+    pos += length;
+  }
+}
+
+/**
+ * Expands a type 2 SCA file into the equivalent type 0 file
+ * @param {Uint8Array} data - SCA file data
+ * @param {NonNullable<typeof scaHeader>} header - Parsed header (payload type 2)
+ * @returns {Uint8Array|null} Type 0 SCA file data, or null if the change lists are malformed
+ */
+function expandScaDeltaFile(data, header) {
+  const frame = new Uint8Array(SCA.FRAME_SIZE);
+  const frames = [];
+  let pos = header.frameDataStart;
+  for (let i = 0; i < header.frameCount; i++) {
+    pos = applyScaDelta(data, pos, frame);
+    if (pos < 0) return null;
+    frames.push(frame.slice());
+  }
+  return buildScaFile(frames, Array.from(header.delays), 0, null, header.borderColor);
+}
+
+/**
+ * Parses an SCA file for playback, expanding type 2 (delta) files to type 0
+ * so every frame can be addressed directly
+ * @param {Uint8Array} data - Raw file data
+ * @returns {{data: Uint8Array, header: typeof scaHeader}} Frame data and its header (null if invalid)
+ */
+function openScaData(data) {
+  const header = parseScaHeader(data);
+  if (!header || header.payloadType !== SCA.PAYLOAD_DELTA) return { data, header };
+
+  const expanded = expandScaDeltaFile(data, header);
+  const expandedHeader = expanded ? parseScaHeader(expanded) : null;
+  if (!expanded || !expandedHeader) return { data, header: null };
+  expandedHeader.storedPayloadType = SCA.PAYLOAD_DELTA;
+  return { data: expanded, header: expandedHeader };
+}
+
+/**
+ * Builds an SCA file from frame payloads (inverse of parseScaHeader)
+ * @param {Uint8Array[]} frames - 6912-byte screens (types 0 and 2) or 768-byte attribute blocks (type 1)
+ * @param {number[]} delays - Per-frame delays in 1/50 s units (1-255)
+ * @param {number} payloadType - 0 = full screens, 1 = attributes with fill pattern, 2 = changes against the previous frame
+ * @param {ArrayLike<number>|null} [fillPattern=null] - 8-byte fill pattern (type 1 only)
+ * @param {number} [borderColor=0] - Suggested border color (0-7)
+ * @returns {Uint8Array} SCA file data
+ */
+function buildScaFile(frames, delays, payloadType, fillPattern = null, borderColor = 0) {
+  const frameSize = payloadType === 1 ? SCA.ATTR_FRAME_SIZE : SCA.FRAME_SIZE;
+  const patternSize = payloadType === 1 ? SCA.FILL_PATTERN_SIZE : 0;
+  const count = frames.length;
+  const deltaStream = payloadType === SCA.PAYLOAD_DELTA ? encodeScaDeltaStream(frames) : null;
+  const payloadSize = deltaStream ? deltaStream.length : count * frameSize;
+  const data = new Uint8Array(SCA.HEADER_SIZE + count + patternSize + payloadSize);
+
+  data[0] = 0x53; // 'S'
+  data[1] = 0x43; // 'C'
+  data[2] = 0x41; // 'A'
+  data[3] = 1;    // version
+  data[4] = SCREEN.WIDTH & 0xFF;
+  data[5] = (SCREEN.WIDTH >> 8) & 0xFF;
+  data[6] = SCREEN.HEIGHT & 0xFF;
+  data[7] = (SCREEN.HEIGHT >> 8) & 0xFF;
+  data[8] = borderColor & 0x07;
+  data[9] = count & 0xFF;
+  data[10] = (count >> 8) & 0xFF;
+  data[11] = payloadType;
+  data[12] = SCA.HEADER_SIZE & 0xFF; // payload offset
+  data[13] = (SCA.HEADER_SIZE >> 8) & 0xFF;
+
+  let offset = SCA.HEADER_SIZE;
+  for (let i = 0; i < count; i++) {
+    data[offset++] = Math.max(1, Math.min(255, delays[i] || 1));
+  }
+  if (payloadType === 1) {
+    for (let i = 0; i < SCA.FILL_PATTERN_SIZE; i++) {
+      data[offset++] = fillPattern ? fillPattern[i] : 0;
+    }
+  }
+  if (deltaStream) {
+    data.set(deltaStream, offset);
+    return data;
+  }
+  for (const frame of frames) {
+    data.set(frame.subarray(0, frameSize), offset);
+    offset += frameSize;
+  }
+  return data;
+}
+
 /**
  * Gets the data offset for a specific frame in SCA file
  * @param {number} frameIndex - Frame index (0-based)
@@ -2911,18 +3428,31 @@ function toggleFormatControlsVisibility() {
       startGigascreenFlicker();
     }
   }
+  const nextLayer2Controls = document.getElementById('nextLayer2Controls');
+  if (nextLayer2Controls) {
+    const is81920 = currentFormat === FORMAT.NEXT_L2_320 || currentFormat === FORMAT.NEXT_L2_640;
+    nextLayer2Controls.style.display = is81920 ? 'flex' : 'none';
+    const modeSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('nextLayer2ModeSelect'));
+    if (modeSelect && is81920) {
+      modeSelect.value = currentFormat === FORMAT.NEXT_L2_640 ? '640' : '320';
+    }
+  }
   const fontControls = document.getElementById('fontControls');
   if (fontControls) {
     fontControls.style.display = (currentFormat === FORMAT.SPECSCII) ? 'flex' : 'none';
   }
   const scrEditorControls = document.getElementById('scrEditorControls');
   if (scrEditorControls) {
-    scrEditorControls.style.display = (currentFormat === FORMAT.SCR || currentFormat === FORMAT.SCR_ULAPLUS || currentFormat === FORMAT.ATTR_53C || currentFormat === FORMAT.BSC || currentFormat === FORMAT.IFL || currentFormat === FORMAT.MLT || currentFormat === FORMAT.BMC4 || currentFormat === FORMAT.RGB3 || currentFormat === FORMAT.MONO_FULL || currentFormat === FORMAT.MONO_2_3 || currentFormat === FORMAT.MONO_1_3) ? 'flex' : 'none';
+    scrEditorControls.style.display = (currentFormat === FORMAT.SCR || currentFormat === FORMAT.SCR_ULAPLUS || currentFormat === FORMAT.ATTR_53C || currentFormat === FORMAT.BSC || currentFormat === FORMAT.IFL || currentFormat === FORMAT.MLT || currentFormat === FORMAT.TIMEX_HICOLOR || currentFormat === FORMAT.TIMEX_HIRES || isNextLayer2Format(currentFormat) || currentFormat === FORMAT.BMC4 || currentFormat === FORMAT.RGB3 || currentFormat === FORMAT.MONO_FULL || currentFormat === FORMAT.MONO_2_3 || currentFormat === FORMAT.MONO_1_3) ? 'flex' : 'none';
   }
   // Update ULA+ palette section visibility
   if (typeof updateUlaPlusSectionVisibility === 'function') {
     updateUlaPlusSectionVisibility();
   }
+  // Update Next palette section visibility (after ULA+, both toggle the regular palette)
+  if (typeof updateNextPaletteSectionVisibility === 'function') {
+    updateNextPaletteSectionVisibility();
+  }
   // Update barcode section visibility (for border formats)
   if (typeof updateBarcodeVisibility === 'function') {
     updateBarcodeVisibility();
@@ -3022,12 +3552,114 @@ function getUlaPlusPaletteIndex(attr, isInk) {
   }
 }
 
+// ============================================================================
+// PNG Export
+// ============================================================================
+
+/**
+ * Renders the current picture into a new canvas with the active view settings
+ * (palette, border colour, flash phase, Gigascreen/RGB3 mode). Grids and the
+ * reference overlay are left out.
+ * @param {number} exportZoom - Zoom factor
+ * @param {number} exportBorder - Border size in screen pixels (0 = none)
+ * @param {{flashPhase?: boolean, flickerPhase?: number, scaFrame?: number}} [frameState] - Animation state
+ *   to render instead of the live one (used by animated exports)
+ * @returns {HTMLCanvasElement|null}
+ */
+function renderScreenForExport(exportZoom, exportBorder, frameState) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  // renderScreen() draws into the globals, so point them at the export canvas for one pass
+  const saved = {
+    screenCanvas, screenCanvasCtx, zoom, borderSize,
+    gridSize, subgridSize, borderGridSize, borderSubgridSize,
+    flashPhase, scaCurrentFrame
+  };
+  const savedShowReference = typeof showReference !== 'undefined' ? showReference : undefined;
+
+  try {
+    screenCanvas = canvas;
+    screenCanvasCtx = ctx;
+    zoom = exportZoom;
+    borderSize = exportBorder;
+    gridSize = 0;
+    subgridSize = 0;
+    borderGridSize = 0;
+    borderSubgridSize = 0;
+    if (savedShowReference !== undefined) showReference = false;
+    if (frameState) {
+      if (frameState.flashPhase !== undefined) flashPhase = frameState.flashPhase;
+      if (frameState.flickerPhase !== undefined) exportFlickerPhase = frameState.flickerPhase;
+      if (frameState.scaFrame !== undefined) scaCurrentFrame = frameState.scaFrame;
+    }
+    renderScreen();
+  } finally {
+    screenCanvas = saved.screenCanvas;
+    screenCanvasCtx = saved.screenCanvasCtx;
+    zoom = saved.zoom;
+    borderSize = saved.borderSize;
+    gridSize = saved.gridSize;
+    subgridSize = saved.subgridSize;
+    borderGridSize = saved.borderGridSize;
+    borderSubgridSize = saved.borderSubgridSize;
+    flashPhase = saved.flashPhase;
+    scaCurrentFrame = saved.scaCurrentFrame;
+    exportFlickerPhase = null;
+    if (savedShowReference !== undefined) showReference = savedShowReference;
+  }
+
+  // BSC/BMC4 always render their full border frame; crop it for a borderless export
+  if (exportBorder === 0 && (currentFormat === FORMAT.BSC || currentFormat === FORMAT.BMC4)) {
+    const cropped = document.createElement('canvas');
+    cropped.width = SCREEN.WIDTH * exportZoom;
+    cropped.height = SCREEN.HEIGHT * exportZoom;
+    const croppedCtx = cropped.getContext('2d');
+    if (!croppedCtx) return null;
+    croppedCtx.drawImage(canvas,
+      BSC.BORDER_LEFT_PX * exportZoom, BSC.BORDER_TOP_PX * exportZoom, cropped.width, cropped.height,
+      0, 0, cropped.width, cropped.height);
+    return cropped;
+  }
+
+  return canvas;
+}
+
+/**
+ * Saves the current picture as PNG
+ * @param {boolean} pixelExact - true = 1:1 without border, false = as shown (zoom + border)
+ */
+function exportScreenPng(pixelExact) {
+  if (screenData.length === 0 && currentFormat !== FORMAT.SPECSCII) {
+    alert('No picture to export');
+    return;
+  }
+
+  const canvas = pixelExact ? renderScreenForExport(1, 0) : renderScreenForExport(zoom, borderSize);
+  if (!canvas) return;
+
+  let baseName = currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : 'screen';
+  if (currentFormat === FORMAT.SCA && scaHeader) {
+    baseName += '_frame' + scaCurrentFrame;
+  }
+  const fileName = baseName + (pixelExact ? '' : '_x' + zoom) + '.png';
+
+  canvas.toBlob((blob) => {
+    if (!blob) {
+      alert('PNG export failed');
+      return;
+    }
+    downloadFile(blob, fileName);
+  }, 'image/png');
+}
+
 // ============================================================================
 // ZIP File Handling
 // ============================================================================
 
 /** @type {string[]} - List of supported file extensions */
-const SUPPORTED_EXTENSIONS = ['scr', '53c', 'atr', 'bsc', 'ifl', 'bmc4', 'mlt', 'mc', '3', 'img', 'mem', 'specscii', 'sca', 'sna', 'z80'];
+const SUPPORTED_EXTENSIONS = ['scr', '53c', 'atr', 'bsc', 'ifl', 'bmc4', 'mlt', 'mc', '3', 'img', 'sl2', 'nxi', 'mem', 'specscii', 'sca', 'sna', 'z80', 'szx', 'tap', 'tzx', 'trd', 'scl'];
 const IMAGE_EXTENSIONS = ['png', 'gif', 'jpg', 'jpeg', 'webp', 'bmp'];
 
 /** @type {JSZip|null} - Current loaded ZIP archive */
@@ -3043,6 +3675,7 @@ let currentZipName = '';
  */
 function isSupportedFile(fileName) {
   const ext = fileName.toLowerCase().split('.').pop() || '';
+  if (typeof isHobetaFile === 'function' && isHobetaFile(fileName)) return true;
   return SUPPORTED_EXTENSIONS.includes(ext) || IMAGE_EXTENSIONS.includes(ext);
 }
 
@@ -3085,14 +3718,18 @@ function getSupportedFilesFromZip(zip) {
  * Shows the ZIP file selection modal
  * @param {string[]} files - Array of file names to display
  * @param {function(string): void} onSelect - Callback when a file is selected
+ * @param {string} [title='Select file from archive:'] - Modal title (also used for tape block lists)
  */
-function showZipFileModal(files, onSelect) {
+function showZipFileModal(files, onSelect, title = 'Select file from archive:') {
   const modal = document.getElementById('zipModal');
   const fileList = document.getElementById('zipFileList');
   const cancelBtn = document.getElementById('zipCancelBtn');
+  const titleEl = document.getElementById('zipModalTitle');
 
   if (!modal || !fileList || !cancelBtn) return;
 
+  if (titleEl) titleEl.textContent = title;
+
   // Clear previous list
   fileList.innerHTML = '';
 
@@ -3155,7 +3792,7 @@ async function loadFileFromZip(fileName) {
     }
 
     const arrayBuffer = await zipEntry.async('arraybuffer');
-    const data = new Uint8Array(arrayBuffer);
+    let data = new Uint8Array(arrayBuffer);
     const fullName = `${currentZipName}/${fileName}`;
 
     // Handle snapshot files (.sna/.z80) from ZIP
@@ -3168,6 +3805,22 @@ async function loadFileFromZip(fileName) {
       return;
     }
 
+    // Handle tape images (.tap/.tzx) from ZIP — show block list
+    if (typeof isTapeFile === 'function' && isTapeFile(fileName)) {
+      if (typeof loadTapeData === 'function') {
+        loadTapeData(fullName, data);
+      }
+      return;
+    }
+
+    // Handle TR-DOS disk images (.trd/.scl) and Hobeta files from ZIP
+    if (typeof isTrdosFile === 'function' && isTrdosFile(fileName)) {
+      if (typeof loadTrdosData === 'function') {
+        loadTrdosData(fullName, data);
+      }
+      return;
+    }
+
     const format = detectFormat(fileName, data.length);
 
     // Check for invalid format (e.g., .img file with wrong size)
@@ -3177,6 +3830,15 @@ async function loadFileFromZip(fileName) {
         alert(`Invalid Gigascreen file: expected ${GIGASCREEN.TOTAL_SIZE} bytes (2×6912), got ${data.length} bytes.`);
         return;
       }
+      if (ext === 'sl2' || ext === 'nxi') {
+        alert(`Invalid Next Layer 2 file: expected ${NEXT_L2.SIZE_256} or ${NEXT_L2.SIZE_320} bytes (plus an optional ${NEXT_L2.PALETTE_SIZE}-byte palette), got ${data.length} bytes.`);
+        return;
+      }
+    }
+
+    // Next Layer 2: keep the palette in front of the pixels, adding the default one if missing
+    if (isNextLayer2Format(format)) {
+      data = normalizeNextLayer2Data(data, format);
     }
 
     // Stop any existing timers
@@ -3188,10 +3850,9 @@ async function loadFileFromZip(fileName) {
 
     // Handle SCA format
     if (format === FORMAT.SCA) {
-      screenData = data;
+      ({ data: screenData, header: scaHeader } = openScaData(data));
       currentFileName = fullName;
       currentFormat = format;
-      scaHeader = parseScaHeader(screenData);
       if (scaHeader) {
         borderColor = scaHeader.borderColor;
         if (borderColorSelect) {
@@ -3287,6 +3948,21 @@ async function handleZipFile(file) {
   }
 }
 
+/**
+ * Gets the size of the main screen area (without border) for the current format
+ * @returns {{width: number, height: number}} Size in pixels
+ */
+function getScreenAreaSize() {
+  if (currentFormat === FORMAT.TIMEX_HIRES) {
+    return { width: TIMEX.HIRES_WIDTH, height: SCREEN.HEIGHT };
+  }
+  if (isNextLayer2Format(currentFormat)) {
+    const { width, height } = getNextLayer2Geometry(currentFormat);
+    return { width, height };
+  }
+  return { width: SCREEN.WIDTH, height: SCREEN.HEIGHT };
+}
+
 /**
  * Renders the full ZX Spectrum screen
  */
@@ -3300,9 +3976,10 @@ function renderScreen() {
   // Calculate border size in pixels (scaled by zoom)
   const borderPixels = borderSize * zoom;
 
-  // Calculate required canvas dimensions
-  const requiredWidth = SCREEN.WIDTH * zoom + borderPixels * 2;
-  const requiredHeight = SCREEN.HEIGHT * zoom + borderPixels * 2;
+  // Calculate required canvas dimensions (Timex hi-res and Next Layer 2 are larger)
+  const { width: screenWidth, height: screenHeight } = getScreenAreaSize();
+  const requiredWidth = screenWidth * zoom + borderPixels * 2;
+  const requiredHeight = screenHeight * zoom + borderPixels * 2;
 
   // Only resize canvas when dimensions actually change (expensive operation)
   if (screenCanvas.width !== requiredWidth || screenCanvas.height !== requiredHeight) {
@@ -3378,9 +4055,20 @@ function renderScreen() {
   } else if (currentFormat === FORMAT.MLT) {
     // MLT format: 8x1 multicolor
     renderMltScreen(ctx, borderPixels);
+  } else if (currentFormat === FORMAT.TIMEX_HICOLOR) {
+    // Timex hi-colour: 8x1 multicolor with interleaved attributes
+    renderTimexHicolorScreen(ctx, borderPixels);
+  } else if (currentFormat === FORMAT.TIMEX_HIRES) {
+    // Timex hi-res: 512x192 two-colour
+    renderTimexHiresScreen(ctx, borderPixels);
+  } else if (isNextLayer2Format(currentFormat)) {
+    // Next Layer 2: palette-indexed pixels
+    renderNextLayer2Screen(ctx, borderPixels);
   } else if (currentFormat === FORMAT.RGB3) {
     // RGB3 format: tricolor RGB
-    if (rgb3FlickerEnabled && rgb3FlickerFrameId !== null) {
+    if (rgb3FlickerEnabled && exportFlickerPhase !== null) {
+      renderRgb3ScreenFlicker(ctx, borderPixels, exportFlickerPhase % 3);
+    } else if (rgb3FlickerEnabled && rgb3FlickerFrameId !== null) {
       renderRgb3ScreenFlicker(ctx, borderPixels, rgb3FlickerPhase);
     } else {
       renderRgb3Screen(ctx, borderPixels);
@@ -3434,8 +4122,7 @@ function renderScreen() {
  * @param {number} [offsetY] - Y offset in canvas pixels (defaults to offsetX)
  */
 function drawCharGrid(ctx, offsetX, offsetY = offsetX) {
-  const width = SCREEN.WIDTH;
-  const height = SCREEN.HEIGHT;
+  const { width, height } = getScreenAreaSize();
 
   ctx.lineWidth = 1;
 
@@ -3492,10 +4179,11 @@ function drawCharGrid(ctx, offsetX, offsetY = offsetX) {
  * @param {number} mainOffset - Offset to main screen area in canvas pixels
  */
 function drawStandardBorderGrid(ctx, mainOffset) {
-  const totalWidth = SCREEN.WIDTH * zoom + mainOffset * 2;
-  const totalHeight = SCREEN.HEIGHT * zoom + mainOffset * 2;
-  const mainRight = mainOffset + SCREEN.WIDTH * zoom;
-  const mainBottom = mainOffset + SCREEN.HEIGHT * zoom;
+  const { width: screenWidth, height: screenHeight } = getScreenAreaSize();
+  const totalWidth = screenWidth * zoom + mainOffset * 2;
+  const totalHeight = screenHeight * zoom + mainOffset * 2;
+  const mainRight = mainOffset + screenWidth * zoom;
+  const mainBottom = mainOffset + screenHeight * zoom;
 
   // Helper to draw border grid lines with given step size
   const drawBorderGridLines = (step) => {
@@ -3761,6 +4449,11 @@ function getFormatName(format) {
     case FORMAT.IFL: return 'IFL (8x2 multicolor)';
     case FORMAT.BMC4: return 'BMC4 (border + 8x4 multicolor)';
     case FORMAT.MLT: return 'MLT (8x1 multicolor)';
+    case FORMAT.TIMEX_HICOLOR: return 'SCR (Timex hi-colour 8x1)';
+    case FORMAT.TIMEX_HIRES: return 'SCR (Timex hi-res 512x192)';
+    case FORMAT.NEXT_L2_256: return 'NXI (Next Layer 2 256x192)';
+    case FORMAT.NEXT_L2_320: return 'NXI (Next Layer 2 320x256)';
+    case FORMAT.NEXT_L2_640: return 'NXI (Next Layer 2 640x256, 16 colours)';
     case FORMAT.RGB3: return '3 (tricolor RGB)';
     case FORMAT.GIGASCREEN: return 'IMG (Gigascreen)';
     case FORMAT.MONO_FULL: return 'SCR (monochrome)';
@@ -3782,6 +4475,14 @@ function getFormatDimensions(format) {
     case FORMAT.BSC:
     case FORMAT.BMC4:
       return { width: BSC.FRAME_WIDTH, height: BSC.FRAME_HEIGHT };
+    case FORMAT.TIMEX_HIRES:
+      return { width: TIMEX.HIRES_WIDTH, height: SCREEN.HEIGHT };
+    case FORMAT.NEXT_L2_256:
+    case FORMAT.NEXT_L2_320:
+    case FORMAT.NEXT_L2_640: {
+      const { width, height } = getNextLayer2Geometry(format);
+      return { width, height };
+    }
     case FORMAT.MONO_2_3:
       return { width: SCREEN.WIDTH, height: 128 };
     case FORMAT.MONO_1_3:
@@ -4050,9 +4751,16 @@ function hasFlashingAttributes() {
     return false;
   }
 
+  // Timex hi-res has no attributes (second display file holds pixels)
+  if (currentFormat === FORMAT.TIMEX_HIRES) return false;
+
+  // Next Layer 2 pixels are palette indices, not attributes
+  if (isNextLayer2Format(currentFormat)) return false;
+
   // Determine where attributes start based on format
   const attrStart = (currentFormat === FORMAT.ATTR_53C) ? 0 : SCREEN.BITMAP_SIZE;
-  const attrEnd = attrStart + SCREEN.ATTR_SIZE;
+  // Timex hi-colour: one attribute per pixel line, the whole second display file
+  const attrEnd = currentFormat === FORMAT.TIMEX_HICOLOR ? TIMEX.HICOLOR_SIZE : attrStart + SCREEN.ATTR_SIZE;
 
   // Check if we have enough data
   if (screenData.length < attrEnd) return false;
@@ -4143,6 +4851,28 @@ function detectFormat(fileName, fileSize) {
     return FORMAT.MLT;
   }
 
+  // Timex screens are saved as .scr; tell them apart from other .scr dumps by size
+  if (ext === 'scr' && fileSize === TIMEX.HICOLOR_SIZE) {
+    return FORMAT.TIMEX_HICOLOR;
+  }
+
+  if (fileSize === TIMEX.HIRES_SIZE) {
+    return FORMAT.TIMEX_HIRES;
+  }
+
+  // Next Layer 2: the size (with or without a 512-byte palette) picks the mode.
+  // 81920 bytes may also be 640x256x4; the viewer lets the user switch.
+  if (ext === 'sl2' || ext === 'nxi') {
+    if (fileSize === NEXT_L2.SIZE_256 || fileSize === NEXT_L2.SIZE_256 + NEXT_L2.PALETTE_SIZE) {
+      return FORMAT.NEXT_L2_256;
+    }
+    if (fileSize === NEXT_L2.SIZE_320 || fileSize === NEXT_L2.SIZE_320 + NEXT_L2.PALETTE_SIZE) {
+      return FORMAT.NEXT_L2_320;
+    }
+    // Invalid size - return UNKNOWN to trigger warning
+    return FORMAT.UNKNOWN;
+  }
+
   if (ext === '3') {
     return FORMAT.RGB3;
   }
@@ -4232,7 +4962,7 @@ function loadScreenFile(file) {
       stopFlashTimer();
       resetScaState();
 
-      const data = new Uint8Array(buffer);
+      let data = new Uint8Array(buffer);
       const fileName = file.name;
       const format = detectFormat(fileName, data.length);
 
@@ -4246,7 +4976,7 @@ function loadScreenFile(file) {
         screenData = data;
         currentFileName = fileName;
         currentFormat = format;
-        scaHeader = parseScaHeader(screenData);
+        ({ data: screenData, header: scaHeader } = openScaData(data));
         if (scaHeader) {
           // Use border color from SCA header
           borderColor = scaHeader.borderColor;
@@ -4284,6 +5014,15 @@ function loadScreenFile(file) {
           alert(`Invalid Gigascreen file: expected ${GIGASCREEN.TOTAL_SIZE} bytes (2×6912), got ${data.length} bytes.`);
           return;
         }
+        if (ext === 'sl2' || ext === 'nxi') {
+          alert(`Invalid Next Layer 2 file: expected ${NEXT_L2.SIZE_256} or ${NEXT_L2.SIZE_320} bytes (plus an optional ${NEXT_L2.PALETTE_SIZE}-byte palette), got ${data.length} bytes.`);
+          return;
+        }
+      }
+
+      // Next Layer 2: keep the palette in front of the pixels, adding the default one if missing
+      if (isNextLayer2Format(format)) {
+        data = normalizeNextLayer2Data(data, format);
       }
 
       // Initialize ULA+ mode based on format
@@ -50,6 +50,10 @@ function initScreenViewerUI() {
         openImportDialog(file);
       } else if (typeof isSnapshotFile === 'function' && isSnapshotFile(file.name)) {
         loadSnapshotFile(file);
+      } else if (typeof isTapeFile === 'function' && isTapeFile(file.name)) {
+        loadTapeFile(file);
+      } else if (typeof isTrdosFile === 'function' && isTrdosFile(file.name)) {
+        loadTrdosFile(file);
       } else if (isZipFile(file.name)) {
         handleZipFile(file);
       } else {
@@ -157,6 +161,29 @@ function initScreenViewerUI() {
     }
   });
 
+  // Next Layer 2 mode select handler (320x256x8 or 640x256x4 reading)
+  document.getElementById('nextLayer2ModeSelect')?.addEventListener('change', function() {
+    if (typeof setNextLayer2Mode === 'function') {
+      setNextLayer2Mode(/** @type {HTMLSelectElement} */ (this).value);
+    }
+  });
+
+  // PNG export button
+  document.getElementById('exportPngBtn')?.addEventListener('click', function() {
+    const exactCheckbox = /** @type {HTMLInputElement|null} */ (document.getElementById('exportPngExactCheckbox'));
+    exportScreenPng(exactCheckbox?.checked || false);
+  });
+
+  // Animated GIF / APNG export buttons (same pixel-exact option as PNG)
+  for (const [id, kind] of [['exportGifBtn', 'gif'], ['exportApngBtn', 'apng']]) {
+    document.getElementById(id)?.addEventListener('click', function() {
+      if (typeof exportAnimation !== 'function') return;
+      const exactCheckbox = /** @type {HTMLInputElement|null} */ (document.getElementById('exportPngExactCheckbox'));
+      const exact = exactCheckbox?.checked || false;
+      exportAnimation(kind, exact ? 1 : zoom, exact ? 0 : borderSize);
+    });
+  }
+
   // Palette select handler
   document.getElementById('paletteSelect')?.addEventListener('change', function() {
     setPalette(/** @type {HTMLSelectElement} */ (this).value);
@@ -199,6 +226,11 @@ function initScreenViewerUI() {
     }
   });
 
+  // Packing progress dialog (shown by packBlocksAsync)
+  document.getElementById('packProgressCancelBtn')?.addEventListener('click', function() {
+    if (typeof cancelPacking === 'function') cancelPacking();
+  });
+
   // Mouse wheel zoom handler
   const canvasContainer = document.getElementById('canvasContainer');
   canvasContainer?.addEventListener('wheel', function(event) {
@@ -402,6 +434,9 @@ function initScreenViewerUI() {
         } else if (newPictureDialog && newPictureDialog.style.display !== 'none') {
           newPictureDialog.style.display = 'none';
           event.preventDefault();
+        } else if (document.getElementById('packProgressDialog')?.style.display === '' && typeof cancelPacking === 'function') {
+          cancelPacking();
+          event.preventDefault();
         }
         break;
     }
@@ -8,27 +8,88 @@
 // Global snapshot state
 // ============================================================================
 
-/** @type {{machineType: string, border: number, pagingByte: number, banks: Uint8Array[]}|null} */
+/**
+ * CPU registers stored in a snapshot (common to SNA and Z80).
+ * @typedef {Object} SnapshotRegs
+ * @property {number} a
+ * @property {number} f
+ * @property {number} bc
+ * @property {number} de
+ * @property {number} hl
+ * @property {number} a2 - A'
+ * @property {number} f2 - F'
+ * @property {number} bc2 - BC'
+ * @property {number} de2 - DE'
+ * @property {number} hl2 - HL'
+ * @property {number} ix
+ * @property {number} iy
+ * @property {number} sp
+ * @property {number} pc
+ * @property {number} i
+ * @property {number} r
+ * @property {number} iff1
+ * @property {number} iff2
+ * @property {number} im
+ */
+
+/**
+ * Parsed snapshot. regs/z80Header are only present for real snapshots
+ * (not for raw tape blocks or disk files fed to the Memory Viewer).
+ * @typedef {Object} Snapshot
+ * @property {string} machineType - '48K', '128K', or 'RAW' for a tape block / disk file split into 16K pages
+ * @property {number} border
+ * @property {number} pagingByte - Last OUT to port 0x7FFD (128K)
+ * @property {Uint8Array[]} banks
+ * @property {SnapshotRegs} [regs]
+ * @property {Uint8Array|null} [z80Header] - Original Z80 header (kept to preserve hardware state on save)
+ * @property {number} [paging1ffd] - Last OUT to port 0x1FFD (+2A/+3, from SZX or a V3 .z80)
+ * @property {string} [machineName] - Exact machine model (from SZX), e.g. 'Pentagon 128'
+ */
+
+/** @type {Snapshot|null} */
 let snapshotMemory = null;
 
+/**
+ * Last loaded .sna/.z80 snapshot, kept separately from snapshotMemory
+ * (which the Memory Viewer may reuse for raw data) so screens can be written back.
+ * @type {{snapshot: Snapshot, fileName: string, screenNames: {normal: string, shadow: string}}|null}
+ */
+let loadedSnapshot = null;
+
 // ============================================================================
 // SNA Parser
 // ============================================================================
 
 /**
- * Check if a file is a snapshot file (.sna or .z80)
+ * Check if a file is a snapshot file (.sna, .z80 or .szx)
  * @param {string} fileName
  * @returns {boolean}
  */
 function isSnapshotFile(fileName) {
   const ext = fileName.toLowerCase().split('.').pop();
-  return ext === 'sna' || ext === 'z80';
+  return ext === 'sna' || ext === 'z80' || ext === 'szx';
+}
+
+/**
+ * Read registers from the 27-byte SNA header.
+ * @param {Uint8Array} data
+ * @returns {SnapshotRegs} Registers (pc = 0, filled in by caller)
+ */
+function readSnaRegs(data) {
+  const w = (o) => data[o] | (data[o + 1] << 8);
+  return {
+    i: data[0], hl2: w(1), de2: w(3), bc2: w(5), f2: data[7], a2: data[8],
+    hl: w(9), de: w(11), bc: w(13), iy: w(15), ix: w(17),
+    iff1: (data[19] >> 2) & 1, iff2: (data[19] >> 2) & 1,
+    r: data[20], f: data[21], a: data[22], sp: w(23), im: data[25] & 0x03,
+    pc: 0
+  };
 }
 
 /**
  * Parse a .sna snapshot file.
  * @param {Uint8Array} data - Raw file bytes
- * @returns {{machineType: string, border: number, pagingByte: number, banks: Uint8Array[]}}
+ * @returns {Snapshot}
  */
 function parseSnaFile(data) {
   // Use subarray() — zero-cost views into the file buffer (no data copy)
@@ -36,13 +97,18 @@ function parseSnaFile(data) {
   for (let i = 0; i < 8; i++) banks[i] = new Uint8Array(16384);
 
   const border = data[26] & 0x07;
+  const regs = readSnaRegs(data);
 
   if (data.length === 49179) {
     // 48K SNA
     banks[5] = data.subarray(27, 27 + 16384);
     banks[2] = data.subarray(27 + 16384, 27 + 32768);
     banks[0] = data.subarray(27 + 32768, 27 + 49152);
-    return { machineType: '48K', border, pagingByte: 0, banks };
+    // 48K SNA keeps PC on the stack (RETN resumes execution)
+    const snapshot = { machineType: '48K', border, pagingByte: 0, banks, regs, z80Header: null };
+    regs.pc = snapshotReadWord(snapshot, regs.sp);
+    regs.sp = (regs.sp + 2) & 0xFFFF;
+    return snapshot;
   }
 
   // 128K SNA (131103 or 147487 bytes)
@@ -50,6 +116,7 @@ function parseSnaFile(data) {
   banks[2] = data.subarray(27 + 16384, 27 + 32768);
 
   // Extension at offset 49179: PC(2), pagingByte(1), TR-DOS(1)
+  regs.pc = data[49179] | (data[49180] << 8);
   const pagingByte = data[49181];
   const currentBank = pagingByte & 0x07;
 
@@ -66,7 +133,7 @@ function parseSnaFile(data) {
     }
   }
 
-  return { machineType: '128K', border, pagingByte, banks };
+  return { machineType: '128K', border, pagingByte, banks, regs, z80Header: null };
 }
 
 // ============================================================================
@@ -105,17 +172,36 @@ function decompressZ80Block(data, maxLen, compressed) {
   return out;
 }
 
+/**
+ * Read registers from the 30-byte Z80 header.
+ * @param {Uint8Array} data
+ * @returns {SnapshotRegs} Registers (pc from the V1 field, 0 for V2/V3)
+ */
+function readZ80Regs(data) {
+  const w = (o) => data[o] | (data[o + 1] << 8);
+  // Byte 12 = 255 must be treated as 1 (old Z80 versions)
+  const flags = data[12] === 0xFF ? 1 : data[12];
+  return {
+    a: data[0], f: data[1], bc: w(2), hl: w(4), pc: w(6), sp: w(8),
+    i: data[10], r: (data[11] & 0x7F) | ((flags & 0x01) << 7),
+    de: w(13), bc2: w(15), de2: w(17), hl2: w(19), a2: data[21], f2: data[22],
+    iy: w(23), ix: w(25), iff1: data[27] ? 1 : 0, iff2: data[28] ? 1 : 0,
+    im: data[29] & 0x03
+  };
+}
+
 /**
  * Parse a .z80 snapshot file.
  * @param {Uint8Array} data - Raw file bytes
- * @returns {{machineType: string, border: number, pagingByte: number, banks: Uint8Array[]}}
+ * @returns {Snapshot}
  */
 function parseZ80File(data) {
   const banks = new Array(8);
   for (let i = 0; i < 8; i++) banks[i] = new Uint8Array(16384);
 
   const border = (data[12] >> 1) & 0x07;
-  const pc = data[6] | (data[7] << 8);
+  const regs = readZ80Regs(data);
+  const pc = regs.pc;
 
   if (pc !== 0) {
     // V1 format — 48K only
@@ -139,12 +225,13 @@ function parseZ80File(data) {
     banks[2] = blockData.subarray(16384, 32768);
     banks[0] = blockData.subarray(32768, 49152);
 
-    return { machineType: '48K', border, pagingByte: 0, banks };
+    return { machineType: '48K', border, pagingByte: 0, banks, regs, z80Header: data.slice(0, 30) };
   }
 
   // V2/V3 format
   const extHeaderLen = data[30] | (data[31] << 8);
   const headerEnd = 32 + extHeaderLen;
+  regs.pc = data[32] | (data[33] << 8);
 
   // Detect hardware mode
   const hwMode = data[34];
@@ -153,8 +240,9 @@ function parseZ80File(data) {
     // V2
     is128K = (hwMode === 3 || hwMode === 4);
   } else {
-    // V3+
-    is128K = (hwMode === 4 || hwMode === 5 || hwMode === 6);
+    // V3+: 128K, 128K+IF1, 128K+MGT, +3, Pentagon, +2, +2A
+    is128K = (hwMode === 4 || hwMode === 5 || hwMode === 6 || hwMode === 7 ||
+              hwMode === 9 || hwMode === 12 || hwMode === 13);
   }
 
   const machineType = is128K ? '128K' : '48K';
@@ -195,7 +283,115 @@ function parseZ80File(data) {
     offset += actualLen;
   }
 
-  return { machineType, border, pagingByte, banks };
+  // V3 with 55 extra header bytes: byte 86 is the last OUT to 0x1FFD
+  const paging1ffd = extHeaderLen >= 55 ? data[86] : 0;
+
+  return { machineType, border, pagingByte, banks, regs, z80Header: data.slice(0, headerEnd), paging1ffd };
+}
+
+// ============================================================================
+// SZX Parser
+// ============================================================================
+
+// SZX machine IDs → [model name, memory layout]; layouts beyond 8 pages are Pentagon 512/1024
+const SZX_MACHINES = {
+  0: ['16K', '48K'], 1: ['48K', '48K'], 2: ['128K', '128K'], 3: ['+2', '128K'],
+  4: ['+2A', '128K'], 5: ['+3', '128K'], 6: ['+3e', '128K'], 7: ['Pentagon 128', '128K'],
+  8: ['TC2048', '48K'], 9: ['TC2068', '48K'], 10: ['Scorpion', '128K'], 11: ['Spectrum SE', '128K'],
+  12: ['TS2068', '48K'], 13: ['Pentagon 512', '128K'], 14: ['Pentagon 1024', '128K'],
+  15: ['48K NTSC', '48K'], 16: ['128Ke', '128K']
+};
+
+/**
+ * Inflate zlib-compressed data (SZX ZXSTRAMPAGE chunks use zlib compress2).
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateZlib(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Parse a .szx (Spectaculator / ZX-State) snapshot file.
+ * Reads ZXSTZ80REGS (registers), ZXSTSPECREGS (border, paging) and
+ * ZXSTRAMPAGE (16K pages, optionally zlib-compressed); other chunks are skipped.
+ * @param {Uint8Array} data - Raw file bytes
+ * @returns {Promise<Snapshot>}
+ */
+async function parseSzxFile(data) {
+  const magic = String.fromCharCode(data[0], data[1], data[2], data[3]);
+  if (magic !== 'ZXST') {
+    throw new Error('Not an SZX file (missing "ZXST" signature)');
+  }
+
+  const machineId = data[6];
+  const machine = SZX_MACHINES[machineId];
+  if (!machine) {
+    throw new Error('Unsupported SZX machine type ' + machineId);
+  }
+  const [machineName, machineType] = machine;
+
+  const pageCount = machineId === 14 ? 64 : machineId === 13 ? 32 : 8;
+  const banks = new Array(pageCount);
+  for (let i = 0; i < pageCount; i++) banks[i] = new Uint8Array(16384);
+
+  let border = 7;
+  let pagingByte = 0;
+  let paging1ffd = 0;
+  /** @type {SnapshotRegs|null} */
+  let regs = null;
+
+  const w = (o) => data[o] | (data[o + 1] << 8);
+
+  let offset = 8;
+  while (offset + 8 <= data.length) {
+    const id = String.fromCharCode(data[offset], data[offset + 1], data[offset + 2], data[offset + 3]);
+    const size = (data[offset + 4] | (data[offset + 5] << 8) | (data[offset + 6] << 16) | (data[offset + 7] << 24)) >>> 0;
+    const body = offset + 8;
+    if (body + size > data.length) break;
+
+    if (id === 'Z80R') {
+      // ZXSTZ80REGS: register pairs stored as little-endian words (F low, A high)
+      regs = {
+        f: data[body], a: data[body + 1], bc: w(body + 2), de: w(body + 4), hl: w(body + 6),
+        f2: data[body + 8], a2: data[body + 9], bc2: w(body + 10), de2: w(body + 12), hl2: w(body + 14),
+        ix: w(body + 16), iy: w(body + 18), sp: w(body + 20), pc: w(body + 22),
+        i: data[body + 24], r: data[body + 25], iff1: data[body + 26] ? 1 : 0, iff2: data[body + 27] ? 1 : 0,
+        im: data[body + 28] & 0x03
+      };
+    } else if (id === 'SPCR') {
+      // ZXSTSPECREGS: border, last 0x7FFD, last 0x1FFD (or 0xEFF7 on Pentagon), last 0xFE
+      border = data[body] & 0x07;
+      pagingByte = data[body + 1];
+      paging1ffd = data[body + 2];
+    } else if (id === 'RAMP') {
+      // ZXSTRAMPAGE: flags (bit 0 = compressed), page number, page data
+      const compressed = (w(body) & 0x01) !== 0;
+      const pageNo = data[body + 2];
+      const raw = data.subarray(body + 3, body + size);
+      if (pageNo < pageCount) {
+        const page = compressed ? await inflateZlib(raw) : raw;
+        if (page.length >= 16384) {
+          banks[pageNo] = page.subarray(0, 16384);
+        } else {
+          banks[pageNo].set(page);
+        }
+      }
+    }
+
+    offset = body + size;
+  }
+
+  if (machineType === '48K') pagingByte = 0;
+
+  return {
+    machineType, border, pagingByte, banks, z80Header: null, paging1ffd, machineName,
+    regs: regs || {
+      a: 0, f: 0, bc: 0, de: 0, hl: 0, a2: 0, f2: 0, bc2: 0, de2: 0, hl2: 0,
+      ix: 0, iy: 0, sp: 0, pc: 0, i: 0, r: 0, iff1: 0, iff2: 0, im: 0
+    }
+  };
 }
 
 /**
@@ -239,17 +435,300 @@ function extractScreensFromSnapshot(snapshot) {
   return screens;
 }
 
+// ============================================================================
+// Snapshot Writers
+// ============================================================================
+
+/**
+ * Map a 64K address to [bank, offset] using the snapshot's paging (null for ROM).
+ * @param {Snapshot} snapshot
+ * @param {number} addr
+ * @returns {[number, number]|null}
+ */
+function snapshotAddrToBank(snapshot, addr) {
+  addr &= 0xFFFF;
+  if (addr < 0x4000) return null;
+  const slot = addr >> 14;
+  const bank = slot === 1 ? 5 : slot === 2 ? 2 : (snapshot.machineType === '128K' ? snapshot.pagingByte & 0x07 : 0);
+  return [bank, addr & 0x3FFF];
+}
+
+/**
+ * Read a little-endian word from snapshot memory (ROM reads as 0).
+ * @param {Snapshot} snapshot
+ * @param {number} addr
+ * @returns {number}
+ */
+function snapshotReadWord(snapshot, addr) {
+  const lo = snapshotAddrToBank(snapshot, addr);
+  const hi = snapshotAddrToBank(snapshot, addr + 1);
+  return (lo ? snapshot.banks[lo[0]][lo[1]] : 0) | ((hi ? snapshot.banks[hi[0]][hi[1]] : 0) << 8);
+}
+
+/**
+ * Write a little-endian word to snapshot memory (ROM writes are ignored).
+ * @param {Snapshot} snapshot
+ * @param {number} addr
+ * @param {number} value
+ */
+function snapshotWriteWord(snapshot, addr, value) {
+  const lo = snapshotAddrToBank(snapshot, addr);
+  const hi = snapshotAddrToBank(snapshot, addr + 1);
+  if (lo) snapshot.banks[lo[0]][lo[1]] = value & 0xFF;
+  if (hi) snapshot.banks[hi[0]][hi[1]] = (value >> 8) & 0xFF;
+}
+
+/**
+ * Build a .sna file (48K: 49179 bytes, 128K: 131103 or 147487 bytes).
+ * @param {Snapshot} snapshot - Snapshot with regs; banks are modified for 48K (PC pushed)
+ * @returns {Uint8Array}
+ */
+function buildSnaFile(snapshot) {
+  const r = /** @type {SnapshotRegs} */ (snapshot.regs);
+  const is128K = snapshot.machineType === '128K';
+  const currentBank = snapshot.pagingByte & 0x07;
+
+  // 48K SNA has no PC field: push PC onto the stack, RETN pops it on load
+  let sp = r.sp;
+  if (!is128K) {
+    sp = (sp - 2) & 0xFFFF;
+    snapshotWriteWord(snapshot, sp, r.pc);
+  }
+
+  const extraBanks = is128K ? [0, 1, 2, 3, 4, 5, 6, 7].filter(b => b !== 5 && b !== 2 && b !== currentBank) : [];
+  const size = 27 + 49152 + (is128K ? 4 + extraBanks.length * 16384 : 0);
+  const out = new Uint8Array(size);
+
+  const header = [
+    r.i,
+    r.hl2 & 0xFF, r.hl2 >> 8, r.de2 & 0xFF, r.de2 >> 8, r.bc2 & 0xFF, r.bc2 >> 8, r.f2, r.a2,
+    r.hl & 0xFF, r.hl >> 8, r.de & 0xFF, r.de >> 8, r.bc & 0xFF, r.bc >> 8,
+    r.iy & 0xFF, r.iy >> 8, r.ix & 0xFF, r.ix >> 8,
+    r.iff2 ? 0x04 : 0x00, r.r, r.f, r.a, sp & 0xFF, sp >> 8, r.im, snapshot.border & 0x07
+  ];
+  out.set(header, 0);
+
+  out.set(snapshot.banks[5], 27);
+  out.set(snapshot.banks[2], 27 + 16384);
+  out.set(snapshot.banks[is128K ? currentBank : 0], 27 + 32768);
+
+  if (is128K) {
+    let offset = 49179;
+    out[offset++] = r.pc & 0xFF;
+    out[offset++] = r.pc >> 8;
+    out[offset++] = snapshot.pagingByte;
+    out[offset++] = 0;  // TR-DOS ROM not paged
+    for (const bankNum of extraBanks) {
+      out.set(snapshot.banks[bankNum], offset);
+      offset += 16384;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Compress a 16K block with the Z80 ED ED nn xx RLE scheme.
+ * Runs of 5+ equal bytes (2+ for ED) are encoded; a byte following a single ED
+ * is always stored literally.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function compressZ80Block(data) {
+  const out = [];
+  let i = 0;
+  while (i < data.length) {
+    const b = data[i];
+    let run = 1;
+    while (i + run < data.length && data[i + run] === b && run < 255) run++;
+
+    if (run >= 5 || (b === 0xED && run >= 2)) {
+      out.push(0xED, 0xED, run, b);
+      i += run;
+    } else {
+      out.push(b);
+      i++;
+      if (b === 0xED && i < data.length) {
+        out.push(data[i]);
+        i++;
+      }
+    }
+  }
+  return new Uint8Array(out);
+}
+
+// Z80 V3 hardware mode for 128K-class models known from SZX (default 4 = 128K)
+const Z80_HW_MODES = { '+3': 7, 'Pentagon 128': 9, '+2': 12, '+2A': 13 };
+
+// Z80 V3 hardware modes with a 0x1FFD port (+3, +3 with M.G.T., +2A)
+const Z80_HW_1FFD = [7, 8, 13];
+
+/**
+ * Build a compressed .z80 v3 file. Hardware state from an original Z80 header
+ * (hardware mode, AY registers, T-states, last 0x1FFD write, etc.) is preserved
+ * when present.
+ * @param {Snapshot} snapshot - Snapshot with regs
+ * @returns {Uint8Array}
+ */
+function buildZ80File(snapshot) {
+  const r = /** @type {SnapshotRegs} */ (snapshot.regs);
+  const is128K = snapshot.machineType === '128K';
+  const EXT_LEN = 55;
+  const header = new Uint8Array(32 + EXT_LEN);
+  const orig = snapshot.z80Header || null;
+
+  // Preserve extended fields from the original V2/V3 header
+  if (orig && orig.length > 32) {
+    const origExtLen = orig[30] | (orig[31] << 8);
+    header.set(orig.subarray(32, 32 + Math.min(origExtLen, EXT_LEN)), 32);
+    if (origExtLen === 23) {
+      // V2 hardware numbering: 3 = 128K, 4 = 128K+IF1 (V3: 4, 5)
+      if (header[34] === 3) header[34] = 4;
+      else if (header[34] === 4) header[34] = 5;
+    }
+  } else {
+    header[34] = is128K ? (Z80_HW_MODES[snapshot.machineName || ''] || 4) : 0;
+  }
+  if (!is128K && header[34] >= 3) header[34] = 0;
+  if (is128K && header[34] < 4) header[34] = 4;
+
+  // Byte 86: last OUT to 0x1FFD, kept from a 55-byte V3 header or taken from SZX
+  const origHas1ffd = orig && orig.length > 86 && (orig[30] | (orig[31] << 8)) >= 55;
+  if (!origHas1ffd) {
+    header[86] = Z80_HW_1FFD.includes(header[34]) ? (snapshot.paging1ffd || 0) : 0;
+  }
+
+  header[0] = r.a;
+  header[1] = r.f;
+  header[2] = r.bc & 0xFF; header[3] = r.bc >> 8;
+  header[4] = r.hl & 0xFF; header[5] = r.hl >> 8;
+  header[6] = 0; header[7] = 0;  // PC = 0 marks V2/V3
+  header[8] = r.sp & 0xFF; header[9] = r.sp >> 8;
+  header[10] = r.i;
+  header[11] = r.r & 0x7F;
+  header[12] = ((r.r >> 7) & 0x01) | ((snapshot.border & 0x07) << 1);
+  header[13] = r.de & 0xFF; header[14] = r.de >> 8;
+  header[15] = r.bc2 & 0xFF; header[16] = r.bc2 >> 8;
+  header[17] = r.de2 & 0xFF; header[18] = r.de2 >> 8;
+  header[19] = r.hl2 & 0xFF; header[20] = r.hl2 >> 8;
+  header[21] = r.a2;
+  header[22] = r.f2;
+  header[23] = r.iy & 0xFF; header[24] = r.iy >> 8;
+  header[25] = r.ix & 0xFF; header[26] = r.ix >> 8;
+  header[27] = r.iff1;
+  header[28] = r.iff2;
+  // Keep issue 2 / interrupt frequency / video sync / joystick bits
+  header[29] = ((orig && orig.length >= 30) ? orig[29] & 0xFC : 0) | (r.im & 0x03);
+  header[30] = EXT_LEN;
+  header[31] = 0;
+  header[32] = r.pc & 0xFF;
+  header[33] = r.pc >> 8;
+  header[35] = is128K ? snapshot.pagingByte : 0;
+
+  // Page list: 128K pages 3-10 = banks 0-7; 48K page 4 = 0x8000, 5 = 0xC000, 8 = 0x4000
+  const pages = is128K
+    ? [0, 1, 2, 3, 4, 5, 6, 7].map(b => ({ page: b + 3, bank: b }))
+    : [{ page: 4, bank: 2 }, { page: 5, bank: 0 }, { page: 8, bank: 5 }];
+
+  const chunks = [header];
+  for (const { page, bank } of pages) {
+    const raw = snapshot.banks[bank];
+    const packed = compressZ80Block(raw);
+    const stored = packed.length < 16384 ? packed : raw;
+    const len = stored === raw ? 0xFFFF : stored.length;
+    chunks.push(new Uint8Array([len & 0xFF, len >> 8, page]), stored);
+  }
+
+  const total = chunks.reduce((sum, c) => sum + c.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  return out;
+}
+
+/**
+ * Check whether the current picture can be written back into the loaded snapshot.
+ * @returns {boolean}
+ */
+function canExportToSnapshot() {
+  return loadedSnapshot !== null && currentFormat === FORMAT.SCR;
+}
+
+/**
+ * Get the latest screen data of an open picture by name (null if not open).
+ * @param {string} name
+ * @returns {Uint8Array|null}
+ */
+function getOpenPictureScreen(name) {
+  if (!name) return null;
+  if (currentFileName === name && currentFormat === FORMAT.SCR) return screenData;
+  if (typeof openPictures === 'undefined') return null;
+  const pic = openPictures.find(p => p.fileName === name && p.format === FORMAT.SCR);
+  return pic ? pic.screenData : null;
+}
+
+/**
+ * Write the current SCR (and the other snapshot screen if it is open) back into
+ * the loaded snapshot and download it as .sna or .z80.
+ * The current picture goes to bank 7 if it is the shadow screen, otherwise bank 5.
+ * @param {'sna'|'z80'} type
+ */
+function exportScreenToSnapshot(type) {
+  if (!loadedSnapshot || currentFormat !== FORMAT.SCR) {
+    alert('Load a .sna or .z80 snapshot and select an SCR picture first.');
+    return;
+  }
+
+  if (typeof layersEnabled !== 'undefined' && layersEnabled && layers.length > 0 &&
+      typeof flattenLayersToScreen === 'function') {
+    flattenLayersToScreen();
+  }
+
+  const src = loadedSnapshot.snapshot;
+  /** @type {Snapshot} */
+  const snapshot = {
+    machineType: src.machineType,
+    border: src.border,
+    pagingByte: src.pagingByte,
+    banks: src.banks.map(b => b.slice()),
+    regs: Object.assign({}, src.regs),
+    z80Header: src.z80Header,
+    paging1ffd: src.paging1ffd,
+    machineName: src.machineName
+  };
+
+  const names = loadedSnapshot.screenNames;
+  const is128K = snapshot.machineType === '128K';
+  const currentIsShadow = is128K && currentFileName === names.shadow;
+
+  // Other snapshot screen first, so the current picture wins if both map to one bank
+  const otherName = currentIsShadow ? names.normal : names.shadow;
+  const otherBank = currentIsShadow ? 5 : 7;
+  const otherScreen = getOpenPictureScreen(otherName);
+  if (otherScreen && (otherBank === 5 || is128K)) {
+    snapshot.banks[otherBank].set(otherScreen.subarray(0, SCREEN.TOTAL_SIZE), 0);
+  }
+  snapshot.banks[currentIsShadow ? 7 : 5].set(screenData.subarray(0, SCREEN.TOTAL_SIZE), 0);
+
+  const data = type === 'z80' ? buildZ80File(snapshot) : buildSnaFile(snapshot);
+  const baseName = loadedSnapshot.fileName.replace(/\.[^.]+$/, '');
+  downloadFile(new Blob([data], { type: 'application/octet-stream' }), baseName + '.' + type);
+}
+
 // ============================================================================
 // File Loading Integration
 // ============================================================================
 
 /**
- * Load a snapshot file (.sna or .z80), extract screens and store memory.
+ * Load a snapshot file (.sna, .z80 or .szx), extract screens and store memory.
  * @param {File} file
  */
 function loadSnapshotFile(file) {
   const reader = new FileReader();
-  reader.addEventListener('load', function(event) {
+  reader.addEventListener('load', async function(event) {
     const buffer = event.target?.result;
     if (!(buffer instanceof ArrayBuffer)) return;
 
@@ -262,6 +741,8 @@ function loadSnapshotFile(file) {
         snapshot = parseSnaFile(data);
       } else if (ext === 'z80') {
         snapshot = parseZ80File(data);
+      } else if (ext === 'szx') {
+        snapshot = await parseSzxFile(data);
       } else {
         return;
       }
@@ -270,8 +751,9 @@ function loadSnapshotFile(file) {
       return;
     }
 
-    // Store snapshot for memory viewer
+    // Store snapshot for memory viewer and for writing edited screens back
     snapshotMemory = snapshot;
+    loadedSnapshot = { snapshot, fileName: file.name, screenNames: { normal: '', shadow: '' } };
 
     // Set border color directly (avoid re-render from setBorderColor)
     if (typeof borderColor !== 'undefined') {
@@ -297,6 +779,15 @@ function loadSnapshotFile(file) {
       if (typeof addPicture === 'function') {
         addPicture(picName, FORMAT.SCR, screenInfo.data);
       }
+      if (screenInfo.name === 'shadow') {
+        loadedSnapshot.screenNames.shadow = picName;
+      } else {
+        loadedSnapshot.screenNames.normal = picName;
+      }
+    }
+
+    if (typeof updateExportAsmButton === 'function') {
+      updateExportAsmButton();
     }
 
     // Show memory viewer button
@@ -307,6 +798,35 @@ function loadSnapshotFile(file) {
   reader.readAsArrayBuffer(file);
 }
 
+/**
+ * Feed raw bytes (tape block, disk file) to the Memory Viewer, split into
+ * 16K pages (selectable via the bank selector when longer than 16K).
+ * @param {Uint8Array} data - Raw bytes
+ */
+function loadRawDataToMemViewer(data) {
+  const pageCount = Math.max(1, Math.ceil(data.length / 16384));
+  const banks = [];
+  for (let i = 0; i < pageCount; i++) {
+    const page = new Uint8Array(16384);
+    page.set(data.subarray(i * 16384, Math.min((i + 1) * 16384, data.length)));
+    banks.push(page);
+  }
+
+  snapshotMemory = {
+    machineType: 'RAW',
+    border: typeof borderColor !== 'undefined' ? borderColor : 7,
+    pagingByte: 0,
+    banks
+  };
+
+  const memSection = document.getElementById('memViewerSection');
+  if (memSection) memSection.style.display = '';
+
+  memBaseAddr = 0;
+  if (memDOM.memAddrInput) memDOM.memAddrInput.value = '0';
+  openMemViewer();
+}
+
 // ============================================================================
 // Memory Viewer — state
 // ============================================================================
@@ -656,16 +1176,18 @@ function openMemViewer() {
   memSelCol = 0;
   memSelRow = 0;
 
-  // Update bank selector: show for 128K, populate only non-empty banks
+  // Update bank selector: show for 128K and multi-page raw data, populate only non-empty banks
+  const isRaw = snapshotMemory.machineType === 'RAW';
   const bankRow = document.getElementById('memBankRow');
   if (bankRow) {
-    bankRow.style.display = snapshotMemory.machineType === '128K' ? '' : 'none';
+    const multiBank = snapshotMemory.machineType === '128K' || (isRaw && snapshotMemory.banks.length > 1);
+    bankRow.style.display = multiBank ? '' : 'none';
   }
   if (memDOM.memBankSelect) {
     const sel = memDOM.memBankSelect;
     sel.innerHTML = '';
     let firstBank = -1;
-    for (let i = 0; i < 8; i++) {
+    for (let i = 0; i < snapshotMemory.banks.length; i++) {
       const bank = snapshotMemory.banks[i];
       if (!bank || isScreenEmpty(bank)) continue;
       const opt = document.createElement('option');
@@ -674,8 +1196,8 @@ function openMemViewer() {
       sel.appendChild(opt);
       if (firstBank < 0) firstBank = i;
     }
-    // Select bank 5 if available, otherwise first non-empty
-    if (sel.querySelector('option[value="5"]')) {
+    // Select bank 5 if available (screen bank), otherwise first non-empty
+    if (!isRaw && sel.querySelector('option[value="5"]')) {
       sel.value = '5';
       memCurrentBank = 5;
     } else if (firstBank >= 0) {
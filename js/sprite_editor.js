@@ -72,6 +72,10 @@ let spriteGrabDragging = false;
 let spriteGrabStartX = -1;
 let spriteGrabStartY = -1;
 
+// PNG sheet import state
+/** @type {{name: string, width: number, height: number, data: Uint8ClampedArray, hasAlpha: boolean}|null} */
+let spritePngImage = null;
+
 // Undo stack per sprite editor session
 let spriteUndoStack = [];
 let spriteRedoStack = [];
@@ -98,7 +102,12 @@ function initSpriteEditor() {
     'spriteGrabW', 'spriteGrabH', 'spriteGrabCols', 'spriteGrabRows', 'spriteGrabOrder',
     'spriteGrabAttrMode', 'spriteGrabStopBtn',
     'spriteUseBrushBtn', 'spriteSaveBtn', 'spriteLoadBtn', 'spriteExportAsmBtn',
-    'spriteExportBinBtn', 'spriteFileInput', 'spriteEditorPanel', 'spriteEditorTitle',
+    'spriteExportBinBtn', 'spritePackSelect', 'spriteDialectSelect', 'spriteLayoutBtn', 'spriteLayoutPanel',
+    'spriteLayoutShifts', 'spriteLayoutOrder', 'spriteLayoutInterleave', 'spriteLayoutUpsideDown', 'spriteLayoutSize',
+    'spriteFileInput', 'spriteImportPngBtn', 'spritePngInput', 'spritePngConfig', 'spritePngInfo',
+    'spritePngTileW', 'spritePngTileH', 'spritePngCols', 'spritePngRows', 'spritePngMarginX', 'spritePngMarginY',
+    'spritePngGapX', 'spritePngGapY', 'spritePngGroup', 'spritePngMode', 'spritePngMonoOpts', 'spritePngThreshold',
+    'spritePngThresholdValue', 'spritePngInvert', 'spritePngMask', 'spritePngImportBtn', 'spritePngCancelBtn', 'spriteEditorPanel', 'spriteEditorTitle',
     'spriteEditorClose', 'spriteEditorCanvas', 'spritePreviewCanvas',
     'spriteToolDraw', 'spriteToolErase', 'spriteToolFill', 'spriteToolLine',
     'spriteToolRect', 'spriteToolSelect', 'spriteToolMask', 'spriteAttrControls',
@@ -220,8 +229,33 @@ function initSpriteEditor() {
   spriteDOM.spriteSaveBtn?.addEventListener('click', saveSpriteSheet);
   spriteDOM.spriteLoadBtn?.addEventListener('click', () => spriteDOM.spriteFileInput?.click());
   spriteDOM.spriteFileInput?.addEventListener('change', onSpriteFileLoad);
+  spriteDOM.spriteImportPngBtn?.addEventListener('click', () => spriteDOM.spritePngInput?.click());
+  spriteDOM.spritePngInput?.addEventListener('change', onSpritePngLoad);
+  spriteDOM.spritePngImportBtn?.addEventListener('click', importSpritePng);
+  spriteDOM.spritePngCancelBtn?.addEventListener('click', cancelSpritePng);
+  for (const id of ['spritePngTileW', 'spritePngTileH', 'spritePngCols', 'spritePngRows',
+    'spritePngMarginX', 'spritePngMarginY', 'spritePngGapX', 'spritePngGapY']) {
+    spriteDOM[id]?.addEventListener('input', updateSpritePngInfo);
+  }
+  spriteDOM.spritePngMode?.addEventListener('change', () => {
+    if (spriteDOM.spritePngMonoOpts)
+      spriteDOM.spritePngMonoOpts.style.display = spriteDOM.spritePngMode.value === 'mono' ? 'flex' : 'none';
+  });
+  spriteDOM.spritePngThreshold?.addEventListener('input', () => {
+    if (spriteDOM.spritePngThresholdValue)
+      spriteDOM.spritePngThresholdValue.textContent = spriteDOM.spritePngThreshold.value;
+  });
   spriteDOM.spriteExportAsmBtn?.addEventListener('click', exportSpriteAsm);
   spriteDOM.spriteExportBinBtn?.addEventListener('click', exportSpriteBin);
+  spriteDOM.spriteLayoutBtn?.addEventListener('click', () => {
+    const panel = spriteDOM.spriteLayoutPanel;
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'none' ? '' : 'none';
+    updateSpriteLayoutSizes();
+  });
+  for (const id of ['spriteLayoutShifts', 'spriteLayoutOrder', 'spriteLayoutInterleave', 'spriteLayoutUpsideDown']) {
+    spriteDOM[id]?.addEventListener('change', updateSpriteLayoutSizes);
+  }
 
   // Build color palettes
   buildColorPalettes();
@@ -349,6 +383,7 @@ function updateSpriteList() {
     item.dataset.index = String(i);
     list.appendChild(item);
   }
+  updateSpriteLayoutSizes();
 }
 
 function updateSpriteProps() {
@@ -1917,6 +1952,240 @@ function extractFrameFromScreen(startX, startY, cellsW, cellsH, mode) {
   return { bitmap: bitmap, mask: null, attrs: attrs };
 }
 
+// ============================================================================
+// PNG Sheet Import
+// ============================================================================
+
+/**
+ * Loads a PNG sprite sheet and shows the tile options.
+ * @param {Event} e - File input change event
+ */
+function onSpritePngLoad(e) {
+  const input = /** @type {HTMLInputElement} */ (e.target);
+  const file = input?.files?.[0];
+  if (!file) return;
+
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.drawImage(img, 0, 0);
+    const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    let hasAlpha = false;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 128) { hasAlpha = true; break; }
+    }
+    spritePngImage = { name: file.name.replace(/\.[^.]+$/, ''), width: canvas.width, height: canvas.height, data, hasAlpha };
+    if (spriteDOM.spritePngConfig) spriteDOM.spritePngConfig.style.display = '';
+    updateSpritePngInfo();
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    alert('Could not load image: ' + file.name);
+  };
+  img.src = url;
+
+  // Reset input so same file can be loaded again
+  input.value = '';
+}
+
+/**
+ * Reads the PNG import options.
+ * @returns {{tileW: number, tileH: number, cols: number, rows: number, marginX: number, marginY: number,
+ *   gapX: number, gapY: number, group: string, mode: string, threshold: number, invert: boolean, mask: boolean}}
+ */
+function getSpritePngOptions() {
+  const num = (/** @type {string} */ id, /** @type {number} */ def, /** @type {number} */ min, /** @type {number} */ max) => {
+    const v = parseInt(spriteDOM[id]?.value, 10);
+    return Math.max(min, Math.min(max, isNaN(v) ? def : v));
+  };
+  return {
+    tileW: num('spritePngTileW', 16, 1, 64),
+    tileH: num('spritePngTileH', 16, 1, 64),
+    cols: num('spritePngCols', 0, 0, 256),
+    rows: num('spritePngRows', 0, 0, 256),
+    marginX: num('spritePngMarginX', 0, 0, 4096),
+    marginY: num('spritePngMarginY', 0, 0, 4096),
+    gapX: num('spritePngGapX', 0, 0, 4096),
+    gapY: num('spritePngGapY', 0, 0, 4096),
+    group: spriteDOM.spritePngGroup?.value || 'sprites',
+    mode: spriteDOM.spritePngMode?.value || 'mono',
+    threshold: num('spritePngThreshold', 128, 1, 255),
+    invert: !!spriteDOM.spritePngInvert?.checked,
+    mask: !!spriteDOM.spritePngMask?.checked
+  };
+}
+
+/**
+ * Number of tile columns and rows cut from the loaded sheet.
+ * @param {ReturnType<typeof getSpritePngOptions>} opts
+ * @returns {{cols: number, rows: number}}
+ */
+function getSpritePngGrid(opts) {
+  if (!spritePngImage) return { cols: 0, rows: 0 };
+  const fitCols = Math.max(0, Math.floor((spritePngImage.width - opts.marginX + opts.gapX) / (opts.tileW + opts.gapX)));
+  const fitRows = Math.max(0, Math.floor((spritePngImage.height - opts.marginY + opts.gapY) / (opts.tileH + opts.gapY)));
+  return {
+    cols: opts.cols > 0 ? Math.min(opts.cols, fitCols) : fitCols,
+    rows: opts.rows > 0 ? Math.min(opts.rows, fitRows) : fitRows
+  };
+}
+
+/**
+ * Shows the sheet size and the tiles the options cut from it.
+ */
+function updateSpritePngInfo() {
+  if (!spritePngImage || !spriteDOM.spritePngInfo) return;
+  const opts = getSpritePngOptions();
+  const { cols, rows } = getSpritePngGrid(opts);
+  const cellsW = Math.ceil(opts.tileW / 8);
+  const cellsH = Math.ceil(opts.tileH / 8);
+  spriteDOM.spritePngInfo.textContent = spritePngImage.name + ': ' + spritePngImage.width + 'x' + spritePngImage.height +
+    (spritePngImage.hasAlpha ? ' (transparent)' : '') + ' — ' + cols + 'x' + rows + ' tiles of ' +
+    (cellsW * 8) + 'x' + (cellsH * 8);
+}
+
+/**
+ * Converts one tile of the loaded sheet into a sprite frame. The tile is
+ * padded to whole cells; pixels below 50% alpha are paper (and unmasked).
+ * Attr mode picks ink/paper per cell with the image import colour search.
+ *
+ * @param {number} startX - Tile left edge in the sheet
+ * @param {number} startY - Tile top edge in the sheet
+ * @param {ReturnType<typeof getSpritePngOptions>} opts
+ * @returns {object} SpriteFrame object {bitmap, mask, attrs}
+ */
+function extractFrameFromPng(startX, startY, opts) {
+  const image = /** @type {NonNullable<typeof spritePngImage>} */ (spritePngImage);
+  const cellsW = Math.ceil(opts.tileW / 8);
+  const cellsH = Math.ceil(opts.tileH / 8);
+  const pixW = cellsW * 8;
+  const pixH = cellsH * 8;
+
+  // Tile as RGB floats (transparent = black) plus opacity
+  const pixels = new Float32Array(pixW * pixH * 3);
+  const opaque = new Uint8Array(pixW * pixH);
+  for (let y = 0; y < opts.tileH; y++) {
+    for (let x = 0; x < opts.tileW; x++) {
+      const src = ((startY + y) * image.width + startX + x) * 4;
+      if (image.data[src + 3] < 128) continue;
+      const dst = y * pixW + x;
+      opaque[dst] = 1;
+      pixels[dst * 3] = image.data[src];
+      pixels[dst * 3 + 1] = image.data[src + 1];
+      pixels[dst * 3 + 2] = image.data[src + 2];
+    }
+  }
+
+  const bitmap = new Uint8Array(pixH * cellsW);
+  let attrs = null;
+  if (opts.mode === 'attr') {
+    if (typeof updateColorDistanceMode === 'function') updateColorDistanceMode();
+    const palette = typeof getCombinedPalette === 'function'
+      ? getCombinedPalette()
+      : { regular: ZX_PALETTE_RGB.REGULAR, bright: ZX_PALETTE_RGB.BRIGHT };
+    attrs = new Uint8Array(cellsW * cellsH);
+    for (let cy = 0; cy < cellsH; cy++) {
+      for (let cx = 0; cx < cellsW; cx++) {
+        const cell = findCellColors(pixels, cx, cy, pixW, palette);
+        // The darker colour is paper, so transparent (black) pixels stay paper as in mono
+        if (colorDistance([0, 0, 0], cell.inkRgb) < colorDistance([0, 0, 0], cell.paperRgb)) {
+          [cell.ink, cell.paper] = [cell.paper, cell.ink];
+          [cell.inkRgb, cell.paperRgb] = [cell.paperRgb, cell.inkRgb];
+        }
+        attrs[cy * cellsW + cx] = (cell.bright ? 0x40 : 0) | (cell.paper << 3) | cell.ink;
+        for (let dy = 0; dy < 8; dy++) {
+          for (let dx = 0; dx < 8; dx++) {
+            const p = (cy * 8 + dy) * pixW + cx * 8 + dx;
+            const rgb = [pixels[p * 3], pixels[p * 3 + 1], pixels[p * 3 + 2]];
+            if (opaque[p] && colorDistance(rgb, cell.inkRgb) < colorDistance(rgb, cell.paperRgb)) {
+              bitmap[(cy * 8 + dy) * cellsW + cx] |= 0x80 >> dx;
+            }
+          }
+        }
+      }
+    }
+  } else {
+    for (let i = 0; i < pixW * pixH; i++) {
+      if (!opaque[i]) continue;
+      const lum = 0.299 * pixels[i * 3] + 0.587 * pixels[i * 3 + 1] + 0.114 * pixels[i * 3 + 2];
+      if (opts.invert ? lum < opts.threshold : lum >= opts.threshold) {
+        bitmap[Math.floor(i / pixW) * cellsW + ((i % pixW) >> 3)] |= 0x80 >> (i & 7);
+      }
+    }
+  }
+
+  let mask = null;
+  if (opts.mask && image.hasAlpha) {
+    mask = new Uint8Array(pixH * cellsW);
+    for (let i = 0; i < pixW * pixH; i++) {
+      if (opaque[i]) mask[Math.floor(i / pixW) * cellsW + ((i % pixW) >> 3)] |= 0x80 >> (i & 7);
+    }
+  }
+
+  return { bitmap: bitmap, mask: mask, attrs: attrs };
+}
+
+/**
+ * Cuts the loaded sheet into tiles and adds them as separate sprites,
+ * frames of one sprite, or one animated sprite per tile row.
+ */
+function importSpritePng() {
+  if (!spritePngImage) return;
+  const opts = getSpritePngOptions();
+  const { cols, rows } = getSpritePngGrid(opts);
+  if (cols === 0 || rows === 0) {
+    alert('No ' + opts.tileW + 'x' + opts.tileH + ' tiles fit in the image with these margins.');
+    return;
+  }
+
+  const cellsW = Math.ceil(opts.tileW / 8);
+  const cellsH = Math.ceil(opts.tileH / 8);
+  const name = spritePngImage.name;
+  const addSprite = (/** @type {string} */ spriteName, /** @type {object[]} */ frames) => {
+    spriteSheet.sprites.push({ name: spriteName, cellsW: cellsW, cellsH: cellsH, mode: opts.mode, frames: frames });
+  };
+
+  const tileRows = [];
+  for (let row = 0; row < rows; row++) {
+    const frames = [];
+    for (let col = 0; col < cols; col++) {
+      frames.push(extractFrameFromPng(
+        opts.marginX + col * (opts.tileW + opts.gapX),
+        opts.marginY + row * (opts.tileH + opts.gapY), opts));
+    }
+    tileRows.push(frames);
+  }
+
+  if (opts.group === 'frames') {
+    addSprite(name, tileRows.flat());
+  } else if (opts.group === 'rows') {
+    tileRows.forEach((frames, row) => addSprite(rows > 1 ? name + '_' + (row + 1) : name, frames));
+  } else {
+    tileRows.flat().forEach((frame, i) => addSprite(name + '_' + (i + 1), [frame]));
+  }
+
+  selectedSpriteIndex = spriteSheet.sprites.length - 1;
+  currentFrameIndex = 0;
+  cancelSpritePng();
+  updateSpriteList();
+  updateSpriteProps();
+  if (spriteEditorOpen) renderSpriteEditor();
+}
+
+/**
+ * Closes the PNG import options and drops the loaded sheet.
+ */
+function cancelSpritePng() {
+  spritePngImage = null;
+  if (spriteDOM.spritePngConfig) spriteDOM.spritePngConfig.style.display = 'none';
+}
+
 // ============================================================================
 // Brush Integration
 // ============================================================================
@@ -2092,18 +2361,267 @@ function restoreSpriteSheetFromProject(data) {
   loadSpriteSheetData({ type: 'spectralab-sprites', version: 1, ...data });
 }
 
+// ============================================================================
+// Export Layout
+// ============================================================================
+
+/**
+ * @typedef {Object} SpriteExportLayout
+ * @property {number} shifts - Pre-shifted copies: 1 (none), 4 (2px steps) or 8 (1px steps)
+ * @property {string} order - 'rows', 'zigzag', 'columns' or 'zigzag-columns'
+ * @property {boolean} interleave - Mask and bitmap bytes in pairs, mask first
+ * @property {boolean} upsideDown - Bottom row first
+ */
+
+/**
+ * @typedef {Object} SpriteExportPart
+ * @property {string} label - Label of the block
+ * @property {Uint8Array} data - Bytes in export order
+ * @property {number} lineLen - Bytes per ASM line (one row or column)
+ * @property {boolean} visual - Lines are pixel rows, so visual comments apply
+ */
+
+/**
+ * Reads the export layout panel.
+ * @returns {SpriteExportLayout}
+ */
+function getSpriteExportLayout() {
+  return {
+    shifts: parseInt(spriteDOM.spriteLayoutShifts?.value || '1', 10) || 1,
+    order: spriteDOM.spriteLayoutOrder?.value || 'rows',
+    interleave: !!spriteDOM.spriteLayoutInterleave?.checked,
+    upsideDown: !!spriteDOM.spriteLayoutUpsideDown?.checked
+  };
+}
+
+/**
+ * Describes a non-default layout for the export header.
+ * @param {SpriteExportLayout} layout
+ * @returns {string} Description, or '' for the plain row layout
+ */
+function describeSpriteExportLayout(layout) {
+  const items = [];
+  if (layout.shifts > 1) items.push(`${layout.shifts} pre-shifted copies (_s0.._s${layout.shifts - 1}, +1 byte column)`);
+  if (layout.interleave) items.push('mask/bitmap byte pairs');
+  if (layout.order === 'zigzag') items.push('zigzag rows');
+  if (layout.order === 'columns') items.push('column by column');
+  if (layout.order === 'zigzag-columns') items.push('zigzag columns');
+  if (layout.upsideDown) items.push('upside down');
+  return items.join(', ');
+}
+
+/**
+ * Shifts bitmap rows right, widening them; bits shifted in are 0.
+ * @param {Uint8Array} data - Rows of bytesPerRow bytes
+ * @param {number} bytesPerRow - Source row width
+ * @param {number} outBytesPerRow - Result row width (bytesPerRow or bytesPerRow + 1)
+ * @param {number} shift - Pixels to shift (0-7)
+ * @returns {Uint8Array}
+ */
+function shiftSpriteBitmap(data, bytesPerRow, outBytesPerRow, shift) {
+  const height = data.length / bytesPerRow;
+  const out = new Uint8Array(height * outBytesPerRow);
+  for (let y = 0; y < height; y++) {
+    for (let b = 0; b < bytesPerRow; b++) {
+      const value = data[y * bytesPerRow + b];
+      out[y * outBytesPerRow + b] |= value >> shift;
+      if (b + 1 < outBytesPerRow) out[y * outBytesPerRow + b + 1] |= (value << (8 - shift)) & 0xFF;
+    }
+  }
+  return out;
+}
+
+/**
+ * Reorders a grid of units (a byte, or a mask/bitmap pair) for export.
+ * Column orders write each column top to bottom; zigzag reverses every
+ * other row (or column).
+ * @param {Uint8Array} data - Row-major grid
+ * @param {number} width - Units per row
+ * @param {number} height - Rows
+ * @param {number} unit - Bytes per unit
+ * @param {SpriteExportLayout} layout
+ * @returns {{data: Uint8Array, lineLen: number}} Reordered bytes and bytes per row/column
+ */
+function orderSpriteBytes(data, width, height, unit, layout) {
+  const columns = layout.order === 'columns' || layout.order === 'zigzag-columns';
+  const zigzag = layout.order === 'zigzag' || layout.order === 'zigzag-columns';
+  const lines = columns ? width : height;
+  const count = columns ? height : width;
+  const out = new Uint8Array(data.length);
+  let pos = 0;
+  for (let line = 0; line < lines; line++) {
+    for (let i = 0; i < count; i++) {
+      const j = zigzag && (line & 1) ? count - 1 - i : i;
+      const col = columns ? line : j;
+      let row = columns ? j : line;
+      if (layout.upsideDown) row = height - 1 - row;
+      const src = (row * width + col) * unit;
+      out.set(data.subarray(src, src + unit), pos);
+      pos += unit;
+    }
+  }
+  return { data: out, lineLen: count * unit };
+}
+
+/**
+ * Lays out one frame for export: the bitmap and mask (per pre-shifted copy),
+ * then the attributes, which are reordered but not shifted.
+ * @param {{cellsW: number, cellsH: number}} sprite
+ * @param {{bitmap: Uint8Array, mask: Uint8Array|null, attrs: Uint8Array|null}} frame
+ * @param {string} label - Sprite label
+ * @param {string} frameSuffix - '_f<n>' for animated sprites, '' otherwise
+ * @param {SpriteExportLayout} layout
+ * @returns {SpriteExportPart[]}
+ */
+function getSpriteFrameParts(sprite, frame, label, frameSuffix, layout) {
+  /** @type {SpriteExportPart[]} */
+  const parts = [];
+  const width = sprite.cellsW + (layout.shifts > 1 ? 1 : 0);
+  const height = sprite.cellsH * 8;
+  const rowLines = layout.order === 'rows';
+
+  for (let s = 0; s < layout.shifts; s++) {
+    const shiftSuffix = layout.shifts > 1 ? '_s' + s : '';
+    const shift = s * 8 / layout.shifts;
+    const bitmap = shiftSpriteBitmap(frame.bitmap, sprite.cellsW, width, shift);
+    const mask = frame.mask ? shiftSpriteBitmap(frame.mask, sprite.cellsW, width, shift) : null;
+    if (mask && layout.interleave) {
+      const pairs = new Uint8Array(bitmap.length * 2);
+      for (let i = 0; i < bitmap.length; i++) {
+        pairs[i * 2] = mask[i];
+        pairs[i * 2 + 1] = bitmap[i];
+      }
+      parts.push({ label: label + frameSuffix + shiftSuffix, ...orderSpriteBytes(pairs, width, height, 2, layout), visual: false });
+    } else {
+      parts.push({ label: label + frameSuffix + shiftSuffix, ...orderSpriteBytes(bitmap, width, height, 1, layout), visual: rowLines });
+      if (mask) parts.push({ label: label + '_mask' + frameSuffix + shiftSuffix, ...orderSpriteBytes(mask, width, height, 1, layout), visual: rowLines });
+    }
+  }
+  if (frame.attrs) {
+    parts.push({ label: label + '_attr' + frameSuffix, ...orderSpriteBytes(frame.attrs, sprite.cellsW, sprite.cellsH, 1, layout), visual: false });
+  }
+  return parts;
+}
+
+/**
+ * Export size of the whole sheet in a layout (order does not change it).
+ * @param {number} shifts - Pre-shifted copies
+ * @returns {number} Bytes
+ */
+function getSpriteExportSize(shifts) {
+  let size = 0;
+  for (const sprite of spriteSheet.sprites) {
+    const rowBytes = sprite.cellsW + (shifts > 1 ? 1 : 0);
+    for (const frame of sprite.frames) {
+      size += shifts * rowBytes * sprite.cellsH * 8 * (frame.mask ? 2 : 1);
+      if (frame.attrs) size += frame.attrs.length;
+    }
+  }
+  return size;
+}
+
+/**
+ * Shows the export size next to each shift option and for the current layout.
+ */
+function updateSpriteLayoutSizes() {
+  const select = /** @type {HTMLSelectElement|null} */ (spriteDOM.spriteLayoutShifts);
+  if (!select || spriteDOM.spriteLayoutPanel?.style.display === 'none') return;
+  for (const option of Array.from(select.options)) {
+    if (!option.dataset.label) option.dataset.label = option.textContent || '';
+    option.textContent = option.dataset.label + ' — ' + getSpriteExportSize(parseInt(option.value, 10)) + ' bytes';
+  }
+  if (spriteDOM.spriteLayoutSize) {
+    const layout = getSpriteExportLayout();
+    const description = describeSpriteExportLayout(layout);
+    spriteDOM.spriteLayoutSize.textContent = 'Export size: ' + getSpriteExportSize(layout.shifts) + ' bytes' +
+      (description ? ' (' + description + ')' : '');
+  }
+}
+
 // ============================================================================
 // ASM Export
 // ============================================================================
 
+/**
+ * Lays out the whole sheet as one binary: per sprite and frame the bitmap,
+ * then the mask and attributes if present (the order of the ASM export).
+ * @param {SpriteExportLayout} [layout] - Export layout (default: the layout panel)
+ * @returns {{buffer: Uint8Array, labels: Array<{label: string, offset: number}>}}
+ */
+function getSpriteSheetBinary(layout = getSpriteExportLayout()) {
+  /** @type {Array<{label: string, offset: number}>} */
+  const labels = [];
+  /** @type {Uint8Array[]} */
+  const parts = [];
+  let offset = 0;
+
+  for (const sprite of spriteSheet.sprites) {
+    const label = sprite.name.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
+    sprite.frames.forEach((frame, fi) => {
+      const frameSuffix = sprite.frames.length > 1 ? '_f' + fi : '';
+      for (const part of getSpriteFrameParts(sprite, frame, label, frameSuffix, layout)) {
+        labels.push({ label: part.label, offset });
+        parts.push(part.data);
+        offset += part.data.length;
+      }
+    });
+  }
+
+  const buffer = new Uint8Array(offset);
+  offset = 0;
+  for (const part of parts) {
+    buffer.set(part, offset);
+    offset += part.length;
+  }
+  return { buffer, labels };
+}
+
+/**
+ * Reads the sprite packer selector.
+ * @returns {AsmPacker|null} Selected packer, or null for raw data
+ */
+function getSpritePacker() {
+  const select = /** @type {HTMLSelectElement|null} */ (spriteDOM.spritePackSelect);
+  return ASM_PACKERS[select?.value || ''] || null;
+}
+
+/**
+ * Reads the sprite export dialect selector.
+ * @returns {AsmDialect} Selected dialect (sjasmplus if none)
+ */
+function getSpriteDialect() {
+  const select = /** @type {HTMLSelectElement|null} */ (spriteDOM.spriteDialectSelect);
+  return ASM_DIALECTS[select?.value || 'sjasmplus'] || ASM_DIALECTS.sjasmplus;
+}
+
 function exportSpriteAsm() {
   if (spriteSheet.sprites.length === 0) {
     alert('No sprites to export.');
     return;
   }
 
+  const dialect = getSpriteDialect();
+  const packer = getSpritePacker();
+  if (packer) {
+    // Pack in the background; the exporters then reuse the packed sheet
+    packBlocksAsync([getSpriteSheetBinary().buffer], [packer]).then(done => {
+      if (!done) return;
+      if (dialect !== ASM_DIALECTS.sjasmplus) exportSpriteDialect(dialect, packer);
+      else exportSpritePackedAsm(packer);
+    });
+    return;
+  }
+  if (dialect !== ASM_DIALECTS.sjasmplus) {
+    exportSpriteDialect(dialect, packer);
+    return;
+  }
+
+  const layout = getSpriteExportLayout();
+  const description = describeSpriteExportLayout(layout);
   let asm = '; SpectraLab Sprite Sheet: ' + spriteSheet.name + '\n';
-  asm += '; Generated by SpectraLab v' + APP_VERSION + '\n\n';
+  asm += '; Generated by SpectraLab v' + APP_VERSION + '\n';
+  if (description) asm += '; Layout: ' + description + '\n';
+  asm += '\n';
 
   for (const sprite of spriteSheet.sprites) {
     const label = sprite.name.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
@@ -2114,23 +2632,12 @@ function exportSpriteAsm() {
     asm += ')\n';
 
     for (let fi = 0; fi < sprite.frames.length; fi++) {
-      const frame = sprite.frames[fi];
       const frameSuffix = sprite.frames.length > 1 ? '_f' + fi : '';
 
-      // Bitmap with visual binary comments
-      asm += label + frameSuffix + ':\n';
-      asm += formatDbLinesVisual(Array.from(frame.bitmap), sprite.cellsW) + '\n';
-
-      // Mask with visual binary comments (if exists)
-      if (frame.mask) {
-        asm += label + '_mask' + frameSuffix + ':\n';
-        asm += formatDbLinesVisual(Array.from(frame.mask), sprite.cellsW) + '\n';
-      }
-
-      // Attrs (no visual — these are color values, not bitmaps)
-      if (frame.attrs) {
-        asm += label + '_attr' + frameSuffix + ':\n';
-        asm += formatDbLines(Array.from(frame.attrs), sprite.cellsW) + '\n';
+      // Bitmap and mask rows get visual binary comments; attrs are color values
+      for (const part of getSpriteFrameParts(sprite, sprite.frames[fi], label, frameSuffix, layout)) {
+        asm += part.label + ':\n';
+        asm += (part.visual ? formatDbLinesVisual : formatDbLines)(Array.from(part.data), part.lineLen) + '\n';
       }
 
       asm += '\n';
@@ -2141,6 +2648,86 @@ function exportSpriteAsm() {
   downloadFile(asm, baseName + '.asm', 'text/plain');
 }
 
+/**
+ * Exports the sheet as one packed block plus its unpacker. The sprite labels
+ * become EQUs into a buffer the program unpacks the block to.
+ * @param {AsmPacker} packer - Compressor
+ */
+function exportSpritePackedAsm(packer) {
+  const { buffer, labels } = getSpriteSheetBinary();
+  const baseName = spriteSheet.name.replace(/[^a-zA-Z0-9_-]/g, '_') || 'sprites';
+  const base = baseName.replace(/-/g, '_').toLowerCase();
+
+  const asm = [];
+  asm.push('; SpectraLab Sprite Sheet: ' + spriteSheet.name);
+  asm.push('; Generated by SpectraLab v' + APP_VERSION);
+  const description = describeSpriteExportLayout(getSpriteExportLayout());
+  if (description) asm.push('; Layout: ' + description);
+  asm.push(';');
+  asm.push(`; All sprites packed with ${packer.name}; unpack once before drawing:`);
+  asm.push(`;     LD HL,${base}_packed`);
+  asm.push(`;     LD DE,${base}_data`);
+  asm.push(`;     CALL ${packer.routine}`);
+  asm.push('');
+  for (const { label, offset } of labels) {
+    asm.push(`${label} EQU ${base}_data + ${offset}`);
+  }
+  asm.push('');
+  emitAsmPackedData(asm, `${base}_packed`, buffer, packer);
+  asm.push('');
+  emitAsmUnpacker(asm, packer);
+  asm.push(`; Unpack buffer: ${buffer.length} bytes (can be moved to free RAM with EQU)`);
+  asm.push(`${base}_data:`);
+  asm.push(`    DS ${buffer.length}`);
+  asm.push('');
+
+  downloadFile(asm.join('\n'), baseName + '.asm', 'text/plain');
+}
+
+/**
+ * Exports the sheet for another assembler, C or ZX Basic: one array per
+ * sprite bitmap, mask and attributes, or a single packed array whose
+ * unpacked offsets are listed in the header comment.
+ * @param {AsmDialect} dialect - Output dialect
+ * @param {AsmPacker|null} packer - Compressor, or null for raw data
+ */
+function exportSpriteDialect(dialect, packer) {
+  const baseName = spriteSheet.name.replace(/[^a-zA-Z0-9_-]/g, '_') || 'sprites';
+  const base = toDialectIdentifier(baseName.toLowerCase());
+  const layout = getSpriteExportLayout();
+  const description = describeSpriteExportLayout(layout);
+  const title = ['SpectraLab Sprite Sheet: ' + spriteSheet.name, 'Generated by SpectraLab v' + APP_VERSION];
+  if (description) title.push('Layout: ' + description);
+  /** @type {AsmDataBlock[]} */
+  const blocks = [];
+
+  if (packer) {
+    const { buffer, labels } = getSpriteSheetBinary(layout);
+    title.push('', `All sprites packed with ${packer.name} (${buffer.length} bytes unpacked).`, 'Offsets into the unpacked data:');
+    for (const { label, offset } of labels) title.push(`    ${toDialectIdentifier(label)} = ${offset}`);
+    if (packer.sized) title.push('', `${base}_packed starts with the packed size (2 bytes, little-endian).`);
+    const packed = Array.from(packAsmData(packer, buffer));
+    if (packer.sized) packed.unshift(packed.length & 0xFF, packed.length >> 8);
+    blocks.push({ label: base + '_packed', rows: chunkArray(packed, 16).map(bytes => ({ bytes })) });
+  } else {
+    for (const sprite of spriteSheet.sprites) {
+      const label = toDialectIdentifier(sprite.name.toLowerCase());
+      sprite.frames.forEach((frame, fi) => {
+        const frameSuffix = sprite.frames.length > 1 ? '_f' + fi : '';
+        for (const part of getSpriteFrameParts(sprite, frame, label, frameSuffix, layout)) {
+          const rows = chunkArray(Array.from(part.data), part.lineLen)
+            .map(bytes => ({ bytes, comment: part.visual ? bytesToVisualBin(bytes) : undefined }));
+          blocks.push({ label: part.label, rows });
+        }
+      });
+    }
+  }
+
+  const output = formatDialectData(dialect, baseName, title, blocks);
+  downloadFile(output.text, baseName + '.' + dialect.ext, 'text/plain');
+  if (output.header) downloadFile(output.header, baseName + '.h', 'text/plain');
+}
+
 // ============================================================================
 // Binary Export
 // ============================================================================
@@ -2151,35 +2738,15 @@ function exportSpriteBin() {
     return;
   }
 
-  // Calculate total size
-  let totalSize = 0;
-  for (const sprite of spriteSheet.sprites) {
-    for (const frame of sprite.frames) {
-      totalSize += frame.bitmap.length;
-      if (frame.mask) totalSize += frame.mask.length;
-      if (frame.attrs) totalSize += frame.attrs.length;
-    }
-  }
-
-  const buffer = new Uint8Array(totalSize);
-  let offset = 0;
-
-  for (const sprite of spriteSheet.sprites) {
-    for (const frame of sprite.frames) {
-      buffer.set(frame.bitmap, offset);
-      offset += frame.bitmap.length;
-      if (frame.mask) {
-        buffer.set(frame.mask, offset);
-        offset += frame.mask.length;
-      }
-      if (frame.attrs) {
-        buffer.set(frame.attrs, offset);
-        offset += frame.attrs.length;
-      }
-    }
-  }
-
+  const { buffer } = getSpriteSheetBinary();
   const baseName = spriteSheet.name.replace(/[^a-zA-Z0-9_-]/g, '_') || 'sprites';
+  const packer = getSpritePacker();
+  if (packer) {
+    packBlocksAsync([buffer], [packer]).then(done => {
+      if (done) downloadFile(new Blob([packAsmData(packer, buffer)], { type: 'application/octet-stream' }), baseName + '.' + packer.ext);
+    });
+    return;
+  }
   downloadFile(new Blob([buffer], { type: 'application/octet-stream' }), baseName + '.bin');
 }
 
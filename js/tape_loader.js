@@ -0,0 +1,385 @@
+// ============================================================================
+// Tape Loader — TAP/TZX parsers, block browser, screen/memory extraction
+// ============================================================================
+// @ts-check
+"use strict";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Standard ROM header block: flag 0x00 + 17 header bytes + checksum
+const TAPE_HEADER_LENGTH = 17;
+
+// Header type byte (first byte of a standard header)
+const TAPE_HEADER_TYPES = ['Program', 'Number array', 'Character array', 'Bytes'];
+
+// TZX file signature "ZXTape!" followed by 0x1A
+const TZX_SIGNATURE = 'ZXTape!';
+const TZX_HEADER_SIZE = 10;
+
+/**
+ * @typedef {Object} TapeHeader
+ * @property {number} type - 0=Program, 1=Number array, 2=Character array, 3=Bytes
+ * @property {string} name - 10-character file name (trailing spaces trimmed)
+ * @property {number} length - Length of the following data block
+ * @property {number} param1 - Autostart line (Program) or load address (Bytes)
+ * @property {number} param2 - Program length (Program) or 32768 (Bytes)
+ */
+
+/**
+ * @typedef {Object} TapeBlock
+ * @property {number} index - Block number on tape (0-based, data-bearing blocks only)
+ * @property {string} kind - 'standard', 'turbo' or 'pure'
+ * @property {number} flag - Flag byte (0x00 = header, 0xFF = data)
+ * @property {Uint8Array} data - Block payload without flag and checksum
+ * @property {boolean} checksumOk - Whether the XOR checksum matches
+ * @property {TapeHeader|null} header - Parsed header (only for flag 0x00 header blocks)
+ * @property {TapeHeader|null} owner - Header that precedes this data block, if any
+ */
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+/**
+ * Check if a file is a tape image (.tap or .tzx)
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isTapeFile(fileName) {
+  const ext = fileName.toLowerCase().split('.').pop();
+  return ext === 'tap' || ext === 'tzx';
+}
+
+// ============================================================================
+// Block decoding (shared by TAP and TZX)
+// ============================================================================
+
+/**
+ * Parse a 17-byte standard ROM header.
+ * @param {Uint8Array} bytes - Header payload (without flag/checksum)
+ * @returns {TapeHeader}
+ */
+function parseTapeHeader(bytes) {
+  let name = '';
+  for (let i = 1; i <= 10; i++) {
+    const c = bytes[i];
+    name += (c >= 32 && c < 127) ? String.fromCharCode(c) : '?';
+  }
+  return {
+    type: bytes[0],
+    name: name.replace(/\s+$/, ''),
+    length: bytes[11] | (bytes[12] << 8),
+    param1: bytes[13] | (bytes[14] << 8),
+    param2: bytes[15] | (bytes[16] << 8)
+  };
+}
+
+/**
+ * Build a tape block from raw bytes as they appear on tape (flag + data + checksum).
+ * @param {Uint8Array} raw - Raw block bytes
+ * @param {string} kind - 'standard', 'turbo' or 'pure'
+ * @returns {TapeBlock|null} Block, or null for an empty block
+ */
+function decodeTapeBlock(raw, kind) {
+  if (raw.length === 0) return null;
+
+  // Blocks shorter than flag + checksum carry no payload to speak of
+  if (raw.length < 2) {
+    return { index: 0, kind, flag: raw[0], data: new Uint8Array(0), checksumOk: false, header: null, owner: null };
+  }
+
+  let xor = 0;
+  for (let i = 0; i < raw.length; i++) xor ^= raw[i];
+
+  const flag = raw[0];
+  const data = raw.subarray(1, raw.length - 1);
+  const header = (flag === 0x00 && data.length === TAPE_HEADER_LENGTH) ? parseTapeHeader(data) : null;
+
+  return { index: 0, kind, flag, data, checksumOk: xor === 0, header, owner: null };
+}
+
+/**
+ * Number blocks and attach each data block to the header that precedes it.
+ * @param {TapeBlock[]} blocks
+ * @returns {TapeBlock[]}
+ */
+function linkTapeBlocks(blocks) {
+  let pendingHeader = null;
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i];
+    block.index = i;
+    if (block.header) {
+      pendingHeader = block.header;
+    } else {
+      // A header only describes the very next block
+      block.owner = pendingHeader;
+      pendingHeader = null;
+    }
+  }
+  return blocks;
+}
+
+// ============================================================================
+// TAP Parser
+// ============================================================================
+
+/**
+ * Parse a .tap file: sequence of [length(2)] [flag + data + checksum] records.
+ * @param {Uint8Array} data - Raw file bytes
+ * @returns {TapeBlock[]}
+ */
+function parseTapFile(data) {
+  const blocks = [];
+  let offset = 0;
+
+  while (offset + 2 <= data.length) {
+    const len = data[offset] | (data[offset + 1] << 8);
+    offset += 2;
+    // Truncated final block: take what is there
+    const end = Math.min(offset + len, data.length);
+    const block = decodeTapeBlock(data.subarray(offset, end), 'standard');
+    if (block) blocks.push(block);
+    offset = end;
+  }
+
+  return linkTapeBlocks(blocks);
+}
+
+// ============================================================================
+// TZX Parser
+// ============================================================================
+
+/**
+ * Read little-endian value of 1-4 bytes.
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} size - Number of bytes
+ * @returns {number}
+ */
+function tzxReadLE(data, offset, size) {
+  let value = 0;
+  for (let i = size - 1; i >= 0; i--) {
+    value = value * 256 + (data[offset + i] || 0);
+  }
+  return value;
+}
+
+/**
+ * Parse a .tzx file. Standard speed (0x10), turbo (0x11) and pure data (0x14)
+ * blocks are decoded; all other block types are skipped over by their length.
+ * @param {Uint8Array} data - Raw file bytes
+ * @returns {TapeBlock[]}
+ */
+function parseTzxFile(data) {
+  let signature = '';
+  for (let i = 0; i < TZX_SIGNATURE.length; i++) signature += String.fromCharCode(data[i]);
+  if (signature !== TZX_SIGNATURE || data[7] !== 0x1A) {
+    throw new Error('Not a TZX file (missing "ZXTape!" signature)');
+  }
+
+  const blocks = [];
+  let offset = TZX_HEADER_SIZE;
+
+  while (offset < data.length) {
+    const id = data[offset++];
+    let dataStart = -1;
+    let dataLen = 0;
+    let kind = '';
+    let skip = 0;
+
+    switch (id) {
+      case 0x10: // Standard speed data
+        dataLen = tzxReadLE(data, offset + 2, 2);
+        dataStart = offset + 4;
+        kind = 'standard';
+        break;
+      case 0x11: // Turbo speed data
+        dataLen = tzxReadLE(data, offset + 15, 3);
+        dataStart = offset + 18;
+        kind = 'turbo';
+        break;
+      case 0x14: // Pure data
+        dataLen = tzxReadLE(data, offset + 7, 3);
+        dataStart = offset + 10;
+        kind = 'pure';
+        break;
+      case 0x12: skip = 4; break;                                        // Pure tone
+      case 0x13: skip = 1 + data[offset] * 2; break;                     // Pulse sequence
+      case 0x15: skip = 8 + tzxReadLE(data, offset + 5, 3); break;       // Direct recording
+      case 0x18:                                                         // CSW recording
+      case 0x19: skip = 4 + tzxReadLE(data, offset, 4); break;           // Generalized data
+      case 0x20:                                                         // Pause / stop the tape
+      case 0x23:                                                         // Jump to block
+      case 0x24: skip = 2; break;                                        // Loop start
+      case 0x21:                                                         // Group start
+      case 0x30: skip = 1 + data[offset]; break;                         // Text description
+      case 0x22:                                                         // Group end
+      case 0x25:                                                         // Loop end
+      case 0x27: skip = 0; break;                                        // Return from sequence
+      case 0x26: skip = 2 + tzxReadLE(data, offset, 2) * 2; break;       // Call sequence
+      case 0x28:                                                         // Select block
+      case 0x32: skip = 2 + tzxReadLE(data, offset, 2); break;           // Archive info
+      case 0x2A: skip = 4; break;                                        // Stop the tape if 48K
+      case 0x2B: skip = 5; break;                                        // Set signal level
+      case 0x31: skip = 2 + data[offset + 1]; break;                     // Message
+      case 0x33: skip = 1 + data[offset] * 3; break;                     // Hardware type
+      case 0x34: skip = 8; break;                                        // Emulation info
+      case 0x35: skip = 20 + tzxReadLE(data, offset + 16, 4); break;     // Custom info
+      case 0x40: skip = 4 + tzxReadLE(data, offset + 1, 3); break;      // Snapshot block
+      case 0x5A: skip = 9; break;                                        // Glue block
+      default:
+        // Extension rule: unknown blocks start with a 4-byte length
+        skip = 4 + tzxReadLE(data, offset, 4);
+        break;
+    }
+
+    if (dataStart >= 0) {
+      const end = Math.min(dataStart + dataLen, data.length);
+      const block = decodeTapeBlock(data.subarray(dataStart, end), kind);
+      if (block) blocks.push(block);
+      offset = end;
+    } else {
+      offset += skip;
+    }
+  }
+
+  return linkTapeBlocks(blocks);
+}
+
+// ============================================================================
+// Block description
+// ============================================================================
+
+/**
+ * Format a number as $XXXX hex.
+ * @param {number} value
+ * @returns {string}
+ */
+function tapeHex(value) {
+  return '$' + value.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Human-readable single-line description of a tape block for the block list.
+ * @param {TapeBlock} block
+ * @returns {string}
+ */
+function describeTapeBlock(block) {
+  const num = String(block.index + 1).padStart(2, '0');
+  const speed = block.kind === 'standard' ? '' : ' [' + block.kind + ']';
+  const bad = block.checksumOk ? '' : ' (bad checksum)';
+
+  if (block.header) {
+    const h = block.header;
+    const typeName = TAPE_HEADER_TYPES[h.type] || ('Type ' + h.type);
+    let params = '';
+    if (h.type === 0) {
+      params = h.param1 < 32768 ? ', LINE ' + h.param1 : '';
+    } else if (h.type === 3) {
+      params = ' @ ' + h.param1 + ' (' + tapeHex(h.param1) + ')';
+    }
+    return num + ': ' + typeName + ': "' + h.name + '" ' + h.length + ' bytes' + params + speed + bad;
+  }
+
+  let label = 'Data';
+  if (block.owner) {
+    label = '"' + block.owner.name + '"';
+  } else if (block.flag !== 0xFF) {
+    label = 'Data (flag ' + tapeHex(block.flag).substring(3) + ')';
+  }
+  return num + ': ' + label + ' ' + block.data.length + ' bytes' + (isTapeScreenBlock(block) ? ' [SCR]' : '') + speed + bad;
+}
+
+/**
+ * Check whether a data block holds a standard 6912-byte screen.
+ * @param {TapeBlock} block
+ * @returns {boolean}
+ */
+function isTapeScreenBlock(block) {
+  if (block.header || block.data.length !== SCREEN.TOTAL_SIZE) return false;
+  // Headerless blocks are accepted by size; with a header it must be CODE
+  return !block.owner || block.owner.type === 3;
+}
+
+// ============================================================================
+// Opening blocks
+// ============================================================================
+
+/**
+ * Open a tape block: screens become SCR pictures, anything else goes to
+ * the Memory Viewer. Selecting a header opens the data block that follows it.
+ * @param {TapeBlock[]} blocks - All blocks on the tape
+ * @param {TapeBlock} block - Selected block
+ * @param {string} baseName - Tape file name without extension
+ */
+function openTapeBlock(blocks, block, baseName) {
+  if (block.header) {
+    const next = blocks[block.index + 1];
+    if (next && next.owner === block.header) block = next;
+  }
+
+  if (isTapeScreenBlock(block)) {
+    const blockName = block.owner ? block.owner.name : 'block' + (block.index + 1);
+    if (typeof addPicture === 'function') {
+      addPicture(baseName + '/' + blockName, FORMAT.SCR, block.data);
+    }
+    return;
+  }
+
+  if (block.data.length === 0) {
+    alert('Tape block ' + (block.index + 1) + ' contains no data.');
+    return;
+  }
+
+  loadRawDataToMemViewer(block.data);
+}
+
+// ============================================================================
+// File Loading Integration
+// ============================================================================
+
+/**
+ * Parse tape bytes and show the block list.
+ * @param {string} fileName - Tape file name (for format detection and naming)
+ * @param {Uint8Array} data - Raw file bytes
+ */
+function loadTapeData(fileName, data) {
+  const ext = fileName.toLowerCase().split('.').pop();
+
+  let blocks;
+  try {
+    blocks = ext === 'tzx' ? parseTzxFile(data) : parseTapFile(data);
+  } catch (e) {
+    alert('Error parsing tape: ' + e.message);
+    return;
+  }
+
+  if (blocks.length === 0) {
+    alert('No data blocks found on tape.');
+    return;
+  }
+
+  const baseName = getShortFileName(fileName).replace(/\.[^.]+$/, '');
+  const labels = blocks.map(describeTapeBlock);
+
+  showZipFileModal(labels, function(label) {
+    const block = blocks[labels.indexOf(label)];
+    if (block) openTapeBlock(blocks, block, baseName);
+  }, 'Select block from tape:');
+}
+
+/**
+ * Load a tape file (.tap or .tzx) and show its block list.
+ * @param {File} file
+ */
+function loadTapeFile(file) {
+  const reader = new FileReader();
+  reader.addEventListener('load', function(event) {
+    const buffer = event.target?.result;
+    if (!(buffer instanceof ArrayBuffer)) return;
+    loadTapeData(file.name, new Uint8Array(buffer));
+  });
+  reader.readAsArrayBuffer(file);
+}
@@ -0,0 +1,521 @@
+// ============================================================================
+// TR-DOS Loader — TRD/SCL disk images, Hobeta files, catalogue browser, writer
+// ============================================================================
+// @ts-check
+"use strict";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const TRDOS = {
+  SECTOR_SIZE: 256,
+  SECTORS_PER_TRACK: 16,
+  TRACKS: 160,                // 80 cylinders × 2 sides (logical tracks)
+  IMAGE_SIZE: 655360,         // 160 × 16 × 256
+  CATALOGUE_ENTRIES: 128,
+  ENTRY_SIZE: 16,
+  INFO_SECTOR_OFFSET: 0x800,  // Sector 8 of track 0: disk info
+  DISK_TYPE_80_DS: 0x16,      // 80 tracks, double sided
+  TRDOS_ID: 0x10,
+  SCL_SIGNATURE: 'SINCLAIR',
+  SCL_ENTRY_SIZE: 14,
+  HOBETA_HEADER_SIZE: 17,
+  SCREEN_START: 16384         // Load address written for screen files
+};
+
+// C-type file lengths that hold a screen, and the format they open as
+const TRDOS_SCREEN_FORMATS = {
+  6912: FORMAT.SCR,
+  6144: FORMAT.MONO_FULL,
+  11136: FORMAT.BSC,
+  13824: FORMAT.GIGASCREEN
+};
+
+/**
+ * @typedef {Object} TrdosFile
+ * @property {string} name - 8-character file name (trailing spaces trimmed)
+ * @property {string} ext - One-character type ('C', 'B', 'D', '#')
+ * @property {number} start - Start address (C) or program+vars length (B)
+ * @property {number} length - File length in bytes
+ * @property {number} sectors - Length in 256-byte sectors
+ * @property {Uint8Array} data - File contents (sectors × 256 bytes)
+ */
+
+/**
+ * @typedef {Object} TrdosDisk
+ * @property {string} name - Source file name (e.g. "game.trd")
+ * @property {string} label - Disk label (TRD only, empty for SCL)
+ * @property {TrdosFile[]} files
+ */
+
+/** @type {TrdosDisk|null} - Last opened disk, used as base when writing an edited screen back */
+let trdosDisk = null;
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+/**
+ * Check if a file is a TR-DOS disk image (.trd or .scl)
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isTrdosDiskFile(fileName) {
+  const ext = fileName.toLowerCase().split('.').pop();
+  return ext === 'trd' || ext === 'scl';
+}
+
+/**
+ * Check if a file is a Hobeta file (.$c, .$b, .$d, .$# ...)
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isHobetaFile(fileName) {
+  const ext = fileName.toLowerCase().split('.').pop() || '';
+  return ext.length === 2 && ext[0] === '$';
+}
+
+/**
+ * Check if a file is any TR-DOS file (disk image or Hobeta)
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isTrdosFile(fileName) {
+  return isTrdosDiskFile(fileName) || isHobetaFile(fileName);
+}
+
+// ============================================================================
+// Parsers
+// ============================================================================
+
+/**
+ * Read an 8-character name + 1-character extension from a catalogue/header entry.
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @returns {{name: string, ext: string}}
+ */
+function readTrdosName(data, offset) {
+  let name = '';
+  for (let i = 0; i < 8; i++) {
+    const c = data[offset + i];
+    name += (c >= 32 && c < 127) ? String.fromCharCode(c) : '?';
+  }
+  const e = data[offset + 8];
+  return {
+    name: name.replace(/\s+$/, ''),
+    ext: (e >= 32 && e < 127) ? String.fromCharCode(e) : '?'
+  };
+}
+
+/**
+ * Parse a .trd disk image: 128-entry catalogue in the first 8 sectors.
+ * @param {Uint8Array} data - Raw image bytes
+ * @returns {{label: string, files: TrdosFile[]}}
+ */
+function parseTrdFile(data) {
+  if (data.length < TRDOS.INFO_SECTOR_OFFSET + TRDOS.SECTOR_SIZE) {
+    throw new Error('File too short for a TR-DOS disk image');
+  }
+
+  const files = [];
+  for (let i = 0; i < TRDOS.CATALOGUE_ENTRIES; i++) {
+    const entry = i * TRDOS.ENTRY_SIZE;
+    const first = data[entry];
+    if (first === 0x00) break;      // End of catalogue
+    if (first === 0x01) continue;   // Deleted file
+
+    const { name, ext } = readTrdosName(data, entry);
+    const sectors = data[entry + 13];
+    const sector = data[entry + 14];
+    const track = data[entry + 15];
+    const offset = (track * TRDOS.SECTORS_PER_TRACK + sector) * TRDOS.SECTOR_SIZE;
+
+    files.push({
+      name, ext,
+      start: data[entry + 9] | (data[entry + 10] << 8),
+      length: data[entry + 11] | (data[entry + 12] << 8),
+      sectors,
+      data: data.subarray(offset, Math.min(offset + sectors * TRDOS.SECTOR_SIZE, data.length))
+    });
+  }
+
+  let label = '';
+  for (let i = 0; i < 8; i++) {
+    const c = data[TRDOS.INFO_SECTOR_OFFSET + 0xF5 + i];
+    if (c >= 32 && c < 127) label += String.fromCharCode(c);
+  }
+
+  return { label: label.trim(), files };
+}
+
+/**
+ * Parse a .scl image: "SINCLAIR", file count, 14-byte headers, then file data.
+ * @param {Uint8Array} data - Raw image bytes
+ * @returns {{label: string, files: TrdosFile[]}}
+ */
+function parseSclFile(data) {
+  let signature = '';
+  for (let i = 0; i < 8; i++) signature += String.fromCharCode(data[i]);
+  if (signature !== TRDOS.SCL_SIGNATURE) {
+    throw new Error('Not an SCL file (missing "SINCLAIR" signature)');
+  }
+
+  const count = data[8];
+  const files = [];
+  let dataOffset = 9 + count * TRDOS.SCL_ENTRY_SIZE;
+
+  for (let i = 0; i < count; i++) {
+    const entry = 9 + i * TRDOS.SCL_ENTRY_SIZE;
+    const { name, ext } = readTrdosName(data, entry);
+    const sectors = data[entry + 13];
+    const size = sectors * TRDOS.SECTOR_SIZE;
+
+    files.push({
+      name, ext,
+      start: data[entry + 9] | (data[entry + 10] << 8),
+      length: data[entry + 11] | (data[entry + 12] << 8),
+      sectors,
+      data: data.subarray(dataOffset, Math.min(dataOffset + size, data.length))
+    });
+    dataOffset += size;
+  }
+
+  return { label: '', files };
+}
+
+/**
+ * Parse a Hobeta file: 17-byte header (TR-DOS catalogue entry + checksum) + data.
+ * @param {Uint8Array} data - Raw file bytes
+ * @returns {TrdosFile}
+ */
+function parseHobetaFile(data) {
+  if (data.length < TRDOS.HOBETA_HEADER_SIZE) {
+    throw new Error('File too short for a Hobeta header');
+  }
+
+  const { name, ext } = readTrdosName(data, 0);
+  return {
+    name, ext,
+    start: data[9] | (data[10] << 8),
+    length: data[11] | (data[12] << 8),
+    sectors: data[14],
+    data: data.subarray(TRDOS.HOBETA_HEADER_SIZE)
+  };
+}
+
+// ============================================================================
+// Catalogue helpers
+// ============================================================================
+
+/**
+ * Get the screen format a file opens as, or null if it is not a screen.
+ * @param {TrdosFile} file
+ * @returns {string|null}
+ */
+function getTrdosScreenFormat(file) {
+  if (file.ext !== 'C') return null;
+  return TRDOS_SCREEN_FORMATS[file.length] || null;
+}
+
+/**
+ * File name as shown in the catalogue and used for picture names ("name.C").
+ * @param {TrdosFile} file
+ * @returns {string}
+ */
+function getTrdosDisplayName(file) {
+  return file.name + '.' + file.ext;
+}
+
+/**
+ * Single-line catalogue description for the file list.
+ * @param {TrdosFile} file
+ * @param {number} index
+ * @returns {string}
+ */
+function describeTrdosFile(file, index) {
+  const num = String(index + 1).padStart(3, '0');
+  const addr = file.ext === 'C' ? ' @ ' + file.start : '';
+  const format = getTrdosScreenFormat(file);
+  const tag = format ? ' [' + getFormatName(format).split(' ')[0] + ']' : '';
+  return num + ': ' + getTrdosDisplayName(file) + '  ' + file.length + addr + ' (' + file.sectors + ' sec)' + tag;
+}
+
+/**
+ * Open a TR-DOS file: screens become pictures, anything else goes to the Memory Viewer.
+ * @param {TrdosFile} file
+ * @param {string} sourceName - Disk/Hobeta file name used as picture name prefix
+ */
+function openTrdosFile(file, sourceName) {
+  const format = getTrdosScreenFormat(file);
+  if (format) {
+    if (file.data.length < file.length) {
+      alert('File "' + getTrdosDisplayName(file) + '" is truncated.');
+      return;
+    }
+    if (typeof addPicture === 'function') {
+      addPicture(sourceName + '/' + getTrdosDisplayName(file), format, file.data.subarray(0, file.length));
+      if (typeof updateFlashTimer === 'function') updateFlashTimer();
+    }
+    return;
+  }
+
+  if (file.data.length === 0) {
+    alert('File "' + getTrdosDisplayName(file) + '" is empty.');
+    return;
+  }
+  loadRawDataToMemViewer(file.data);
+}
+
+// ============================================================================
+// File Loading Integration
+// ============================================================================
+
+/**
+ * Parse TR-DOS bytes (disk image or Hobeta) and open/show the catalogue.
+ * @param {string} fileName - Source file name
+ * @param {Uint8Array} data - Raw file bytes
+ */
+function loadTrdosData(fileName, data) {
+  const shortName = getShortFileName(fileName);
+
+  if (isHobetaFile(fileName)) {
+    let file;
+    try {
+      file = parseHobetaFile(data);
+    } catch (e) {
+      alert('Error parsing Hobeta file: ' + e.message);
+      return;
+    }
+    openTrdosFile(file, shortName);
+    return;
+  }
+
+  let disk;
+  try {
+    disk = fileName.toLowerCase().endsWith('.scl') ? parseSclFile(data) : parseTrdFile(data);
+  } catch (e) {
+    alert('Error parsing disk image: ' + e.message);
+    return;
+  }
+
+  if (disk.files.length === 0) {
+    alert('Disk is empty.');
+    return;
+  }
+
+  trdosDisk = { name: shortName, label: disk.label, files: disk.files };
+
+  const labels = disk.files.map(describeTrdosFile);
+  const title = 'Disk catalogue: ' + shortName + (disk.label ? ' "' + disk.label + '"' : '');
+  showZipFileModal(labels, function(label) {
+    const file = disk.files[labels.indexOf(label)];
+    if (file) openTrdosFile(file, shortName);
+  }, title);
+}
+
+/**
+ * Load a TR-DOS file (.trd, .scl or Hobeta).
+ * @param {File} file
+ */
+function loadTrdosFile(file) {
+  const reader = new FileReader();
+  reader.addEventListener('load', function(event) {
+    const buffer = event.target?.result;
+    if (!(buffer instanceof ArrayBuffer)) return;
+    loadTrdosData(file.name, new Uint8Array(buffer));
+  });
+  reader.readAsArrayBuffer(file);
+}
+
+// ============================================================================
+// Writers
+// ============================================================================
+
+/**
+ * Write 8-char name + 1-char extension into a catalogue/header entry.
+ * @param {Uint8Array} out
+ * @param {number} offset
+ * @param {TrdosFile} file
+ */
+function writeTrdosName(out, offset, file) {
+  const name = file.name.padEnd(8, ' ').substring(0, 8);
+  for (let i = 0; i < 8; i++) out[offset + i] = name.charCodeAt(i) & 0x7F;
+  out[offset + 8] = file.ext.charCodeAt(0) & 0x7F;
+}
+
+/**
+ * Build a .trd disk image (80 tracks, double sided) from a file list.
+ * @param {TrdosFile[]} files
+ * @param {string} label - Disk label (up to 8 characters)
+ * @returns {Uint8Array}
+ */
+function buildTrdImage(files, label) {
+  const out = new Uint8Array(TRDOS.IMAGE_SIZE);
+  const totalSectors = TRDOS.TRACKS * TRDOS.SECTORS_PER_TRACK;
+
+  // Files start on track 1 (track 0 holds catalogue and disk info)
+  let logicalSector = TRDOS.SECTORS_PER_TRACK;
+
+  files.forEach((file, i) => {
+    if (i >= TRDOS.CATALOGUE_ENTRIES) throw new Error('Too many files for one disk (max 128)');
+    if (logicalSector + file.sectors > totalSectors) throw new Error('Files do not fit on a 640K disk');
+
+    const entry = i * TRDOS.ENTRY_SIZE;
+    writeTrdosName(out, entry, file);
+    out[entry + 9] = file.start & 0xFF;
+    out[entry + 10] = (file.start >> 8) & 0xFF;
+    out[entry + 11] = file.length & 0xFF;
+    out[entry + 12] = (file.length >> 8) & 0xFF;
+    out[entry + 13] = file.sectors;
+    out[entry + 14] = logicalSector % TRDOS.SECTORS_PER_TRACK;
+    out[entry + 15] = Math.floor(logicalSector / TRDOS.SECTORS_PER_TRACK);
+
+    out.set(file.data.subarray(0, file.sectors * TRDOS.SECTOR_SIZE), logicalSector * TRDOS.SECTOR_SIZE);
+    logicalSector += file.sectors;
+  });
+
+  // Disk info sector
+  const info = TRDOS.INFO_SECTOR_OFFSET;
+  const free = totalSectors - logicalSector;
+  out[info + 0xE1] = logicalSector % TRDOS.SECTORS_PER_TRACK;
+  out[info + 0xE2] = Math.floor(logicalSector / TRDOS.SECTORS_PER_TRACK);
+  out[info + 0xE3] = TRDOS.DISK_TYPE_80_DS;
+  out[info + 0xE4] = files.length;
+  out[info + 0xE5] = free & 0xFF;
+  out[info + 0xE6] = (free >> 8) & 0xFF;
+  out[info + 0xE7] = TRDOS.TRDOS_ID;
+  for (let i = 0; i < 9; i++) out[info + 0xEA + i] = 0x20;
+  out[info + 0xF4] = 0;  // Deleted files
+  const diskLabel = label.padEnd(8, ' ').substring(0, 8);
+  for (let i = 0; i < 8; i++) out[info + 0xF5 + i] = diskLabel.charCodeAt(i) & 0x7F;
+
+  return out;
+}
+
+/**
+ * Build a .scl image from a file list.
+ * @param {TrdosFile[]} files
+ * @returns {Uint8Array}
+ */
+function buildSclImage(files) {
+  if (files.length > 255) throw new Error('Too many files for an SCL image (max 255)');
+
+  const dataSize = files.reduce((sum, f) => sum + f.sectors * TRDOS.SECTOR_SIZE, 0);
+  const headerSize = 9 + files.length * TRDOS.SCL_ENTRY_SIZE;
+  const out = new Uint8Array(headerSize + dataSize + 4);
+
+  for (let i = 0; i < 8; i++) out[i] = TRDOS.SCL_SIGNATURE.charCodeAt(i);
+  out[8] = files.length;
+
+  let dataOffset = headerSize;
+  files.forEach((file, i) => {
+    const entry = 9 + i * TRDOS.SCL_ENTRY_SIZE;
+    writeTrdosName(out, entry, file);
+    out[entry + 9] = file.start & 0xFF;
+    out[entry + 10] = (file.start >> 8) & 0xFF;
+    out[entry + 11] = file.length & 0xFF;
+    out[entry + 12] = (file.length >> 8) & 0xFF;
+    out[entry + 13] = file.sectors;
+    out.set(file.data.subarray(0, file.sectors * TRDOS.SECTOR_SIZE), dataOffset);
+    dataOffset += file.sectors * TRDOS.SECTOR_SIZE;
+  });
+
+  // Checksum: 32-bit sum of all preceding bytes
+  let sum = 0;
+  for (let i = 0; i < dataOffset; i++) sum = (sum + out[i]) >>> 0;
+  out[dataOffset] = sum & 0xFF;
+  out[dataOffset + 1] = (sum >>> 8) & 0xFF;
+  out[dataOffset + 2] = (sum >>> 16) & 0xFF;
+  out[dataOffset + 3] = (sum >>> 24) & 0xFF;
+
+  return out;
+}
+
+/**
+ * Create a C-type TR-DOS file holding screen data, padded to whole sectors.
+ * @param {string} name - File name (truncated to 8 characters)
+ * @param {Uint8Array} data - Screen bytes
+ * @returns {TrdosFile}
+ */
+function createTrdosScreenFile(name, data) {
+  const sectors = Math.ceil(data.length / TRDOS.SECTOR_SIZE);
+  const padded = new Uint8Array(sectors * TRDOS.SECTOR_SIZE);
+  padded.set(data);
+  return {
+    name: name.substring(0, 8),
+    ext: 'C',
+    start: TRDOS.SCREEN_START,
+    length: data.length,
+    sectors,
+    data: padded
+  };
+}
+
+// ============================================================================
+// Export current screen
+// ============================================================================
+
+/**
+ * Check whether the current format can be written to a TR-DOS image.
+ * @returns {boolean}
+ */
+function canExportToTrdos() {
+  return Object.values(TRDOS_SCREEN_FORMATS).includes(currentFormat);
+}
+
+/**
+ * Write the current screen into a new .trd or .scl image and download it.
+ * If the picture was opened from the last loaded disk, the new image is a copy
+ * of that disk with the screen file replaced; any other picture goes on a new
+ * empty disk.
+ * @param {'trd'|'scl'} imageType
+ */
+function exportScreenToTrdos(imageType) {
+  if (!canExportToTrdos() || screenData.length === 0) {
+    alert('Only SCR, monochrome, BSC and Gigascreen pictures can be written to a TR-DOS disk.');
+    return;
+  }
+
+  if (typeof layersEnabled !== 'undefined' && layersEnabled && layers.length > 0 &&
+      typeof flattenLayersToScreen === 'function') {
+    flattenLayersToScreen();
+  }
+
+  const sizeByFormat = Object.keys(TRDOS_SCREEN_FORMATS).find(k => TRDOS_SCREEN_FORMATS[k] === currentFormat);
+  const screen = screenData.slice(0, Number(sizeByFormat));
+
+  // Only a picture opened from the last disk is written back into a copy of it
+  const sourceDisk = trdosDisk && currentFileName.startsWith(trdosDisk.name + '/') ? trdosDisk : null;
+
+  /** @type {TrdosFile[]} */
+  const files = sourceDisk ? sourceDisk.files.slice() : [];
+  const label = sourceDisk ? sourceDisk.label : '';
+
+  // Replace the source file on the disk
+  let replaced = false;
+  if (sourceDisk) {
+    const displayName = currentFileName.substring(sourceDisk.name.length + 1);
+    const idx = files.findIndex(f => getTrdosDisplayName(f) === displayName);
+    if (idx >= 0) {
+      const file = createTrdosScreenFile(files[idx].name, screen);
+      file.start = files[idx].start;
+      files[idx] = file;
+      replaced = true;
+    }
+  }
+  if (!replaced) {
+    files.push(createTrdosScreenFile(getAsmBaseName(currentFileName, 'screen'), screen));
+  }
+
+  let image;
+  try {
+    image = imageType === 'scl' ? buildSclImage(files) : buildTrdImage(files, label);
+  } catch (e) {
+    alert('Error writing disk image: ' + e.message);
+    return;
+  }
+
+  const baseName = sourceDisk ? sourceDisk.name.replace(/\.[^.]+$/, '') : getAsmBaseName(currentFileName, 'screen');
+  downloadFile(new Blob([image], { type: 'application/octet-stream' }), baseName + '.' + imageType);
+}
@@ -8,9 +8,10 @@
  * @param {Uint8Array} ulaPlusData - 6976 bytes (6912 SCR + 64 palette)
  * @param {string} baseName - Base filename for SAVESNA output
  * @param {boolean} embedData - Embed data as DB lines (true) or use INCBIN (false)
+ * @param {AsmPacker|null} [packer=null] - Pack the screen and unpack it at start (always embedded)
  * @returns {{asm: string}|null} Complete ASM source code or null on error
  */
-function generateUlaPlusAsm(ulaPlusData, baseName = 'ulaplus', embedData = true) {
+function generateUlaPlusAsm(ulaPlusData, baseName = 'ulaplus', embedData = true, packer = null) {
   if (!ulaPlusData || ulaPlusData.length < ULAPLUS.TOTAL_SIZE) return null;
 
   const scrData = Array.from(ulaPlusData.slice(0, 6912));
@@ -48,11 +49,18 @@ function generateUlaPlusAsm(ulaPlusData, baseName = 'ulaplus', embedData = true)
   asm.push('');
 
   // === Copy screen data ===
-  asm.push('    ; Copy screen data to #4000 (6912 bytes: 6144 bitmap + 768 attributes)');
-  asm.push('    LD HL,ScrData');
-  asm.push('    LD DE,#4000');
-  asm.push('    LD BC,6912');
-  asm.push('    LDIR');
+  if (packer) {
+    asm.push('    LD SP,#8000               ; Stack for the unpacker');
+    asm.push('');
+    asm.push('    ; Unpack screen data to #4000 (6912 bytes: 6144 bitmap + 768 attributes)');
+    emitAsmUnpack(asm, 'ScrData', '#4000', packer);
+  } else {
+    asm.push('    ; Copy screen data to #4000 (6912 bytes: 6144 bitmap + 768 attributes)');
+    asm.push('    LD HL,ScrData');
+    asm.push('    LD DE,#4000');
+    asm.push('    LD BC,6912');
+    asm.push('    LDIR');
+  }
   asm.push('');
 
   // === Program palette and enable ULA+ ===
@@ -99,10 +107,14 @@ function generateUlaPlusAsm(ulaPlusData, baseName = 'ulaplus', embedData = true)
   asm.push('; Data');
   asm.push('; ============================================================================');
   asm.push('');
-  asm.push('ScrData:                     ; 6912 bytes (bitmap + attributes)');
-  if (embedData) {
+  if (packer) {
+    emitAsmUnpacker(asm, packer);
+    emitAsmPackedData(asm, 'ScrData', scrData, packer);
+  } else if (embedData) {
+    asm.push('ScrData:                     ; 6912 bytes (bitmap + attributes)');
     asm.push(formatDbLines(scrData, 16));
   } else {
+    asm.push('ScrData:                     ; 6912 bytes (bitmap + attributes)');
     asm.push(`    INCBIN "${baseName}.scr", 0, 6912`);
   }
   asm.push('');
@@ -119,16 +131,17 @@ function generateUlaPlusAsm(ulaPlusData, baseName = 'ulaplus', embedData = true)
 
 /**
  * Exports ULA+ picture as sjasmplus ASM source file.
+ * @param {'asm'|'sna'|'tap'|'preview'} [output='asm'] - Download the source, assemble it into a .sna or .tap, or run it in the emulator
  */
-function exportUlaPlusAsm() {
+function exportUlaPlusAsm(output = 'asm') {
   if (currentFormat !== FORMAT.SCR_ULAPLUS || !screenData || screenData.length < ULAPLUS.TOTAL_SIZE) {
     alert('Export ASM is only available for ULA+ format.');
     return;
   }
 
   const baseName = getAsmBaseName(currentFileName, 'ulaplus');
-  const result = generateUlaPlusAsm(screenData, baseName, getAsmEmbedData());
+  const result = generateUlaPlusAsm(screenData, baseName, getAsmEmbedData(), getAsmPacker());
   if (!result) return;
 
-  downloadFile(result.asm, baseName + '.asm');
+  outputAsmBuild(result.asm, baseName, output, () => screenData);
 }
@@ -0,0 +1,1407 @@
+// ============================================================================
+// Z80 Assembler — assembles the ASM exporters' sjasmplus source in the browser
+// and builds runnable .sna/.tap files from it
+// ============================================================================
+// Supported subset: the documented Z80 instruction set (plus IXH/IXL/IYH/IYL
+// and SLL), global, .local and numeric (1: / 1B / 1F) labels, EQU / = / DEFL,
+// DEVICE ZXSPECTRUM48/128, SLOT, PAGE, ORG, DB/DW/DS, ALIGN, DUP/EDUP with an
+// index variable, IF/ELSEIF/ELSE/ENDIF, ASSERT, INCBIN and SAVESNA.
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** @type {number} - Assembly passes tried before giving up on moving labels */
+const Z80_ASM_MAX_PASSES = 8;
+
+/** @type {Object<string, number>} - 8-bit register codes in opcodes */
+const Z80_REG8 = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, A: 7 };
+
+/** @type {Object<string, number>} - Register pair codes (SP slot; PUSH/POP use AF) */
+const Z80_REG16 = { BC: 0, DE: 1, HL: 2, SP: 3 };
+
+/** @type {Object<string, number>} - Condition codes */
+const Z80_COND = { NZ: 0, Z: 1, NC: 2, C: 3, PO: 4, PE: 5, P: 6, M: 7 };
+
+/** @type {Object<string, number>} - 8-bit arithmetic/logic operations */
+const Z80_ALU = { ADD: 0, ADC: 1, SUB: 2, SBC: 3, AND: 4, XOR: 5, OR: 6, CP: 7 };
+
+/** @type {Object<string, number>} - CB-prefixed rotates and shifts */
+const Z80_SHIFT = { RLC: 0, RRC: 1, RL: 2, RR: 3, SLA: 4, SRA: 5, SLL: 6, SLI: 6, SRL: 7 };
+
+/** @type {Object<string, number[]>} - Instructions without operands */
+const Z80_IMPLIED = {
+  NOP: [0x00], RLCA: [0x07], RRCA: [0x0F], RLA: [0x17], RRA: [0x1F], DAA: [0x27], CPL: [0x2F],
+  SCF: [0x37], CCF: [0x3F], HALT: [0x76], EXX: [0xD9], DI: [0xF3], EI: [0xFB],
+  NEG: [0xED, 0x44], RETN: [0xED, 0x45], RETI: [0xED, 0x4D], RRD: [0xED, 0x67], RLD: [0xED, 0x6F],
+  LDI: [0xED, 0xA0], CPI: [0xED, 0xA1], INI: [0xED, 0xA2], OUTI: [0xED, 0xA3],
+  LDD: [0xED, 0xA8], CPD: [0xED, 0xA9], IND: [0xED, 0xAA], OUTD: [0xED, 0xAB],
+  LDIR: [0xED, 0xB0], CPIR: [0xED, 0xB1], INIR: [0xED, 0xB2], OTIR: [0xED, 0xB3],
+  LDDR: [0xED, 0xB8], CPDR: [0xED, 0xB9], INDR: [0xED, 0xBA], OTDR: [0xED, 0xBB]
+};
+
+/** @type {Set<string>} - Directives (recognised even when not indented) */
+const Z80_DIRECTIVES = new Set([
+  'DEVICE', 'SLOT', 'PAGE', 'ORG', 'DB', 'DEFB', 'BYTE', 'DM', 'DEFM', 'DW', 'DEFW', 'WORD',
+  'DS', 'DEFS', 'BLOCK', 'ALIGN', 'DUP', 'REPT', 'EDUP', 'ENDR', 'IF', 'ELSEIF', 'ELSE', 'ENDIF',
+  'ASSERT', 'INCBIN', 'SAVESNA', 'DISPLAY', 'OUTPUT', 'END', 'EQU', 'DEFL'
+]);
+
+/** @type {number} - Register values a snapshot starts with (as left by the 48K ROM) */
+const Z80_ASM_IY = 0x5C3A;
+
+/** @type {number} - Stack top for SAVESNA and the tape loader (printer buffer) */
+const Z80_ASM_STACK = 0x5C00;
+
+/** @type {number} - BASIC program start (PROG) on 48K and 128K machines */
+const TAP_LOADER_PROG = 23755;
+
+/** @type {number} - Tape loader code address: in the REM of line 10 */
+const TAP_LOADER_ORG = TAP_LOADER_PROG + 5;
+
+/** @type {number} - Unused gaps shorter than this are loaded rather than splitting a block */
+const TAP_BLOCK_GAP = 256;
+
+// ============================================================================
+// Source Parsing
+// ============================================================================
+
+/**
+ * Removes a ; or // comment, leaving strings and character literals intact.
+ * @param {string} line
+ * @returns {string}
+ */
+function stripZ80Comment(line) {
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      i++;
+      while (i < line.length && line[i] !== '"') {
+        if (line[i] === '\\') i++;
+        i++;
+      }
+    } else if (ch === "'" && line[i + 2] === "'") {
+      i += 2;
+    } else if (ch === ';' || (ch === '/' && line[i + 1] === '/')) {
+      return line.substring(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Splits text on a separator character outside strings, character literals
+ * and parentheses.
+ * @param {string} text
+ * @param {string} sep - ',' for operands, ':' for statements
+ * @returns {string[]} Trimmed parts
+ */
+function splitZ80(text, sep) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\') i++;
+        i++;
+      }
+    } else if (ch === "'" && text[i + 2] === "'") {
+      i += 2;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === sep && depth === 0) {
+      parts.push(text.substring(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.substring(start).trim());
+  return parts;
+}
+
+/**
+ * Decodes a double-quoted string literal (with C-style escapes) to bytes.
+ * @param {string} text - Literal including the quotes
+ * @returns {number[]}
+ */
+function decodeZ80String(text) {
+  const escapes = { n: 10, r: 13, t: 9, '0': 0, '\\': 92, '"': 34, "'": 39 };
+  const bytes = [];
+  for (let i = 1; i < text.length - 1; i++) {
+    if (text[i] === '\\' && i + 1 < text.length - 1) {
+      i++;
+      bytes.push(escapes[text[i]] ?? text.charCodeAt(i));
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xFF);
+    }
+  }
+  return bytes;
+}
+
+// ============================================================================
+// Expressions
+// ============================================================================
+
+/**
+ * @typedef {(st: Z80AsmState) => number} Z80Expr
+ */
+
+/** Binary operators from lowest to highest precedence */
+const Z80_BINARY_LEVELS = [
+  ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!=', '<>'], ['<=', '>=', '<', '>'],
+  ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+];
+
+/** @type {Object<string, (a: number, b: number, st: Z80AsmState) => number>} */
+const Z80_BINARY_OPS = {
+  '||': (a, b) => (a || b) ? 1 : 0,
+  '&&': (a, b) => (a && b) ? 1 : 0,
+  '|': (a, b) => a | b,
+  '^': (a, b) => a ^ b,
+  '&': (a, b) => a & b,
+  '==': (a, b) => a === b ? 1 : 0,
+  '!=': (a, b) => a !== b ? 1 : 0,
+  '<>': (a, b) => a !== b ? 1 : 0,
+  '<=': (a, b) => a <= b ? 1 : 0,
+  '>=': (a, b) => a >= b ? 1 : 0,
+  '<': (a, b) => a < b ? 1 : 0,
+  '>': (a, b) => a > b ? 1 : 0,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >> b,
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b, st) => b ? Math.trunc(a / b) : st.fail('Division by zero'),
+  '%': (a, b, st) => b ? a % b : st.fail('Division by zero')
+};
+
+/**
+ * Compiles an expression into a function of the assembler state.
+ * Numbers: 123, #FF, $FF, 0xFF, 0FFh, %1010, 'c'. $ is the current address;
+ * 1B / 1F refer to the previous / next numeric label 1:.
+ * @param {string} text
+ * @param {string} scope - Last global label, prefixed to .local names
+ * @returns {Z80Expr}
+ */
+function compileZ80Expr(text, scope) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && (text[pos] === ' ' || text[pos] === '\t')) pos++;
+  };
+
+  /**
+   * @param {string[]} ops
+   * @returns {string|null}
+   */
+  const matchOp = (ops) => {
+    skipSpace();
+    for (const op of ops) {
+      if (!text.startsWith(op, pos)) continue;
+      const next = text[pos + op.length];
+      // Single-character operators must not be the start of a longer one
+      if (op === '|' && next === '|') continue;
+      if (op === '&' && next === '&') continue;
+      if ((op === '<' || op === '>') && (next === '<' || next === '>' || next === '=')) continue;
+      pos += op.length;
+      return op;
+    }
+    return null;
+  };
+
+  /**
+   * @param {number} level
+   * @returns {Z80Expr}
+   */
+  const parseBinary = (level) => {
+    if (level >= Z80_BINARY_LEVELS.length) return parseUnary();
+    let left = parseBinary(level + 1);
+    for (let op = matchOp(Z80_BINARY_LEVELS[level]); op; op = matchOp(Z80_BINARY_LEVELS[level])) {
+      const fn = Z80_BINARY_OPS[op];
+      const a = left;
+      const b = parseBinary(level + 1);
+      left = (st) => fn(a(st), b(st), st);
+    }
+    return left;
+  };
+
+  /** @returns {Z80Expr} */
+  const parseUnary = () => {
+    skipSpace();
+    const ch = text[pos];
+    if (ch === '-' || ch === '+' || ch === '~' || (ch === '!' && text[pos + 1] !== '=')) {
+      pos++;
+      const a = parseUnary();
+      if (ch === '-') return (st) => -a(st);
+      if (ch === '~') return (st) => ~a(st);
+      if (ch === '!') return (st) => a(st) ? 0 : 1;
+      return a;
+    }
+    const word = /^(LOW|HIGH)\b/i.exec(text.substring(pos));
+    if (word) {
+      pos += word[0].length;
+      const a = parseUnary();
+      return word[0].toUpperCase() === 'LOW' ? (st) => a(st) & 0xFF : (st) => (a(st) >> 8) & 0xFF;
+    }
+    return parsePrimary();
+  };
+
+  /** @returns {Z80Expr} */
+  const parsePrimary = () => {
+    skipSpace();
+    const rest = text.substring(pos);
+    let m;
+
+    if (rest[0] === '(') {
+      pos++;
+      const inner = parseBinary(0);
+      skipSpace();
+      if (text[pos] !== ')') throw new Error(`Missing ) in "${text}"`);
+      pos++;
+      return inner;
+    }
+    if ((m = /^(?:#|\$|0x)([0-9A-Fa-f]+)/.exec(rest)) || (m = /^([0-9][0-9A-Fa-f]*)[hH](?![\w])/.exec(rest))) {
+      pos += m[0].length;
+      const value = parseInt(m[1], 16);
+      return () => value;
+    }
+    if (rest[0] === '$') {
+      pos++;
+      return (st) => st.origin;
+    }
+    if ((m = /^%([01]+)/.exec(rest))) {
+      pos += m[0].length;
+      const value = parseInt(m[1], 2);
+      return () => value;
+    }
+    if ((m = /^(\d+)([bBfF])(?![\w])/.exec(rest))) {
+      pos += m[0].length;
+      const name = m[1];
+      return m[2].toUpperCase() === 'B' ? (st) => st.tempLabel(name, -1) : (st) => st.tempLabel(name, 0);
+    }
+    if ((m = /^\d+/.exec(rest))) {
+      pos += m[0].length;
+      const value = parseInt(m[0], 10);
+      return () => value;
+    }
+    if ((m = /^'(.)'/.exec(rest)) || (m = /^"(.)"/.exec(rest))) {
+      pos += m[0].length;
+      const value = m[1].charCodeAt(0) & 0xFF;
+      return () => value;
+    }
+    if ((m = /^[A-Za-z_.@?][\w.@?]*/.exec(rest))) {
+      pos += m[0].length;
+      const name = m[0].startsWith('.') ? scope + m[0] : m[0];
+      return (st) => st.symbol(name);
+    }
+    throw new Error(`Bad expression "${text}"`);
+  };
+
+  const expr = parseBinary(0);
+  skipSpace();
+  if (pos < text.length) throw new Error(`Bad expression "${text}"`);
+  return expr;
+}
+
+// ============================================================================
+// Instruction Encoding
+// ============================================================================
+
+/**
+ * Parsed operand. kind: 'reg' (A, BC, IX, I, AF' ...), 'ind' ((HL), (BC), (C),
+ * (IX) ...), 'idx' ((IX+d)), 'mem' ((nn)) or 'imm' (nn).
+ * @typedef {Object} Z80Operand
+ * @property {string} kind
+ * @property {string} text - Source text
+ * @property {string} [name] - Register name (upper case)
+ * @property {Z80Expr} [expr] - Address, value or displacement
+ */
+
+/**
+ * Encoded instruction part: a fixed byte, or an expression emitted as
+ * 'n' (byte), 'nn' (word), 'd' (index displacement), 'e' (relative jump),
+ * or combined with a base opcode ('bit', 'rst', 'im').
+ * @typedef {number|{type: string, expr: Z80Expr, base?: number}} Z80Part
+ */
+
+/** @type {Set<string>} */
+const Z80_REGISTERS = new Set([
+  'A', 'B', 'C', 'D', 'E', 'H', 'L', 'F', 'I', 'R', 'IXH', 'IXL', 'IYH', 'IYL',
+  'AF', "AF'", 'BC', 'DE', 'HL', 'SP', 'IX', 'IY'
+]);
+
+/**
+ * Parses one instruction operand.
+ * @param {string} text
+ * @param {string} scope
+ * @returns {Z80Operand}
+ */
+function parseZ80Operand(text, scope) {
+  const upper = text.toUpperCase();
+  if (Z80_REGISTERS.has(upper)) return { kind: 'reg', text, name: upper };
+
+  // Whole operand in parentheses: memory access
+  if (isZ80Wrapped(text)) {
+    const inner = text.substring(1, text.length - 1).trim();
+    const innerUpper = inner.toUpperCase();
+    if (['HL', 'BC', 'DE', 'SP', 'C', 'IX', 'IY'].includes(innerUpper)) return { kind: 'ind', text, name: innerUpper };
+    const idx = /^(IX|IY)\s*([+-].*)$/i.exec(inner);
+    if (idx) return { kind: 'idx', text, name: idx[1].toUpperCase(), expr: compileZ80Expr(idx[2], scope) };
+    return { kind: 'mem', text, expr: compileZ80Expr(inner, scope) };
+  }
+
+  return { kind: 'imm', text, expr: compileZ80Expr(text, scope) };
+}
+
+/**
+ * Checks whether text is entirely wrapped in one pair of parentheses,
+ * as in (nn) but not (a+1)*(b).
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isZ80Wrapped(text) {
+  if (!text.startsWith('(') || !text.endsWith(')')) return false;
+  let depth = 0;
+  for (let i = 0; i < text.length - 1; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Resolves an operand usable as an 8-bit register in the r field of an opcode:
+ * B C D E H L (HL) A, IXH/IXL/IYH/IYL and (IX+d)/(IY+d).
+ * @param {Z80Operand} op
+ * @returns {{code: number, prefix: number, disp: Z80Expr|null}|null}
+ */
+function getZ80Reg8(op) {
+  if (op.kind === 'reg' && op.name && op.name in Z80_REG8) return { code: Z80_REG8[op.name], prefix: 0, disp: null };
+  if (op.kind === 'reg' && op.name && /^I[XY][HL]$/.test(op.name)) {
+    return { code: op.name[2] === 'H' ? 4 : 5, prefix: op.name[1] === 'X' ? 0xDD : 0xFD, disp: null };
+  }
+  if (op.kind === 'ind' && op.name === 'HL') return { code: 6, prefix: 0, disp: null };
+  if (op.kind === 'ind' && (op.name === 'IX' || op.name === 'IY')) {
+    return { code: 6, prefix: op.name === 'IX' ? 0xDD : 0xFD, disp: () => 0 };
+  }
+  if (op.kind === 'idx' && op.expr) return { code: 6, prefix: op.name === 'IX' ? 0xDD : 0xFD, disp: op.expr };
+  return null;
+}
+
+/**
+ * Resolves a register pair: BC DE HL SP, or IX/IY in place of HL.
+ * @param {Z80Operand} op
+ * @param {boolean} [withAF] - AF instead of SP (PUSH/POP)
+ * @returns {{code: number, prefix: number}|null}
+ */
+function getZ80Reg16(op, withAF = false) {
+  if (op.kind !== 'reg' || !op.name) return null;
+  if (op.name === 'IX') return { code: 2, prefix: 0xDD };
+  if (op.name === 'IY') return { code: 2, prefix: 0xFD };
+  if (withAF && op.name === 'AF') return { code: 3, prefix: 0 };
+  if (withAF && op.name === 'SP') return null;
+  return op.name in Z80_REG16 ? { code: Z80_REG16[op.name], prefix: 0 } : null;
+}
+
+/**
+ * Builds the parts of an instruction with an 8-bit register operand:
+ * [prefix] opcode [d] for a plain opcode, [prefix] CB [d] opcode for CB ops.
+ * @param {{code: number, prefix: number, disp: Z80Expr|null}} r
+ * @param {number|Z80Part} opcode - Opcode with the register field filled in
+ * @param {boolean} [cb] - CB-prefixed instruction
+ * @returns {Z80Part[]}
+ */
+function withZ80Reg8(r, opcode, cb = false) {
+  /** @type {Z80Part[]} */
+  const parts = r.prefix ? [r.prefix] : [];
+  if (cb) parts.push(0xCB);
+  // Indexed CB instructions put the displacement before the opcode
+  if (cb && r.disp) {
+    parts.push({ type: 'd', expr: r.disp }, opcode);
+    return parts;
+  }
+  parts.push(opcode);
+  if (r.disp) parts.push({ type: 'd', expr: r.disp });
+  return parts;
+}
+
+/**
+ * Encodes an instruction into parts.
+ * @param {string} mnemonic - Upper case
+ * @param {string[]} texts - Operand texts
+ * @param {string} scope
+ * @returns {Z80Part[]}
+ */
+function encodeZ80(mnemonic, texts, scope) {
+  const operands = texts.join(',');
+  const bad = () => new Error(`Invalid operands: ${mnemonic} ${operands}`);
+
+  if (mnemonic in Z80_IMPLIED) {
+    if (texts.length) throw bad();
+    return Z80_IMPLIED[mnemonic];
+  }
+
+  // Conditions are not operands: C is the carry flag here, not register C
+  let cond = -1;
+  if (['JP', 'JR', 'CALL', 'RET'].includes(mnemonic) && (texts.length === 2 || (mnemonic === 'RET' && texts.length === 1))) {
+    const name = texts[0].toUpperCase();
+    if (!(name in Z80_COND)) throw bad();
+    cond = Z80_COND[name];
+    texts = texts.slice(1);
+  }
+
+  const ops = texts.map(t => parseZ80Operand(t, scope));
+  const [a, b] = ops;
+  const n = (op) => ({ type: 'n', expr: /** @type {Z80Expr} */ (op.expr) });
+  const nn = (op) => ({ type: 'nn', expr: /** @type {Z80Expr} */ (op.expr) });
+  const e = (op) => ({ type: 'e', expr: /** @type {Z80Expr} */ (op.expr) });
+  const isReg = (op, name) => op && op.kind === 'reg' && op.name === name;
+
+  switch (mnemonic) {
+    case 'LD': {
+      if (ops.length !== 2) throw bad();
+      // Accumulator and special register forms
+      if (isReg(a, 'A') && b.kind === 'ind' && (b.name === 'BC' || b.name === 'DE')) return [b.name === 'BC' ? 0x0A : 0x1A];
+      if (isReg(a, 'A') && b.kind === 'mem') return [0x3A, nn(b)];
+      if (isReg(a, 'A') && isReg(b, 'I')) return [0xED, 0x57];
+      if (isReg(a, 'A') && isReg(b, 'R')) return [0xED, 0x5F];
+      if (a.kind === 'ind' && (a.name === 'BC' || a.name === 'DE') && isReg(b, 'A')) return [a.name === 'BC' ? 0x02 : 0x12];
+      if (a.kind === 'mem' && isReg(b, 'A')) return [0x32, nn(a)];
+      if (isReg(a, 'I') && isReg(b, 'A')) return [0xED, 0x47];
+      if (isReg(a, 'R') && isReg(b, 'A')) return [0xED, 0x4F];
+
+      // 8-bit loads
+      const d = getZ80Reg8(a);
+      const s = getZ80Reg8(b);
+      if (d && s) {
+        const badCombination = () => new Error(`Invalid operand combination: ${mnemonic} ${operands}`);
+        if (d.code === 6 && s.code === 6) throw bad();
+        // IX halves and IY halves cannot meet in one instruction
+        if (d.prefix && s.prefix && (d.prefix !== s.prefix || d.disp || s.disp)) throw badCombination();
+        // With (IX+d), H and L keep their meaning; otherwise IXH/IXL replace them
+        if ((d.disp && s.prefix) || (s.disp && d.prefix)) throw badCombination();
+        // Under a DD/FD prefix H, L and (HL) would silently become IXH, IXL and (IX+0)
+        const half = d.prefix && !d.disp ? s : s.prefix && !s.disp ? d : null;
+        if (half && !half.prefix && half.code >= 4 && half.code <= 6) throw badCombination();
+        const r = d.disp ? d : s.disp ? s : d.prefix ? d : s;
+        return withZ80Reg8(r, 0x40 + d.code * 8 + s.code);
+      }
+      if (d && b.kind === 'imm') return [...withZ80Reg8(d, 0x06 + d.code * 8), n(b)];
+
+      // 16-bit loads
+      if (isReg(a, 'SP') && (isReg(b, 'HL') || isReg(b, 'IX') || isReg(b, 'IY'))) {
+        const r = /** @type {{code: number, prefix: number}} */ (getZ80Reg16(b));
+        return r.prefix ? [r.prefix, 0xF9] : [0xF9];
+      }
+      const dd = getZ80Reg16(a);
+      if (dd && b.kind === 'imm') return [...(dd.prefix ? [dd.prefix] : []), 0x01 + dd.code * 16, nn(b)];
+      if (dd && b.kind === 'mem') {
+        if (dd.code === 2) return [...(dd.prefix ? [dd.prefix] : []), 0x2A, nn(b)];
+        return [0xED, 0x4B + dd.code * 16, nn(b)];
+      }
+      const ss = getZ80Reg16(b);
+      if (a.kind === 'mem' && ss) {
+        if (ss.code === 2) return [...(ss.prefix ? [ss.prefix] : []), 0x22, nn(a)];
+        return [0xED, 0x43 + ss.code * 16, nn(a)];
+      }
+      throw bad();
+    }
+
+    case 'ADD': case 'ADC': case 'SUB': case 'SBC': case 'AND': case 'XOR': case 'OR': case 'CP': {
+      // 16-bit arithmetic
+      if (ops.length === 2 && (isReg(a, 'HL') || isReg(a, 'IX') || isReg(a, 'IY'))) {
+        const dst = /** @type {{code: number, prefix: number}} */ (getZ80Reg16(a));
+        const src = getZ80Reg16(b);
+        if (!src || (src.code === 2 && src.prefix !== dst.prefix)) throw bad();
+        if (mnemonic === 'ADD') return [...(dst.prefix ? [dst.prefix] : []), 0x09 + src.code * 16];
+        if (dst.prefix || (mnemonic !== 'ADC' && mnemonic !== 'SBC')) throw bad();
+        return [0xED, (mnemonic === 'ADC' ? 0x4A : 0x42) + src.code * 16];
+      }
+      if (ops.length === 2 && !isReg(a, 'A')) throw bad();
+      if (ops.length !== 1 && ops.length !== 2) throw bad();
+      const src = ops[ops.length - 1];
+      const alu = Z80_ALU[mnemonic];
+      const r = getZ80Reg8(src);
+      if (r) return withZ80Reg8(r, 0x80 + alu * 8 + r.code);
+      if (src.kind === 'imm') return [0xC6 + alu * 8, n(src)];
+      throw bad();
+    }
+
+    case 'INC': case 'DEC': {
+      if (ops.length !== 1) throw bad();
+      const r = getZ80Reg8(a);
+      if (r) return withZ80Reg8(r, (mnemonic === 'INC' ? 0x04 : 0x05) + r.code * 8);
+      const rr = getZ80Reg16(a);
+      if (rr) return [...(rr.prefix ? [rr.prefix] : []), (mnemonic === 'INC' ? 0x03 : 0x0B) + rr.code * 16];
+      throw bad();
+    }
+
+    case 'PUSH': case 'POP': {
+      const rr = ops.length === 1 ? getZ80Reg16(a, true) : null;
+      if (!rr) throw bad();
+      return [...(rr.prefix ? [rr.prefix] : []), (mnemonic === 'PUSH' ? 0xC5 : 0xC1) + rr.code * 16];
+    }
+
+    case 'EX': {
+      if (isReg(a, 'DE') && isReg(b, 'HL')) return [0xEB];
+      if (isReg(a, 'AF') && isReg(b, "AF'")) return [0x08];
+      if (a && a.kind === 'ind' && a.name === 'SP') {
+        if (isReg(b, 'HL')) return [0xE3];
+        if (isReg(b, 'IX')) return [0xDD, 0xE3];
+        if (isReg(b, 'IY')) return [0xFD, 0xE3];
+      }
+      throw bad();
+    }
+
+    case 'JP': {
+      if (ops.length !== 1) throw bad();
+      if (cond < 0 && a.kind === 'ind' && a.name === 'HL') return [0xE9];
+      if (cond < 0 && a.kind === 'ind' && (a.name === 'IX' || a.name === 'IY')) return [a.name === 'IX' ? 0xDD : 0xFD, 0xE9];
+      if (a.kind !== 'imm') throw bad();
+      return [cond < 0 ? 0xC3 : 0xC2 + cond * 8, nn(a)];
+    }
+
+    case 'JR': {
+      if (ops.length !== 1 || a.kind !== 'imm' || cond > 3) throw bad();
+      return [cond < 0 ? 0x18 : 0x20 + cond * 8, e(a)];
+    }
+
+    case 'DJNZ': {
+      if (ops.length !== 1 || a.kind !== 'imm') throw bad();
+      return [0x10, e(a)];
+    }
+
+    case 'CALL': {
+      if (ops.length !== 1 || a.kind !== 'imm') throw bad();
+      return [cond < 0 ? 0xCD : 0xC4 + cond * 8, nn(a)];
+    }
+
+    case 'RET': {
+      if (ops.length) throw bad();
+      return [cond < 0 ? 0xC9 : 0xC0 + cond * 8];
+    }
+
+    case 'RST': {
+      if (ops.length !== 1 || a.kind !== 'imm') throw bad();
+      return [{ type: 'rst', expr: /** @type {Z80Expr} */ (a.expr) }];
+    }
+
+    case 'IM': {
+      if (ops.length !== 1 || a.kind !== 'imm') throw bad();
+      return [0xED, { type: 'im', expr: /** @type {Z80Expr} */ (a.expr) }];
+    }
+
+    case 'IN': {
+      if (ops.length === 1 && a.kind === 'ind' && a.name === 'C') return [0xED, 0x70];
+      if (ops.length !== 2) throw bad();
+      if (isReg(a, 'A') && b.kind === 'mem') return [0xDB, n(b)];
+      if (isReg(a, 'F') && b.kind === 'ind' && b.name === 'C') return [0xED, 0x70];
+      const r = getZ80Reg8(a);
+      if (r && !r.prefix && r.code !== 6 && b.kind === 'ind' && b.name === 'C') return [0xED, 0x40 + r.code * 8];
+      throw bad();
+    }
+
+    case 'OUT': {
+      if (ops.length !== 2) throw bad();
+      if (a.kind === 'mem' && isReg(b, 'A')) return [0xD3, n(a)];
+      if (a.kind === 'ind' && a.name === 'C') {
+        if (b.kind === 'imm' && b.text.trim() === '0') return [0xED, 0x71];
+        const r = getZ80Reg8(b);
+        if (r && !r.prefix && r.code !== 6) return [0xED, 0x41 + r.code * 8];
+      }
+      throw bad();
+    }
+
+    case 'BIT': case 'SET': case 'RES': {
+      if (ops.length !== 2 || a.kind !== 'imm') throw bad();
+      const r = getZ80Reg8(b);
+      if (!r || (r.prefix && !r.disp)) throw bad();
+      const base = { BIT: 0x40, RES: 0x80, SET: 0xC0 }[mnemonic] + r.code;
+      return withZ80Reg8(r, { type: 'bit', expr: /** @type {Z80Expr} */ (a.expr), base }, true);
+    }
+
+    default: {
+      if (mnemonic in Z80_SHIFT) {
+        const r = ops.length === 1 ? getZ80Reg8(a) : null;
+        if (!r || (r.prefix && !r.disp)) throw bad();
+        return withZ80Reg8(r, Z80_SHIFT[mnemonic] * 8 + r.code, true);
+      }
+      throw new Error(`Unknown instruction ${mnemonic}`);
+    }
+  }
+}
+
+// ============================================================================
+// Assembly
+// ============================================================================
+
+/**
+ * Parsed statement. Block directives (DUP, IF) link to their closing lines.
+ * @typedef {Object} Z80Statement
+ * @property {number} line - 1-based source line
+ * @property {string|null} label - Full label name (numeric for temporary labels)
+ * @property {string} op - Mnemonic or directive (upper case), '' for a label alone
+ * @property {string} args - Operand text
+ * @property {string} scope - Last global label
+ * @property {Z80Part[]} [parts] - Encoded instruction
+ * @property {Z80Expr[]} [exprs] - Directive expressions
+ * @property {Array<number[]|Z80Expr>} [items] - DB/DW items (string bytes or expressions)
+ * @property {string} [name] - DUP index variable, file name or device
+ * @property {number} [end] - Index of EDUP/ENDIF
+ * @property {number[]} [branches] - Indices of IF/ELSEIF/ELSE in an IF chain
+ */
+
+/**
+ * Per-pass assembler state.
+ * @typedef {Object} Z80AsmState
+ * @property {number} pc
+ * @property {number} origin - Address of the current statement ($)
+ * @property {Map<string, number>} labels - Labels defined in this pass
+ * @property {Map<string, number>} prevLabels - Labels of the previous pass (forward references)
+ * @property {Map<string, number>} vars - DUP index variables
+ * @property {Map<string, number>} tempCount - Definitions of each numeric label so far
+ * @property {Set<string>} redefinable - Labels set with = or DEFL
+ * @property {string|null} device - '48K' or '128K'
+ * @property {Uint8Array[]} banks - RAM banks 0-7
+ * @property {Uint8Array[]} used - 1 for every byte written, per bank
+ * @property {number[]} slots - Bank in each 16K slot (-1 = ROM)
+ * @property {number} slot - Slot that PAGE maps into
+ * @property {string|null} unresolved - First unknown symbol of the pass
+ * @property {number} unresolvedLine
+ * @property {string|null} error - First value error of the pass
+ * @property {number} line - Current source line
+ * @property {boolean} ended - END reached
+ * @property {{name: string, start: number, page: number}|null} savesna
+ * @property {(name: string) => number} symbol
+ * @property {(name: string, offset: number) => number} tempLabel
+ * @property {(message: string) => number} fail
+ */
+
+/**
+ * Splits source into statements and compiles their operands.
+ * @param {string} source
+ * @returns {Z80Statement[]}
+ */
+function parseZ80Source(source) {
+  /** @type {Z80Statement[]} */
+  const statements = [];
+  /** @type {number[]} */
+  const blocks = [];
+  let scope = '';
+
+  const lines = source.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    let text = stripZ80Comment(lines[i]).replace(/\s+$/, '');
+    if (!text.trim()) continue;
+
+    try {
+      // Label: anything starting in column 0 that is not a directive or instruction
+      let label = null;
+      if (!/^\s/.test(text)) {
+        const m = /^([^\s:]+)(:?)/.exec(text);
+        const word = m ? m[1].toUpperCase() : '';
+        if (m && (m[2] || !(Z80_DIRECTIVES.has(word) || isZ80Mnemonic(word)))) {
+          label = m[1];
+          text = text.substring(m[0].length);
+          if (!/^([A-Za-z_.@?][\w.@?]*|\d+)$/.test(label)) throw new Error(`Bad label ${label}`);
+          if (label.startsWith('.')) {
+            label = scope + label;
+          } else if (!/^\d+$/.test(label)) {
+            scope = label;
+          }
+        }
+      }
+
+      const parts = text.trim() ? splitZ80(text.trim(), ':') : [''];
+      for (let p = 0; p < parts.length; p++) {
+        const m = /^(\S*)\s*(.*)$/.exec(parts[p]);
+        let op = m ? m[1].toUpperCase() : '';
+        let args = m ? m[2] : '';
+        if (op === '=') op = 'DEFL';
+        /** @type {Z80Statement} */
+        const st = { line: lineNo, label: p === 0 ? label : null, op, args, scope };
+        compileZ80Statement(st, statements.length, blocks, statements);
+        statements.push(st);
+      }
+    } catch (err) {
+      throw new Error(`Line ${lineNo}: ${err instanceof Error ? err.message : err}`);
+    }
+  }
+
+  if (blocks.length) {
+    const open = statements[blocks[blocks.length - 1]];
+    throw new Error(`Line ${open.line}: ${open.op} without ${open.op === 'IF' ? 'ENDIF' : 'EDUP'}`);
+  }
+  return statements;
+}
+
+/**
+ * Checks whether a word is an instruction mnemonic.
+ * @param {string} word - Upper case
+ * @returns {boolean}
+ */
+function isZ80Mnemonic(word) {
+  return word in Z80_IMPLIED || word in Z80_ALU || word in Z80_SHIFT ||
+    ['LD', 'INC', 'DEC', 'PUSH', 'POP', 'EX', 'JP', 'JR', 'DJNZ', 'CALL', 'RET', 'RST', 'IM', 'IN', 'OUT', 'BIT', 'SET', 'RES'].includes(word);
+}
+
+/**
+ * Compiles one statement's operands and links block directives.
+ * @param {Z80Statement} st
+ * @param {number} index - Index the statement will get
+ * @param {number[]} blocks - Stack of open DUP/IF statement indices
+ * @param {Z80Statement[]} statements
+ */
+function compileZ80Statement(st, index, blocks, statements) {
+  const args = st.args.trim();
+  const expr = (text) => compileZ80Expr(text, st.scope);
+  const list = args ? splitZ80(args, ',') : [];
+  const fileName = () => {
+    const m = /^"([^"]*)"$/.exec(list[0] || '');
+    if (!m) throw new Error(`${st.op} needs a file name in quotes`);
+    return m[1];
+  };
+
+  switch (st.op) {
+    case '':
+      return;
+    case 'EQU': case 'DEFL':
+      if (!st.label) throw new Error(`${st.op} without a label`);
+      st.exprs = [expr(args)];
+      return;
+    case 'DEVICE':
+      st.name = args.toUpperCase();
+      if (st.name !== 'ZXSPECTRUM48' && st.name !== 'ZXSPECTRUM128') throw new Error(`Unsupported device ${args}`);
+      return;
+    case 'ORG': case 'SLOT': case 'PAGE': case 'ASSERT': case 'DS': case 'DEFS': case 'BLOCK': case 'ALIGN':
+      if (!list.length) throw new Error(`${st.op} needs a value`);
+      st.exprs = list.map(expr);
+      return;
+    case 'DB': case 'DEFB': case 'BYTE': case 'DM': case 'DEFM':
+      st.items = list.map(item => /^".*"$/.test(item) ? decodeZ80String(item) : expr(item));
+      return;
+    case 'DW': case 'DEFW': case 'WORD':
+      st.items = list.map(expr);
+      return;
+    case 'INCBIN':
+      st.name = fileName();
+      st.exprs = list.slice(1).map(expr);
+      return;
+    case 'SAVESNA':
+      st.name = fileName();
+      if (list.length !== 2) throw new Error('SAVESNA needs a file name and a start address');
+      st.exprs = [expr(list[1])];
+      return;
+    case 'DISPLAY': case 'OUTPUT': case 'END':
+      return;
+    case 'DUP': case 'REPT':
+      if (!list.length) throw new Error(`${st.op} needs a count`);
+      st.exprs = [expr(list[0])];
+      st.name = list[1] || '';
+      blocks.push(index);
+      return;
+    case 'EDUP': case 'ENDR': {
+      const open = blocks.pop();
+      if (open === undefined || !['DUP', 'REPT'].includes(statements[open].op)) throw new Error(`${st.op} without DUP`);
+      statements[open].end = index;
+      return;
+    }
+    case 'IF':
+      st.exprs = [expr(args)];
+      st.branches = [index];
+      blocks.push(index);
+      return;
+    case 'ELSEIF': case 'ELSE': case 'ENDIF': {
+      const open = blocks[blocks.length - 1];
+      if (open === undefined || statements[open].op !== 'IF') throw new Error(`${st.op} without IF`);
+      if (st.op === 'ELSEIF') st.exprs = [expr(args)];
+      if (st.op === 'ENDIF') {
+        blocks.pop();
+        statements[open].end = index;
+      } else {
+        /** @type {number[]} */ (statements[open].branches).push(index);
+      }
+      return;
+    }
+    default:
+      st.parts = encodeZ80(st.op, list, st.scope);
+  }
+}
+
+/**
+ * Creates the state for one assembly pass.
+ * @param {Map<string, number>} prevLabels
+ * @returns {Z80AsmState}
+ */
+function createZ80AsmState(prevLabels) {
+  /** @type {Z80AsmState} */
+  const st = {
+    pc: 0,
+    origin: 0,
+    labels: new Map(),
+    prevLabels,
+    vars: new Map(),
+    tempCount: new Map(),
+    redefinable: new Set(),
+    device: null,
+    banks: Array.from({ length: 8 }, () => new Uint8Array(16384)),
+    used: Array.from({ length: 8 }, () => new Uint8Array(16384)),
+    slots: [-1, 5, 2, 0],
+    slot: 3,
+    unresolved: null,
+    unresolvedLine: 0,
+    error: null,
+    line: 0,
+    ended: false,
+    savesna: null,
+    symbol(name) {
+      const value = st.vars.get(name) ?? st.labels.get(name) ?? st.prevLabels.get(name);
+      if (value !== undefined) return value;
+      if (!st.unresolved) {
+        st.unresolved = name;
+        st.unresolvedLine = st.line;
+      }
+      return 0;
+    },
+    tempLabel(name, offset) {
+      const count = (st.tempCount.get(name) || 0) + offset;
+      if (count < 0) return st.fail(`No label ${name}: before ${name}B`);
+      return st.symbol(`${name}#${count}`);
+    },
+    fail(message) {
+      if (!st.error) st.error = `Line ${st.line}: ${message}`;
+      return 0;
+    }
+  };
+  return st;
+}
+
+/**
+ * Writes one byte at the current address through the slot mapping.
+ * @param {Z80AsmState} st
+ * @param {number} value
+ */
+function emitZ80Byte(st, value) {
+  if (!st.device) throw new Error(`Line ${st.line}: DEVICE ZXSPECTRUM48 or ZXSPECTRUM128 must come before any code or data`);
+  if (st.pc > 0xFFFF) {
+    st.fail('Code runs past #FFFF');
+  } else if (st.slots[st.pc >> 14] < 0) {
+    st.fail(`Cannot write to ROM at #${st.pc.toString(16).toUpperCase().padStart(4, '0')}`);
+  } else {
+    const bank = st.slots[st.pc >> 14];
+    st.banks[bank][st.pc & 0x3FFF] = value & 0xFF;
+    st.used[bank][st.pc & 0x3FFF] = 1;
+  }
+  st.pc++;
+}
+
+/**
+ * Emits an encoded instruction.
+ * @param {Z80AsmState} st
+ * @param {Z80Part[]} parts
+ */
+function emitZ80Parts(st, parts) {
+  for (const part of parts) {
+    if (typeof part === 'number') {
+      emitZ80Byte(st, part);
+      continue;
+    }
+    const v = part.expr(st);
+    switch (part.type) {
+      case 'n':
+        if (v < -128 || v > 255) st.fail(`Byte value out of range: ${v}`);
+        emitZ80Byte(st, v);
+        break;
+      case 'nn':
+        if (v < -32768 || v > 65535) st.fail(`Word value out of range: ${v}`);
+        emitZ80Byte(st, v);
+        emitZ80Byte(st, v >> 8);
+        break;
+      case 'd':
+        if (v < -128 || v > 127) st.fail(`Index offset out of range: ${v}`);
+        emitZ80Byte(st, v);
+        break;
+      case 'e': {
+        const offset = v - (st.pc + 1);
+        if (offset < -128 || offset > 127) st.fail(`Relative jump out of range (${offset} bytes)`);
+        emitZ80Byte(st, offset);
+        break;
+      }
+      case 'bit':
+        if (v < 0 || v > 7) st.fail(`Bit number out of range: ${v}`);
+        emitZ80Byte(st, /** @type {number} */ (part.base) + (v & 7) * 8);
+        break;
+      case 'rst':
+        if (v & ~0x38) st.fail(`Invalid RST address: ${v}`);
+        emitZ80Byte(st, 0xC7 + (v & 0x38));
+        break;
+      case 'im':
+        if (v < 0 || v > 2) st.fail(`Invalid interrupt mode: ${v}`);
+        emitZ80Byte(st, [0x46, 0x56, 0x5E][v] ?? 0x46);
+        break;
+    }
+  }
+}
+
+/**
+ * Defines a label for the current pass.
+ * @param {Z80AsmState} st
+ * @param {string} name
+ * @param {number} value
+ * @param {boolean} [redefine] - Set with = / DEFL
+ */
+function defineZ80Label(st, name, value, redefine = false) {
+  if (/^\d+$/.test(name)) {
+    const count = st.tempCount.get(name) || 0;
+    st.labels.set(`${name}#${count}`, value);
+    st.tempCount.set(name, count + 1);
+    return;
+  }
+  if (st.labels.has(name) && !(redefine && st.redefinable.has(name))) {
+    throw new Error(`Line ${st.line}: Label ${name} already defined`);
+  }
+  if (redefine) st.redefinable.add(name);
+  st.labels.set(name, value);
+}
+
+/**
+ * Runs statements [from, to) for one pass.
+ * @param {Z80Statement[]} statements
+ * @param {number} from
+ * @param {number} to
+ * @param {Z80AsmState} st
+ * @param {(name: string) => Uint8Array|null} readFile
+ */
+function runZ80Statements(statements, from, to, st, readFile) {
+  for (let i = from; i < to && !st.ended; i++) {
+    const s = statements[i];
+    st.line = s.line;
+    st.origin = st.pc;
+    const exprs = s.exprs || [];
+
+    if (s.label && s.op !== 'EQU' && s.op !== 'DEFL') defineZ80Label(st, s.label, st.pc);
+    if (s.parts) {
+      emitZ80Parts(st, s.parts);
+      continue;
+    }
+
+    switch (s.op) {
+      case 'EQU': case 'DEFL':
+        defineZ80Label(st, /** @type {string} */ (s.label), exprs[0](st), s.op === 'DEFL');
+        break;
+      case 'DEVICE':
+        st.device = s.name === 'ZXSPECTRUM128' ? '128K' : '48K';
+        break;
+      case 'SLOT': {
+        const slot = exprs[0](st);
+        if (slot < 0 || slot > 3) st.fail(`Invalid slot ${slot}`);
+        else st.slot = slot;
+        break;
+      }
+      case 'PAGE': {
+        const page = exprs[0](st);
+        if (st.device !== '128K') throw new Error(`Line ${s.line}: PAGE needs DEVICE ZXSPECTRUM128`);
+        if (page < 0 || page > 7) st.fail(`Invalid page ${page}`);
+        else if (st.slot === 0) st.fail('Slot 0 holds the ROM');
+        else st.slots[st.slot] = page;
+        break;
+      }
+      case 'ORG':
+        st.pc = exprs[0](st) & 0xFFFF;
+        break;
+      case 'DB': case 'DEFB': case 'BYTE': case 'DM': case 'DEFM':
+        for (const item of /** @type {Array<number[]|Z80Expr>} */ (s.items)) {
+          if (Array.isArray(item)) {
+            for (const b of item) emitZ80Byte(st, b);
+          } else {
+            const v = item(st);
+            if (v < -128 || v > 255) st.fail(`Byte value out of range: ${v}`);
+            emitZ80Byte(st, v);
+          }
+        }
+        break;
+      case 'DW': case 'DEFW': case 'WORD':
+        for (const item of /** @type {Z80Expr[]} */ (s.items)) {
+          const v = item(st);
+          if (v < -32768 || v > 65535) st.fail(`Word value out of range: ${v}`);
+          emitZ80Byte(st, v);
+          emitZ80Byte(st, v >> 8);
+        }
+        break;
+      case 'DS': case 'DEFS': case 'BLOCK': {
+        const count = exprs[0](st);
+        const fill = exprs[1] ? exprs[1](st) : 0;
+        if (count < 0) st.fail(`Negative ${s.op} size: ${count}`);
+        for (let k = 0; k < count; k++) emitZ80Byte(st, fill);
+        break;
+      }
+      case 'ALIGN': {
+        const align = exprs[0](st);
+        if (align <= 0 || (align & (align - 1))) {
+          st.fail(`ALIGN needs a power of two: ${align}`);
+          break;
+        }
+        const pad = (align - (st.pc % align)) % align;
+        if (exprs[1]) {
+          const fill = exprs[1](st);
+          for (let k = 0; k < pad; k++) emitZ80Byte(st, fill);
+        } else {
+          st.pc += pad;
+        }
+        break;
+      }
+      case 'ASSERT':
+        if (!exprs[0](st)) st.fail(`Assertion failed: ${s.args.trim()}`);
+        break;
+      case 'INCBIN': {
+        const data = readFile(/** @type {string} */ (s.name));
+        if (!data) throw new Error(`Line ${s.line}: INCBIN file not available: ${s.name}`);
+        const offset = exprs[0] ? exprs[0](st) : 0;
+        const length = exprs[1] ? exprs[1](st) : data.length - offset;
+        if (offset < 0 || length < 0 || offset + length > data.length) {
+          st.fail(`INCBIN ${s.name}: ${offset}+${length} is past the end of the file (${data.length} bytes)`);
+          break;
+        }
+        for (let k = 0; k < length; k++) emitZ80Byte(st, data[offset + k]);
+        break;
+      }
+      case 'SAVESNA':
+        if (!st.device) throw new Error(`Line ${s.line}: SAVESNA needs a DEVICE`);
+        st.savesna = { name: /** @type {string} */ (s.name), start: exprs[0](st) & 0xFFFF, page: st.slots[3] };
+        break;
+      case 'END':
+        st.ended = true;
+        break;
+      case 'DUP': case 'REPT': {
+        const count = exprs[0](st);
+        const end = /** @type {number} */ (s.end);
+        if (count < 0) st.fail(`Negative ${s.op} count: ${count}`);
+        for (let k = 0; k < count && !st.ended; k++) {
+          if (s.name) st.vars.set(s.name, k);
+          runZ80Statements(statements, i + 1, end, st, readFile);
+        }
+        if (s.name) st.vars.delete(s.name);
+        i = end;
+        break;
+      }
+      case 'IF': {
+        const branches = /** @type {number[]} */ (s.branches);
+        const end = /** @type {number} */ (s.end);
+        for (let b = 0; b < branches.length; b++) {
+          const branch = statements[branches[b]];
+          st.line = branch.line;
+          if (branch.op === 'ELSE' || /** @type {Z80Expr[]} */ (branch.exprs)[0](st)) {
+            runZ80Statements(statements, branches[b] + 1, b + 1 < branches.length ? branches[b + 1] : end, st, readFile);
+            break;
+          }
+        }
+        i = end;
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Compares the labels of two passes.
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {boolean}
+ */
+function sameZ80Labels(a, b) {
+  if (a.size !== b.size) return false;
+  for (const [name, value] of a) {
+    if (b.get(name) !== value) return false;
+  }
+  return true;
+}
+
+/**
+ * Assembled program.
+ * @typedef {Object} Z80AsmProgram
+ * @property {'48K'|'128K'} machineType - From DEVICE
+ * @property {Uint8Array[]} banks - RAM banks 0-7
+ * @property {Uint8Array[]} used - 1 for every byte the source wrote, per bank
+ * @property {number|null} start - SAVESNA start address (null without SAVESNA)
+ * @property {number} pagingByte - #7FFD value at SAVESNA: bank in slot 3, 48K ROM
+ * @property {string} snaName - SAVESNA file name
+ */
+
+/**
+ * Assembles sjasmplus source. Passes repeat until every label keeps its
+ * address; value errors (ranges, ASSERT) are reported from the final pass.
+ * @param {string} source
+ * @param {(name: string) => Uint8Array|null} [readFile] - INCBIN data by file name
+ * @returns {Z80AsmProgram}
+ * @throws {Error} With "Line n: ..." for source errors
+ */
+function assembleZ80(source, readFile = () => null) {
+  const statements = parseZ80Source(source);
+
+  /** @type {Map<string, Uint8Array|null>} */
+  const files = new Map();
+  const readCached = (/** @type {string} */ name) => {
+    if (!files.has(name)) files.set(name, readFile(name));
+    return files.get(name) || null;
+  };
+
+  let prevLabels = new Map();
+  for (let pass = 1; pass <= Z80_ASM_MAX_PASSES; pass++) {
+    const st = createZ80AsmState(prevLabels);
+    runZ80Statements(statements, 0, statements.length, st, readCached);
+
+    const settled = sameZ80Labels(prevLabels, st.labels);
+    if (settled && st.unresolved) throw new Error(`Line ${st.unresolvedLine}: Unknown label ${st.unresolved}`);
+    if (settled) {
+      if (st.error) throw new Error(st.error);
+      if (!st.device) throw new Error('No DEVICE in the source');
+      return {
+        machineType: st.device === '128K' ? '128K' : '48K',
+        banks: st.banks,
+        used: st.used,
+        start: st.savesna ? st.savesna.start : null,
+        pagingByte: 0x10 | (st.savesna ? st.savesna.page : st.slots[3]),
+        snaName: st.savesna ? st.savesna.name : ''
+      };
+    }
+    prevLabels = st.labels;
+  }
+  throw new Error(`Labels still moving after ${Z80_ASM_MAX_PASSES} passes`);
+}
+
+// ============================================================================
+// Snapshot and Tape Output
+// ============================================================================
+
+/**
+ * Machine state an assembled program starts from. Registers are those of a
+ * machine after the ROM has run (IY = #5C3A, IM 1, I = #3F) with interrupts
+ * off and the stack in the printer buffer; the program's own setup takes it
+ * from there.
+ * @param {Z80AsmProgram} program
+ * @returns {Snapshot}
+ */
+function getAsmSnapshot(program) {
+  if (program.start === null) throw new Error('No SAVESNA in the source: the start address is unknown');
+  return {
+    machineType: program.machineType,
+    border: 7,
+    pagingByte: program.machineType === '128K' ? program.pagingByte : 0,
+    banks: program.banks.map(b => b.slice()),
+    regs: {
+      a: 0, f: 0, bc: 0, de: 0, hl: 0, a2: 0, f2: 0, bc2: 0, de2: 0, hl2: 0,
+      ix: 0, iy: Z80_ASM_IY, sp: Z80_ASM_STACK, pc: program.start,
+      i: 0x3F, r: 0, iff1: 0, iff2: 0, im: 1
+    },
+    z80Header: null
+  };
+}
+
+/**
+ * Builds a .sna from an assembled program (see getAsmSnapshot).
+ * @param {Z80AsmProgram} program
+ * @returns {Uint8Array}
+ */
+function buildAsmSna(program) {
+  return buildSnaFile(getAsmSnapshot(program));
+}
+
+/**
+ * Finds the memory a program uses, as tape blocks: runs of written bytes per
+ * bank, joined across short gaps.
+ * @param {Z80AsmProgram} program
+ * @returns {Array<{bank: number, address: number, data: Uint8Array}>}
+ */
+function getAsmTapBlocks(program) {
+  const units = [{ bank: 5, base: 0x4000 }, { bank: 2, base: 0x8000 }];
+  const pagedBanks = program.machineType === '128K' ? [0, 1, 3, 4, 6, 7] : [0];
+  for (const bank of pagedBanks) units.push({ bank, base: 0xC000 });
+
+  const blocks = [];
+  for (const { bank, base } of units) {
+    const used = program.used[bank];
+    let i = 0;
+    while (i < 16384) {
+      if (!used[i]) {
+        i++;
+        continue;
+      }
+      const start = i;
+      let end = i;
+      while (i < 16384) {
+        if (used[i]) {
+          end = ++i;
+        } else if (i - end >= TAP_BLOCK_GAP) {
+          break;
+        } else {
+          i++;
+        }
+      }
+      blocks.push({ bank, address: base + start, data: program.banks[bank].slice(start, end) });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Generates the tape loader: loads every block headerless with the ROM's
+ * LD-BYTES (paging each #C000 bank in first on 128K), then starts the program.
+ * @param {Z80AsmProgram} program
+ * @param {Array<{bank: number, address: number, data: Uint8Array}>} blocks
+ * @returns {string} Loader source
+ */
+function generateTapLoaderAsm(program, blocks) {
+  const is128 = program.machineType === '128K';
+  const hex = (v, digits) => '#' + v.toString(16).toUpperCase().padStart(digits, '0');
+  const asm = [];
+  asm.push('    DEVICE ZXSPECTRUM48');
+  asm.push(`    ORG ${TAP_LOADER_ORG}`);
+  asm.push('Loader:');
+  asm.push('    DI');
+  asm.push('    LD SP,LoaderStack');
+  if (is128) {
+    // 128 BASIC may have ROM 0 paged in; LD-BYTES lives in ROM 1
+    asm.push('    LD A,#10');
+    asm.push('    LD BC,#7FFD');
+    asm.push('    OUT (C),A');
+  }
+  for (const block of blocks) {
+    if (is128 && block.address >= 0xC000) {
+      asm.push(`    LD A,${hex(0x10 | block.bank, 2)}`);
+      asm.push('    LD BC,#7FFD');
+      asm.push('    OUT (C),A');
+    }
+    asm.push(`    LD IX,${hex(block.address, 4)}`);
+    asm.push(`    LD DE,${block.data.length}`);
+    asm.push('    LD A,#FF');
+    asm.push('    SCF');
+    asm.push('    CALL #0556            ; LD-BYTES');
+    asm.push('    JP NC,0               ; Tape error: reset');
+  }
+  asm.push('    DI');
+  if (is128) {
+    asm.push(`    LD A,${hex(program.pagingByte, 2)}`);
+    asm.push('    LD BC,#7FFD');
+    asm.push('    OUT (C),A');
+  }
+  asm.push(`    LD SP,${hex(Z80_ASM_STACK, 4)}`);
+  asm.push(`    JP ${hex(/** @type {number} */ (program.start), 4)}`);
+  asm.push('    DS 64');
+  asm.push('LoaderStack:');
+  return asm.join('\n');
+}
+
+/**
+ * Wraps a payload as a TAP block (length, flag, data, checksum).
+ * @param {number} flag - #00 header, #FF data
+ * @param {Uint8Array|number[]} payload
+ * @returns {Uint8Array}
+ */
+function buildAsmTapBlock(flag, payload) {
+  const out = new Uint8Array(payload.length + 4);
+  const len = payload.length + 2;
+  out[0] = len & 0xFF;
+  out[1] = len >> 8;
+  out[2] = flag;
+  out.set(payload, 3);
+  let checksum = flag;
+  for (let i = 0; i < payload.length; i++) checksum ^= payload[i];
+  out[out.length - 1] = checksum;
+  return out;
+}
+
+/**
+ * Builds a .tap from an assembled program: a BASIC program whose line 10 REM
+ * holds the loader and whose line 20 runs it, then one headerless block per
+ * used memory range.
+ * @param {Z80AsmProgram} program
+ * @param {string} name - Program name on tape (up to 10 characters)
+ * @returns {Uint8Array}
+ * @throws {Error} If the program uses the memory the loader runs in
+ */
+function buildAsmTap(program, name) {
+  if (program.start === null) throw new Error('No SAVESNA in the source: the start address is unknown');
+
+  const blocks = getAsmTapBlocks(program);
+  const loader = assembleZ80(generateTapLoaderAsm(program, blocks));
+  const loaderLen = loader.used[5].reduce((sum, b) => sum + b, 0);
+  const loaderCode = loader.banks[5].slice(TAP_LOADER_ORG - 0x4000, TAP_LOADER_ORG - 0x4000 + loaderLen);
+
+  // 10 REM <loader>
+  const line10 = [0, 10, (loaderLen + 2) & 0xFF, (loaderLen + 2) >> 8, 0xEA, ...loaderCode, 0x0D];
+  // 20 RANDOMIZE USR <loader>
+  const digits = String(TAP_LOADER_ORG).split('').map(c => c.charCodeAt(0));
+  const usr = [0xF9, 0xC0, ...digits, 0x0E, 0x00, 0x00, TAP_LOADER_ORG & 0xFF, TAP_LOADER_ORG >> 8, 0x00, 0x0D];
+  const line20 = [0, 20, usr.length & 0xFF, usr.length >> 8, ...usr];
+  const basic = [...line10, ...line20];
+
+  // The BASIC program (loader included) must survive until the last block is in
+  const basicEnd = TAP_LOADER_PROG + basic.length;
+  const clash = blocks.find(b => b.bank === 5 && b.address < basicEnd && b.address + b.data.length > 0x5C00);
+  if (clash) {
+    const hex = (v) => '#' + v.toString(16).toUpperCase();
+    throw new Error(`The program uses memory at ${hex(Math.max(clash.address, 0x5C00))}-${hex(basicEnd - 1)}, ` +
+      'where the tape loader runs (system variables and BASIC). Download the .sna instead.');
+  }
+
+  const header = new Uint8Array(17);
+  const tapeName = name.substring(0, 10).padEnd(10, ' ');
+  for (let i = 0; i < 10; i++) header[1 + i] = tapeName.charCodeAt(i) & 0x7F;
+  header[11] = basic.length & 0xFF;
+  header[12] = basic.length >> 8;
+  header[13] = 10;  // Autostart line
+  header[14] = 0;
+  header[15] = basic.length & 0xFF;  // Program length (no variables)
+  header[16] = basic.length >> 8;
+
+  const chunks = [buildAsmTapBlock(0x00, header), buildAsmTapBlock(0xFF, basic)];
+  for (const block of blocks) chunks.push(buildAsmTapBlock(0xFF, block.data));
+
+  const out = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  return out;
+}
+
+// ============================================================================
+// Export Integration
+// ============================================================================
+
+/**
+ * Finishes an ASM export: downloads the source, assembles it into a runnable
+ * .sna or .tap, or runs it in the emulator preview.
+ * @param {string} asm - sjasmplus source ending with SAVESNA
+ * @param {string} baseName - Download file name without extension
+ * @param {'asm'|'sna'|'tap'|'preview'} output
+ * @param {(name: string) => Uint8Array|null} [readFile] - Data for INCBIN (the loaded file)
+ * @param {{machine?: AsmMachine, blendFrames?: number}} [preview] - Emulator settings (see openZxEmulator)
+ */
+function outputAsmBuild(asm, baseName, output, readFile = () => null, preview = {}) {
+  if (output === 'asm') {
+    downloadFile(asm, baseName + '.asm');
+    return;
+  }
+
+  const fileName = output === 'preview' ? baseName + '.asm' : baseName + '.' + output;
+  let data;
+  try {
+    const program = assembleZ80(asm, readFile);
+    if (output === 'preview') {
+      openZxEmulator(getAsmSnapshot(program), fileName, preview);
+      return;
+    }
+    data = output === 'tap' ? buildAsmTap(program, baseName) : buildAsmSna(program);
+  } catch (err) {
+    alert(`Cannot build ${fileName}:\n\n${err instanceof Error ? err.message : err}`);
+    return;
+  }
+  downloadFile(new Blob([data], { type: 'application/octet-stream' }), fileName);
+}
@@ -0,0 +1,1480 @@
+// ============================================================================
+// ZX Emulator — cycle-counting Z80 core and ULA raster model for previewing
+// the ASM exporters' programs (border timing, multicolor, screen flips, ULA+)
+// ============================================================================
+// Machine timings (line/frame length, first paper pixel, border OUT latency,
+// contention) come from ASM_MACHINES, the same table the exporters are
+// generated against. The ROM is not emulated: the generated programs set up
+// their own IM 2 handler, and an IM 1 interrupt only runs EI/RET at #0038.
+// @ts-check
+"use strict";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** @type {number} - Frame width: 64px side borders around the 256px paper (BSC layout) */
+const ZX_EMU_WIDTH = 384;
+
+/** @type {number} - Frame height: 64 top border lines, 192 paper, 48 bottom (BSC layout) */
+const ZX_EMU_HEIGHT = 304;
+
+/** @type {number} - T-states per window line (2 pixels per T-state) */
+const ZX_EMU_LINE_SLOTS = ZX_EMU_WIDTH / 2;
+
+/** @type {number[]} - RGB for lines hidden in the vertical blank */
+const ZX_EMU_BLANK_RGB = [32, 32, 32];
+
+/** @type {number} - Most frames blended for flicker formats (RGB3) */
+const ZX_EMU_MAX_BLEND = 3;
+
+/**
+ * Raster details the exporters do not need.
+ * @typedef {Object} ZxEmuRaster
+ * @property {number} intT - INT length in T-states
+ * @property {number} borderStep - Border color latch period in T-states
+ * @property {boolean} idleContention - Cycles without MREQ (ir:1, hl:1...) are contended
+ * @property {number} pagingMask - Address bits decoded for port #7FFD
+ * @property {number} pagingPort - Decoded value of those bits (-1 = no paging)
+ */
+
+/** @type {Object<string, ZxEmuRaster>} - Keyed like ASM_MACHINES */
+const ZX_EMU_RASTER = {
+  pentagon: { intT: 32, borderStep: 1, idleContention: false, pagingMask: 0x8002, pagingPort: 0x0000 },
+  zx48: { intT: 32, borderStep: 4, idleContention: true, pagingMask: 0, pagingPort: -1 },
+  zx128: { intT: 36, borderStep: 4, idleContention: true, pagingMask: 0x8002, pagingPort: 0x0000 },
+  plus3: { intT: 32, borderStep: 4, idleContention: false, pagingMask: 0xC002, pagingPort: 0x4000 }
+};
+
+// Z80 flag bits
+const Z80_FLAG_C = 0x01;
+const Z80_FLAG_N = 0x02;
+const Z80_FLAG_P = 0x04;
+const Z80_FLAG_3 = 0x08;
+const Z80_FLAG_H = 0x10;
+const Z80_FLAG_5 = 0x20;
+const Z80_FLAG_Z = 0x40;
+const Z80_FLAG_S = 0x80;
+
+/** @type {number[]} - Flag tested by condition pairs NZ/Z, NC/C, PO/PE, P/M */
+const Z80_COND_FLAGS = [Z80_FLAG_Z, Z80_FLAG_C, Z80_FLAG_P, Z80_FLAG_S];
+
+// Half carry and overflow from bits 3/7 of (operand1, operand2, result)
+const Z80_HALFCARRY_ADD = [0, Z80_FLAG_H, Z80_FLAG_H, Z80_FLAG_H, 0, 0, 0, Z80_FLAG_H];
+const Z80_HALFCARRY_SUB = [0, 0, Z80_FLAG_H, 0, Z80_FLAG_H, 0, Z80_FLAG_H, Z80_FLAG_H];
+const Z80_OVERFLOW_ADD = [0, 0, 0, Z80_FLAG_P, Z80_FLAG_P, 0, 0, 0];
+const Z80_OVERFLOW_SUB = [0, Z80_FLAG_P, 0, 0, 0, 0, Z80_FLAG_P, 0];
+
+/** @type {Uint8Array} - S, Z, 5 and 3 flags of a byte */
+const Z80_SZ53 = new Uint8Array(256);
+
+/** @type {Uint8Array} - P/V flag for even parity */
+const Z80_PARITY = new Uint8Array(256);
+
+/** @type {Uint8Array} - Z80_SZ53 plus parity */
+const Z80_SZ53P = new Uint8Array(256);
+
+for (let i = 0; i < 256; i++) {
+  Z80_SZ53[i] = (i & (Z80_FLAG_S | Z80_FLAG_5 | Z80_FLAG_3)) | (i === 0 ? Z80_FLAG_Z : 0);
+  let bits = i;
+  bits ^= bits >> 4;
+  bits ^= bits >> 2;
+  bits ^= bits >> 1;
+  Z80_PARITY[i] = bits & 1 ? 0 : Z80_FLAG_P;
+  Z80_SZ53P[i] = Z80_SZ53[i] | Z80_PARITY[i];
+}
+
+/**
+ * Stub ROM: DI / JR $ at #0000 (a reset stops), EI / RET at #0038 (IM 1).
+ * @returns {Uint8Array}
+ */
+function createZxEmuRom() {
+  const rom = new Uint8Array(16384);
+  rom.set([0xF3, 0x18, 0xFE], 0x0000);
+  rom.set([0xFB, 0xC9], 0x0038);
+  return rom;
+}
+
+// ============================================================================
+// Emulator
+// ============================================================================
+
+/**
+ * Z80 + memory + ULA. One instance runs one program; frames are rendered by
+ * chasing the beam: before anything visible changes (border OUT, screen write,
+ * screen flip, ULA+ palette write) the frame is drawn up to the current T-state.
+ */
+class ZxEmulator {
+  /**
+   * @param {Snapshot} snapshot - Program to run (regs required)
+   * @param {string} machineKey - ASM_MACHINES key
+   */
+  constructor(snapshot, machineKey) {
+    /** @type {AsmMachine} */
+    this.machine = ASM_MACHINES[machineKey];
+    /** @type {ZxEmuRaster} */
+    this.raster = ZX_EMU_RASTER[machineKey];
+
+    // Memory: ROM in slot 0, banks 5 and 2 fixed, paged bank at #C000
+    this.rom = createZxEmuRom();
+    /** @type {Uint8Array[]} */
+    this.banks = [];
+    for (let bank = 0; bank < 8; bank++) {
+      const src = snapshot.banks[bank];
+      this.banks.push(src && src.length === 16384 ? src.slice() : new Uint8Array(16384));
+    }
+    /** @type {Uint8Array[]} */
+    this.slots = [this.rom, this.banks[5], this.banks[2], this.banks[0]];
+    /** @type {number[]} - Bank in each slot (-1 = ROM) */
+    this.slotBanks = [-1, 5, 2, 0];
+    /** @type {boolean[]} */
+    this.slotContended = [false, false, false, false];
+    this.paging = 0;
+    this.pagingLocked = false;
+    this.screenBank = 5;
+    const paging = this.machine.has128 ? (snapshot.machineType === '128K' ? snapshot.pagingByte : 0x30) : 0;
+    this.setPaging(paging);
+    this.pagingLocked = (paging & 0x20) !== 0;
+
+    // ULA
+    this.border = snapshot.border & 0x07;
+    this.ulaPlusReg = 0;
+    this.ulaPlusOn = false;
+    this.ulaPlusPalette = new Uint8Array(64);
+
+    // CPU
+    const r = /** @type {SnapshotRegs} */ (snapshot.regs);
+    this.a = r.a; this.f = r.f;
+    this.b = r.bc >> 8; this.c = r.bc & 0xFF;
+    this.d = r.de >> 8; this.e = r.de & 0xFF;
+    this.h = r.hl >> 8; this.l = r.hl & 0xFF;
+    this.a2 = r.a2; this.f2 = r.f2;
+    this.bc2 = r.bc2; this.de2 = r.de2; this.hl2 = r.hl2;
+    this.ix = r.ix; this.iy = r.iy;
+    this.sp = r.sp; this.pc = r.pc;
+    this.i = r.i; this.r = r.r;
+    this.iff1 = r.iff1 ? 1 : 0; this.iff2 = r.iff2 ? 1 : 0;
+    this.im = r.im;
+    this.halted = false;
+    this.eiPending = false;
+
+    // Timing and display
+    this.t = 0;
+    this.frame = 0;
+    this.beamPos = 0;
+    /** @type {number} - Added to T-states while the window's last line runs past INT */
+    this.beamOffset = 0;
+    this.pixels = new Uint8ClampedArray(ZX_EMU_WIDTH * ZX_EMU_HEIGHT * 4);
+    /** @type {number[][]} - RGB for color indices 0-15 (bright in 8-15), set per frame */
+    this.colors = [];
+    this.startFrame();
+  }
+
+  // --------------------------------------------------------------------------
+  // Memory and ports
+  // --------------------------------------------------------------------------
+
+  /**
+   * Applies a #7FFD value: bank at #C000 and the shown screen.
+   * @param {number} value
+   */
+  setPaging(value) {
+    this.paging = value;
+    const bank = this.machine.has128 ? value & 0x07 : 0;
+    this.slots[3] = this.banks[bank];
+    this.slotBanks[3] = bank;
+    this.screenBank = this.machine.has128 && (value & 0x08) ? 7 : 5;
+    this.slotContended[1] = this.machine.contendedBanks.includes(5);
+    this.slotContended[3] = this.machine.contendedBanks.includes(bank);
+  }
+
+  /**
+   * Waits for the ULA if the address is contended.
+   * @param {number} addr
+   */
+  contend(addr) {
+    if (this.slotContended[addr >> 14]) this.t += getAsmContention(this.machine, this.t);
+  }
+
+  /**
+   * Internal cycles with the address on the bus (no MREQ).
+   * @param {number} addr
+   * @param {number} count - T-states
+   */
+  idle(addr, count) {
+    if (this.raster.idleContention && this.slotContended[addr >> 14]) {
+      for (let n = 0; n < count; n++) {
+        this.t += getAsmContention(this.machine, this.t) + 1;
+      }
+    } else {
+      this.t += count;
+    }
+  }
+
+  /**
+   * Opcode fetch (M1): 4T, increments R.
+   * @returns {number}
+   */
+  fetch() {
+    const pc = this.pc;
+    this.contend(pc);
+    this.t += 4;
+    this.pc = (pc + 1) & 0xFFFF;
+    this.r = (this.r & 0x80) | ((this.r + 1) & 0x7F);
+    return this.slots[pc >> 14][pc & 0x3FFF];
+  }
+
+  /**
+   * Memory read: 3T.
+   * @param {number} addr
+   * @returns {number}
+   */
+  read(addr) {
+    this.contend(addr);
+    this.t += 3;
+    return this.slots[addr >> 14][addr & 0x3FFF];
+  }
+
+  /**
+   * Memory write: 3T. Writes to the shown screen draw the beam first.
+   * @param {number} addr
+   * @param {number} value
+   */
+  write(addr, value) {
+    this.contend(addr);
+    const slot = addr >> 14;
+    if (slot !== 0) {
+      if (this.slotBanks[slot] === this.screenBank && (addr & 0x3FFF) < 6912) this.updateBeam(this.t);
+      this.slots[slot][addr & 0x3FFF] = value;
+    }
+    this.t += 3;
+  }
+
+  /**
+   * Reads the byte at PC and advances it.
+   * @returns {number}
+   */
+  readPc() {
+    const value = this.read(this.pc);
+    this.pc = (this.pc + 1) & 0xFFFF;
+    return value;
+  }
+
+  /**
+   * Reads a little-endian word at PC and advances it.
+   * @returns {number}
+   */
+  readPcWord() {
+    const lo = this.readPc();
+    return lo | this.readPc() << 8;
+  }
+
+  /**
+   * @param {number} value - 16-bit
+   */
+  push(value) {
+    this.sp = (this.sp - 1) & 0xFFFF;
+    this.write(this.sp, value >> 8);
+    this.sp = (this.sp - 1) & 0xFFFF;
+    this.write(this.sp, value & 0xFF);
+  }
+
+  /**
+   * @returns {number}
+   */
+  pop() {
+    const lo = this.read(this.sp);
+    const hi = this.read((this.sp + 1) & 0xFFFF);
+    this.sp = (this.sp + 2) & 0xFFFF;
+    return lo | hi << 8;
+  }
+
+  /**
+   * I/O write cycle: 4T plus ULA contention.
+   * @param {number} port
+   * @param {number} value
+   */
+  out(port, value) {
+    this.t += getAsmIoContention(this.machine, this.t, port);
+    if ((port & 1) === 0) {
+      // Shown borderOutT after the OUT starts (the I/O cycle is 8T in), on a latch step
+      const shownT = this.t + this.machine.borderOutT - 8;
+      const step = this.raster.borderStep;
+      const latch = step > 1 ? (step - (shownT - this.machine.paperT) % step) % step : 0;
+      this.updateBeam(shownT + latch);
+      this.border = value & 0x07;
+    }
+    if (this.raster.pagingPort >= 0 && (port & this.raster.pagingMask) === this.raster.pagingPort && !this.pagingLocked) {
+      if (((value ^ this.paging) & 0x08) !== 0) this.updateBeam(this.t);
+      this.setPaging(value);
+      this.pagingLocked = (value & 0x20) !== 0;
+    }
+    if (port === 0xBF3B) {
+      this.ulaPlusReg = value;
+    } else if (port === 0xFF3B) {
+      this.updateBeam(this.t);
+      if ((this.ulaPlusReg & 0xC0) === 0) {
+        this.ulaPlusPalette[this.ulaPlusReg & 0x3F] = value;
+        this.ulaPlusColors[this.ulaPlusReg & 0x3F] = grb332ToRgb(value);
+      } else if ((this.ulaPlusReg & 0xC0) === 0x40) {
+        this.ulaPlusOn = (value & 1) !== 0;
+      }
+    }
+    this.t += 4;
+  }
+
+  /**
+   * I/O read cycle: 4T plus ULA contention. No keys are pressed; the
+   * floating bus is not emulated.
+   * @param {number} port
+   * @returns {number}
+   */
+  in(port) {
+    this.t += getAsmIoContention(this.machine, this.t, port) + 4;
+    if (port === 0xFF3B) {
+      return (this.ulaPlusReg & 0xC0) === 0 ? this.ulaPlusPalette[this.ulaPlusReg & 0x3F] : (this.ulaPlusOn ? 1 : 0);
+    }
+    return 0xFF;
+  }
+
+  // --------------------------------------------------------------------------
+  // Registers
+  // --------------------------------------------------------------------------
+
+  /**
+   * 8-bit register by opcode code (6 is not handled: (HL) is a memory operand).
+   * @param {number} code - 0-7: B C D E H L (HL) A
+   * @param {number} px - 0 = HL, 1 = IX, 2 = IY (H/L become IXH/IXL...)
+   * @returns {number}
+   */
+  getReg(code, px) {
+    switch (code) {
+      case 0: return this.b;
+      case 1: return this.c;
+      case 2: return this.d;
+      case 3: return this.e;
+      case 4: return px === 0 ? this.h : (px === 1 ? this.ix : this.iy) >> 8;
+      case 5: return px === 0 ? this.l : (px === 1 ? this.ix : this.iy) & 0xFF;
+      default: return this.a;
+    }
+  }
+
+  /**
+   * @param {number} code - 0-7 as in getReg()
+   * @param {number} value
+   * @param {number} px
+   */
+  setReg(code, value, px) {
+    switch (code) {
+      case 0: this.b = value; break;
+      case 1: this.c = value; break;
+      case 2: this.d = value; break;
+      case 3: this.e = value; break;
+      case 4:
+        if (px === 0) this.h = value;
+        else if (px === 1) this.ix = (this.ix & 0xFF) | value << 8;
+        else this.iy = (this.iy & 0xFF) | value << 8;
+        break;
+      case 5:
+        if (px === 0) this.l = value;
+        else if (px === 1) this.ix = (this.ix & 0xFF00) | value;
+        else this.iy = (this.iy & 0xFF00) | value;
+        break;
+      case 7: this.a = value; break;
+    }
+  }
+
+  /**
+   * Register pair: 0 BC, 1 DE, 2 HL/IX/IY, 3 SP (AF with af = true).
+   * @param {number} p
+   * @param {number} px
+   * @param {boolean} [af=false]
+   * @returns {number}
+   */
+  getPair(p, px, af = false) {
+    switch (p) {
+      case 0: return this.b << 8 | this.c;
+      case 1: return this.d << 8 | this.e;
+      case 2: return px === 0 ? this.h << 8 | this.l : px === 1 ? this.ix : this.iy;
+      default: return af ? this.a << 8 | this.f : this.sp;
+    }
+  }
+
+  /**
+   * @param {number} p
+   * @param {number} value - 16-bit
+   * @param {number} px
+   * @param {boolean} [af=false]
+   */
+  setPair(p, value, px, af = false) {
+    switch (p) {
+      case 0: this.b = value >> 8; this.c = value & 0xFF; break;
+      case 1: this.d = value >> 8; this.e = value & 0xFF; break;
+      case 2:
+        if (px === 0) {
+          this.h = value >> 8;
+          this.l = value & 0xFF;
+        } else if (px === 1) {
+          this.ix = value;
+        } else {
+          this.iy = value;
+        }
+        break;
+      default:
+        if (af) {
+          this.a = value >> 8;
+          this.f = value & 0xFF;
+        } else {
+          this.sp = value;
+        }
+    }
+  }
+
+  /**
+   * Address on the bus for IR-addressed internal cycles.
+   * @returns {number}
+   */
+  get ir() {
+    return this.i << 8 | this.r;
+  }
+
+  /**
+   * @param {number} cc - Condition code 0-7: NZ Z NC C PO PE P M
+   * @returns {boolean}
+   */
+  condition(cc) {
+    return ((this.f & Z80_COND_FLAGS[cc >> 1]) !== 0) === ((cc & 1) === 1);
+  }
+
+  /**
+   * Reads the displacement of an (IX+d)/(IY+d) operand: 3T + 5 internal.
+   * @param {number} px
+   * @returns {number} Effective address
+   */
+  indexAddr(px) {
+    const d = this.read(this.pc);
+    this.idle(this.pc, 5);
+    this.pc = (this.pc + 1) & 0xFFFF;
+    return ((px === 1 ? this.ix : this.iy) + (d << 24 >> 24)) & 0xFFFF;
+  }
+
+  // --------------------------------------------------------------------------
+  // ALU
+  // --------------------------------------------------------------------------
+
+  /**
+   * 8-bit arithmetic/logic on A.
+   * @param {number} op - 0-7: ADD ADC SUB SBC AND XOR OR CP
+   * @param {number} value
+   */
+  alu(op, value) {
+    const a = this.a;
+    let result;
+    switch (op) {
+      case 0:
+      case 1:
+        result = a + value + (op === 1 ? this.f & Z80_FLAG_C : 0);
+        this.a = result & 0xFF;
+        this.f = (result & 0x100 ? Z80_FLAG_C : 0) | this.addFlags(a, value, result) | Z80_SZ53[this.a];
+        break;
+      case 2:
+      case 3:
+        result = a - value - (op === 3 ? this.f & Z80_FLAG_C : 0);
+        this.a = result & 0xFF;
+        this.f = (result & 0x100 ? Z80_FLAG_C : 0) | Z80_FLAG_N | this.subFlags(a, value, result) | Z80_SZ53[this.a];
+        break;
+      case 4:
+        this.a = a & value;
+        this.f = Z80_FLAG_H | Z80_SZ53P[this.a];
+        break;
+      case 5:
+        this.a = a ^ value;
+        this.f = Z80_SZ53P[this.a];
+        break;
+      case 6:
+        this.a = a | value;
+        this.f = Z80_SZ53P[this.a];
+        break;
+      default:
+        result = a - value;
+        this.f = (result & 0x100 ? Z80_FLAG_C : (result ? 0 : Z80_FLAG_Z)) | Z80_FLAG_N |
+          this.subFlags(a, value, result) | (value & (Z80_FLAG_3 | Z80_FLAG_5)) | (result & Z80_FLAG_S);
+    }
+  }
+
+  /**
+   * H and V after an 8-bit addition.
+   * @param {number} a
+   * @param {number} value
+   * @param {number} result
+   * @returns {number}
+   */
+  addFlags(a, value, result) {
+    const lookup = ((a & 0x88) >> 3) | ((value & 0x88) >> 2) | ((result & 0x88) >> 1);
+    return Z80_HALFCARRY_ADD[lookup & 0x07] | Z80_OVERFLOW_ADD[lookup >> 4];
+  }
+
+  /**
+   * H and V after an 8-bit subtraction.
+   * @param {number} a
+   * @param {number} value
+   * @param {number} result
+   * @returns {number}
+   */
+  subFlags(a, value, result) {
+    const lookup = ((a & 0x88) >> 3) | ((value & 0x88) >> 2) | ((result & 0x88) >> 1);
+    return Z80_HALFCARRY_SUB[lookup & 0x07] | Z80_OVERFLOW_SUB[lookup >> 4];
+  }
+
+  /**
+   * @param {number} value
+   * @returns {number}
+   */
+  inc8(value) {
+    const result = (value + 1) & 0xFF;
+    this.f = (this.f & Z80_FLAG_C) | (result === 0x80 ? Z80_FLAG_P : 0) | (result & 0x0F ? 0 : Z80_FLAG_H) | Z80_SZ53[result];
+    return result;
+  }
+
+  /**
+   * @param {number} value
+   * @returns {number}
+   */
+  dec8(value) {
+    const result = (value - 1) & 0xFF;
+    this.f = (this.f & Z80_FLAG_C) | (value & 0x0F ? 0 : Z80_FLAG_H) | Z80_FLAG_N |
+      (result === 0x7F ? Z80_FLAG_P : 0) | Z80_SZ53[result];
+    return result;
+  }
+
+  /**
+   * ADD HL,rr / ADC HL,rr / SBC HL,rr.
+   * @param {number} op - 0 ADD, 1 ADC, 2 SBC
+   * @param {number} px - Destination HL/IX/IY (ADD only)
+   * @param {number} value
+   */
+  alu16(op, px, value) {
+    const hl = this.getPair(2, px);
+    const carry = op === 0 ? 0 : this.f & Z80_FLAG_C;
+    const result = op === 2 ? hl - value - carry : hl + value + carry;
+    const word = result & 0xFFFF;
+    const lookup = ((hl & 0x8800) >> 11) | ((value & 0x8800) >> 10) | ((result & 0x8800) >> 9);
+    this.setPair(2, word, px);
+    if (op === 0) {
+      this.f = (this.f & (Z80_FLAG_P | Z80_FLAG_Z | Z80_FLAG_S)) | (result & 0x10000 ? Z80_FLAG_C : 0) |
+        ((result >> 8) & (Z80_FLAG_3 | Z80_FLAG_5)) | Z80_HALFCARRY_ADD[lookup & 0x07];
+    } else {
+      const half = op === 2 ? Z80_HALFCARRY_SUB : Z80_HALFCARRY_ADD;
+      const over = op === 2 ? Z80_OVERFLOW_SUB : Z80_OVERFLOW_ADD;
+      this.f = (result & 0x10000 ? Z80_FLAG_C : 0) | (op === 2 ? Z80_FLAG_N : 0) | over[lookup >> 4] |
+        ((word >> 8) & (Z80_FLAG_3 | Z80_FLAG_5 | Z80_FLAG_S)) | half[lookup & 0x07] | (word ? 0 : Z80_FLAG_Z);
+    }
+  }
+
+  /**
+   * CB rotates and shifts.
+   * @param {number} op - 0-7: RLC RRC RL RR SLA SRA SLL SRL
+   * @param {number} value
+   * @returns {number}
+   */
+  shift(op, value) {
+    let result;
+    let carry;
+    switch (op) {
+      case 0: carry = value >> 7; result = (value << 1 | carry) & 0xFF; break;
+      case 1: carry = value & 1; result = value >> 1 | carry << 7; break;
+      case 2: carry = value >> 7; result = (value << 1 | (this.f & Z80_FLAG_C)) & 0xFF; break;
+      case 3: carry = value & 1; result = value >> 1 | (this.f & Z80_FLAG_C) << 7; break;
+      case 4: carry = value >> 7; result = (value << 1) & 0xFF; break;
+      case 5: carry = value & 1; result = (value & 0x80) | value >> 1; break;
+      case 6: carry = value >> 7; result = (value << 1 | 1) & 0xFF; break;
+      default: carry = value & 1; result = value >> 1;
+    }
+    this.f = carry | Z80_SZ53P[result];
+    return result;
+  }
+
+  /**
+   * BIT n flags.
+   * @param {number} bit
+   * @param {number} value
+   * @param {number} undoc - Source of flags 3 and 5
+   */
+  bit(bit, value, undoc) {
+    this.f = (this.f & Z80_FLAG_C) | Z80_FLAG_H | (undoc & (Z80_FLAG_3 | Z80_FLAG_5));
+    if (!(value & (1 << bit))) this.f |= Z80_FLAG_P | Z80_FLAG_Z;
+    if (bit === 7 && (value & 0x80)) this.f |= Z80_FLAG_S;
+  }
+
+  // --------------------------------------------------------------------------
+  // Execution
+  // --------------------------------------------------------------------------
+
+  /**
+   * Runs one instruction, or accepts a pending interrupt.
+   */
+  step() {
+    if (this.iff1 && !this.eiPending && this.t < this.raster.intT) {
+      this.interrupt();
+      return;
+    }
+    this.eiPending = false;
+    this.execute(this.fetch(), 0);
+  }
+
+  /**
+   * Maskable interrupt: 13T in IM 0/1 (RST #38), 19T in IM 2.
+   */
+  interrupt() {
+    if (this.halted) {
+      this.halted = false;
+      this.pc = (this.pc + 1) & 0xFFFF;
+    }
+    this.iff1 = this.iff2 = 0;
+    this.r = (this.r & 0x80) | ((this.r + 1) & 0x7F);
+    this.t += 7;
+    this.push(this.pc);
+    if (this.im === 2) {
+      const vector = this.i << 8 | 0xFF;
+      const lo = this.read(vector);
+      this.pc = lo | this.read((vector + 1) & 0xFFFF) << 8;
+    } else {
+      this.pc = 0x0038;
+    }
+  }
+
+  /**
+   * Unprefixed (or DD/FD-prefixed) opcode.
+   * @param {number} op
+   * @param {number} px - 0 = HL, 1 = IX, 2 = IY
+   */
+  execute(op, px) {
+    const x = op >> 6;
+    const y = (op >> 3) & 7;
+    const z = op & 7;
+    const p = y >> 1;
+    const q = y & 1;
+
+    if (x === 1) {
+      if (op === 0x76) {
+        // HALT: repeat until an interrupt
+        this.halted = true;
+        this.pc = (this.pc - 1) & 0xFFFF;
+      } else if (z === 6) {
+        this.setReg(y, this.read(px ? this.indexAddr(px) : this.getPair(2, 0)), 0);
+      } else if (y === 6) {
+        const addr = px ? this.indexAddr(px) : this.getPair(2, 0);
+        this.write(addr, this.getReg(z, 0));
+      } else {
+        this.setReg(y, this.getReg(z, px), px);
+      }
+      return;
+    }
+
+    if (x === 2) {
+      this.alu(y, z === 6 ? this.read(px ? this.indexAddr(px) : this.getPair(2, 0)) : this.getReg(z, px));
+      return;
+    }
+
+    if (x === 0) {
+      switch (z) {
+        case 0:
+          if (y === 0) return;
+          if (y === 1) {
+            [this.a, this.a2] = [this.a2, this.a];
+            [this.f, this.f2] = [this.f2, this.f];
+            return;
+          }
+          if (y === 2) {
+            this.idle(this.ir, 1);
+            this.b = (this.b - 1) & 0xFF;
+            this.relativeJump(this.b !== 0);
+            return;
+          }
+          this.relativeJump(y === 3 || this.condition(y - 4));
+          return;
+        case 1:
+          if (q === 0) {
+            this.setPair(p, this.readPcWord(), px);
+          } else {
+            this.idle(this.ir, 7);
+            this.alu16(0, px, this.getPair(p, px));
+          }
+          return;
+        case 2: {
+          if (p < 2) {
+            const addr = this.getPair(p, 0);
+            if (q === 0) this.write(addr, this.a);
+            else this.a = this.read(addr);
+            return;
+          }
+          const addr = this.readPcWord();
+          if (p === 3) {
+            if (q === 0) this.write(addr, this.a);
+            else this.a = this.read(addr);
+          } else if (q === 0) {
+            const value = this.getPair(2, px);
+            this.write(addr, value & 0xFF);
+            this.write((addr + 1) & 0xFFFF, value >> 8);
+          } else {
+            const lo = this.read(addr);
+            this.setPair(2, lo | this.read((addr + 1) & 0xFFFF) << 8, px);
+          }
+          return;
+        }
+        case 3:
+          this.idle(this.ir, 2);
+          this.setPair(p, (this.getPair(p, px) + (q === 0 ? 1 : -1)) & 0xFFFF, px);
+          return;
+        case 4:
+        case 5:
+          if (y === 6) {
+            const addr = px ? this.indexAddr(px) : this.getPair(2, 0);
+            const value = this.read(addr);
+            this.idle(addr, 1);
+            this.write(addr, z === 4 ? this.inc8(value) : this.dec8(value));
+          } else {
+            const value = this.getReg(y, px);
+            this.setReg(y, z === 4 ? this.inc8(value) : this.dec8(value), px);
+          }
+          return;
+        case 6:
+          if (y !== 6) {
+            this.setReg(y, this.readPc(), px);
+          } else if (px) {
+            const d = this.readPc();
+            const value = this.read(this.pc);
+            this.idle(this.pc, 2);
+            this.pc = (this.pc + 1) & 0xFFFF;
+            this.write(((px === 1 ? this.ix : this.iy) + (d << 24 >> 24)) & 0xFFFF, value);
+          } else {
+            this.write(this.getPair(2, 0), this.readPc());
+          }
+          return;
+        default:
+          this.accumulatorOp(y);
+          return;
+      }
+    }
+
+    // x === 3
+    switch (z) {
+      case 0:
+        this.idle(this.ir, 1);
+        if (this.condition(y)) this.pc = this.pop();
+        return;
+      case 1:
+        if (q === 0) {
+          this.setPair(p, this.pop(), px, true);
+        } else if (p === 0) {
+          this.pc = this.pop();
+        } else if (p === 1) {
+          const bc = this.getPair(0, 0), de = this.getPair(1, 0), hl = this.getPair(2, 0);
+          this.setPair(0, this.bc2, 0);
+          this.setPair(1, this.de2, 0);
+          this.setPair(2, this.hl2, 0);
+          this.bc2 = bc; this.de2 = de; this.hl2 = hl;
+        } else if (p === 2) {
+          this.pc = this.getPair(2, px);
+        } else {
+          this.idle(this.ir, 2);
+          this.sp = this.getPair(2, px);
+        }
+        return;
+      case 2: {
+        const addr = this.readPcWord();
+        if (this.condition(y)) this.pc = addr;
+        return;
+      }
+      case 3:
+        switch (y) {
+          case 0:
+            this.pc = this.readPcWord();
+            return;
+          case 1:
+            if (px) this.executeIndexCb(px);
+            else this.executeCb(this.fetch());
+            return;
+          case 2: {
+            const n = this.readPc();
+            this.out(this.a << 8 | n, this.a);
+            return;
+          }
+          case 3: {
+            const n = this.readPc();
+            this.a = this.in(this.a << 8 | n);
+            return;
+          }
+          case 4: {
+            const lo = this.read(this.sp);
+            const hi = this.read((this.sp + 1) & 0xFFFF);
+            this.idle((this.sp + 1) & 0xFFFF, 1);
+            const value = this.getPair(2, px);
+            this.write((this.sp + 1) & 0xFFFF, value >> 8);
+            this.write(this.sp, value & 0xFF);
+            this.idle(this.sp, 2);
+            this.setPair(2, lo | hi << 8, px);
+            return;
+          }
+          case 5: {
+            const de = this.getPair(1, 0);
+            this.setPair(1, this.getPair(2, 0), 0);
+            this.setPair(2, de, 0);
+            return;
+          }
+          case 6:
+            this.iff1 = this.iff2 = 0;
+            return;
+          default:
+            this.iff1 = this.iff2 = 1;
+            this.eiPending = true;
+            return;
+        }
+      case 4:
+        this.call(this.condition(y));
+        return;
+      case 5:
+        if (q === 0) {
+          this.idle(this.ir, 1);
+          this.push(this.getPair(p, px, true));
+        } else if (p === 0) {
+          this.call(true);
+        } else if (p === 2) {
+          this.executeEd(this.fetch());
+        } else {
+          this.execute(this.fetch(), p === 1 ? 1 : 2);
+        }
+        return;
+      case 6:
+        this.alu(y, this.readPc());
+        return;
+      default:
+        this.idle(this.ir, 1);
+        this.push(this.pc);
+        this.pc = y * 8;
+    }
+  }
+
+  /**
+   * JR / DJNZ tail: displacement read, 5T more when taken.
+   * @param {boolean} taken
+   */
+  relativeJump(taken) {
+    const d = this.read(this.pc);
+    if (taken) {
+      this.idle(this.pc, 5);
+      this.pc = (this.pc + 1 + (d << 24 >> 24)) & 0xFFFF;
+    } else {
+      this.pc = (this.pc + 1) & 0xFFFF;
+    }
+  }
+
+  /**
+   * CALL tail: address read, 1T + push when taken.
+   * @param {boolean} taken
+   */
+  call(taken) {
+    const lo = this.read(this.pc);
+    const hiAddr = (this.pc + 1) & 0xFFFF;
+    const hi = this.read(hiAddr);
+    if (taken) this.idle(hiAddr, 1);
+    this.pc = (this.pc + 2) & 0xFFFF;
+    if (taken) {
+      this.push(this.pc);
+      this.pc = lo | hi << 8;
+    }
+  }
+
+  /**
+   * RLCA RRCA RLA RRA DAA CPL SCF CCF.
+   * @param {number} y
+   */
+  accumulatorOp(y) {
+    const a = this.a;
+    const keep = this.f & (Z80_FLAG_P | Z80_FLAG_Z | Z80_FLAG_S);
+    switch (y) {
+      case 0:
+        this.a = (a << 1 | a >> 7) & 0xFF;
+        this.f = keep | (this.a & (Z80_FLAG_C | Z80_FLAG_3 | Z80_FLAG_5));
+        break;
+      case 1:
+        this.a = (a >> 1 | a << 7) & 0xFF;
+        this.f = keep | (a & Z80_FLAG_C) | (this.a & (Z80_FLAG_3 | Z80_FLAG_5));
+        break;
+      case 2:
+        this.a = (a << 1 | (this.f & Z80_FLAG_C)) & 0xFF;
+        this.f = keep | (this.a & (Z80_FLAG_3 | Z80_FLAG_5)) | a >> 7;
+        break;
+      case 3:
+        this.a = a >> 1 | (this.f & Z80_FLAG_C) << 7;
+        this.f = keep | (this.a & (Z80_FLAG_3 | Z80_FLAG_5)) | (a & Z80_FLAG_C);
+        break;
+      case 4: {
+        let add = 0;
+        let carry = this.f & Z80_FLAG_C;
+        if ((this.f & Z80_FLAG_H) || (a & 0x0F) > 9) add = 6;
+        if (carry || a > 0x99) add |= 0x60;
+        if (a > 0x99) carry = Z80_FLAG_C;
+        this.alu(this.f & Z80_FLAG_N ? 2 : 0, add);
+        this.f = (this.f & ~(Z80_FLAG_C | Z80_FLAG_P)) | carry | Z80_PARITY[this.a];
+        break;
+      }
+      case 5:
+        this.a = a ^ 0xFF;
+        this.f = (this.f & (Z80_FLAG_C | Z80_FLAG_P | Z80_FLAG_Z | Z80_FLAG_S)) |
+          (this.a & (Z80_FLAG_3 | Z80_FLAG_5)) | Z80_FLAG_N | Z80_FLAG_H;
+        break;
+      case 6:
+        this.f = keep | (a & (Z80_FLAG_3 | Z80_FLAG_5)) | Z80_FLAG_C;
+        break;
+      default:
+        this.f = keep | (this.f & Z80_FLAG_C ? Z80_FLAG_H : Z80_FLAG_C) | (a & (Z80_FLAG_3 | Z80_FLAG_5));
+    }
+  }
+
+  /**
+   * CB-prefixed opcode on B-A or (HL).
+   * @param {number} op
+   */
+  executeCb(op) {
+    const x = op >> 6;
+    const y = (op >> 3) & 7;
+    const z = op & 7;
+    if (z !== 6) {
+      const value = this.getReg(z, 0);
+      if (x === 0) this.setReg(z, this.shift(y, value), 0);
+      else if (x === 1) this.bit(y, value, value);
+      else if (x === 2) this.setReg(z, value & ~(1 << y), 0);
+      else this.setReg(z, value | 1 << y, 0);
+      return;
+    }
+    const addr = this.getPair(2, 0);
+    const value = this.read(addr);
+    this.idle(addr, 1);
+    if (x === 1) {
+      this.bit(y, value, addr >> 8);
+      return;
+    }
+    this.write(addr, x === 0 ? this.shift(y, value) : x === 2 ? value & ~(1 << y) : value | 1 << y);
+  }
+
+  /**
+   * DD CB d op / FD CB d op. Results also land in the register of the
+   * low bits (undocumented) unless it is 6.
+   * @param {number} px
+   */
+  executeIndexCb(px) {
+    const d = this.readPc();
+    const op = this.read(this.pc);
+    this.idle(this.pc, 2);
+    this.pc = (this.pc + 1) & 0xFFFF;
+    const addr = ((px === 1 ? this.ix : this.iy) + (d << 24 >> 24)) & 0xFFFF;
+    const x = op >> 6;
+    const y = (op >> 3) & 7;
+    const z = op & 7;
+    const value = this.read(addr);
+    this.idle(addr, 1);
+    if (x === 1) {
+      this.bit(y, value, addr >> 8);
+      return;
+    }
+    const result = x === 0 ? this.shift(y, value) : x === 2 ? value & ~(1 << y) : value | 1 << y;
+    this.write(addr, result);
+    if (z !== 6) this.setReg(z, result, 0);
+  }
+
+  /**
+   * ED-prefixed opcode. Undefined ones are 8T NOPs.
+   * @param {number} op
+   */
+  executeEd(op) {
+    const x = op >> 6;
+    const y = (op >> 3) & 7;
+    const z = op & 7;
+    const p = y >> 1;
+    const q = y & 1;
+
+    if (x === 2 && z <= 3 && y >= 4) {
+      this.blockOp(z, y);
+      return;
+    }
+    if (x !== 1) return;
+
+    switch (z) {
+      case 0: {
+        const value = this.in(this.getPair(0, 0));
+        if (y !== 6) this.setReg(y, value, 0);
+        this.f = (this.f & Z80_FLAG_C) | Z80_SZ53P[value];
+        return;
+      }
+      case 1:
+        this.out(this.getPair(0, 0), y === 6 ? 0 : this.getReg(y, 0));
+        return;
+      case 2:
+        this.idle(this.ir, 7);
+        this.alu16(q === 0 ? 2 : 1, 0, this.getPair(p, 0));
+        return;
+      case 3: {
+        const addr = this.readPcWord();
+        if (q === 0) {
+          const value = this.getPair(p, 0);
+          this.write(addr, value & 0xFF);
+          this.write((addr + 1) & 0xFFFF, value >> 8);
+        } else {
+          const lo = this.read(addr);
+          this.setPair(p, lo | this.read((addr + 1) & 0xFFFF) << 8, 0);
+        }
+        return;
+      }
+      case 4: {
+        const value = this.a;
+        this.a = 0;
+        this.alu(2, value);
+        return;
+      }
+      case 5:
+        this.iff1 = this.iff2;
+        this.pc = this.pop();
+        return;
+      case 6:
+        this.im = [0, 0, 1, 2][y & 3];
+        return;
+      default:
+        switch (y) {
+          case 0:
+            this.idle(this.ir, 1);
+            this.i = this.a;
+            return;
+          case 1:
+            this.idle(this.ir, 1);
+            this.r = this.a;
+            return;
+          case 2:
+          case 3:
+            this.idle(this.ir, 1);
+            this.a = y === 2 ? this.i : this.r;
+            this.f = (this.f & Z80_FLAG_C) | Z80_SZ53[this.a] | (this.iff2 ? Z80_FLAG_P : 0);
+            return;
+          case 4:
+          case 5: {
+            const addr = this.getPair(2, 0);
+            const value = this.read(addr);
+            this.idle(addr, 4);
+            if (y === 4) {
+              this.write(addr, (this.a << 4 | value >> 4) & 0xFF);
+              this.a = (this.a & 0xF0) | (value & 0x0F);
+            } else {
+              this.write(addr, (value << 4 | (this.a & 0x0F)) & 0xFF);
+              this.a = (this.a & 0xF0) | value >> 4;
+            }
+            this.f = (this.f & Z80_FLAG_C) | Z80_SZ53P[this.a];
+            return;
+          }
+        }
+    }
+  }
+
+  /**
+   * LDI/CPI/INI/OUTI and their decrementing and repeating forms.
+   * @param {number} kind - 0 LD, 1 CP, 2 IN, 3 OUT
+   * @param {number} y - 4 increment, 5 decrement, 6/7 repeat
+   */
+  blockOp(kind, y) {
+    const dir = y & 1 ? -1 : 1;
+    const repeat = y >= 6;
+    const hl = this.getPair(2, 0);
+    let again = false;
+
+    if (kind === 0) {
+      const de = this.getPair(1, 0);
+      let value = this.read(hl);
+      this.write(de, value);
+      this.idle(de, 2);
+      const bc = (this.getPair(0, 0) - 1) & 0xFFFF;
+      this.setPair(0, bc, 0);
+      value += this.a;
+      this.f = (this.f & (Z80_FLAG_C | Z80_FLAG_Z | Z80_FLAG_S)) | (bc ? Z80_FLAG_P : 0) |
+        (value & Z80_FLAG_3) | (value & 0x02 ? Z80_FLAG_5 : 0);
+      again = repeat && bc !== 0;
+      if (again) this.idle(de, 5);
+      this.setPair(1, (de + dir) & 0xFFFF, 0);
+    } else if (kind === 1) {
+      const value = this.read(hl);
+      let result = this.a - value;
+      const lookup = ((this.a & 0x08) >> 3) | ((value & 0x08) >> 2) | ((result & 0x08) >> 1);
+      this.idle(hl, 5);
+      const bc = (this.getPair(0, 0) - 1) & 0xFFFF;
+      this.setPair(0, bc, 0);
+      this.f = (this.f & Z80_FLAG_C) | (bc ? Z80_FLAG_P | Z80_FLAG_N : Z80_FLAG_N) |
+        Z80_HALFCARRY_SUB[lookup] | (result & 0xFF ? 0 : Z80_FLAG_Z) | (result & Z80_FLAG_S);
+      if (this.f & Z80_FLAG_H) result--;
+      this.f |= (result & Z80_FLAG_3) | (result & 0x02 ? Z80_FLAG_5 : 0);
+      again = repeat && bc !== 0 && !(this.f & Z80_FLAG_Z);
+      if (again) this.idle(hl, 5);
+    } else if (kind === 2) {
+      this.idle(this.ir, 1);
+      const value = this.in(this.getPair(0, 0));
+      this.write(hl, value);
+      this.b = (this.b - 1) & 0xFF;
+      const sum = value + ((this.c + dir) & 0xFF);
+      this.blockIoFlags(value, sum);
+      again = repeat && this.b !== 0;
+      if (again) this.idle(hl, 5);
+    } else {
+      this.idle(this.ir, 1);
+      const value = this.read(hl);
+      this.b = (this.b - 1) & 0xFF;
+      this.out(this.getPair(0, 0), value);
+      const sum = value + ((hl + dir) & 0xFF);
+      this.blockIoFlags(value, sum);
+      again = repeat && this.b !== 0;
+      if (again) this.idle(this.getPair(0, 0), 5);
+    }
+
+    this.setPair(2, (hl + dir) & 0xFFFF, 0);
+    if (again) this.pc = (this.pc - 2) & 0xFFFF;
+  }
+
+  /**
+   * Flags of INI/OUTI and friends.
+   * @param {number} value - Byte transferred
+   * @param {number} sum - value + C±1 (IN) or value + L (OUT)
+   */
+  blockIoFlags(value, sum) {
+    this.f = (value & 0x80 ? Z80_FLAG_N : 0) | (sum > 0xFF ? Z80_FLAG_H | Z80_FLAG_C : 0) |
+      Z80_PARITY[(sum & 0x07) ^ this.b] | Z80_SZ53[this.b];
+  }
+
+  // --------------------------------------------------------------------------
+  // Display
+  // --------------------------------------------------------------------------
+
+  /**
+   * T-state (from INT) of a window pixel.
+   * @param {number} x - 0-383
+   * @param {number} y - 0-303
+   * @returns {number}
+   */
+  pixelT(x, y) {
+    return this.machine.paperT + (y - 64) * this.machine.lineT + ((x - 64) >> 1);
+  }
+
+  /**
+   * Starts a frame: colors for this frame and the vertical blank lines.
+   */
+  startFrame() {
+    const flashOn = (this.frame & 16) !== 0;
+    this.flashOn = flashOn;
+    this.colors = [...ZX_PALETTE_RGB.REGULAR, ...ZX_PALETTE_RGB.BRIGHT];
+    this.ulaPlusColors = Array.from(this.ulaPlusPalette, grb332ToRgb);
+
+    const hiddenLines = 64 - this.machine.topLines;
+    for (let i = 0; i < hiddenLines * ZX_EMU_WIDTH; i++) {
+      this.pixels.set(ZX_EMU_BLANK_RGB, i * 4);
+      this.pixels[i * 4 + 3] = 255;
+    }
+    this.beamPos = hiddenLines * ZX_EMU_LINE_SLOTS;
+  }
+
+  /**
+   * Draws the frame up to (not including) a T-state.
+   * @param {number} t - T-state from INT
+   */
+  updateBeam(t) {
+    const m = this.machine;
+    const rel = t + this.beamOffset - (m.paperT - 64 * m.lineT - 32);
+    if (rel <= 0) return;
+    const line = Math.floor(rel / m.lineT);
+    const limit = line >= ZX_EMU_HEIGHT ? ZX_EMU_HEIGHT * ZX_EMU_LINE_SLOTS :
+      line * ZX_EMU_LINE_SLOTS + Math.min(rel - line * m.lineT, ZX_EMU_LINE_SLOTS);
+
+    const pixels = this.pixels;
+    const borderRgb = this.ulaPlusOn ? this.ulaPlusColors[8 + this.border] : this.colors[this.border];
+    while (this.beamPos < limit) {
+      const y = Math.floor(this.beamPos / ZX_EMU_LINE_SLOTS);
+      const slot = this.beamPos - y * ZX_EMU_LINE_SLOTS;
+      const paperX = slot - 32;
+      if (y >= 64 && y < 256 && paperX >= 0 && paperX < 128) {
+        // Paper: a cell (8 pixels) is fetched at its first T-state
+        if ((paperX & 3) === 0) this.drawCell(y - 64, paperX >> 2);
+        this.beamPos++;
+        continue;
+      }
+      const offset = (y * ZX_EMU_WIDTH + slot * 2) * 4;
+      pixels[offset] = pixels[offset + 4] = borderRgb[0];
+      pixels[offset + 1] = pixels[offset + 5] = borderRgb[1];
+      pixels[offset + 2] = pixels[offset + 6] = borderRgb[2];
+      pixels[offset + 3] = pixels[offset + 7] = 255;
+      this.beamPos++;
+    }
+  }
+
+  /**
+   * Draws one 8-pixel paper cell from the shown screen.
+   * @param {number} py - Paper line 0-191
+   * @param {number} col - Column 0-31
+   */
+  drawCell(py, col) {
+    const screen = this.banks[this.screenBank];
+    const bits = screen[((py & 0xC0) << 5) | ((py & 0x07) << 8) | ((py & 0x38) << 2) | col];
+    const attr = screen[6144 + (py >> 3) * 32 + col];
+    let ink;
+    let paper;
+    if (this.ulaPlusOn) {
+      const clut = (attr >> 6) * 16;
+      ink = this.ulaPlusColors[clut + (attr & 0x07)];
+      paper = this.ulaPlusColors[clut + 8 + ((attr >> 3) & 0x07)];
+    } else {
+      const bright = attr & 0x40 ? 8 : 0;
+      ink = this.colors[bright + (attr & 0x07)];
+      paper = this.colors[bright + ((attr >> 3) & 0x07)];
+      if ((attr & 0x80) && this.flashOn) [ink, paper] = [paper, ink];
+    }
+    let offset = ((py + 64) * ZX_EMU_WIDTH + 64 + col * 8) * 4;
+    for (let bit = 0x80; bit; bit >>= 1) {
+      const rgb = bits & bit ? ink : paper;
+      this.pixels[offset] = rgb[0];
+      this.pixels[offset + 1] = rgb[1];
+      this.pixels[offset + 2] = rgb[2];
+      this.pixels[offset + 3] = 255;
+      offset += 4;
+    }
+  }
+
+  /**
+   * Runs one frame (INT to INT) and finishes its picture in this.pixels.
+   */
+  runFrame() {
+    const m = this.machine;
+    const frameT = m.frameT;
+    while (this.t < frameT) this.step();
+    this.t -= frameT;
+    // On the Pentagon the window's last line ends after the next INT
+    const tailT = m.paperT - 32 + (ZX_EMU_HEIGHT - 65) * m.lineT + ZX_EMU_LINE_SLOTS - frameT;
+    this.beamOffset = frameT;
+    while (this.t < tailT) this.step();
+    this.updateBeam(Math.max(tailT, 0));
+    this.beamOffset = 0;
+    this.frame++;
+    this.startFrame();
+  }
+}
+
+// ============================================================================
+// Preview Dialog
+// ============================================================================
+
+/** @type {ZxEmulator|null} */
+let zxEmu = null;
+
+/** @type {{snapshot: Snapshot, title: string}|null} - Program shown in the dialog */
+let zxEmuProgram = null;
+
+/** @type {Uint8ClampedArray[]} - Last frames, newest first (for blending) */
+let zxEmuHistory = [];
+
+/** @type {boolean} */
+let zxEmuRunning = false;
+
+/** @type {number|null} */
+let zxEmuRafId = null;
+
+/** @type {number} - Timestamp of the last emulated frame */
+let zxEmuLastTime = 0;
+
+/**
+ * Opens the emulator dialog and runs a program.
+ * @param {Snapshot} snapshot - Program with registers (see getAsmSnapshot)
+ * @param {string} title - Dialog title
+ * @param {{machine?: AsmMachine, blendFrames?: number}} [options] - Machine to start on, frames blended (flicker formats)
+ */
+function openZxEmulator(snapshot, title, options = {}) {
+  const dialog = document.getElementById('emulatorDialog');
+  const machineSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('emulatorMachineSelect'));
+  const blendSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('emulatorBlendSelect'));
+  const titleEl = document.getElementById('emulatorTitle');
+  if (!dialog || !machineSelect || !blendSelect) return;
+
+  zxEmuProgram = { snapshot, title };
+  if (titleEl) titleEl.textContent = 'Emulator — ' + title;
+
+  // 128K programs cannot run on the 48K
+  const is128 = snapshot.machineType === '128K';
+  for (const option of Array.from(machineSelect.options)) {
+    option.disabled = is128 && !ASM_MACHINES[option.value].has128;
+  }
+  const key = Object.keys(ASM_MACHINES).find(k => ASM_MACHINES[k] === options.machine);
+  machineSelect.value = key || (is128 ? 'pentagon' : 'zx48');
+  blendSelect.value = String(options.blendFrames || 1);
+
+  dialog.style.display = '';
+  restartZxEmulator();
+}
+
+/**
+ * Stops emulation and closes the dialog.
+ */
+function closeZxEmulator() {
+  const dialog = document.getElementById('emulatorDialog');
+  if (dialog) dialog.style.display = 'none';
+  setZxEmulatorRunning(false);
+  zxEmu = null;
+  zxEmuProgram = null;
+  zxEmuHistory = [];
+}
+
+/**
+ * Restarts the program on the selected machine.
+ */
+function restartZxEmulator() {
+  if (!zxEmuProgram) return;
+  const machineSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('emulatorMachineSelect'));
+  zxEmu = new ZxEmulator(zxEmuProgram.snapshot, machineSelect?.value || 'pentagon');
+  zxEmuHistory = [];
+  stepZxEmulator();
+  setZxEmulatorRunning(true);
+}
+
+/**
+ * Starts or pauses emulation.
+ * @param {boolean} running
+ */
+function setZxEmulatorRunning(running) {
+  zxEmuRunning = running;
+  const pauseBtn = document.getElementById('emulatorPauseBtn');
+  if (pauseBtn) pauseBtn.textContent = running ? 'Pause' : 'Run';
+  if (zxEmuRafId !== null) {
+    cancelAnimationFrame(zxEmuRafId);
+    zxEmuRafId = null;
+  }
+  if (running) {
+    zxEmuLastTime = performance.now();
+    zxEmuRafId = requestAnimationFrame(zxEmulatorTick);
+  }
+}
+
+/**
+ * Animation callback: emulates the frames due since the last call (50 Hz).
+ * @param {number} now
+ */
+function zxEmulatorTick(now) {
+  zxEmuRafId = null;
+  if (!zxEmuRunning || !zxEmu) return;
+  const frameMs = 20;
+  // After a stall (background tab) resync instead of catching up
+  if (now - zxEmuLastTime > frameMs * 10) zxEmuLastTime = now - frameMs;
+  while (now - zxEmuLastTime >= frameMs) {
+    zxEmuLastTime += frameMs;
+    stepZxEmulator();
+  }
+  zxEmuRafId = requestAnimationFrame(zxEmulatorTick);
+}
+
+/**
+ * Emulates one frame and shows it.
+ */
+function stepZxEmulator() {
+  if (!zxEmu) return;
+  zxEmu.runFrame();
+  zxEmuHistory.unshift(zxEmu.pixels.slice());
+  if (zxEmuHistory.length > ZX_EMU_MAX_BLEND) zxEmuHistory.pop();
+  renderZxEmulator();
+}
+
+/**
+ * Draws the last frame, or the average of the last 2-3 for flicker formats.
+ */
+function renderZxEmulator() {
+  const canvas = /** @type {HTMLCanvasElement|null} */ (document.getElementById('emulatorCanvas'));
+  const blendSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('emulatorBlendSelect'));
+  const ctx = canvas?.getContext('2d');
+  if (!ctx || !zxEmu || zxEmuHistory.length === 0) return;
+
+  const count = Math.min(parseInt(blendSelect?.value || '1', 10), zxEmuHistory.length);
+  const image = ctx.createImageData(ZX_EMU_WIDTH, ZX_EMU_HEIGHT);
+  if (count === 1) {
+    image.data.set(zxEmuHistory[0]);
+  } else {
+    const out = image.data;
+    for (let i = 0; i < out.length; i++) {
+      let sum = 0;
+      for (let f = 0; f < count; f++) sum += zxEmuHistory[f][i];
+      out[i] = sum / count;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+
+  const status = document.getElementById('emulatorStatus');
+  if (status) {
+    const hex = (/** @type {number} */ v, /** @type {number} */ digits) => '#' + v.toString(16).toUpperCase().padStart(digits, '0');
+    status.textContent = `Frame ${zxEmu.frame} · PC ${hex(zxEmu.pc, 4)} · IM ${zxEmu.im} · ` +
+      (zxEmu.iff1 ? 'EI' : 'DI') + (zxEmu.halted ? ' · HALT' : '') +
+      (zxEmu.machine.has128 ? ` · #7FFD ${hex(zxEmu.paging, 2)} · screen ${zxEmu.screenBank}` : '') +
+      (zxEmu.ulaPlusOn ? ' · ULA+' : '');
+  }
+}
+
+/**
+ * Shows the line and T-state under the mouse (frame-relative, as in the exporters).
+ * @param {MouseEvent} e
+ */
+function updateZxEmulatorHover(e) {
+  const canvas = /** @type {HTMLCanvasElement} */ (e.currentTarget);
+  const info = document.getElementById('emulatorHoverInfo');
+  if (!info || !zxEmu) return;
+  const rect = canvas.getBoundingClientRect();
+  const x = Math.floor((e.clientX - rect.left) * ZX_EMU_WIDTH / rect.width);
+  const y = Math.floor((e.clientY - rect.top) * ZX_EMU_HEIGHT / rect.height);
+  if (x < 0 || y < 0 || x >= ZX_EMU_WIDTH || y >= ZX_EMU_HEIGHT) {
+    info.textContent = '';
+    return;
+  }
+  const t = zxEmu.pixelT(x, y);
+  const lineT = zxEmu.machine.lineT;
+  const area = y < 64 - zxEmu.machine.topLines ? 'vertical blank' :
+    y >= 64 && y < 256 && x >= 64 && x < 320 ? `paper line ${y - 64}, column ${(x - 64) >> 3}` : 'border';
+  info.textContent = `x ${x}, y ${y} (${area}) · T ${t} · line ${Math.floor(t / lineT)} + ${((t % lineT) + lineT) % lineT}T`;
+}
+
+/**
+ * Initializes emulator dialog event handlers.
+ */
+function initZxEmulator() {
+  const dialog = document.getElementById('emulatorDialog');
+  const canvas = document.getElementById('emulatorCanvas');
+
+  document.getElementById('emulatorCloseBtn')?.addEventListener('click', closeZxEmulator);
+  document.getElementById('emulatorPauseBtn')?.addEventListener('click', () => setZxEmulatorRunning(!zxEmuRunning));
+  document.getElementById('emulatorStepBtn')?.addEventListener('click', () => {
+    setZxEmulatorRunning(false);
+    stepZxEmulator();
+  });
+  document.getElementById('emulatorRestartBtn')?.addEventListener('click', restartZxEmulator);
+  document.getElementById('emulatorMachineSelect')?.addEventListener('change', restartZxEmulator);
+  document.getElementById('emulatorBlendSelect')?.addEventListener('change', renderZxEmulator);
+  canvas?.addEventListener('mousemove', updateZxEmulatorHover);
+
+  // Close on Escape
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && dialog && dialog.style.display !== 'none') {
+      closeZxEmulator();
+    }
+  });
+
+  // Close on overlay click
+  dialog?.addEventListener('click', (e) => {
+    if (e.target === dialog) closeZxEmulator();
+  });
+}
+
+// ============================================================================
+// Initialize on load
+// ============================================================================
+
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initZxEmulator);
+  } else {
+    initZxEmulator();
+  }
+}